@@ -0,0 +1,21 @@
+-- Migration: Shareable scene permalinks
+-- Run with: wrangler d1 execute rivvon-textures --file=./db/migrations/007_scenes.sql --remote
+
+CREATE TABLE IF NOT EXISTS scenes (
+    id TEXT PRIMARY KEY,
+    owner_id TEXT NOT NULL,
+    name TEXT,
+    texture_set_id TEXT,
+    drawing_id TEXT,
+    payload_json TEXT NOT NULL,
+    payload_size INTEGER,
+    created_at INTEGER DEFAULT (unixepoch()),
+    updated_at INTEGER DEFAULT (unixepoch()),
+    FOREIGN KEY (owner_id) REFERENCES users(id),
+    FOREIGN KEY (texture_set_id) REFERENCES texture_sets(id) ON DELETE SET NULL,
+    FOREIGN KEY (drawing_id) REFERENCES drawings(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenes_owner ON scenes(owner_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_texture_set ON scenes(texture_set_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_drawing ON scenes(drawing_id);
@@ -0,0 +1,42 @@
+-- Migration: Texture tags, full-text search and listing indexes
+-- Run with: wrangler d1 execute rivvon-textures --file=./db/migrations/008_texture_search.sql --remote
+
+-- Tags belong to the family root; derived variants share them.
+CREATE TABLE IF NOT EXISTS texture_tags (
+    texture_set_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    created_at INTEGER DEFAULT (unixepoch()),
+    PRIMARY KEY (texture_set_id, tag),
+    FOREIGN KEY (texture_set_id) REFERENCES texture_sets(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_texture_tags_tag ON texture_tags(tag);
+
+-- Listing filters
+CREATE INDEX IF NOT EXISTS idx_texture_sets_listing ON texture_sets(status, is_public, created_at);
+CREATE INDEX IF NOT EXISTS idx_texture_sets_cross_section ON texture_sets(cross_section_type);
+CREATE INDEX IF NOT EXISTS idx_texture_sets_resolution ON texture_sets(tile_resolution);
+
+-- Name/description search, kept in sync with texture_sets by triggers
+CREATE VIRTUAL TABLE IF NOT EXISTS texture_sets_fts USING fts5(
+    name,
+    description,
+    content='texture_sets',
+    content_rowid='rowid'
+);
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_insert AFTER INSERT ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(rowid, name, description) VALUES (new.rowid, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_delete AFTER DELETE ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(texture_sets_fts, rowid, name, description) VALUES ('delete', old.rowid, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_update AFTER UPDATE OF name, description ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(texture_sets_fts, rowid, name, description) VALUES ('delete', old.rowid, old.name, old.description);
+    INSERT INTO texture_sets_fts(rowid, name, description) VALUES (new.rowid, new.name, new.description);
+END;
+
+-- Index the texture sets that already exist
+INSERT INTO texture_sets_fts(texture_sets_fts) VALUES ('rebuild');
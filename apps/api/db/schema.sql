@@ -37,7 +37,7 @@ CREATE TABLE IF NOT EXISTS texture_sets (
     tile_resolution INTEGER NOT NULL,     -- 256, 512, 1024, etc.
     tile_count INTEGER NOT NULL,          -- Number of tiles in set
     layer_count INTEGER NOT NULL,         -- Layers per tile (e.g., 60)
-    cross_section_type TEXT,              -- 'planes' or 'waves'
+    cross_section_type TEXT,              -- planes, waves, radial, diagonal, spiral, curve
     
     -- Storage
     storage_provider TEXT DEFAULT 'r2',   -- 'r2' or 'google-drive'
@@ -60,7 +60,7 @@ CREATE TABLE IF NOT EXISTS texture_tiles (
     drive_file_id TEXT,                   -- Google Drive file ID (if storage_provider = 'google-drive')
     public_url TEXT,                      -- Pre-computed public URL for fast retrieval
     file_size INTEGER,
-    checksum TEXT,                        -- MD5 or SHA256
+    checksum TEXT,                        -- SHA-256 hex digest
     created_at INTEGER DEFAULT (unixepoch()),
     
     FOREIGN KEY (texture_set_id) REFERENCES texture_sets(id) ON DELETE CASCADE,
@@ -73,6 +73,41 @@ CREATE INDEX IF NOT EXISTS idx_texture_sets_owner ON texture_sets(owner_id);
 CREATE INDEX IF NOT EXISTS idx_texture_sets_parent ON texture_sets(parent_texture_set_id);
 CREATE INDEX IF NOT EXISTS idx_texture_sets_public ON texture_sets(is_public);
 CREATE INDEX IF NOT EXISTS idx_texture_tiles_set ON texture_tiles(texture_set_id);
+CREATE INDEX IF NOT EXISTS idx_texture_sets_listing ON texture_sets(status, is_public, created_at);
+CREATE INDEX IF NOT EXISTS idx_texture_sets_cross_section ON texture_sets(cross_section_type);
+CREATE INDEX IF NOT EXISTS idx_texture_sets_resolution ON texture_sets(tile_resolution);
+
+-- Texture tags (stored on the family root; derived variants share them)
+CREATE TABLE IF NOT EXISTS texture_tags (
+    texture_set_id TEXT NOT NULL,
+    tag TEXT NOT NULL,                    -- Lowercase, hyphenated (see normalizeTextureTags)
+    created_at INTEGER DEFAULT (unixepoch()),
+    PRIMARY KEY (texture_set_id, tag),
+    FOREIGN KEY (texture_set_id) REFERENCES texture_sets(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_texture_tags_tag ON texture_tags(tag);
+
+-- Full-text search over texture names and descriptions
+CREATE VIRTUAL TABLE IF NOT EXISTS texture_sets_fts USING fts5(
+    name,
+    description,
+    content='texture_sets',
+    content_rowid='rowid'
+);
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_insert AFTER INSERT ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(rowid, name, description) VALUES (new.rowid, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_delete AFTER DELETE ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(texture_sets_fts, rowid, name, description) VALUES ('delete', old.rowid, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS texture_sets_fts_update AFTER UPDATE OF name, description ON texture_sets BEGIN
+    INSERT INTO texture_sets_fts(texture_sets_fts, rowid, name, description) VALUES ('delete', old.rowid, old.name, old.description);
+    INSERT INTO texture_sets_fts(rowid, name, description) VALUES (new.rowid, new.name, new.description);
+END;
 
 -- Saved drawing records
 CREATE TABLE IF NOT EXISTS drawings (
@@ -112,3 +147,24 @@ CREATE INDEX IF NOT EXISTS idx_drawings_owner ON drawings(owner_id);
 CREATE INDEX IF NOT EXISTS idx_drawings_parent ON drawings(parent_drawing_id);
 CREATE INDEX IF NOT EXISTS idx_drawings_root ON drawings(root_drawing_id);
 CREATE INDEX IF NOT EXISTS idx_drawings_status ON drawings(status);
+
+-- Shared scenes: a saved viewer look linked to its texture set and drawing
+CREATE TABLE IF NOT EXISTS scenes (
+    id TEXT PRIMARY KEY,
+    owner_id TEXT NOT NULL,
+    name TEXT,
+    texture_set_id TEXT,                  -- Primary texture set (payload may reference more)
+    drawing_id TEXT,                      -- Saved cloud drawing, if the scene came from one
+    payload_json TEXT NOT NULL,           -- rivvon project document (settings, paths, camera views)
+    payload_size INTEGER,
+    created_at INTEGER DEFAULT (unixepoch()),
+    updated_at INTEGER DEFAULT (unixepoch()),
+
+    FOREIGN KEY (owner_id) REFERENCES users(id),
+    FOREIGN KEY (texture_set_id) REFERENCES texture_sets(id) ON DELETE SET NULL,
+    FOREIGN KEY (drawing_id) REFERENCES drawings(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenes_owner ON scenes(owner_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_texture_set ON scenes(texture_set_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_drawing ON scenes(drawing_id);
@@ -4,6 +4,7 @@ import { uploadRoutes } from './routes/upload';
 import { drawingUploadRoutes } from './routes/drawingUpload';
 import { textureRoutes } from './routes/textures';
 import { drawingRoutes } from './routes/drawings';
+import { sceneRoutes } from './routes/scenes';
 import { authRoutes } from './routes/auth';
 import { verifySession } from './middleware/session';
 import type { AppEnv } from './types/hono';
@@ -87,9 +88,11 @@ app.get('/my-textures', verifySession, async (c) => {
 // Mount routes
 // /textures - public read-only endpoints
 // /texture-set - authenticated write operations
+// /scenes - public reads, authenticated creates
 app.route('/texture-set', uploadRoutes);
 app.route('/drawing', drawingUploadRoutes);
 app.route('/textures', textureRoutes);
 app.route('/drawings', drawingRoutes);
+app.route('/scenes', sceneRoutes);
 
 export default app;
@@ -0,0 +1,120 @@
+import { Hono } from 'hono';
+import { nanoid } from 'nanoid';
+import { verifySession } from '../middleware/session';
+import type { AppEnv } from '../types/hono';
+import { syncUserIfProvided } from '../utils/user';
+import { getAccessibleResourceById, getResourceById } from '../utils/resourceAccess';
+import { normalizeOptionalId, normalizeScenePayloadJson } from '../utils/validation';
+import { badRequestResponse, jsonResponse, notFoundResponse, successResponse } from '../utils/response';
+
+function parsePayloadJson(payloadJson: unknown) {
+  if (typeof payloadJson !== 'string' || !payloadJson) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(payloadJson);
+  } catch {
+    return null;
+  }
+}
+
+export const sceneRoutes = new Hono<AppEnv>();
+
+// Create a scene permalink (authenticated). The payload is a full rivvon
+// project document, so a scene restores even if the linked drawing is
+// later deleted or is private to its owner.
+sceneRoutes.post('/', verifySession, async (c) => {
+  const auth = c.get('auth');
+  const body = await c.req.json();
+
+  const normalizedName = typeof body.name === 'string' ? body.name.trim() : null;
+  const normalizedTextureSetId = normalizeOptionalId(body.textureSetId);
+  const normalizedDrawingId = normalizeOptionalId(body.drawingId);
+  let payloadJson: string;
+
+  try {
+    payloadJson = normalizeScenePayloadJson(body.payload);
+  } catch (error) {
+    return badRequestResponse(error instanceof Error ? error.message : 'Invalid scene payload');
+  }
+
+  if (normalizedTextureSetId) {
+    const textureSet = await getResourceById<{ id: string; status: string }>(
+      c.env.DB,
+      'texture_sets',
+      normalizedTextureSetId,
+      'id, status'
+    );
+
+    if (!textureSet?.id || textureSet.status !== 'complete') {
+      return notFoundResponse('Texture set not found');
+    }
+  }
+
+  if (normalizedDrawingId) {
+    const drawing = await getAccessibleResourceById<{ id: string }>(
+      c.env.DB,
+      'drawings',
+      normalizedDrawingId,
+      auth,
+      c.env.ADMIN_USERS,
+      'id'
+    );
+
+    if (!drawing?.id) {
+      return notFoundResponse('Drawing not found or not authorized');
+    }
+  }
+
+  await syncUserIfProvided(c.env.DB, auth.userId, body.userProfile);
+
+  const sceneId = nanoid(12);
+
+  await c.env.DB.prepare(`
+    INSERT INTO scenes (
+      id, owner_id, name, texture_set_id, drawing_id, payload_json, payload_size
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    sceneId,
+    auth.userId,
+    normalizedName || null,
+    normalizedTextureSetId,
+    normalizedDrawingId,
+    payloadJson,
+    new TextEncoder().encode(payloadJson).byteLength,
+  ).run();
+
+  return successResponse({
+    sceneId,
+    textureSetId: normalizedTextureSetId,
+    drawingId: normalizedDrawingId,
+  }, 'Scene created', 201);
+});
+
+// Get a scene (public): anyone with the link can open it
+sceneRoutes.get('/:id', async (c) => {
+  const sceneId = c.req.param('id');
+
+  const scene = await c.env.DB.prepare(`
+    SELECT
+      s.id, s.name, s.texture_set_id, s.drawing_id, s.payload_json,
+      s.created_at, s.updated_at,
+      u.name as owner_name,
+      u.picture as owner_picture
+    FROM scenes s
+    LEFT JOIN users u ON s.owner_id = u.id
+    WHERE s.id = ?
+  `).bind(sceneId).first() as any;
+
+  if (!scene) {
+    return notFoundResponse('Scene not found');
+  }
+
+  const { payload_json: payloadJson, ...sceneRecord } = scene;
+
+  return jsonResponse({
+    ...sceneRecord,
+    payload: parsePayloadJson(payloadJson),
+  });
+});
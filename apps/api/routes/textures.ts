@@ -3,16 +3,43 @@ import { Hono } from 'hono';
 import type { AppEnv } from '../types/hono';
 import { buildTextureFamilySummaries, decorateTextureFamilyRoot, getRootTextureId } from '../utils/textureFamilies';
 import { buildCdnUrl, buildGoogleDriveDownloadUrl } from '../utils/storagePaths';
-import { errorResponse, jsonResponse, notFoundResponse } from '../utils/response';
+import { badRequestResponse, errorResponse, jsonResponse, notFoundResponse } from '../utils/response';
+import {
+    buildTextureFamilyPageQuery,
+    parseTextureListFilters,
+    type TextureFamilyPageRow,
+    type TextureListFilters,
+} from '../utils/textureSearch';
+import { getTextureTagsByRootId } from '../utils/textureTags';
 
 export const textureRoutes = new Hono<AppEnv>();
 
-// List public texture sets
+// List public texture families, with optional search, filters and sort.
+// Query: q, tags (comma-separated), owner, crossSectionType, tileResolution,
+// frameInterpolationFactor, sort (newest | most-used | size), limit, offset
 textureRoutes.get('/', async (c) => {
-    const limit = parseInt(c.req.query('limit') || '50');
-    const offset = parseInt(c.req.query('offset') || '0');
+    let filters: TextureListFilters;
+    try {
+        filters = parseTextureListFilters(c.req.query());
+    } catch (error) {
+        return badRequestResponse(error instanceof Error ? error.message : 'Invalid filters');
+    }
 
-    const results = await c.env.DB.prepare(`
+    const { sql, bindings } = buildTextureFamilyPageQuery(filters);
+    const pageRows = (await c.env.DB.prepare(sql).bind(...bindings).all()).results as unknown as TextureFamilyPageRow[];
+    const total = Number(pageRows[0]?.total ?? 0);
+
+    if (pageRows.length === 0) {
+        return jsonResponse({
+            textures: [],
+            pagination: { limit: filters.limit, offset: filters.offset, total },
+        });
+    }
+
+    const rootIds = pageRows.map((row) => row.root_id);
+    const placeholders = rootIds.map(() => '?').join(', ');
+    const [results, tagsByRootId] = await Promise.all([
+        c.env.DB.prepare(`
     SELECT 
     ts.id, ts.parent_texture_set_id, ts.name, ts.description, ts.thumbnail_url,
       ts.tile_resolution, ts.tile_count, ts.layer_count,
@@ -26,18 +53,47 @@ textureRoutes.get('/', async (c) => {
     FROM texture_sets ts
     LEFT JOIN users u ON ts.owner_id = u.id
     WHERE ts.status = 'complete' AND ts.is_public = 1
+      AND COALESCE(ts.parent_texture_set_id, ts.id) IN (${placeholders})
     ORDER BY ts.created_at DESC
-    `).all();
-
-        const families = buildTextureFamilySummaries(results.results as any[]);
-        const pagedFamilies = families.slice(offset, offset + limit).map((family) => decorateTextureFamilyRoot(family));
+    `).bind(...rootIds).all(),
+        getTextureTagsByRootId(c.env.DB, rootIds),
+    ]);
+
+    const familiesByRootId = new Map(
+        buildTextureFamilySummaries(results.results as any[]).map((family) => [family.rootTextureId, family])
+    );
+    const pagedFamilies = pageRows
+        .filter((row) => familiesByRootId.has(row.root_id))
+        .map((row) => ({
+            ...decorateTextureFamilyRoot(familiesByRootId.get(row.root_id)!),
+            tags: tagsByRootId.get(row.root_id) || [],
+            use_count: Number(row.use_count) || 0,
+            family_size_bytes: Number(row.family_size_bytes) || 0,
+        }));
 
     return jsonResponse({
         textures: pagedFamilies,
-        pagination: { limit, offset, total: families.length },
+        pagination: { limit: filters.limit, offset: filters.offset, total },
     });
 });
 
+// Tags in use on public textures, most common first (for filter chips)
+textureRoutes.get('/tags', async (c) => {
+    const limit = Math.min(100, Math.max(1, parseInt(c.req.query('limit') || '30') || 30));
+
+    const results = await c.env.DB.prepare(`
+    SELECT tt.tag, COUNT(*) as count
+    FROM texture_tags tt
+    JOIN texture_sets ts ON ts.id = tt.texture_set_id
+    WHERE ts.status = 'complete' AND ts.is_public = 1
+    GROUP BY tt.tag
+    ORDER BY count DESC, tt.tag
+    LIMIT ?
+    `).bind(limit).all();
+
+    return jsonResponse({ tags: results.results });
+});
+
 // Get single texture set with tile URLs
 textureRoutes.get('/:id', async (c) => {
     const textureSetId = c.req.param('id');
@@ -71,6 +127,7 @@ textureRoutes.get('/:id', async (c) => {
     `).bind(rootTextureId, rootTextureId).all();
         const familySummaries = buildTextureFamilySummaries(familyResults.results as any[]);
         const currentFamily = familySummaries.find((family) => family.rootTextureId === rootTextureId);
+        const tagsByRootId = await getTextureTagsByRootId(c.env.DB, [rootTextureId]);
 
     const tiles = await c.env.DB.prepare(`
     SELECT tile_index, r2_key, drive_file_id, public_url, file_size 
@@ -114,6 +171,7 @@ textureRoutes.get('/:id', async (c) => {
         root_texture_id: rootTextureId,
         available_resolutions: currentFamily?.availableResolutions || [Number(textureSet.tile_resolution)].filter(Number.isFinite),
         variant_summaries: currentFamily?.variantSummaries || [],
+        tags: tagsByRootId.get(rootTextureId) || [],
         tiles: tileUrls,
     });
 });
@@ -11,7 +11,14 @@ import {
   buildTextureTileR2Key,
   extractCdnPath,
 } from '../utils/storagePaths';
-import { normalizeHttpsUrl } from '../utils/validation';
+import { replaceTextureTags } from '../utils/textureTags';
+import { inspectTextureTiles, sha256Hex, type TextureTileRecord } from '../utils/tileIntegrity';
+import {
+  normalizeCrossSectionType,
+  normalizeHttpsUrl,
+  normalizeSha256Checksum,
+  normalizeTextureTags,
+} from '../utils/validation';
 import {
   badRequestResponse,
   forbiddenResponse,
@@ -43,6 +50,7 @@ uploadRoutes.post('/', async (c) => {
     userProfile,
     parentTextureSetId,
     storageProvider: requestedStorageProvider,
+    tags,
   } = body;
 
   await syncUserIfProvided(c.env.DB, auth.userId, userProfile);
@@ -52,7 +60,18 @@ uploadRoutes.post('/', async (c) => {
   const normalizedTileResolution = Number(tileResolution);
   let normalizedTileCount = Number(tileCount);
   let normalizedLayerCount = Number(layerCount);
-  let normalizedCrossSectionType = typeof crossSectionType === 'string' ? crossSectionType : null;
+  let normalizedCrossSectionType: string | null;
+  try {
+    normalizedCrossSectionType = normalizeCrossSectionType(crossSectionType);
+  } catch (error) {
+    return badRequestResponse(error instanceof Error ? error.message : 'Invalid crossSectionType');
+  }
+  let normalizedTags: string[];
+  try {
+    normalizedTags = normalizeTextureTags(tags);
+  } catch (error) {
+    return badRequestResponse(error instanceof Error ? error.message : 'Invalid tags');
+  }
   let normalizedSourceMetadata = sourceMetadata || null;
   let normalizedStorageProvider = requestedStorageProvider || 'google-drive';
   let normalizedParentTextureSetId: string | null = null;
@@ -202,6 +221,11 @@ uploadRoutes.post('/', async (c) => {
     normalizedStorageProvider,
   ).run();
 
+  // Derived variants share the family root's tags
+  if (!normalizedParentTextureSetId && normalizedTags.length > 0) {
+    await replaceTextureTags(c.env.DB, textureSetId, normalizedTags);
+  }
+
   // For R2 storage, pre-create tile records with R2 keys
   // For Google Drive, tiles will be registered via /tile/:index/metadata after upload
   const uploadUrls = [];
@@ -244,6 +268,32 @@ uploadRoutes.post('/', async (c) => {
   });
 });
 
+// Report which tiles are already uploaded and verified, so an interrupted
+// upload can resume with only the missing or invalid tiles
+uploadRoutes.get('/:id/tiles', async (c) => {
+  const auth = c.get('auth');
+  const textureSetId = c.req.param('id');
+
+  const textureSet = await getOwnedResourceById<any>(c.env.DB, 'texture_sets', textureSetId, auth.userId);
+
+  if (!textureSet) {
+    return notFoundResponse('Texture set not found');
+  }
+
+  const tiles = await c.env.DB.prepare(`
+    SELECT tile_index, r2_key, drive_file_id, file_size, checksum FROM texture_tiles WHERE texture_set_id = ?
+  `).bind(textureSetId).all();
+  const tileStatuses = await inspectTextureTiles(c.env.BUCKET, textureSet, tiles.results as unknown as TextureTileRecord[]);
+
+  return jsonResponse({
+    textureSetId,
+    status: textureSet.status,
+    storageProvider: textureSet.storage_provider || 'r2',
+    tileCount: textureSet.tile_count,
+    tiles: tileStatuses,
+  });
+});
+
 // Mark upload as complete
 uploadRoutes.post('/:id/complete', async (c) => {
   const auth = c.get('auth');
@@ -255,56 +305,33 @@ uploadRoutes.post('/:id/complete', async (c) => {
     return notFoundResponse('Texture set not found');
   }
 
-  const storageProvider = textureSet.storage_provider || 'r2';
-
-  // Get all tiles for this texture set
+  // Get all tiles for this texture set and check every one is present and intact
   const tiles = await c.env.DB.prepare(`
     SELECT * FROM texture_tiles WHERE texture_set_id = ?
   `).bind(textureSetId).all();
+  const tileStatuses = await inspectTextureTiles(c.env.BUCKET, textureSet, tiles.results as unknown as TextureTileRecord[]);
+
+  const missingTiles = tileStatuses.filter((status) => !status.present).map((status) => status.tileIndex);
+  const invalidTiles = tileStatuses
+    .filter((status) => status.present && !status.valid)
+    .map(({ tileIndex, reason }) => ({ tileIndex, reason }));
+
+  if (missingTiles.length > 0 || invalidTiles.length > 0) {
+    const message = missingTiles.length > 0
+      ? `Missing ${missingTiles.length} tile${missingTiles.length === 1 ? '' : 's'}; upload them and call /complete again`
+      : `${invalidTiles.length} tile${invalidTiles.length === 1 ? '' : 's'} failed verification; re-upload them and call /complete again`;
+    return badRequestResponse(message, {
+      missingTile: missingTiles[0] ?? invalidTiles[0]?.tileIndex,
+      missingTiles,
+      invalidTiles,
+    });
+  }
 
-  // Validate based on storage provider
-  if (storageProvider === 'r2') {
-    // Verify all tiles exist in R2
-    for (const tile of tiles.results as any[]) {
-      const object = await c.env.BUCKET.head(tile.r2_key);
-      if (!object) {
-        return badRequestResponse(`Tile ${tile.tile_index} not uploaded`, {
-          missingTile: tile.tile_index
-        });
-      }
-
-      // Update tile with file info
-      await c.env.DB.prepare(`
-        UPDATE texture_tiles SET file_size = ? WHERE id = ?
-      `).bind(object.size, tile.id).run();
-    }
-  } else if (storageProvider === 'google-drive') {
-    // Verify expected number of tiles were registered
-    const expectedTileCount = textureSet.tile_count as number;
-    if (tiles.results.length < expectedTileCount) {
-      const registeredIndices = new Set((tiles.results as any[]).map(t => t.tile_index));
-      const missingIndices = [];
-      for (let i = 0; i < expectedTileCount; i++) {
-        if (!registeredIndices.has(i)) {
-          missingIndices.push(i);
-        }
-      }
-      return badRequestResponse(
-        `Missing ${expectedTileCount - tiles.results.length} tiles. Register them via /tile/:index/metadata`,
-        {
-        missingTiles: missingIndices,
-        }
-      );
-    }
-
-    // Verify all tiles have drive_file_id
-    for (const tile of tiles.results as any[]) {
-      if (!tile.drive_file_id) {
-        return badRequestResponse(`Tile ${tile.tile_index} has no drive_file_id`, {
-          missingTile: tile.tile_index
-        });
-      }
-    }
+  if ((textureSet.storage_provider || 'r2') === 'r2') {
+    // Record the verified sizes
+    await c.env.DB.batch(tileStatuses.map((status) => c.env.DB.prepare(`
+      UPDATE texture_tiles SET file_size = ? WHERE texture_set_id = ? AND tile_index = ?
+    `).bind(status.fileSize, textureSetId, status.tileIndex)));
   }
 
   // Mark as complete and make public by default
@@ -355,6 +382,29 @@ uploadRoutes.post('/:id/tile/:index/metadata', async (c) => {
       return badRequestResponse('driveFileId is required');
     }
 
+    // The client hashes the tile before upload; Drive's own digest, when it
+    // reports one, must agree
+    let checksum: string | null;
+    let driveChecksum: string | null;
+    try {
+      checksum = normalizeSha256Checksum(body.checksum);
+      driveChecksum = normalizeSha256Checksum(body.driveChecksum, 'driveChecksum');
+    } catch (error) {
+      return badRequestResponse(error instanceof Error ? error.message : 'Invalid checksum');
+    }
+
+    if (!checksum) {
+      return badRequestResponse('checksum is required');
+    }
+
+    if (driveChecksum && driveChecksum !== checksum) {
+      return badRequestResponse(`Checksum mismatch for tile ${tileIndex}`, {
+        tileIndex,
+        expectedChecksum: checksum,
+        receivedChecksum: driveChecksum,
+      });
+    }
+
     // Build public URL for Google Drive
     // Files need to be shared publicly for this URL to work
     const publicUrl = buildGoogleDriveDownloadUrl(driveFileId);
@@ -368,17 +418,17 @@ uploadRoutes.post('/:id/tile/:index/metadata', async (c) => {
       // Update existing tile
       await c.env.DB.prepare(`
         UPDATE texture_tiles 
-        SET drive_file_id = ?, public_url = ?, file_size = ?
+        SET drive_file_id = ?, public_url = ?, file_size = ?, checksum = ?
         WHERE texture_set_id = ? AND tile_index = ?
-      `).bind(driveFileId, publicUrl, fileSize || null, textureSetId, tileIndex).run();
+      `).bind(driveFileId, publicUrl, fileSize || null, checksum, textureSetId, tileIndex).run();
       console.log('Updated existing tile:', { tileIndex });
     } else {
       // Insert new tile
       const tileId = nanoid();
       await c.env.DB.prepare(`
-        INSERT INTO texture_tiles (id, texture_set_id, tile_index, drive_file_id, public_url, file_size)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).bind(tileId, textureSetId, tileIndex, driveFileId, publicUrl, fileSize || null).run();
+        INSERT INTO texture_tiles (id, texture_set_id, tile_index, drive_file_id, public_url, file_size, checksum)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(tileId, textureSetId, tileIndex, driveFileId, publicUrl, fileSize || null, checksum).run();
       console.log('Inserted new tile:', { tileId, tileIndex });
     }
 
@@ -386,6 +436,7 @@ uploadRoutes.post('/:id/tile/:index/metadata', async (c) => {
       tileIndex,
       driveFileId,
       publicUrl,
+      checksum,
     });
   } catch (error) {
     console.error('Tile metadata error:', error);
@@ -393,7 +444,8 @@ uploadRoutes.post('/:id/tile/:index/metadata', async (c) => {
   }
 });
 
-// Upload a single tile (alternative to presigned URLs)
+// Upload a single tile (alternative to presigned URLs).
+// Send the tile's SHA-256 in X-Checksum-SHA256 to have it verified.
 uploadRoutes.put('/:setId/tile/:index', async (c) => {
   const auth = c.get('auth');
   const setId = c.req.param('setId');
@@ -414,18 +466,39 @@ uploadRoutes.put('/:setId/tile/:index', async (c) => {
     return notFoundResponse('Tile not found');
   }
 
-  // Upload to R2
+  let expectedChecksum: string | null;
+  try {
+    expectedChecksum = normalizeSha256Checksum(c.req.header('X-Checksum-SHA256'), 'X-Checksum-SHA256');
+  } catch (error) {
+    return badRequestResponse(error instanceof Error ? error.message : 'Invalid checksum');
+  }
+
   const body = await c.req.arrayBuffer();
+  if (body.byteLength === 0) {
+    return badRequestResponse(`Tile ${tileIndex} is empty`);
+  }
+
+  const checksum = await sha256Hex(body);
+  if (expectedChecksum && checksum !== expectedChecksum) {
+    return badRequestResponse(`Checksum mismatch for tile ${tileIndex}`, {
+      tileIndex,
+      expectedChecksum,
+      receivedChecksum: checksum,
+    });
+  }
+
+  // Upload to R2; R2 stores the digest and rejects the write if the bytes differ
   await c.env.BUCKET.put(tile.r2_key, body, {
-    httpMetadata: { contentType: 'image/ktx2' }
+    httpMetadata: { contentType: 'image/ktx2' },
+    sha256: checksum,
   });
 
-  // Update tile record with size
+  // Update tile record with size and checksum
   await c.env.DB.prepare(`
-    UPDATE texture_tiles SET file_size = ? WHERE id = ?
-  `).bind(body.byteLength, tile.id).run();
+    UPDATE texture_tiles SET file_size = ?, checksum = ? WHERE id = ?
+  `).bind(body.byteLength, checksum, tile.id).run();
 
-  return successResponse({ tileIndex, size: body.byteLength });
+  return successResponse({ tileIndex, size: body.byteLength, checksum });
 });
 
 // Upload thumbnail for a texture set
@@ -587,9 +660,15 @@ uploadRoutes.patch('/:id', async (c) => {
   const textureSetId = c.req.param('id');
   const body = await c.req.json();
 
-  const { name, description, isPublic } = body;
+  const { name, description, isPublic, tags } = body;
   const tileResolution = body.tileResolution ?? body.tile_resolution;
   const normalizedName = typeof name === 'string' ? name.trim() : name;
+  let normalizedTags: string[] | undefined;
+  try {
+    normalizedTags = tags === undefined ? undefined : normalizeTextureTags(tags);
+  } catch (error) {
+    return badRequestResponse(error instanceof Error ? error.message : 'Invalid tags');
+  }
 
   // Check if user is admin
   const isAdmin = isAdminUser(c.env.ADMIN_USERS, auth.email);
@@ -641,7 +720,7 @@ uploadRoutes.patch('/:id', async (c) => {
     values.push(parsedTileResolution);
   }
 
-  if (updates.length === 0) {
+  if (updates.length === 0 && normalizedTags === undefined) {
     return badRequestResponse('No fields to update');
   }
 
@@ -656,6 +735,11 @@ uploadRoutes.patch('/:id', async (c) => {
     UPDATE texture_sets SET ${updates.join(', ')} WHERE id = ?
   `).bind(...values).run();
 
+  // Tags live on the family root, whichever member was edited
+  if (normalizedTags !== undefined) {
+    await replaceTextureTags(c.env.DB, textureSet.parent_texture_set_id || textureSetId, normalizedTags);
+  }
+
   if (name !== undefined || description !== undefined) {
     const familyRootTextureSetId = textureSet.parent_texture_set_id || textureSetId;
     const familyUpdates: string[] = [];
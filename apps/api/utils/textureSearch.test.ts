@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildFtsMatchExpression, buildTextureFamilyPageQuery, parseTextureListFilters } from './textureSearch';
+
+describe('parseTextureListFilters', () => {
+    it('reads filters, normalizes tags and clamps paging', () => {
+        const filters = parseTextureListFilters({
+            q: ' ocean waves ',
+            tags: 'Slow Motion, water,water',
+            crossSectionType: 'radial',
+            tileResolution: '512',
+            sort: 'most-used',
+            limit: '5000',
+        });
+
+        expect(filters).toMatchObject({
+            search: 'ocean waves',
+            tags: ['slow-motion', 'water'],
+            crossSectionType: 'radial',
+            tileResolution: 512,
+            frameInterpolationFactor: null,
+            sort: 'most-used',
+            limit: 200,
+            offset: 0,
+        });
+    });
+
+    it('rejects unknown sorts and values it cannot filter on', () => {
+        expect(() => parseTextureListFilters({ sort: 'random' })).toThrow('sort must be one of');
+        expect(() => parseTextureListFilters({ crossSectionType: 'cube' })).toThrow('crossSectionType');
+        expect(() => parseTextureListFilters({ tileResolution: '0' })).toThrow('tileResolution must be a positive integer');
+    });
+});
+
+describe('buildFtsMatchExpression', () => {
+    it('quotes each word as a prefix term and drops FTS5 syntax', () => {
+        expect(buildFtsMatchExpression('Ocean wav')).toBe('"ocean"* "wav"*');
+        expect(buildFtsMatchExpression('name:"x" OR -y*')).toBe('"name"* "x"* "or"* "y"*');
+        expect(buildFtsMatchExpression('  ')).toBeNull();
+    });
+});
+
+describe('buildTextureFamilyPageQuery', () => {
+    it('binds filters in order and ends with paging', () => {
+        const filters = parseTextureListFilters({ q: 'ink', tags: 'a,b', owner: 'user-1', offset: '20', limit: '10' });
+        const { sql, bindings } = buildTextureFamilyPageQuery(filters);
+
+        expect(sql).toContain('texture_sets_fts MATCH ?');
+        expect(sql).toContain('HAVING COUNT(*) = ?');
+        expect(bindings).toEqual(['"ink"*', 'a', 'b', 2, 'user-1', 'user-1', 10, 20]);
+    });
+});
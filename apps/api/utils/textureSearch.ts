@@ -0,0 +1,154 @@
+import { normalizeCrossSectionType, normalizeTextureTags, parsePositiveInteger } from './validation';
+
+export const TEXTURE_LIST_SORTS = ['newest', 'most-used', 'size'] as const;
+export type TextureListSort = typeof TEXTURE_LIST_SORTS[number];
+
+export const DEFAULT_TEXTURE_LIST_LIMIT = 50;
+export const MAX_TEXTURE_LIST_LIMIT = 200;
+const MAX_SEARCH_TERMS = 8;
+
+export interface TextureListFilters {
+    search: string | null;
+    tags: string[];
+    owner: string | null;
+    crossSectionType: string | null;
+    tileResolution: number | null;
+    frameInterpolationFactor: number | null;
+    sort: TextureListSort;
+    limit: number;
+    offset: number;
+}
+
+export interface TextureFamilyPageRow {
+    root_id: string;
+    use_count: number;
+    family_size_bytes: number;
+    total: number;
+}
+
+function parseOptionalPositiveInteger(value: string | undefined, fieldName: string): number | null {
+    return value === undefined || value === '' ? null : parsePositiveInteger(value, fieldName);
+}
+
+function clampInteger(value: string | undefined, fallback: number, min: number, max: number): number {
+    const parsed = parseInt(value ?? '', 10);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
+/**
+ * Read GET /textures query parameters. Throws with a user-facing message
+ * for values that cannot be filtered on.
+ */
+export function parseTextureListFilters(query: Record<string, string | undefined>): TextureListFilters {
+    const sort = query.sort || 'newest';
+    if (!(TEXTURE_LIST_SORTS as readonly string[]).includes(sort)) {
+        throw new Error(`sort must be one of: ${TEXTURE_LIST_SORTS.join(', ')}`);
+    }
+
+    return {
+        search: query.q?.trim() || null,
+        tags: normalizeTextureTags(query.tags),
+        owner: query.owner?.trim() || null,
+        crossSectionType: normalizeCrossSectionType(query.crossSectionType),
+        tileResolution: parseOptionalPositiveInteger(query.tileResolution, 'tileResolution'),
+        frameInterpolationFactor: parseOptionalPositiveInteger(query.frameInterpolationFactor, 'frameInterpolationFactor'),
+        sort: sort as TextureListSort,
+        limit: clampInteger(query.limit, DEFAULT_TEXTURE_LIST_LIMIT, 1, MAX_TEXTURE_LIST_LIMIT),
+        offset: clampInteger(query.offset, 0, 0, Number.MAX_SAFE_INTEGER),
+    };
+}
+
+/**
+ * Turn free text into an FTS5 query: every word must match, each as a
+ * prefix, and FTS5 operators in the input are treated as plain text.
+ */
+export function buildFtsMatchExpression(search: string | null): string | null {
+    const terms = (search ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+    if (terms.length === 0) {
+        return null;
+    }
+    return terms.slice(0, MAX_SEARCH_TERMS).map((term) => `"${term}"*`).join(' ');
+}
+
+const SORT_ORDER: Record<TextureListSort, string> = {
+    'newest': 'family_created_at DESC',
+    'most-used': 'use_count DESC, family_created_at DESC',
+    'size': 'family_size_bytes DESC, family_created_at DESC',
+};
+
+/**
+ * One page of matching texture families. Filters apply per texture set, so a
+ * family matches when any public member does (e.g. its 512px variant); tags
+ * live on the family root. Each row carries the total match count.
+ */
+export function buildTextureFamilyPageQuery(filters: TextureListFilters): { sql: string; bindings: unknown[] } {
+    const conditions: string[] = [];
+    const bindings: unknown[] = [];
+
+    const matchExpression = buildFtsMatchExpression(filters.search);
+    if (matchExpression) {
+        conditions.push('ts.rowid IN (SELECT rowid FROM texture_sets_fts WHERE texture_sets_fts MATCH ?)');
+        bindings.push(matchExpression);
+    }
+
+    if (filters.tags.length > 0) {
+        conditions.push(`COALESCE(ts.parent_texture_set_id, ts.id) IN (
+            SELECT texture_set_id FROM texture_tags
+            WHERE tag IN (${filters.tags.map(() => '?').join(', ')})
+            GROUP BY texture_set_id
+            HAVING COUNT(*) = ?
+        )`);
+        bindings.push(...filters.tags, filters.tags.length);
+    }
+
+    if (filters.owner) {
+        // Accept either the internal user ID or the Google ID the client knows
+        conditions.push('(ts.owner_id = ? OR u.google_id = ?)');
+        bindings.push(filters.owner, filters.owner);
+    }
+
+    if (filters.crossSectionType) {
+        conditions.push('ts.cross_section_type = ?');
+        bindings.push(filters.crossSectionType);
+    }
+
+    if (filters.tileResolution !== null) {
+        conditions.push('ts.tile_resolution = ?');
+        bindings.push(filters.tileResolution);
+    }
+
+    if (filters.frameInterpolationFactor !== null) {
+        conditions.push('COALESCE(ts.frame_interpolation_factor, 1) = ?');
+        bindings.push(filters.frameInterpolationFactor);
+    }
+
+    const sql = `
+    WITH matches AS (
+        SELECT COALESCE(ts.parent_texture_set_id, ts.id) AS root_id,
+            MIN(ts.created_at) AS family_created_at
+        FROM texture_sets ts
+        LEFT JOIN users u ON ts.owner_id = u.id
+        WHERE ts.status = 'complete' AND ts.is_public = 1
+        ${conditions.map((condition) => `AND ${condition}`).join('\n        ')}
+        GROUP BY root_id
+    ),
+    ranked AS (
+        SELECT m.root_id, m.family_created_at,
+            (SELECT COUNT(*) FROM scenes s
+                JOIN texture_sets v ON v.id = s.texture_set_id
+                WHERE v.id = m.root_id OR v.parent_texture_set_id = m.root_id) AS use_count,
+            (SELECT COALESCE(SUM(tt.file_size), 0) FROM texture_tiles tt
+                JOIN texture_sets v ON v.id = tt.texture_set_id
+                WHERE (v.id = m.root_id OR v.parent_texture_set_id = m.root_id)
+                    AND v.status = 'complete' AND v.is_public = 1) AS family_size_bytes
+        FROM matches m
+    )
+    SELECT root_id, use_count, family_size_bytes, COUNT(*) OVER () AS total
+    FROM ranked
+    ORDER BY ${SORT_ORDER[filters.sort]}, root_id
+    LIMIT ? OFFSET ?
+    `;
+    bindings.push(filters.limit, filters.offset);
+
+    return { sql, bindings };
+}
@@ -0,0 +1,31 @@
+// Tags are stored against the family root texture set.
+
+export async function getTextureTagsByRootId(db: D1Database, rootIds: string[]): Promise<Map<string, string[]>> {
+    const tagsByRootId = new Map<string, string[]>();
+    if (rootIds.length === 0) {
+        return tagsByRootId;
+    }
+
+    const results = await db.prepare(`
+        SELECT texture_set_id, tag FROM texture_tags
+        WHERE texture_set_id IN (${rootIds.map(() => '?').join(', ')})
+        ORDER BY tag
+    `).bind(...rootIds).all();
+
+    for (const row of results.results as { texture_set_id: string; tag: string }[]) {
+        const tags = tagsByRootId.get(row.texture_set_id) || [];
+        tags.push(row.tag);
+        tagsByRootId.set(row.texture_set_id, tags);
+    }
+
+    return tagsByRootId;
+}
+
+export async function replaceTextureTags(db: D1Database, rootId: string, tags: string[]): Promise<void> {
+    await db.batch([
+        db.prepare('DELETE FROM texture_tags WHERE texture_set_id = ?').bind(rootId),
+        ...tags.map((tag) => db.prepare(`
+            INSERT INTO texture_tags (texture_set_id, tag) VALUES (?, ?)
+        `).bind(rootId, tag)),
+    ]);
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+
+import { inspectTextureTiles, sha256Hex } from './tileIntegrity';
+
+const encoder = new TextEncoder();
+
+async function digestBytes(text: string): Promise<ArrayBuffer> {
+    return crypto.subtle.digest('SHA-256', encoder.encode(text));
+}
+
+function createBucket(objects: Record<string, { size: number; sha256?: ArrayBuffer }>): R2Bucket {
+    return {
+        head: async (key: string) => {
+            const object = objects[key];
+            return object ? { size: object.size, checksums: { sha256: object.sha256 } } : null;
+        },
+    } as unknown as R2Bucket;
+}
+
+describe('sha256Hex', () => {
+    it('returns a lowercase hex digest', async () => {
+        expect(await sha256Hex(encoder.encode('abc').buffer as ArrayBuffer))
+            .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+});
+
+describe('inspectTextureTiles', () => {
+    it('reports present, placeholder, unregistered and corrupted R2 tiles', async () => {
+        const goodChecksum = await sha256Hex(encoder.encode('tile-0').buffer as ArrayBuffer);
+        const bucket = createBucket({
+            'tiles/0.ktx2': { size: 6, sha256: await digestBytes('tile-0') },
+            'tiles/1.ktx2': { size: 0 },
+            'tiles/3.ktx2': { size: 6, sha256: await digestBytes('other') },
+        });
+
+        const statuses = await inspectTextureTiles(bucket, { storage_provider: 'r2', tile_count: 4 }, [
+            { tile_index: 0, r2_key: 'tiles/0.ktx2', file_size: 6, checksum: goodChecksum },
+            { tile_index: 1, r2_key: 'tiles/1.ktx2', file_size: 0, checksum: null },
+            { tile_index: 3, r2_key: 'tiles/3.ktx2', file_size: 6, checksum: goodChecksum },
+        ]);
+
+        expect(statuses.map(({ tileIndex, present, valid, reason }) => ({ tileIndex, present, valid, reason }))).toEqual([
+            { tileIndex: 0, present: true, valid: true, reason: undefined },
+            { tileIndex: 1, present: false, valid: false, reason: 'not uploaded' },
+            { tileIndex: 2, present: false, valid: false, reason: 'not registered' },
+            { tileIndex: 3, present: true, valid: false, reason: 'checksum mismatch' },
+        ]);
+    });
+
+    it('requires a checksum for Drive tiles', async () => {
+        const statuses = await inspectTextureTiles(createBucket({}), { storage_provider: 'google-drive', tile_count: 2 }, [
+            { tile_index: 0, drive_file_id: 'a', file_size: 10, checksum: 'f'.repeat(64) },
+            { tile_index: 1, drive_file_id: 'b', file_size: 10, checksum: null },
+        ]);
+
+        expect(statuses.map((status) => status.valid)).toEqual([true, false]);
+        expect(statuses[1].reason).toBe('no checksum recorded');
+    });
+});
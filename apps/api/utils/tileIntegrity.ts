@@ -0,0 +1,102 @@
+// src/utils/tileIntegrity.ts
+// SHA-256 bookkeeping for texture tiles. R2 tiles are hashed by the worker on
+// upload and stored with the digest, so R2 re-checks the bytes on write and
+// reports the digest back on HEAD. Drive tiles are hashed by the client and
+// checked against Drive's own digest before they are registered.
+
+export interface TextureTileRecord {
+    tile_index: number;
+    r2_key?: string | null;
+    drive_file_id?: string | null;
+    file_size?: number | null;
+    checksum?: string | null;
+}
+
+export interface TileUploadStatus {
+    tileIndex: number;
+    present: boolean;
+    valid: boolean;
+    checksum: string | null;
+    fileSize: number | null;
+    reason?: string;
+}
+
+export function bufferToHex(buffer: ArrayBuffer): string {
+    return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function sha256Hex(data: ArrayBuffer): Promise<string> {
+    return bufferToHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+function missingTile(tileIndex: number, reason: string): TileUploadStatus {
+    return { tileIndex, present: false, valid: false, checksum: null, fileSize: null, reason };
+}
+
+async function inspectR2Tile(bucket: R2Bucket, tileIndex: number, tile: TextureTileRecord): Promise<TileUploadStatus> {
+    const object = tile.r2_key ? await bucket.head(tile.r2_key) : null;
+    // Tiles are pre-created as empty objects when the set is created
+    if (!object || object.size === 0) {
+        return missingTile(tileIndex, 'not uploaded');
+    }
+
+    const status: TileUploadStatus = {
+        tileIndex,
+        present: true,
+        valid: false,
+        checksum: tile.checksum || null,
+        fileSize: object.size,
+    };
+
+    if (!tile.checksum) {
+        return { ...status, reason: 'no checksum recorded' };
+    }
+
+    const storedChecksum = object.checksums?.sha256 ? bufferToHex(object.checksums.sha256) : null;
+    if (storedChecksum && storedChecksum !== tile.checksum) {
+        return { ...status, reason: 'checksum mismatch' };
+    }
+
+    if (tile.file_size != null && Number(tile.file_size) !== object.size) {
+        return { ...status, reason: 'size mismatch' };
+    }
+
+    return { ...status, valid: true };
+}
+
+/**
+ * Report which tiles of a set are uploaded and intact, one entry per
+ * expected tile index. Used to refuse /complete and to resume uploads.
+ */
+export async function inspectTextureTiles(
+    bucket: R2Bucket,
+    textureSet: { storage_provider?: string | null; tile_count: number },
+    tiles: TextureTileRecord[],
+): Promise<TileUploadStatus[]> {
+    const tilesByIndex = new Map(tiles.map((tile) => [Number(tile.tile_index), tile]));
+    const storageProvider = textureSet.storage_provider || 'r2';
+
+    return Promise.all(Array.from({ length: Number(textureSet.tile_count) || 0 }, async (_, tileIndex) => {
+        const tile = tilesByIndex.get(tileIndex);
+        if (!tile) {
+            return missingTile(tileIndex, 'not registered');
+        }
+
+        if (storageProvider === 'r2') {
+            return inspectR2Tile(bucket, tileIndex, tile);
+        }
+
+        if (!tile.drive_file_id) {
+            return missingTile(tileIndex, 'no drive_file_id');
+        }
+
+        return {
+            tileIndex,
+            present: true,
+            valid: !!tile.checksum,
+            checksum: tile.checksum || null,
+            fileSize: tile.file_size ?? null,
+            ...(tile.checksum ? {} : { reason: 'no checksum recorded' }),
+        };
+    }));
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+
+// @ts-expect-error -- untyped JS module from the client app
+import { listCrossSectionStrategies } from '../../rivvon/src/modules/slyce/crossSectionStrategies.js';
+import {
+    CROSS_SECTION_TYPES,
+    MAX_SCENE_PAYLOAD_BYTES,
+    normalizeCrossSectionType,
+    normalizeScenePayloadJson,
+} from './validation';
+
+describe('CROSS_SECTION_TYPES', () => {
+    it('matches the strategies registered by the client', () => {
+        const clientTypes = listCrossSectionStrategies().map((strategy: { id: string }) => strategy.id);
+
+        expect([...CROSS_SECTION_TYPES].sort()).toEqual([...clientTypes].sort());
+    });
+
+    it('accepts registered types and rejects unknown ones', () => {
+        expect(normalizeCrossSectionType('spiral')).toBe('spiral');
+        expect(normalizeCrossSectionType('')).toBeNull();
+        expect(() => normalizeCrossSectionType('zigzag')).toThrow('crossSectionType must be one of');
+    });
+});
+
+describe('normalizeScenePayloadJson', () => {
+    it('accepts project documents as objects or JSON strings', () => {
+        const payload = { format: 'rivvon-project', version: 1, settings: {} };
+
+        expect(JSON.parse(normalizeScenePayloadJson(payload))).toEqual(payload);
+        expect(normalizeScenePayloadJson(JSON.stringify(payload))).toBe(JSON.stringify(payload));
+    });
+
+    it('rejects missing, foreign and oversized payloads', () => {
+        expect(() => normalizeScenePayloadJson(undefined)).toThrow('payload is required');
+        expect(() => normalizeScenePayloadJson('{')).toThrow('payload must be valid JSON');
+        expect(() => normalizeScenePayloadJson({ format: 'other' })).toThrow('rivvon-project document');
+        expect(() => normalizeScenePayloadJson({
+            format: 'rivvon-project',
+            padding: 'x'.repeat(MAX_SCENE_PAYLOAD_BYTES),
+        })).toThrow(`at most ${MAX_SCENE_PAYLOAD_BYTES} bytes`);
+    });
+});
@@ -34,4 +34,89 @@ export function normalizeHttpsUrl(url: unknown, fallback = ''): string {
 
 export function normalizeOptionalId(value: unknown): string | null {
     return typeof value === 'string' && value.trim() ? value.trim() : null;
-}
\ No newline at end of file
+}
+
+// Mirrors the strategies registered in apps/rivvon/src/modules/slyce/crossSectionStrategies.js;
+// validation.test.ts fails when the two lists drift apart
+export const CROSS_SECTION_TYPES = ['planes', 'waves', 'radial', 'diagonal', 'spiral', 'curve'] as const;
+
+export function normalizeCrossSectionType(value: unknown): string | null {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !(CROSS_SECTION_TYPES as readonly string[]).includes(value)) {
+        throw new Error(`crossSectionType must be one of: ${CROSS_SECTION_TYPES.join(', ')}`);
+    }
+    return value;
+}
+
+// Mirrors RIVVON_PROJECT_FORMAT in apps/rivvon/src/modules/viewer/projectDocument.js
+export const SCENE_PAYLOAD_FORMAT = 'rivvon-project';
+export const MAX_SCENE_PAYLOAD_BYTES = 1024 * 1024;
+
+export function normalizeScenePayloadJson(payload: unknown): string {
+    const payloadJson = normalizePayloadJson(payload, 'payload');
+    if (new TextEncoder().encode(payloadJson).byteLength > MAX_SCENE_PAYLOAD_BYTES) {
+        throw new Error(`payload must be at most ${MAX_SCENE_PAYLOAD_BYTES} bytes`);
+    }
+
+    const parsed = JSON.parse(payloadJson);
+    if (!parsed || typeof parsed !== 'object' || parsed.format !== SCENE_PAYLOAD_FORMAT) {
+        throw new Error(`payload must be a ${SCENE_PAYLOAD_FORMAT} document`);
+    }
+
+    return payloadJson;
+}
+
+export const MAX_TEXTURE_TAGS = 12;
+export const MAX_TEXTURE_TAG_LENGTH = 32;
+
+// Tags are lowercase words joined by hyphens, so "Slow Motion" and
+// "slow-motion" land on the same chip.
+export function normalizeTextureTag(value: unknown): string {
+    if (typeof value !== 'string') {
+        throw new Error('tags must be strings');
+    }
+
+    const tag = value
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .replace(/[\s-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    if (tag.length > MAX_TEXTURE_TAG_LENGTH) {
+        throw new Error(`tags must be at most ${MAX_TEXTURE_TAG_LENGTH} characters`);
+    }
+    return tag;
+}
+
+export function normalizeTextureTags(value: unknown): string[] {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    const rawTags = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(rawTags)) {
+        throw new Error('tags must be an array or a comma-separated string');
+    }
+
+    const tags = [...new Set(rawTags.map(normalizeTextureTag).filter(Boolean))];
+    if (tags.length > MAX_TEXTURE_TAGS) {
+        throw new Error(`A texture can have at most ${MAX_TEXTURE_TAGS} tags`);
+    }
+    return tags;
+}
+
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+// Tile checksums are SHA-256 digests as 64 lowercase hex characters
+export function normalizeSha256Checksum(value: unknown, fieldName = 'checksum'): string | null {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const checksum = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!SHA256_HEX_PATTERN.test(checksum)) {
+        throw new Error(`${fieldName} must be a hex-encoded SHA-256 digest`);
+    }
+    return checksum;
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// scripts/slyce.mjs
+//
+// Headless Slyce texture builder. Runs the same sampling pipeline, canvas
+// TileBuilder and Basis KTX2 encoder as the app, without a browser or GPU.
+//
+// Usage:  pnpm --filter rivvon slyce build clip.mp4 --type waves --resolution 512 --layers 60
+// Needs:  ffmpeg on PATH (or FFMPEG_PATH) for decoding.
+
+import { existsSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import { buildTexture } from './slyce/buildTexture.mjs';
+import { USAGE, parseArgs, resolveBuildOptions } from './slyce/cliOptions.mjs';
+
+async function main(argv) {
+    const { positional, flags } = parseArgs(argv);
+    const [command, input] = positional;
+
+    if (flags.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command !== 'build') {
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+
+    if (!input || !existsSync(input)) {
+        throw new Error(`Video file not found: ${input ?? '(none)'}`);
+    }
+
+    const options = resolveBuildOptions(flags);
+    const outDir = resolve(flags.out ?? `${basename(input, extname(input))}-texture`);
+    const startedAt = performance.now();
+    const result = await buildTexture({
+        input: resolve(input),
+        outDir,
+        ...options,
+    });
+
+    const seconds = ((performance.now() - startedAt) / 1000).toFixed(1);
+    console.log(`[slyce] Wrote ${result.tileCount} tile(s) to ${result.outDir} in ${seconds}s`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`[slyce] ${error.message}`);
+    process.exitCode = 1;
+});
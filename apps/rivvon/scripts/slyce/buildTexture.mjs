@@ -0,0 +1,193 @@
+// scripts/slyce/buildTexture.mjs
+//
+// Headless equivalent of videoProcessor.processVideo for the canvas backend:
+// runSamplingPipeline → TileBuilder → KTX2Assembler, then the result goes
+// through saveProcessedTextureSetLocally with a filesystem writer instead of
+// IndexedDB, so the output records match what the app stores locally.
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { runSamplingPipeline } from '../../src/modules/slyce/samplingPipeline.js';
+import { readCanvasSetImages } from '../../src/modules/slyce/samplingRuntime.js';
+import { TileBuilder } from '../../src/modules/slyce/tileBuilder.js';
+import { KTX2Assembler } from '../../src/modules/slyce/ktx2-assembler.js';
+import { buildTilePlan, resolveSamplingAxis } from '../../src/modules/slyce/tilePlan.js';
+import { normalizeCrossSectionOptions } from '../../src/modules/slyce/crossSectionStrategies.js';
+import { saveProcessedTextureSetLocally } from '../../src/modules/slyce/localTexturePersistence.js';
+import { createLocalSaveState, createObjectLocalSaveController } from '../../src/modules/slyce/localSaveController.js';
+import { buildTextureSetRecords } from '../../src/services/localStorage.js';
+import { createThumbnailDataUrl, installNodeCanvasGlobals } from './nodeCanvas.mjs';
+import { FfmpegFrameSource, readVideoInfo } from './ffmpegFrameSource.mjs';
+import { NodeKtx2Encoder } from './nodeBasisEncoder.mjs';
+
+/**
+ * saveTextureSet-compatible writer: texture-set.json holds the same record the
+ * app writes to IndexedDB, tiles/<index>.ktx2 hold the tile payloads.
+ */
+function createDirectoryTextureSetWriter(outDir) {
+    return async function saveTextureSetToDirectory({ onProgress, ...params }) {
+        const { textureSet, tiles } = await buildTextureSetRecords(params);
+        const tilesDir = join(outDir, 'tiles');
+        await mkdir(tilesDir, { recursive: true });
+
+        for (let index = 0; index < tiles.length; index++) {
+            const tile = tiles[index];
+            await writeFile(join(tilesDir, `${tile.tile_index}.ktx2`), new Uint8Array(tile.bytes));
+            onProgress?.(index + 1, tiles.length);
+        }
+
+        const tileRecords = tiles.map(({ bytes, ...tile }) => ({
+            ...tile,
+            path: `tiles/${tile.tile_index}.ktx2`,
+        }));
+        await writeFile(join(outDir, 'texture-set.json'), JSON.stringify({ ...textureSet, tiles: tileRecords }, null, 2));
+        return textureSet.id;
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.input - Video file path
+ * @param {string} options.outDir - Output directory
+ * @param {string} options.crossSectionType
+ * @param {Object} options.crossSectionOptions
+ * @param {number} options.potResolution
+ * @param {number} options.crossSectionCount
+ * @param {string} options.samplingSide - 'long' or 'short'
+ * @param {number} [options.frameStart]
+ * @param {number} [options.frameEnd]
+ * @param {string} [options.textureName]
+ * @param {string} [options.description]
+ * @param {Function} [options.log]
+ */
+export async function buildTexture({
+    input,
+    outDir,
+    crossSectionType,
+    crossSectionOptions = {},
+    potResolution,
+    crossSectionCount,
+    samplingSide = 'long',
+    frameStart = 1,
+    frameEnd = 0,
+    textureName,
+    description = '',
+    log = console.log,
+}) {
+    installNodeCanvasGlobals();
+
+    const { fileInfo, frameCount } = await readVideoInfo(input);
+    const resolvedFrameEnd = frameEnd > 0 ? Math.min(frameEnd, frameCount) : frameCount;
+    const selectedSourceFrameCount = Math.max(0, resolvedFrameEnd - frameStart + 1);
+    const samplingMode = resolveSamplingAxis({
+        width: fileInfo.width,
+        height: fileInfo.height,
+        rotation: fileInfo.rotation,
+        samplingSide,
+    });
+    const tilePlan = buildTilePlan({
+        fileInfo,
+        frameCount,
+        effectiveFrameCount: selectedSourceFrameCount,
+        samplingAxis: samplingMode,
+        potResolution,
+    });
+
+    if (tilePlan.tiles.length === 0) {
+        throw new Error(tilePlan.notices.join(' ') || 'Tile plan is empty.');
+    }
+
+    const normalizedOptions = normalizeCrossSectionOptions(crossSectionType, crossSectionOptions);
+    const framesUsed = tilePlan.tiles[tilePlan.tiles.length - 1].end;
+    const encoder = new NodeKtx2Encoder();
+    const ktx2Blobs = {};
+    let thumbnailDataUrl = null;
+
+    log(`[slyce] ${fileInfo.name}: ${fileInfo.width}x${fileInfo.height}, ${frameCount} frames, sampling ${samplingMode}`);
+    log(`[slyce] ${tilePlan.tiles.length} tile(s) of ${potResolution}px, ${crossSectionCount} ${crossSectionType} layers`);
+
+    const source = new FfmpegFrameSource({
+        filePath: input,
+        fileInfo,
+        tilePlan,
+        frameStart,
+        frameEnd: resolvedFrameEnd,
+    });
+
+    // Tiles are read back as soon as they complete and encoded in order;
+    // failures surface when the queue is awaited after sampling.
+    let encodeQueue = Promise.resolve();
+
+    await runSamplingPipeline({
+        source,
+        getBuilderKey(item) {
+            return item.tileNumber;
+        },
+        async createBuilder(item, tileNumber) {
+            return new TileBuilder({
+                tileNumber,
+                tilePlan,
+                fileInfo: item.effectiveFileInfo,
+                samplingMode,
+                crossSectionCount,
+                crossSectionType,
+                crossSectionOptions: normalizedOptions,
+                frameCount: framesUsed,
+            });
+        },
+        processItem({ builder, item }) {
+            builder.processFrame(item);
+        },
+        onTileComplete({ payload }) {
+            const { tileId, canvasSet } = payload;
+            const images = readCanvasSetImages(canvasSet);
+
+            encodeQueue = encodeQueue.then(async () => {
+                if (tileId === 0 && images.length > 0) {
+                    thumbnailDataUrl = await createThumbnailDataUrl(images[0]);
+                }
+
+                const ktx2Buffer = await KTX2Assembler.encodeParallelWithPool(encoder, images, (done, total, phase) => {
+                    if (phase === 'encoding' && (done === total || done % 10 === 0)) {
+                        log(`[slyce] Tile ${tileId + 1}/${tilePlan.tiles.length}: encoded layer ${done}/${total}`);
+                    }
+                });
+                ktx2Blobs[tileId] = ktx2Buffer;
+            });
+        },
+    });
+
+    await encodeQueue;
+
+    if (Object.keys(ktx2Blobs).length !== tilePlan.tiles.length) {
+        throw new Error(`Only ${Object.keys(ktx2Blobs).length}/${tilePlan.tiles.length} tiles were produced.`);
+    }
+
+    const controller = createObjectLocalSaveController(createLocalSaveState());
+    const savedId = await saveProcessedTextureSetLocally(controller, {
+        ktx2Blobs,
+        fileInfo,
+        textureName: textureName || fileInfo.name.replace(/\.[^.]+$/, ''),
+        description,
+        framesToSample: selectedSourceFrameCount,
+        selectedSourceFrameCount,
+        effectiveFrameCount: selectedSourceFrameCount,
+        frameInterpolationFactor: 1,
+        frameCount,
+        tileResolution: potResolution,
+        layerCount: crossSectionCount,
+        potResolution,
+        crossSectionCount,
+        crossSectionType,
+        crossSectionOptions: normalizedOptions,
+        thumbnailDataUrl,
+    }, {
+        saveTextureSet: createDirectoryTextureSetWriter(outDir),
+    });
+
+    if (!savedId) {
+        throw new Error(controller.saveLocalError || 'Failed to write texture set.');
+    }
+
+    return { id: savedId, outDir, tileCount: tilePlan.tiles.length };
+}
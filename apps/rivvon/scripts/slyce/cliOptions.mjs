@@ -0,0 +1,104 @@
+// scripts/slyce/cliOptions.mjs
+//
+// Argument parsing for scripts/slyce.mjs, kept apart from the entry point so
+// it can be tested without ffmpeg or a video file.
+
+import { isKnownCrossSectionType, listCrossSectionStrategies } from '../../src/modules/slyce/crossSectionStrategies.js';
+
+export const POT_RESOLUTIONS = [32, 64, 128, 256, 512, 1024];
+
+export const USAGE = `Usage: slyce build <video> [options]
+
+Options:
+  --type <id>          Cross-section type (${listCrossSectionStrategies().map(strategy => strategy.id).join(', ')}). Default: waves
+  --options <json>     Strategy options, e.g. '{"angle":30}' or '{"center":{"x":0.3,"y":0.5}}'
+  --resolution <px>    Tile resolution (${POT_RESOLUTIONS.join(', ')}). Default: 256
+  --layers <n>         Cross sections per tile. Default: 60
+  --side <long|short>  Side of the frame to sample from. Default: long
+  --start <frame>      First frame to sample (1-indexed). Default: 1
+  --end <frame>        Last frame to sample. Default: last frame
+  --name <name>        Texture name. Default: video file name
+  --description <txt>  Texture description
+  --out <dir>          Output directory. Default: <video name>-texture
+`;
+
+export function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (key === 'help') {
+            flags.help = true;
+            continue;
+        }
+
+        const value = inlineValue ?? argv[index + 1];
+        if (value === undefined) {
+            throw new Error(`Expected a value after --${key}`);
+        }
+        if (inlineValue === undefined) index++;
+        flags[key] = value;
+    }
+
+    return { positional, flags };
+}
+
+function parseInteger(value, fieldName, fallback) {
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new Error(`--${fieldName} must be a positive integer`);
+    }
+    return parsed;
+}
+
+/**
+ * Turn parsed flags into buildTexture options. Paths are returned as given;
+ * the caller resolves them and checks the input exists.
+ * @param {Object} flags - From parseArgs
+ * @returns {Object}
+ */
+export function resolveBuildOptions(flags) {
+    const crossSectionType = flags.type ?? 'waves';
+    if (!isKnownCrossSectionType(crossSectionType)) {
+        throw new Error(`Unknown --type "${crossSectionType}"`);
+    }
+
+    const potResolution = parseInteger(flags.resolution, 'resolution', 256);
+    if (!POT_RESOLUTIONS.includes(potResolution)) {
+        throw new Error(`--resolution must be one of ${POT_RESOLUTIONS.join(', ')}`);
+    }
+
+    const samplingSide = flags.side ?? 'long';
+    if (samplingSide !== 'long' && samplingSide !== 'short') {
+        throw new Error('--side must be "long" or "short"');
+    }
+
+    let crossSectionOptions = {};
+    if (flags.options !== undefined) {
+        try {
+            crossSectionOptions = JSON.parse(flags.options);
+        } catch {
+            throw new Error('--options must be valid JSON');
+        }
+    }
+
+    return {
+        crossSectionType,
+        crossSectionOptions,
+        potResolution,
+        crossSectionCount: parseInteger(flags.layers, 'layers', 60),
+        samplingSide,
+        frameStart: parseInteger(flags.start, 'start', 1),
+        frameEnd: parseInteger(flags.end, 'end', 0),
+        textureName: flags.name,
+        description: flags.description ?? '',
+    };
+}
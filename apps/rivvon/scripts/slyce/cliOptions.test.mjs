@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+
+import { parseArgs, resolveBuildOptions } from './cliOptions.mjs';
+
+describe('parseArgs', () => {
+    it('separates positionals from spaced and inline flags', () => {
+        expect(parseArgs(['build', 'clip.mp4', '--type', 'radial', '--options={"a":"b=c"}', '--help'])).toEqual({
+            positional: ['build', 'clip.mp4'],
+            flags: { type: 'radial', options: '{"a":"b=c"}', help: true },
+        });
+    });
+
+    it('rejects a trailing flag without a value', () => {
+        expect(() => parseArgs(['build', 'clip.mp4', '--layers'])).toThrow('Expected a value after --layers');
+    });
+});
+
+describe('resolveBuildOptions', () => {
+    it('applies the defaults', () => {
+        expect(resolveBuildOptions({})).toEqual({
+            crossSectionType: 'waves',
+            crossSectionOptions: {},
+            potResolution: 256,
+            crossSectionCount: 60,
+            samplingSide: 'long',
+            frameStart: 1,
+            frameEnd: 0,
+            textureName: undefined,
+            description: '',
+        });
+    });
+
+    it('parses the numeric and JSON flags', () => {
+        expect(resolveBuildOptions({
+            type: 'planes',
+            options: '{"angle":30}',
+            resolution: '512',
+            layers: '90',
+            side: 'short',
+            start: '10',
+            end: '400',
+            name: 'Sea',
+        })).toMatchObject({
+            crossSectionType: 'planes',
+            crossSectionOptions: { angle: 30 },
+            potResolution: 512,
+            crossSectionCount: 90,
+            samplingSide: 'short',
+            frameStart: 10,
+            frameEnd: 400,
+            textureName: 'Sea',
+        });
+    });
+
+    it('rejects invalid values', () => {
+        expect(() => resolveBuildOptions({ type: 'zigzag' })).toThrow('Unknown --type "zigzag"');
+        expect(() => resolveBuildOptions({ resolution: '300' })).toThrow('--resolution must be one of');
+        expect(() => resolveBuildOptions({ layers: '1.5' })).toThrow('--layers must be a positive integer');
+        expect(() => resolveBuildOptions({ side: 'wide' })).toThrow('--side must be "long" or "short"');
+        expect(() => resolveBuildOptions({ options: '{angle:30}' })).toThrow('--options must be valid JSON');
+    });
+});
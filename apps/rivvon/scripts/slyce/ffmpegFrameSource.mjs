@@ -0,0 +1,202 @@
+// scripts/slyce/ffmpegFrameSource.mjs
+//
+// Node counterpart of VideoFileFrameSource (src/modules/slyce/samplingSources.js).
+// Metadata comes from mediabunny exactly as in metaDataExtractor.js; frames are
+// decoded to raw RGBA by ffmpeg because Node has no WebCodecs decoder.
+// Items have the same shape as the browser source so runSamplingPipeline and
+// the canvas TileBuilder consume them unchanged.
+
+import { spawn } from 'child_process';
+import { basename } from 'path';
+import { Input, ALL_FORMATS, FilePathSource } from 'mediabunny';
+import { ImageData } from '@napi-rs/canvas';
+import { createNodeCanvas } from './nodeCanvas.mjs';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+export async function readVideoInfo(filePath) {
+    const input = new Input({
+        formats: ALL_FORMATS,
+        source: new FilePathSource(filePath),
+    });
+
+    try {
+        const videoTrack = await input.getPrimaryVideoTrack();
+        if (!videoTrack) {
+            throw new Error(`No video track found in ${filePath}`);
+        }
+
+        const stats = await videoTrack.computePacketStats();
+        const codecString = await videoTrack.getCodecParameterString();
+        const duration = await videoTrack.computeDuration();
+
+        return {
+            frameCount: stats.packetCount,
+            fileInfo: {
+                name: basename(filePath),
+                // Use coded dimensions (before rotation) for video processing
+                width: videoTrack.codedWidth,
+                height: videoTrack.codedHeight,
+                // Same sign convention as metaDataExtractor.js
+                rotation: -videoTrack.rotation,
+                codec_string: codecString,
+                duration,
+                r_frame_rate: `${Math.round(stats.averagePacketRate)}/1`,
+                nb_frames: stats.packetCount,
+                bit_rate: stats.averageBitrate,
+            },
+        };
+    } finally {
+        input.dispose?.();
+    }
+}
+
+async function* readRawFrames(filePath, width, height) {
+    const frameBytes = width * height * 4;
+    const ffmpeg = spawn(FFMPEG_PATH, [
+        '-v', 'error',
+        // Keep coded orientation; rotation is applied at render time like in the app
+        '-noautorotate',
+        '-i', filePath,
+        '-map', '0:v:0',
+        '-vsync', 'passthrough',
+        '-vf', `scale=${width}:${height}`,
+        '-f', 'rawvideo',
+        '-pix_fmt', 'rgba',
+        'pipe:1',
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', chunk => {
+        stderr += chunk;
+    });
+
+    const exited = new Promise((resolve, reject) => {
+        ffmpeg.on('error', error => {
+            reject(error.code === 'ENOENT'
+                ? new Error(`ffmpeg not found (looked for "${FFMPEG_PATH}"). Install ffmpeg or set FFMPEG_PATH.`)
+                : error);
+        });
+        ffmpeg.on('close', code => resolve(code));
+    });
+    // Surface spawn errors even if the consumer stops early
+    exited.catch(() => { });
+
+    let pending = Buffer.alloc(0);
+    let finished = false;
+
+    try {
+        for await (const chunk of ffmpeg.stdout) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+            while (pending.length >= frameBytes) {
+                yield pending.subarray(0, frameBytes);
+                pending = pending.subarray(frameBytes);
+            }
+        }
+        finished = true;
+    } finally {
+        if (!finished) {
+            ffmpeg.kill('SIGTERM');
+        }
+    }
+
+    const code = await exited;
+    if (code !== 0) {
+        throw new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`);
+    }
+}
+
+export class FfmpegFrameSource {
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.fileInfo = options.fileInfo;
+        this.tilePlan = options.tilePlan;
+        this.frameStart = options.frameStart ?? 1;
+        this.frameEnd = options.frameEnd ?? Number.POSITIVE_INFINITY;
+    }
+
+    async *frames() {
+        const { width, height } = this.fileInfo;
+        const { tilePlan } = this;
+        const lastTileEnd = tilePlan.tiles[tilePlan.tiles.length - 1]?.end ?? 0;
+
+        const raw = createNodeCanvas(width, height);
+        const cropWidth = tilePlan.isCropping ? tilePlan.cropWidth : width;
+        const cropHeight = tilePlan.isCropping ? tilePlan.cropHeight : height;
+        const crop = tilePlan.isCropping ? createNodeCanvas(cropWidth, cropHeight) : raw;
+        const scaleFactor = tilePlan.isScaled ? tilePlan.scaleTo / tilePlan.scaleFrom : 1;
+        const effectiveFileInfo = {
+            ...this.fileInfo,
+            width: tilePlan.isScaled ? Math.floor(cropWidth * scaleFactor) : cropWidth,
+            height: tilePlan.isScaled ? Math.floor(cropHeight * scaleFactor) : cropHeight,
+        };
+        const scaled = tilePlan.isScaled
+            ? createNodeCanvas(effectiveFileInfo.width, effectiveFileInfo.height)
+            : crop;
+
+        scaled.ctx.imageSmoothingEnabled = true;
+        scaled.ctx.imageSmoothingQuality = 'high';
+        // TileBuilder releases frames like VideoFrames; the canvases are reused
+        scaled.canvas.close = () => { };
+
+        let absoluteFrameNumber = 0;
+        let frameNumber = 0;
+
+        for await (const rgba of readRawFrames(this.filePath, width, height)) {
+            absoluteFrameNumber++;
+
+            if (absoluteFrameNumber < this.frameStart) continue;
+            if (absoluteFrameNumber > this.frameEnd) break;
+
+            frameNumber++;
+            if (lastTileEnd > 0 && frameNumber > lastTileEnd) break;
+
+            const tileNumber = tilePlan.tiles.findIndex(
+                tile => frameNumber >= tile.start && frameNumber <= tile.end
+            );
+            if (tileNumber === -1) continue;
+
+            raw.ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.byteLength), width, height), 0, 0);
+
+            if (tilePlan.isCropping) {
+                crop.ctx.drawImage(
+                    raw.canvas,
+                    tilePlan.cropX,
+                    tilePlan.cropY,
+                    cropWidth,
+                    cropHeight,
+                    0,
+                    0,
+                    cropWidth,
+                    cropHeight
+                );
+            }
+
+            if (tilePlan.isScaled) {
+                scaled.ctx.clearRect(0, 0, effectiveFileInfo.width, effectiveFileInfo.height);
+                scaled.ctx.drawImage(
+                    crop.canvas,
+                    0,
+                    0,
+                    cropWidth,
+                    cropHeight,
+                    0,
+                    0,
+                    effectiveFileInfo.width,
+                    effectiveFileInfo.height
+                );
+            }
+
+            yield {
+                videoFrame: scaled.canvas,
+                frameNumber,
+                absoluteFrameNumber,
+                sourceAbsoluteFrameNumber: absoluteFrameNumber,
+                tileNumber,
+                effectiveFileInfo,
+                isInterpolated: false,
+            };
+        }
+    }
+}
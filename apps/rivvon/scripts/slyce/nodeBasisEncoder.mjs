@@ -0,0 +1,77 @@
+// scripts/slyce/nodeBasisEncoder.mjs
+//
+// Loads the same single-threaded Basis encoder the browser workers use
+// (public/wasm/basis_encoder.js) and exposes it through the worker-pool
+// interface KTX2Assembler.encodeParallelWithPool expects.
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { encodeRgbaToKtx2 } from '../../src/modules/slyce/basisKtx2Encoding.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const wasmDir = resolve(__dirname, '..', '..', 'public', 'wasm');
+const require = createRequire(import.meta.url);
+
+let basisModulePromise = null;
+
+function loadBasisFactory() {
+    // basis_encoder.js is an Emscripten CommonJS build, but this package is
+    // "type": "module", so evaluate it with a CommonJS-style wrapper.
+    const scriptPath = resolve(wasmDir, 'basis_encoder.js');
+    const cjsModule = { exports: {} };
+    const evaluate = new Function('module', 'exports', 'require', '__filename', '__dirname', readFileSync(scriptPath, 'utf-8'));
+    evaluate(cjsModule, cjsModule.exports, require, scriptPath, wasmDir);
+    return cjsModule.exports;
+}
+
+export function loadNodeBasisModule() {
+    if (!basisModulePromise) {
+        basisModulePromise = (async () => {
+            const BASIS = loadBasisFactory();
+            const module = await BASIS({
+                locateFile: path => resolve(wasmDir, path),
+            });
+
+            if (!module.initializeBasis) {
+                throw new Error('initializeBasis not available');
+            }
+
+            module.initializeBasis();
+            return module;
+        })();
+    }
+
+    return basisModulePromise;
+}
+
+/**
+ * Encodes layers sequentially on the main thread. Matches the subset of the
+ * KTX2WorkerPool surface used by KTX2Assembler.encodeParallelWithPool.
+ */
+export class NodeKtx2Encoder {
+    async encodeAllFrames(frames, onProgress) {
+        const Module = await loadNodeBasisModule();
+        const results = new Array(frames.length);
+
+        for (let frameIndex = 0; frameIndex < frames.length; frameIndex++) {
+            const { rgba, width, height } = frames[frameIndex];
+            const startTime = performance.now();
+            const encoded = encodeRgbaToKtx2(Module, rgba, width, height);
+
+            results[frameIndex] = {
+                frameIndex,
+                buffer: encoded.buffer,
+                size: encoded.byteLength,
+                elapsed: performance.now() - startTime,
+            };
+
+            if (onProgress) {
+                onProgress(frameIndex + 1, frames.length, results[frameIndex]);
+            }
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,41 @@
+// scripts/slyce/nodeCanvas.mjs
+//
+// Exposes @napi-rs/canvas through the browser globals the canvas TileBuilder
+// path expects (OffscreenCanvas, ImageData), so the CLI runs the exact same
+// sampling code as the app without a GPU or a DOM.
+
+import { Canvas, ImageData } from '@napi-rs/canvas';
+
+export function installNodeCanvasGlobals() {
+    if (typeof globalThis.OffscreenCanvas === 'undefined') {
+        globalThis.OffscreenCanvas = Canvas;
+    }
+    if (typeof globalThis.ImageData === 'undefined') {
+        globalThis.ImageData = ImageData;
+    }
+}
+
+export function createNodeCanvas(width, height) {
+    const canvas = new Canvas(width, height);
+    return { canvas, ctx: canvas.getContext('2d') };
+}
+
+/**
+ * Encode an RGBA layer as a JPEG data URL, mirroring the app's
+ * createThumbnailFromRGBA (max 512px, quality 0.85).
+ */
+export async function createThumbnailDataUrl({ rgba, width, height }, { maxSize = 512, quality = 0.85 } = {}) {
+    const source = createNodeCanvas(width, height);
+    source.ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba), width, height), 0, 0);
+
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const thumbWidth = Math.round(width * scale);
+    const thumbHeight = Math.round(height * scale);
+    const thumb = createNodeCanvas(thumbWidth, thumbHeight);
+    thumb.ctx.imageSmoothingEnabled = true;
+    thumb.ctx.imageSmoothingQuality = 'high';
+    thumb.ctx.drawImage(source.canvas, 0, 0, thumbWidth, thumbHeight);
+
+    const jpeg = await thumb.canvas.encode('jpeg', Math.round(quality * 100));
+    return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
@@ -0,0 +1,291 @@
+// src/composables/viewer/useAudioReactive.js
+// Drives ribbon parameters from an audio file or the microphone. Live
+// playback is analysed with an AnalyserNode each frame; during export the
+// decoded file is analysed offline at each synthetic frame time instead (see
+// useSceneExport), so renders do not depend on playback timing.
+
+import { ref, shallowRef, computed } from 'vue';
+import {
+    AUDIO_FFT_SIZE,
+    AUDIO_MAX_DECIBELS,
+    AUDIO_MIN_DECIBELS,
+    NEUTRAL_AUDIO_MODULATION,
+    computeBandLevels,
+    computeSpectrumAt,
+    createEnvelopeFollower,
+    getAudioModulation,
+    mixToMono,
+} from '../../modules/viewer/audioReactive.js';
+import { applyLiveContrast, applyLiveSaturation } from '../../modules/viewer/rendererAdjustmentBus.js';
+
+/**
+ * @param {Object} ctx - Shared refs from useThreeSetup
+ */
+export function useAudioReactive(ctx) {
+    /** @type {import('vue').Ref<'none'|'file'|'microphone'>} */
+    const sourceKind = ref('none');
+    const sourceName = ref('');
+    /** @type {import('vue').ShallowRef<AudioBuffer|null>} */
+    const audioBuffer = shallowRef(null);
+    // The original file, so export can mux it as a soundtrack
+    /** @type {import('vue').ShallowRef<File|Blob|null>} */
+    const audioFile = shallowRef(null);
+    const isActive = computed(() => sourceKind.value !== 'none');
+    const levels = ref({ level: 0, bass: 0, mid: 0, treble: 0 });
+
+    let audioContext = null;
+    let analyser = null;
+    let spectrum = null;
+    let sourceNode = null;
+    let microphoneStream = null;
+    let monoSamples = null;
+    let exportRender = null;
+    let modulation = NEUTRAL_AUDIO_MODULATION;
+    let contrastModulated = false;
+    let saturationModulated = false;
+    const envelope = createEnvelopeFollower();
+
+    function ensureAnalyser() {
+        if (!audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                throw new Error('Web Audio is not available in this browser.');
+            }
+            audioContext = new AudioContextClass();
+        }
+
+        if (!analyser) {
+            analyser = audioContext.createAnalyser();
+            analyser.fftSize = AUDIO_FFT_SIZE;
+            analyser.minDecibels = AUDIO_MIN_DECIBELS;
+            analyser.maxDecibels = AUDIO_MAX_DECIBELS;
+            // The envelope follower smooths instead, so export can reproduce it
+            analyser.smoothingTimeConstant = 0;
+            spectrum = new Float32Array(analyser.frequencyBinCount);
+        }
+
+        return analyser;
+    }
+
+    function disconnectSource() {
+        if (sourceNode) {
+            try {
+                sourceNode.stop?.();
+            } catch {
+                // Already stopped
+            }
+            sourceNode.disconnect();
+            sourceNode = null;
+        }
+
+        if (microphoneStream) {
+            microphoneStream.getTracks().forEach((track) => track.stop());
+            microphoneStream = null;
+        }
+
+        analyser?.disconnect();
+    }
+
+    function playFileSource() {
+        const node = audioContext.createBufferSource();
+        node.buffer = audioBuffer.value;
+        node.loop = true;
+        node.connect(analyser);
+        analyser.connect(audioContext.destination);
+        node.start();
+        sourceNode = node;
+    }
+
+    /**
+     * Decode an audio file and play it on a loop as the reactive source. The
+     * decoded buffer stays available for offline analysis during export.
+     * @param {File|Blob} file
+     * @returns {Promise<AudioBuffer>}
+     */
+    async function loadAudioFile(file) {
+        ensureAnalyser();
+        const decoded = await audioContext.decodeAudioData(await file.arrayBuffer());
+
+        disconnectSource();
+        audioBuffer.value = decoded;
+        audioFile.value = file;
+        monoSamples = mixToMono(decoded);
+        sourceName.value = file.name || 'Audio file';
+        sourceKind.value = 'file';
+        envelope.reset();
+
+        await audioContext.resume();
+        playFileSource();
+        console.log(`[AudioReactive] Loaded ${sourceName.value}: ${decoded.duration.toFixed(2)}s @ ${decoded.sampleRate}Hz`);
+        return decoded;
+    }
+
+    /**
+     * Use the microphone as the reactive source. It is analysed only, never
+     * routed to the speakers.
+     */
+    async function startMicrophone() {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            throw new Error('Microphone input is not available in this browser.');
+        }
+
+        ensureAnalyser();
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+
+        disconnectSource();
+        microphoneStream = stream;
+        sourceNode = audioContext.createMediaStreamSource(stream);
+        sourceNode.connect(analyser);
+        sourceName.value = 'Microphone';
+        sourceKind.value = 'microphone';
+        envelope.reset();
+
+        await audioContext.resume();
+    }
+
+    /**
+     * Stop the reactive source and put every parameter back to neutral. A
+     * decoded file is kept so it can still drive export.
+     */
+    function stop() {
+        disconnectSource();
+        sourceKind.value = 'none';
+        sourceName.value = audioBuffer.value ? sourceName.value : '';
+        envelope.reset();
+        levels.value = { level: 0, bass: 0, mid: 0, treble: 0 };
+        applyModulation(NEUTRAL_AUDIO_MODULATION, 0);
+    }
+
+    /**
+     * Forget the decoded file as well as stopping playback.
+     */
+    function clearAudioFile() {
+        stop();
+        audioBuffer.value = null;
+        audioFile.value = null;
+        monoSamples = null;
+        sourceName.value = '';
+    }
+
+    function applyModulation(next, deltaSec) {
+        modulation = next;
+        ctx.ribbonSeries.value?.setAudioModulation?.({
+            widthScale: next.widthScale,
+            helixRadiusScale: next.helixRadiusScale,
+            amplitudeScale: next.amplitudeScale,
+        });
+
+        // Extra flow on top of the TileManager's own tick
+        if (next.flowSpeedScale !== 1 && deltaSec > 0) {
+            const targets = ctx.tileManagers.value?.length > 1
+                ? ctx.tileManagers.value
+                : [ctx.tileManager.value].filter(Boolean);
+            for (const tm of targets) {
+                tm.advanceFlowOffset?.(tm.getFlowSpeed() * (next.flowSpeedScale - 1) * deltaSec);
+            }
+        }
+
+        // Contrast and saturation only touch the materials while mapped, and
+        // once more to restore the stored value afterwards
+        if (next.contrastScale !== 1 || contrastModulated) {
+            applyLiveContrast(Math.min(2, Math.max(0, ctx.app.contrast * next.contrastScale)));
+            contrastModulated = next.contrastScale !== 1;
+        }
+        if (next.saturationScale !== 1 || saturationModulated) {
+            applyLiveSaturation(Math.min(2, Math.max(0, ctx.app.saturation * next.saturationScale)));
+            saturationModulated = next.saturationScale !== 1;
+        }
+    }
+
+    function stepLevels(rawLevels, deltaSec) {
+        const smoothed = envelope.step(rawLevels, deltaSec);
+        levels.value = smoothed;
+        applyModulation(getAudioModulation(smoothed, ctx.app.audioReactiveMappings), deltaSec);
+    }
+
+    /**
+     * Live render-loop step. Reads the analyser and applies the mapped
+     * parameters; a no-op without an active source.
+     * @param {number} deltaSec
+     */
+    function tick(deltaSec) {
+        if (exportRender || !isActive.value || !analyser) return;
+
+        analyser.getFloatFrequencyData(spectrum);
+        stepLevels(computeBandLevels(spectrum, audioContext.sampleRate), deltaSec);
+    }
+
+    /**
+     * Prepare for a deterministic export. With `offline` and a decoded file,
+     * renderAtTime() analyses the file at each frame time; otherwise the
+     * export renders with neutral parameters.
+     * @param {Object} [options]
+     * @param {boolean} [options.offline=true]
+     * @returns {boolean} Whether frames will be audio-driven
+     */
+    function beginExport({ offline = true } = {}) {
+        const driven = offline && !!monoSamples;
+        exportRender = { driven };
+        // Live playback would otherwise keep sounding through the export
+        audioContext?.suspend?.();
+        envelope.reset();
+        applyModulation(NEUTRAL_AUDIO_MODULATION, 0);
+        return driven;
+    }
+
+    /**
+     * Analyse the decoded file at an export frame time and apply the result.
+     * @param {number} timeSeconds
+     * @param {number} deltaSec - Synthetic frame delta (0 on the first frame)
+     */
+    function renderAtTime(timeSeconds, deltaSec) {
+        if (!exportRender?.driven) return;
+
+        const spectrumAtTime = computeSpectrumAt(monoSamples, audioBuffer.value.sampleRate, timeSeconds);
+        stepLevels(computeBandLevels(spectrumAtTime, audioBuffer.value.sampleRate), deltaSec);
+    }
+
+    function endExport() {
+        exportRender = null;
+        envelope.reset();
+        applyModulation(NEUTRAL_AUDIO_MODULATION, 0);
+        if (isActive.value) {
+            audioContext?.resume?.();
+        }
+    }
+
+    /**
+     * Current multipliers, read by the render filter for gradient map and
+     * post-process contrast / saturation.
+     * @returns {Object}
+     */
+    function getModulation() {
+        return modulation;
+    }
+
+    function dispose() {
+        clearAudioFile();
+        audioContext?.close?.();
+        audioContext = null;
+        analyser = null;
+    }
+
+    return {
+        sourceKind,
+        sourceName,
+        audioBuffer,
+        audioFile,
+        isActive,
+        levels,
+        loadAudioFile,
+        startMicrophone,
+        stop,
+        clearAudioFile,
+        tick,
+        beginExport,
+        renderAtTime,
+        endExport,
+        getModulation,
+        dispose,
+    };
+}
@@ -0,0 +1,212 @@
+// src/composables/viewer/useBodyTracking.js
+// Draws live ribbons from the webcam: a pose landmarker follows the body and
+// the enabled landmarks (hands, feet, ...) leave trails that are fed to the
+// ribbon series every frame. Runs while the body panel is open; the ribbon
+// keeps its last frame when tracking stops.
+
+import { ref, shallowRef, watch, onUnmounted } from 'vue';
+import { Vector3 } from 'three';
+import { HeadTrackingStreamManager } from '../../modules/viewer/headTracking/headTrackingStreamManager';
+import { createPendingTaskRunner } from '../../modules/shared/lazyLoader.js';
+import {
+    PoseLandmarkerDetector,
+    POSE_LANDMARKER_DETECTION_STATUS,
+} from '../../modules/viewer/bodyTracking/poseLandmarkerDetector';
+import { PoseTrails } from '../../modules/viewer/bodyTracking/poseTrails.js';
+import { isViewerPanelVisible } from '../../modules/viewer/viewerPanels.js';
+
+const LIVE_RIBBON_WIDTH = 0.5;
+const BODY_LOST_GRACE_MS = 500;
+
+function describeBodyTrackingError(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+            return 'Camera access was denied. Body tracking needs webcam permission.';
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+            return 'No camera was found for body tracking.';
+        case 'NotReadableError':
+        case 'TrackStartError':
+            return 'The webcam is already in use by another application or browser mode.';
+        default:
+            return error?.message || 'Body tracking could not start.';
+    }
+}
+
+/**
+ * @param {Object} ctx - Shared refs from useThreeSetup
+ * @param {{ createLiveRibbon: Function }} deps
+ */
+export function useBodyTracking(ctx, { createLiveRibbon }) {
+    const streamManager = shallowRef(null);
+    const detector = shallowRef(null);
+    const cameraActive = ref(false);
+    const trails = new PoseTrails(ctx.app.bodyTrackingSettings);
+
+    let activationToken = 0;
+    let lastBodySeenAt = 0;
+    let liveRibbonCreated = false;
+
+    function isSelected() {
+        return isViewerPanelVisible(ctx.app, 'body');
+    }
+
+    function setRuntimeState(payload) {
+        ctx.app.setBodyTrackingRuntimeState(payload);
+    }
+
+    const runStartTracking = createPendingTaskRunner(async (token) => {
+        try {
+            if (!detector.value) {
+                detector.value = new PoseLandmarkerDetector();
+            }
+            await detector.value.initialize();
+            if (token !== activationToken || !isSelected()) {
+                return false;
+            }
+
+            if (!streamManager.value) {
+                streamManager.value = new HeadTrackingStreamManager();
+            }
+            await streamManager.value.start();
+            if (token !== activationToken || !isSelected()) {
+                streamManager.value?.stop();
+                return false;
+            }
+
+            cameraActive.value = true;
+            liveRibbonCreated = false;
+            trails.clear();
+            setRuntimeState({
+                active: true,
+                statusMessage: 'Step back until your whole body is in view.',
+                errorMessage: '',
+            });
+            return true;
+        } catch (error) {
+            console.error('[BodyTracking] Failed to start:', error);
+            setRuntimeState({
+                active: false,
+                statusMessage: '',
+                errorMessage: describeBodyTrackingError(error),
+            });
+            return false;
+        }
+    });
+
+    async function startTracking() {
+        if (!HeadTrackingStreamManager.isSupported()) {
+            setRuntimeState({
+                active: false,
+                statusMessage: '',
+                errorMessage: 'Body tracking requires webcam access on localhost or HTTPS in a supported browser.',
+            });
+            return false;
+        }
+
+        const pendingStart = runStartTracking.peek();
+        if (pendingStart) {
+            return pendingStart;
+        }
+
+        const token = ++activationToken;
+        setRuntimeState({
+            active: false,
+            statusMessage: 'Starting the camera and pose model…',
+            errorMessage: '',
+        });
+
+        return runStartTracking(token);
+    }
+
+    function stopTracking() {
+        activationToken += 1;
+        cameraActive.value = false;
+        streamManager.value?.stop();
+        lastBodySeenAt = 0;
+        setRuntimeState({ active: false, statusMessage: '' });
+    }
+
+    /**
+     * Detect the pose in the newest video frame and redraw the trails.
+     * @param {number} timestampMs - performance.now() of the frame
+     * @param {number} elapsedTime - Animation time in seconds
+     */
+    function tick(timestampMs, elapsedTime) {
+        if (!cameraActive.value || !streamManager.value?.isActive()) {
+            return;
+        }
+
+        const video = streamManager.value.getVideo();
+        const detection = detector.value?.detect(video, timestampMs);
+        if (detection?.status !== POSE_LANDMARKER_DETECTION_STATUS.processed) {
+            return;
+        }
+
+        const landmarks = detection.result?.landmarks?.[0] ?? null;
+        const aspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 4 / 3;
+        trails.push(landmarks, timestampMs, { aspect });
+
+        if (landmarks) {
+            if (ctx.app.bodyTrackingStatusMessage) {
+                setRuntimeState({ statusMessage: '' });
+            }
+            lastBodySeenAt = timestampMs;
+        } else if (lastBodySeenAt && timestampMs - lastBodySeenAt > BODY_LOST_GRACE_MS) {
+            setRuntimeState({ statusMessage: 'Nobody in view. Step back into the camera frame.' });
+            lastBodySeenAt = 0;
+        }
+
+        const paths = getTrailPaths();
+        if (paths.length === 0) {
+            return;
+        }
+
+        // The current artwork stays up until the first trail is drawable
+        if (!liveRibbonCreated) {
+            createLiveRibbon();
+            liveRibbonCreated = true;
+        }
+        ctx.ribbonSeries.value?.updateLivePaths?.(paths, LIVE_RIBBON_WIDTH, elapsedTime);
+    }
+
+    /**
+     * The trails as they are now, for keeping them as a drawing.
+     * @returns {Array<Array<Vector3>>}
+     */
+    function getTrailPaths() {
+        return trails.getPaths().map((path) => path.map(({ x, y }) => new Vector3(x, y, 0)));
+    }
+
+    function hasActiveCamera() {
+        return cameraActive.value;
+    }
+
+    watch(isSelected, (selected) => {
+        if (selected) {
+            void startTracking();
+        } else {
+            stopTracking();
+        }
+    }, { immediate: true });
+
+    watch(() => ctx.app.bodyTrackingSettings, (settings) => {
+        trails.setSettings(settings);
+    });
+
+    onUnmounted(() => {
+        activationToken += 1;
+        cameraActive.value = false;
+        streamManager.value?.dispose?.();
+        detector.value?.dispose?.();
+        streamManager.value = null;
+        detector.value = null;
+    });
+
+    return {
+        tick,
+        getTrailPaths,
+        hasActiveCamera,
+    };
+}
@@ -5,6 +5,7 @@
 
 import { ref, shallowRef, computed } from 'vue';
 import { CinematicCamera } from '../../modules/viewer/cinematicCamera';
+import { getCinematicTimelineDuration } from '../../modules/viewer/cinematicTimeline';
 
 /**
  * Composable for cinematic camera authoring and playback.
@@ -20,9 +21,25 @@ export function useCinematicCamera() {
 
     // Reactive state mirrors
     const isPlaying = ref(false);
+    const isPaused = ref(false);
     const roiCount = ref(0);
     const hasROIs = computed(() => roiCount.value > 0);
 
+    // Timeline editor mirrors (plain copies; the instance owns the data)
+    const timeline = shallowRef(null);
+    const roiFovs = ref([]);
+    const hasTimeline = computed(() => timeline.value !== null);
+    const timelineDuration = computed(() => getCinematicTimelineDuration(timeline.value));
+
+    function syncState() {
+        const inst = instance.value;
+        roiCount.value = inst?.roiCount ?? 0;
+        isPlaying.value = inst?.isPlaying ?? false;
+        isPaused.value = inst?.isPaused ?? false;
+        timeline.value = inst?.getTimeline() ?? null;
+        roiFovs.value = inst ? inst.getROIs().map(roi => roi.fov) : [];
+    }
+
     /**
      * Initialize the cinematic camera system.
      * @param {import('three').PerspectiveCamera} camera
@@ -33,8 +50,7 @@ export function useCinematicCamera() {
             instance.value.dispose();
         }
         instance.value = new CinematicCamera({ camera, controls });
-        isPlaying.value = false;
-        roiCount.value = 0;
+        syncState();
     }
 
     /**
@@ -44,7 +60,7 @@ export function useCinematicCamera() {
     function captureROI() {
         if (!instance.value || isPlaying.value) return null;
         const result = instance.value.captureROI();
-        roiCount.value = instance.value.roiCount;
+        syncState();
         return result;
     }
 
@@ -55,7 +71,7 @@ export function useCinematicCamera() {
     function removeROI(index) {
         if (!instance.value || isPlaying.value) return;
         instance.value.removeROI(index);
-        roiCount.value = instance.value.roiCount;
+        syncState();
     }
 
     /** Clear all captured ROIs. */
@@ -63,7 +79,7 @@ export function useCinematicCamera() {
         if (!instance.value) return;
         if (isPlaying.value) stopPlayback();
         instance.value.clearROIs();
-        roiCount.value = 0;
+        syncState();
     }
 
     /**
@@ -73,8 +89,7 @@ export function useCinematicCamera() {
     function invalidateAutoROIs() {
         if (!instance.value) return;
         instance.value.invalidateAutoROIs();
-        roiCount.value = instance.value.roiCount;
-        isPlaying.value = instance.value.isPlaying;
+        syncState();
     }
 
     /**
@@ -85,15 +100,14 @@ export function useCinematicCamera() {
     function startPlayback(ribbonSeries) {
         if (!instance.value) return;
         instance.value.startPlayback(ribbonSeries);
-        roiCount.value = instance.value.roiCount;
-        isPlaying.value = instance.value.isPlaying;
+        syncState();
     }
 
     /** Stop cinematic playback (re-enables OrbitControls). */
     function stopPlayback() {
         if (!instance.value) return;
         instance.value.stopPlayback();
-        isPlaying.value = false;
+        syncState();
     }
 
     /**
@@ -108,6 +122,110 @@ export function useCinematicCamera() {
         }
     }
 
+    /**
+     * Hold or resume the playhead while playing.
+     * @param {boolean} paused
+     */
+    function setPaused(paused) {
+        if (!instance.value) return;
+        instance.value.setPaused(paused);
+        syncState();
+    }
+
+    /**
+     * Scrub to a loop time. Starts held playback first when stopped so the
+     * camera shows the scrubbed frame.
+     * @param {number} seconds
+     * @param {import('../../modules/viewer/ribbonSeries').RibbonSeries} [ribbonSeries]
+     */
+    function seek(seconds, ribbonSeries) {
+        if (!instance.value) return;
+        if (!instance.value.isPlaying) {
+            instance.value.startPlayback(ribbonSeries);
+            instance.value.setPaused(true);
+        }
+        instance.value.seek(seconds);
+        syncState();
+    }
+
+    /** @returns {number} Playhead position in seconds */
+    function getPlaybackSeconds() {
+        return instance.value?.getPlaybackSeconds() ?? 0;
+    }
+
+    /**
+     * Switch from the automatic speed profile to an authored timeline,
+     * seeded from the current ROI spacing.
+     */
+    function enableTimeline() {
+        if (!instance.value || instance.value.hasTimeline) return;
+        instance.value.setTimeline(instance.value.createDefaultTimeline());
+        syncState();
+    }
+
+    /** Drop the authored timeline and return to the automatic speed profile. */
+    function resetTimeline() {
+        if (!instance.value) return;
+        instance.value.setTimeline(null);
+        syncState();
+    }
+
+    /**
+     * @param {number} index - ROI index
+     * @param {number} seconds
+     */
+    function setROIDwell(index, seconds) {
+        const next = instance.value?.getTimeline();
+        if (!next?.rois[index]) return;
+        next.rois[index].dwell = seconds;
+        instance.value.setTimeline(next);
+        syncState();
+    }
+
+    /**
+     * @param {number} index - Segment index (ROI index → next ROI)
+     * @param {{ duration?: number, easing?: string }} patch
+     */
+    function updateSegment(index, patch) {
+        const next = instance.value?.getTimeline();
+        if (!next?.segments[index]) return;
+        next.segments[index] = { ...next.segments[index], ...patch };
+        instance.value.setTimeline(next);
+        syncState();
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} fov - Degrees
+     */
+    function setROIFov(index, fov) {
+        if (!instance.value) return;
+        instance.value.setROIFov(index, fov);
+        syncState();
+    }
+
+    /**
+     * Serialize ROIs + timeline for saving alongside a drawing.
+     * Auto-generated ROIs are not saved.
+     * @returns {Object|null}
+     */
+    function exportTrack() {
+        if (!instance.value || instance.value.hasAutoROIs) return null;
+        return instance.value.exportTrack();
+    }
+
+    /**
+     * Restore ROIs + timeline saved with a drawing.
+     * @param {Object} track
+     * @returns {boolean}
+     */
+    function loadTrack(track) {
+        if (!instance.value) return false;
+        const loaded = instance.value.loadTrack(track);
+        syncState();
+        return loaded;
+    }
+
     /**
      * Per-frame tick for real-time playback. Call from render loop.
      * @param {number} deltaSeconds
@@ -166,15 +284,19 @@ export function useCinematicCamera() {
             instance.value.dispose();
             instance.value = null;
         }
-        isPlaying.value = false;
-        roiCount.value = 0;
+        syncState();
     }
 
     return {
         // Reactive state
         isPlaying,
+        isPaused,
         roiCount,
         hasROIs,
+        timeline,
+        timelineDuration,
+        hasTimeline,
+        roiFovs,
 
         // Methods
         init,
@@ -185,6 +307,16 @@ export function useCinematicCamera() {
         startPlayback,
         stopPlayback,
         togglePlayback,
+        setPaused,
+        seek,
+        getPlaybackSeconds,
+        enableTimeline,
+        resetTimeline,
+        setROIDwell,
+        updateSegment,
+        setROIFov,
+        exportTrack,
+        loadTrack,
         tick,
         getLoopDuration,
         getTelemetry,
@@ -0,0 +1,207 @@
+// src/composables/viewer/useHandDrawing.js
+// Hand tracking as a drawing input: a hand landmarker follows the index
+// fingertip through the webcam and pinching thumb and index draws a stroke
+// on the DrawingManager, exactly as a pressed pointer would. Runs while
+// drawing mode is on and hand input is enabled.
+
+import { ref, shallowRef, watch, onUnmounted } from 'vue';
+import { useViewerStore } from '../../stores/viewerStore';
+import { HeadTrackingStreamManager } from '../../modules/viewer/headTracking/headTrackingStreamManager';
+import { createPendingTaskRunner } from '../../modules/shared/lazyLoader.js';
+import {
+    HandLandmarkerDetector,
+    HAND_LANDMARKER_DETECTION_STATUS,
+} from '../../modules/viewer/handTracking/handLandmarkerDetector';
+import { createFingertipTracker } from '../../modules/viewer/handTracking/fingertipInput.js';
+
+const HAND_LOST_GRACE_MS = 500;
+
+function describeHandDrawingError(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+            return 'Camera access was denied. Hand drawing needs webcam permission.';
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+            return 'No camera was found for hand drawing.';
+        case 'NotReadableError':
+        case 'TrackStartError':
+            return 'The webcam is already in use by another application or browser mode.';
+        default:
+            return error?.message || 'Hand drawing could not start.';
+    }
+}
+
+/**
+ * @param {import('vue').ShallowRef<import('../../modules/viewer/drawing').DrawingManager|null>} drawingManager
+ */
+export function useHandDrawing(drawingManager) {
+    const app = useViewerStore();
+    const streamManager = shallowRef(null);
+    const detector = shallowRef(null);
+    const cameraActive = ref(false);
+    const fingertip = createFingertipTracker();
+
+    let activationToken = 0;
+    let animationFrameId = null;
+    let lastHandSeenAt = 0;
+
+    function isSelected() {
+        return app.isDrawingMode && app.handDrawingEnabled;
+    }
+
+    function setRuntimeState(payload) {
+        app.setHandDrawingRuntimeState(payload);
+    }
+
+    const runStartTracking = createPendingTaskRunner(async (token) => {
+        try {
+            if (!detector.value) {
+                detector.value = new HandLandmarkerDetector();
+            }
+            await detector.value.initialize();
+            if (token !== activationToken || !isSelected()) {
+                return false;
+            }
+
+            if (!streamManager.value) {
+                streamManager.value = new HeadTrackingStreamManager();
+            }
+            await streamManager.value.start();
+            if (token !== activationToken || !isSelected()) {
+                streamManager.value?.stop();
+                return false;
+            }
+
+            cameraActive.value = true;
+            fingertip.reset();
+            setRuntimeState({
+                active: true,
+                statusMessage: 'Raise one hand. Pinch thumb and index finger to draw.',
+                errorMessage: '',
+            });
+            animationFrameId = requestAnimationFrame(tick);
+            return true;
+        } catch (error) {
+            console.error('[HandDrawing] Failed to start:', error);
+            setRuntimeState({
+                active: false,
+                statusMessage: '',
+                errorMessage: describeHandDrawingError(error),
+            });
+            return false;
+        }
+    });
+
+    async function startTracking() {
+        if (!HeadTrackingStreamManager.isSupported()) {
+            setRuntimeState({
+                active: false,
+                statusMessage: '',
+                errorMessage: 'Hand drawing requires webcam access on localhost or HTTPS in a supported browser.',
+            });
+            return false;
+        }
+
+        const pendingStart = runStartTracking.peek();
+        if (pendingStart) {
+            return pendingStart;
+        }
+
+        const token = ++activationToken;
+        setRuntimeState({
+            active: false,
+            statusMessage: 'Starting the camera and hand model…',
+            errorMessage: '',
+        });
+
+        return runStartTracking(token);
+    }
+
+    function stopTracking() {
+        activationToken += 1;
+        cameraActive.value = false;
+        if (animationFrameId !== null) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+        streamManager.value?.stop();
+        lastHandSeenAt = 0;
+
+        // A stroke held open by a pinch is kept, like lifting the pen
+        drawingManager.value?.endStroke();
+        drawingManager.value?.setCursor(null);
+        fingertip.reset();
+        setRuntimeState({ active: false, statusMessage: '' });
+    }
+
+    function tick(timestampMs) {
+        if (!cameraActive.value || !streamManager.value?.isActive()) {
+            animationFrameId = null;
+            return;
+        }
+        animationFrameId = requestAnimationFrame(tick);
+
+        const manager = drawingManager.value;
+        const detection = detector.value?.detect(streamManager.value.getVideo(), timestampMs);
+        if (!manager || detection?.status !== HAND_LANDMARKER_DETECTION_STATUS.processed) {
+            return;
+        }
+
+        const landmarks = detection.result?.landmarks?.[0] ?? null;
+        const { cursor, pinching, pinchStarted, pinchEnded } = fingertip.update(
+            landmarks,
+            manager.canvas.width,
+            manager.canvas.height,
+        );
+
+        if (pinchEnded) {
+            manager.endStroke();
+        }
+        if (pinchStarted) {
+            manager.beginStroke(cursor.x, cursor.y);
+        } else if (pinching) {
+            manager.extendStroke(cursor.x, cursor.y);
+        }
+        manager.setCursor(cursor ? { ...cursor, pressed: pinching } : null);
+
+        if (landmarks) {
+            if (app.handDrawingStatusMessage) {
+                setRuntimeState({ statusMessage: '' });
+            }
+            lastHandSeenAt = timestampMs;
+        } else if (lastHandSeenAt && timestampMs - lastHandSeenAt > HAND_LOST_GRACE_MS) {
+            setRuntimeState({ statusMessage: 'No hand in view. Raise one hand towards the camera.' });
+            lastHandSeenAt = 0;
+        }
+    }
+
+    function hasActiveCamera() {
+        return cameraActive.value;
+    }
+
+    watch(isSelected, (selected) => {
+        if (selected) {
+            void startTracking();
+        } else {
+            stopTracking();
+        }
+    });
+
+    onUnmounted(() => {
+        activationToken += 1;
+        cameraActive.value = false;
+        if (animationFrameId !== null) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+        streamManager.value?.dispose?.();
+        detector.value?.dispose?.();
+        streamManager.value = null;
+        detector.value = null;
+    });
+
+    return {
+        hasActiveCamera,
+    };
+}
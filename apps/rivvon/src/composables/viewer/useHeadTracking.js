@@ -8,6 +8,11 @@ import {
 } from '../../modules/viewer/headTracking/faceLandmarkerDetector';
 import { HeadPoseEstimator } from '../../modules/viewer/headTracking/headPoseEstimator';
 import { HeadTrackingCameraController } from '../../modules/viewer/headTracking/headTrackingCameraController';
+import { estimateEyePosition } from '../../modules/viewer/headTracking/offAxisProjection.js';
+import {
+    getScreenKey,
+    resolveWindowCalibrationProfile,
+} from '../../modules/viewer/headTracking/windowCalibration.js';
 
 const CALIBRATION_STABLE_FRAMES = 12;
 const CALIBRATION_ANGLE_THRESHOLD = MathUtils.degToRad(1.2);
@@ -121,6 +126,36 @@ export function useHeadTracking(ctx) {
         return ctx.app.viewerControlMode === 'headTracking';
     }
 
+    // The window projection needs a calibration for the screen the viewer is
+    // on; without one head tracking falls back to the default mapping.
+    function resolveWindowCalibration() {
+        if (!ctx.app.headTrackingWindowEnabled) {
+            return null;
+        }
+
+        return resolveWindowCalibrationProfile(
+            ctx.app.headTrackingWindowProfiles,
+            ctx.app.headTrackingWindowScreenProfiles,
+            getScreenKey(),
+        );
+    }
+
+    function syncWindowCalibration() {
+        const calibration = resolveWindowCalibration();
+        if (calibration !== cameraController.value.windowCalibration) {
+            cameraController.value.setWindowCalibration(calibration);
+        }
+    }
+
+    function applyNeutralInput() {
+        if (cameraController.value.isWindowMode) {
+            cameraController.value.applyWindow(null);
+            return;
+        }
+
+        cameraController.value.apply({ yaw: 0, pitch: 0, roll: 0, scaleDelta: 0, frameX: 0, frameY: 0 });
+    }
+
     function evaluateSupport() {
         const supported = HeadTrackingStreamManager.isSupported();
         ctx.app.setHeadTrackingSupported(supported);
@@ -185,7 +220,7 @@ export function useHeadTracking(ctx) {
         }
 
         if (lastFaceSeenAt !== 0 && (timestampMs - lastFaceSeenAt) > FACE_LOST_GRACE_MS) {
-            cameraController.value.apply({ yaw: 0, pitch: 0, roll: 0, scaleDelta: 0 });
+            applyNeutralInput();
             setRuntimeState({
                 active: false,
                 calibrating: false,
@@ -408,6 +443,9 @@ export function useHeadTracking(ctx) {
             return;
         }
 
+        syncWindowCalibration();
+        cameraController.value.refreshWindowProjection();
+
         const video = streamManager.value.getVideo();
         debugState.tickTimestampMs = timestampMs;
         debugState.video = snapshotVideo(video);
@@ -444,11 +482,23 @@ export function useHeadTracking(ctx) {
         if (!neutralPose || ctx.app.headTrackingCalibrating) {
             if (!updateCalibration(pose)) {
                 debugState.mappedInput = { yaw: 0, pitch: 0, roll: 0, scaleDelta: 0, frameX: 0, frameY: 0 };
-                cameraController.value.apply({ yaw: 0, pitch: 0, roll: 0, scaleDelta: 0, frameX: 0, frameY: 0 });
+                applyNeutralInput();
                 return;
             }
         }
 
+        if (cameraController.value.isWindowMode) {
+            const eye = estimateEyePosition(
+                { frameCenter: pose.raw?.frameCenter, scale: pose.scale },
+                neutralScale,
+                cameraController.value.windowCalibration,
+                video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 4 / 3,
+            );
+            cameraController.value.applyWindow(eye);
+            markTrackingActive();
+            return;
+        }
+
         const scaleDelta = neutralScale > 0 ? ((pose.scale / neutralScale) - 1) : 0;
         const frameCenter = pose.raw?.frameCenter ?? { x: 0, y: 0 };
         const frameX = neutralFrameCenter ? (frameCenter.x - neutralFrameCenter.x) : 0;
@@ -463,7 +513,10 @@ export function useHeadTracking(ctx) {
         };
         debugState.mappedInput = mappedInput;
         cameraController.value.apply(mappedInput);
+        markTrackingActive();
+    }
 
+    function markTrackingActive() {
         if (!ctx.app.headTrackingActive || ctx.app.headTrackingSuspendedReason) {
             setRuntimeState({
                 active: true,
@@ -576,6 +629,18 @@ export function useHeadTracking(ctx) {
         void syncWithSelectedMode();
     }, { immediate: true });
 
+    // The face scale captured during calibration anchors the viewing
+    // distance, so switching projection recalibrates from the baseline.
+    watch(() => resolveWindowCalibration(), () => {
+        if (!isSelected() || !cameraController.value.isActive) {
+            return;
+        }
+
+        cameraController.value.restoreBaseline();
+        syncWindowCalibration();
+        recenter();
+    });
+
     watch(() => ctx.app.headTrackingRecenterToken, (currentToken, previousToken) => {
         if (currentToken === previousToken) {
             return;
@@ -0,0 +1,79 @@
+// src/composables/viewer/useLiveDrawing.js
+// Grows the ribbon while a drawing is in progress. Strokes from the drawing
+// canvas are queued as they change and fed to the ribbon series once per
+// frame through the pooled live-path builders, so tiles keep flowing into
+// the growing tail. The finished drawing is built the usual way on finalize.
+
+import { LIVE_DRAWING_WIDTH, projectCanvasStrokesToPlane } from '../../modules/viewer/liveDrawing.js';
+
+/**
+ * @param {Object} ctx - Shared refs from useThreeSetup
+ * @param {{ createLiveRibbon: Function }} deps
+ */
+export function useLiveDrawing(ctx, { createLiveRibbon }) {
+    let pendingStrokes = null;
+    let liveRibbonCreated = false;
+
+    /**
+     * Queue the strokes for the next frame.
+     * @param {Array<Array<{x: number, y: number}>>} strokes - Client pixels
+     */
+    function setStrokes(strokes) {
+        pendingStrokes = Array.isArray(strokes) ? strokes : [];
+    }
+
+    /**
+     * Apply the queued strokes.
+     * @param {number} elapsedTime - Animation time in seconds
+     */
+    function tick(elapsedTime) {
+        if (!pendingStrokes) {
+            return;
+        }
+
+        const strokes = pendingStrokes;
+        pendingStrokes = null;
+
+        if (!liveRibbonCreated) {
+            if (strokes.length === 0) {
+                return;
+            }
+
+            // Strokes are projected through the default view, as on finalize.
+            // The current artwork stays up until the first stroke arrives.
+            ctx.resetCamera.value?.();
+            createLiveRibbon();
+            liveRibbonCreated = true;
+        }
+
+        const rect = ctx.renderer.value?.domElement?.getBoundingClientRect?.();
+        const paths = projectCanvasStrokesToPlane(strokes, ctx.camera.value, rect);
+
+        if (paths.length === 0) {
+            ctx.ribbonSeries.value?.clearLivePaths?.();
+            return;
+        }
+
+        ctx.ribbonSeries.value?.updateLivePaths?.(paths, LIVE_DRAWING_WIDTH, elapsedTime);
+    }
+
+    /**
+     * Forget the live ribbon, e.g. once the drawing is finalized or
+     * abandoned. The scene is left as it is.
+     */
+    function reset() {
+        pendingStrokes = null;
+        liveRibbonCreated = false;
+    }
+
+    function isActive() {
+        return liveRibbonCreated;
+    }
+
+    return {
+        setStrokes,
+        tick,
+        reset,
+        isActive,
+    };
+}
@@ -0,0 +1,120 @@
+// src/composables/viewer/useOrbitRecorder.js
+// Records a live OrbitControls session into a loopable take that the
+// 'recordedOrbit' artwork motion mode replays (see useViewerMotion and
+// useSceneExport).
+
+import { ref, shallowRef, computed } from 'vue';
+import { createOrbitTake, normalizeOrbitTake } from '../../modules/viewer/orbitRecording.js';
+import { getSeamlessLoopDuration } from '../../modules/viewer/seamlessLoop.js';
+
+/**
+ * @param {Object} ctx - Shared refs from useThreeSetup
+ */
+export function useOrbitRecorder(ctx) {
+    const isRecording = ref(false);
+    /** @type {import('vue').ShallowRef<Object|null>} */
+    const take = shallowRef(null);
+    const takeDuration = computed(() => take.value?.duration ?? 0);
+
+    let samples = [];
+    let recordingStartTime = null;
+
+    function canRecord() {
+        return !!ctx.camera.value
+            && !!ctx.controls.value
+            && ctx.app.viewerControlMode === 'orbit'
+            && !ctx.cinematicCamera.isPlaying.value;
+    }
+
+    /**
+     * Begin capturing camera samples. Any existing take stays in place until
+     * the new recording finishes.
+     * @returns {boolean} Whether recording started
+     */
+    function startRecording() {
+        if (isRecording.value || !canRecord()) return false;
+
+        samples = [];
+        recordingStartTime = null;
+        isRecording.value = true;
+        return true;
+    }
+
+    /**
+     * Finish recording and build the take, trimmed to whole seamless loops.
+     * @returns {Object|null} The new take, or null if too short to keep
+     */
+    function stopRecording() {
+        if (!isRecording.value) return null;
+
+        isRecording.value = false;
+        const loopDuration = getSeamlessLoopDuration(ctx.tileManager.value, ctx.app.undulationEnabled);
+        const nextTake = createOrbitTake(samples, { loopDuration });
+        samples = [];
+        recordingStartTime = null;
+
+        if (nextTake) {
+            take.value = nextTake;
+            console.log(`[OrbitRecorder] Take recorded: ${nextTake.duration.toFixed(2)}s, ${nextTake.frames.length} frames`);
+        }
+        return nextTake;
+    }
+
+    function clearTake() {
+        if (isRecording.value) {
+            isRecording.value = false;
+            samples = [];
+            recordingStartTime = null;
+        }
+        take.value = null;
+    }
+
+    /**
+     * Replace the current take with a stored one (e.g. from a project file).
+     * @param {Object} storedTake
+     * @returns {boolean} Whether the take was usable
+     */
+    function loadTake(storedTake) {
+        const nextTake = normalizeOrbitTake(storedTake);
+        if (!nextTake) return false;
+
+        clearTake();
+        take.value = nextTake;
+        return true;
+    }
+
+    /**
+     * Capture one sample. Called once per rendered frame after controls update.
+     * @param {number} now - performance.now() timestamp
+     */
+    function tick(now) {
+        if (!isRecording.value) return;
+        if (!canRecord()) {
+            // Mode switched away mid-take: keep what was captured
+            stopRecording();
+            return;
+        }
+
+        if (recordingStartTime === null) recordingStartTime = now;
+
+        const camera = ctx.camera.value;
+        const target = ctx.controls.value.target;
+        samples.push({
+            time: (now - recordingStartTime) / 1000,
+            position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+            target: { x: target.x, y: target.y, z: target.z },
+            fov: camera.fov,
+        });
+    }
+
+    return {
+        isRecording,
+        take,
+        takeDuration,
+        startRecording,
+        stopRecording,
+        clearTake,
+        loadTake,
+        tick,
+    };
+}
@@ -3,6 +3,30 @@ import {
     createGradientMapLut,
     serializeGradientMapStops,
 } from '../../modules/viewer/gradientMap.js';
+import { modulateGradientMapStops } from '../../modules/viewer/audioReactive.js';
+import { createCubeLutTextureData } from '../../modules/viewer/cubeLut.js';
+import { getActivePostEffects } from '../../modules/viewer/postEffects.js';
+import {
+    createWebGLPostEffectPass,
+    createWebGPUPostEffectPass,
+    updatePostEffectPassUniforms,
+} from '../../modules/viewer/postEffectShaders.js';
+import { getColorLut } from '../../services/localStorage.js';
+
+const FILTER_MODES = ['gradientMap', 'lut'];
+
+// Parsed LUTs by id, shared by every filter instance (viewer, overview preview)
+const colorLutRecords = new Map();
+
+function loadColorLutRecord(id) {
+    if (!colorLutRecords.has(id)) {
+        colorLutRecords.set(id, getColorLut(id).catch((error) => {
+            console.warn('[RenderFilter] Failed to load color LUT:', error);
+            return null;
+        }));
+    }
+    return colorLutRecords.get(id);
+}
 
 export function useRenderFilter(ctx) {
     let activeRendererType = 'webgl';
@@ -19,10 +43,16 @@ export function useRenderFilter(ctx) {
     let filterSaturationUniform = null;
     let filterGradientTexture = null;
     let filterGradientSignature = null;
+    let filterLutIntensityUniform = null;
+    let colorLutTexture = null;
+    let colorLutRecord = null;
+    let colorLutRequestedId = null;
+    let effectRenderTargets = [];
+    let effectPasses = [];
     const transparentReferenceColor = new THREE.Color(0xffffff);
 
     function getActiveFilterMode() {
-        return ctx.app.renderFilterMode === 'gradientMap'
+        return FILTER_MODES.includes(ctx.app.renderFilterMode)
             ? ctx.app.renderFilterMode
             : 'none';
     }
@@ -58,16 +88,24 @@ export function useRenderFilter(ctx) {
         };
     }
 
+    function getAudioModulation() {
+        return ctx.audioReactive?.getModulation?.() ?? null;
+    }
+
     function getContrastValue() {
-        const value = Number(ctx.app.contrast);
+        const value = Number(ctx.app.contrast) * (getAudioModulation()?.contrastScale ?? 1);
         return Number.isFinite(value) ? Math.min(2, Math.max(0, value)) : 1;
     }
 
     function getSaturationValue() {
-        const value = Number(ctx.app.saturation);
+        const value = Number(ctx.app.saturation) * (getAudioModulation()?.saturationScale ?? 1);
         return Number.isFinite(value) ? Math.min(2, Math.max(0, value)) : 1;
     }
 
+    function getGradientMapStops() {
+        return modulateGradientMapStops(ctx.app.gradientMapStops, getAudioModulation()?.gradientShift ?? 0);
+    }
+
     function isTransparencyHighlightsMode() {
         return ctx.app.transparencyMode === 'highlights';
     }
@@ -96,20 +134,75 @@ export function useRenderFilter(ctx) {
         };
     }
 
+    function getColorLutIntensity() {
+        const value = Number(ctx.app.colorLutIntensity);
+        return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1;
+    }
+
     function getPostProcessFilterMode() {
         const mode = getActiveFilterMode();
-        return mode === 'gradientMap'
-            ? mode
-            : 'none';
+        if (mode === 'lut') {
+            // Unfiltered until the selected LUT has loaded
+            return colorLutRecord && colorLutRecord.id === ctx.app.colorLut?.id
+                ? mode
+                : 'none';
+        }
+        return mode;
+    }
+
+    function createColorLutTexture(record) {
+        const { size, data } = createCubeLutTextureData(record);
+        const halfFloatData = new Uint16Array(data.length);
+        for (let index = 0; index < data.length; index += 1) {
+            halfFloatData[index] = THREE.DataUtils.toHalfFloat(data[index]);
+        }
+
+        const texture = record.type === '3D'
+            ? new THREE.Data3DTexture(halfFloatData, size, size, size)
+            : new THREE.DataTexture(halfFloatData, size, 1, THREE.RGBAFormat, THREE.HalfFloatType);
+        texture.name = 'RivvonColorLUT';
+        texture.format = THREE.RGBAFormat;
+        texture.type = THREE.HalfFloatType;
+        texture.colorSpace = THREE.NoColorSpace;
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.wrapR = THREE.ClampToEdgeWrapping;
+        texture.generateMipmaps = false;
+        texture.unpackAlignment = 1;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    function syncColorLutTexture() {
+        const id = ctx.app.colorLut?.id;
+        // A LUT deleted from this browser stays requested, so it is not retried every frame
+        if (getActiveFilterMode() !== 'lut' || !id || id === colorLutRequestedId) {
+            return;
+        }
+
+        colorLutRequestedId = id;
+        loadColorLutRecord(id).then((record) => {
+            if (colorLutRequestedId !== id || !record || !filterScene) {
+                return;
+            }
+
+            colorLutTexture?.dispose?.();
+            colorLutTexture = createColorLutTexture(record);
+            colorLutRecord = record;
+            ctx.requestRender?.();
+        });
     }
 
     function syncGradientMapTexture() {
-        const signature = serializeGradientMapStops(ctx.app.gradientMapStops);
+        const stops = getGradientMapStops();
+        const signature = serializeGradientMapStops(stops);
         if (filterGradientTexture && filterGradientSignature === signature) {
             return filterGradientTexture;
         }
 
-        const data = createGradientMapLut(ctx.app.gradientMapStops);
+        const data = createGradientMapLut(stops);
         if (!filterGradientTexture) {
             filterGradientTexture = new THREE.DataTexture(
                 data,
@@ -134,13 +227,18 @@ export function useRenderFilter(ctx) {
         return filterGradientTexture;
     }
 
-    function getFilterMaterialSignature() {
+    function getFilterMaterialSignature(effects) {
         const mode = getPostProcessFilterMode();
-        return mode;
+        const baseSignature = mode === 'lut' ? `lut:${colorLutTexture.uuid}` : mode;
+        return [baseSignature, ...effects.map((effect) => effect.type)].join('>');
     }
 
-    function shouldApplyFilter() {
-        return getPostProcessFilterMode() !== 'none';
+    function getFilterPassCount(effects) {
+        return effects.length + (getPostProcessFilterMode() !== 'none' ? 1 : 0);
+    }
+
+    function shouldApplyFilter(effects) {
+        return getFilterPassCount(effects) > 0;
     }
 
     async function initRenderFilter(rendererType = 'webgl') {
@@ -179,11 +277,51 @@ export function useRenderFilter(ctx) {
         return target;
     }
 
+    function getColorLutSampling() {
+        const { domainMin, domainMax } = colorLutRecord;
+        // Texels per axis; long 1D tables are resampled when uploaded
+        const textureSize = colorLutTexture.image.width;
+        return {
+            domainMin: new THREE.Vector3(...domainMin),
+            domainRange: new THREE.Vector3(...domainMax).sub(new THREE.Vector3(...domainMin)),
+            // Maps 0..1 onto the first and last texel centres
+            scale: (textureSize - 1) / textureSize,
+            offset: 0.5 / textureSize,
+            is3D: colorLutRecord.type === '3D',
+        };
+    }
+
     function createWebGLFilterMaterial(texture) {
         const filterMode = getPostProcessFilterMode();
-        const filteredColorExpression = filterMode === 'gradientMap'
-            ? 'texture2D(uGradientMap, vec2(clamp(filteredLuminance, 0.0, 1.0), 0.5)).rgb'
-            : 'contrasted';
+        const lutSampling = filterMode === 'lut' ? getColorLutSampling() : null;
+        let filteredColorExpression = 'contrasted';
+        if (filterMode === 'gradientMap') {
+            filteredColorExpression = 'texture2D(uGradientMap, vec2(clamp(filteredLuminance, 0.0, 1.0), 0.5)).rgb';
+        } else if (lutSampling?.is3D) {
+            filteredColorExpression = 'mix(unpremultiplied, texture(uColorLut, lutCoord).rgb, uLutIntensity)';
+        } else if (lutSampling) {
+            filteredColorExpression = `mix(unpremultiplied, vec3(
+                texture2D(uColorLut, vec2(lutCoord.r, 0.5)).r,
+                texture2D(uColorLut, vec2(lutCoord.g, 0.5)).g,
+                texture2D(uColorLut, vec2(lutCoord.b, 0.5)).b
+            ), uLutIntensity)`;
+        }
+
+        // LUT mode leaves contrast and saturation on the tile materials, like
+        // the unfiltered scene, and grades the colour as rendered.
+        const lutDeclarations = lutSampling
+            ? `
+                uniform ${lutSampling.is3D ? 'highp sampler3D' : 'sampler2D'} uColorLut;
+                uniform vec3 uLutDomainMin;
+                uniform vec3 uLutDomainRange;
+                uniform float uLutScale;
+                uniform float uLutOffset;
+                uniform float uLutIntensity;
+            `
+            : '';
+        const lutCoordinate = lutSampling
+            ? 'vec3 lutCoord = clamp((unpremultiplied - uLutDomainMin) / uLutDomainRange, 0.0, 1.0) * uLutScale + uLutOffset;'
+            : '';
 
         return new THREE.ShaderMaterial({
             uniforms: {
@@ -191,6 +329,12 @@ export function useRenderFilter(ctx) {
                 uGradientMap: { value: syncGradientMapTexture() },
                 uContrast: { value: getContrastValue() },
                 uSaturation: { value: getSaturationValue() },
+                uColorLut: { value: lutSampling ? colorLutTexture : null },
+                uLutDomainMin: { value: lutSampling?.domainMin ?? new THREE.Vector3() },
+                uLutDomainRange: { value: lutSampling?.domainRange ?? new THREE.Vector3(1, 1, 1) },
+                uLutScale: { value: lutSampling?.scale ?? 1 },
+                uLutOffset: { value: lutSampling?.offset ?? 0 },
+                uLutIntensity: { value: getColorLutIntensity() },
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -205,6 +349,7 @@ export function useRenderFilter(ctx) {
                 uniform sampler2D uGradientMap;
                 uniform float uContrast;
                 uniform float uSaturation;
+                ${lutDeclarations}
                 varying vec2 vUv;
 
                 void main() {
@@ -218,6 +363,7 @@ export function useRenderFilter(ctx) {
                     vec3 saturated = mix(vec3(luminance), unpremultiplied, uSaturation);
                     vec3 contrasted = (saturated - 0.5) * uContrast + 0.5;
                     float filteredLuminance = dot(contrasted, vec3(0.2126, 0.7152, 0.0722));
+                    ${lutCoordinate}
 
                     vec3 filteredColor = ${filteredColorExpression};
                     vec3 premultipliedFiltered = filteredColor * alpha;
@@ -232,7 +378,7 @@ export function useRenderFilter(ctx) {
 
     function createWebGPUFilterMaterial(texture) {
         const { MeshBasicNodeMaterial } = webGPUDeps.threeWebGPU;
-        const { texture: textureNode, uniform, uv, float, vec2, vec3, vec4, dot, max, mix } = webGPUDeps.threeTSL;
+        const { texture: textureNode, texture3D, uniform, uv, float, vec2, vec3, vec4, dot, max, mix } = webGPUDeps.threeTSL;
         const filterMode = getPostProcessFilterMode();
         const contrastValue = getContrastValue();
         const saturationValue = getSaturationValue();
@@ -259,6 +405,24 @@ export function useRenderFilter(ctx) {
                 syncGradientMapTexture(),
                 vec2(gradientPosition, float(0.5)),
             ).rgb;
+        } else if (filterMode === 'lut') {
+            const lutSampling = getColorLutSampling();
+            const lutIntensityUniform = uniform(float(getColorLutIntensity()));
+            const lutCoord = unpremultiplied
+                .sub(vec3(lutSampling.domainMin))
+                .div(vec3(lutSampling.domainRange))
+                .clamp(float(0), float(1))
+                .mul(lutSampling.scale)
+                .add(lutSampling.offset);
+            const graded = lutSampling.is3D
+                ? texture3D(colorLutTexture, lutCoord).rgb
+                : vec3(
+                    textureNode(colorLutTexture, vec2(lutCoord.x, float(0.5))).r,
+                    textureNode(colorLutTexture, vec2(lutCoord.y, float(0.5))).g,
+                    textureNode(colorLutTexture, vec2(lutCoord.z, float(0.5))).b,
+                );
+            filteredBase = mix(unpremultiplied, graded, lutIntensityUniform);
+            filterLutIntensityUniform = lutIntensityUniform;
         } else {
             filteredBase = contrasted;
         }
@@ -275,13 +439,32 @@ export function useRenderFilter(ctx) {
         return material;
     }
 
-    function ensureFilterQuad(texture) {
+    function disposeFilterPasses() {
+        filterMaterial?.dispose?.();
+        filterMaterial = null;
+        filterContrastUniform = null;
+        filterSaturationUniform = null;
+        filterLutIntensityUniform = null;
+
+        effectPasses.forEach((pass) => pass.material.dispose?.());
+        effectPasses = [];
+    }
+
+    function getFilterPassMaterials() {
+        return [
+            ...(filterMaterial ? [filterMaterial] : []),
+            ...effectPasses.map((pass) => pass.material),
+        ];
+    }
+
+    function ensureFilterPasses(effects) {
         if (!filterScene || !filterGeometry) {
             return false;
         }
 
         syncGradientMapTexture();
-        const nextSignature = getFilterMaterialSignature();
+        const nextSignature = getFilterMaterialSignature(effects);
+        const sceneTexture = filterRenderTarget.texture;
 
         if (!filterQuad) {
             filterQuad = new THREE.Mesh(filterGeometry, null);
@@ -289,32 +472,47 @@ export function useRenderFilter(ctx) {
             filterScene.add(filterQuad);
         }
 
-        const needsNewMaterial = !filterMaterial
-            || filterMaterialSignature !== nextSignature
-            || filterMaterialTexture !== texture;
+        const needsNewMaterials = filterMaterialSignature !== nextSignature
+            || filterMaterialTexture !== sceneTexture;
 
-        if (!needsNewMaterial) {
+        if (!needsNewMaterials) {
             return true;
         }
 
-        if (activeRendererType === 'webgpu') {
-            filterMaterial?.dispose?.();
-            filterMaterial = createWebGPUFilterMaterial(texture);
-            filterQuad.material = filterMaterial;
-            filterMaterialSignature = nextSignature;
-            filterMaterialTexture = texture;
-            return true;
+        disposeFilterPasses();
+
+        // Each pass reads the previous one: the scene target first, then the
+        // effect targets in turn.
+        const getPassInput = (passIndex) => (passIndex === 0
+            ? sceneTexture
+            : effectRenderTargets[(passIndex - 1) % 2].texture);
+        const basePassCount = getPostProcessFilterMode() !== 'none' ? 1 : 0;
+
+        if (basePassCount) {
+            filterMaterial = activeRendererType === 'webgpu'
+                ? createWebGPUFilterMaterial(getPassInput(0))
+                : createWebGLFilterMaterial(getPassInput(0));
         }
 
-        filterMaterial?.dispose?.();
-        filterMaterial = createWebGLFilterMaterial(texture);
-        filterQuad.material = filterMaterial;
+        effectPasses = effects.map((effect, index) => (activeRendererType === 'webgpu'
+            ? createWebGPUPostEffectPass(effect.type, getPassInput(basePassCount + index), webGPUDeps)
+            : createWebGLPostEffectPass(effect.type, getPassInput(basePassCount + index))));
+
+        // Intermediate passes overwrite their target; only the last one is
+        // blended over the output, as the single filter pass always was.
+        const materials = getFilterPassMaterials();
+        materials.forEach((material, index) => {
+            const isLast = index === materials.length - 1;
+            material.transparent = isLast;
+            material.blending = isLast ? THREE.NormalBlending : THREE.NoBlending;
+        });
+
         filterMaterialSignature = nextSignature;
-        filterMaterialTexture = texture;
+        filterMaterialTexture = sceneTexture;
         return true;
     }
 
-    function ensureFilterResources() {
+    function ensureFilterResources(effects) {
         const renderer = ctx.renderer.value;
         if (!renderer?.domElement || !filterScene || !filterCamera) {
             return false;
@@ -334,9 +532,17 @@ export function useRenderFilter(ctx) {
         if (needsNewTarget) {
             filterRenderTarget?.dispose?.();
             filterRenderTarget = createRenderTarget(width, height);
+            effectRenderTargets.forEach((effectTarget) => effectTarget.dispose());
+            effectRenderTargets = [];
+        }
+
+        // Chained passes ping-pong between (at most) two intermediate targets
+        const intermediateTargetCount = Math.min(2, getFilterPassCount(effects) - 1);
+        while (effectRenderTargets.length < intermediateTargetCount) {
+            effectRenderTargets.push(createRenderTarget(width, height));
         }
 
-        return ensureFilterQuad(filterRenderTarget.texture);
+        return ensureFilterPasses(effects);
     }
 
     function syncTransparentShadowsMaterials(scene) {
@@ -470,7 +676,14 @@ export function useRenderFilter(ctx) {
         });
     }
 
-    function renderScene(target = null) {
+    /**
+     * Render the scene into `target` (the canvas when null), through the
+     * gradient map filter and the post effect stack when either is active.
+     * @param {Object|null} [target]
+     * @param {Object} [renderOptions]
+     * @param {number} [renderOptions.timeSeconds] - Clock for time-based effects; exports pass their synthetic frame time
+     */
+    function renderScene(target = null, renderOptions = {}) {
         const renderer = ctx.renderer.value;
         if (!renderer || !ctx.scene.value || !ctx.camera.value) {
             return;
@@ -478,7 +691,10 @@ export function useRenderFilter(ctx) {
 
         syncTransparentShadowsMaterials(ctx.scene.value);
 
-        if (!shouldApplyFilter() || !ensureFilterResources()) {
+        syncColorLutTexture();
+        const effects = getActivePostEffects(ctx.app.postEffects);
+
+        if (!shouldApplyFilter(effects) || !ensureFilterResources(effects)) {
             renderer.setRenderTarget(target);
             renderer.render(ctx.scene.value, ctx.camera.value);
             return;
@@ -496,6 +712,20 @@ export function useRenderFilter(ctx) {
         if (filterSaturationUniform) {
             filterSaturationUniform.value = getSaturationValue();
         }
+        if (filterMaterial?.uniforms?.uLutIntensity) {
+            filterMaterial.uniforms.uLutIntensity.value = getColorLutIntensity();
+        }
+        if (filterLutIntensityUniform) {
+            filterLutIntensityUniform.value = getColorLutIntensity();
+        }
+
+        const timeSeconds = Number(renderOptions.timeSeconds);
+        const frame = {
+            width: filterRenderTarget.width,
+            height: filterRenderTarget.height,
+            timeSeconds: Number.isFinite(timeSeconds) ? timeSeconds : performance.now() / 1000,
+        };
+        effectPasses.forEach((pass, index) => updatePostEffectPassUniforms(pass, effects[index], frame));
 
         // Save current clear color and alpha
         const savedClearColor = renderer.getClearColor(new THREE.Color());
@@ -512,27 +742,35 @@ export function useRenderFilter(ctx) {
             restoreCapMaskFilterOverrides(capMaskOverrides);
         }
 
-        // Restore clear color and render filtered result to target
+        // Restore clear color and run the passes, the last one into target
         renderer.setClearColor(savedClearColor, savedClearAlpha);
-        renderer.setRenderTarget(target);
-        renderer.render(filterScene, filterCamera);
+        const materials = getFilterPassMaterials();
+        materials.forEach((material, index) => {
+            filterQuad.material = material;
+            renderer.setRenderTarget(index === materials.length - 1 ? target : effectRenderTargets[index % 2]);
+            renderer.render(filterScene, filterCamera);
+        });
     }
 
     function disposeRenderFilter() {
         filterRenderTarget?.dispose?.();
         filterRenderTarget = null;
+        effectRenderTargets.forEach((effectTarget) => effectTarget.dispose());
+        effectRenderTargets = [];
 
-        filterMaterial?.dispose?.();
-        filterMaterial = null;
+        disposeFilterPasses();
         filterMaterialSignature = null;
         filterMaterialTexture = null;
-        filterContrastUniform = null;
-        filterSaturationUniform = null;
 
         filterGradientTexture?.dispose?.();
         filterGradientTexture = null;
         filterGradientSignature = null;
 
+        colorLutTexture?.dispose?.();
+        colorLutTexture = null;
+        colorLutRecord = null;
+        colorLutRequestedId = null;
+
         if (filterQuad && filterScene) {
             filterScene.remove(filterQuad);
         }
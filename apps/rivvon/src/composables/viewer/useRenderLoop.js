@@ -502,6 +502,9 @@ export function useRenderLoop(ctx, deps = {}) {
             }
             tileTickMs = performance.now() - tileTickStartMs;
 
+            // Audio-reactive parameters (extra flow lands before the material update)
+            ctx.audioReactive?.tick?.(deltaSec);
+
             const pendingFlowWrapTiles = ctx.tileManager.value?.getPendingFlowWrapTiles?.() || 0;
             
             // Update ribbon materials for tile flow effect (conveyor belt animation)
@@ -516,7 +519,11 @@ export function useRenderLoop(ctx, deps = {}) {
             const ribbonUpdateStartMs = performance.now();
             if (ctx.ribbonSeries.value) {
                 ctx.ribbonSeries.value.updateProcedural?.(elapsedTime);
+                ctx.ribbonSeries.value.updateReplay?.(elapsedTime);
             }
+            // Body tracking and live drawing may replace the series, so they run before the wave update
+            ctx.bodyTracking?.tick?.(now, elapsedTime);
+            ctx.liveDrawing?.tick?.(elapsedTime);
             if (ctx.ribbonSeries.value && !scrollTiltDrivesUndulation) {
                 ctx.ribbonSeries.value.update(elapsedTime);
             }
@@ -556,6 +563,9 @@ export function useRenderLoop(ctx, deps = {}) {
                 ctx.controls.value.update();
             }
             controlsMs = performance.now() - controlsStartMs;
+
+            // Sample the settled camera for orbit take recording
+            ctx.orbitRecorder?.tick?.(now);
             
             // Render scene
             const renderStartMs = performance.now();
@@ -92,6 +92,8 @@ export function useRibbonBuilder(ctx) {
         ctx.ribbonSeries.value.setNormalizeTextureOrientation(ctx.app.normalizeTextureOrientation);
         
         // Build from single path (wrapped in array)
+        ctx.ribbonSeries.value.setWidthProfiles(options.widthProfiles ?? null);
+        ctx.ribbonSeries.value.setPathStyles(options.pathStyles ?? null);
         ctx.ribbonSeries.value.buildFromMultiplePaths([points], options.width || 1.2);
         ctx.ribbonSeries.value.initFlowMaterials();
         ctx.app.setProceduralPathMode?.(null);
@@ -132,6 +134,8 @@ export function useRibbonBuilder(ctx) {
         ctx.ribbonSeries.value.setNormalizeTextureOrientation(ctx.app.normalizeTextureOrientation);
         
         // Build from multiple paths
+        ctx.ribbonSeries.value.setWidthProfiles(options.widthProfiles ?? null);
+        ctx.ribbonSeries.value.setPathStyles(options.pathStyles ?? null);
         ctx.ribbonSeries.value.buildFromMultiplePaths(pointsArray, options.width || 1.2);
         ctx.ribbonSeries.value.initFlowMaterials();
         ctx.app.setProceduralPathMode?.(null);
@@ -144,6 +148,25 @@ export function useRibbonBuilder(ctx) {
         return ctx.ribbonSeries.value;
     }
 
+    /**
+     * Replay the current ribbon growing along a timeline (see
+     * RibbonSeries.startReplay), or restart it with new timing.
+     * @param {{ times: number[][], speed?: number }} replay
+     * @returns {boolean} Whether the replay started
+     */
+    function startRibbonReplay(replay) {
+        const series = ctx.ribbonSeries.value;
+        if (!series || series.proceduralSource) {
+            return false;
+        }
+
+        return series.startReplay(replay);
+    }
+
+    function stopRibbonReplay() {
+        ctx.ribbonSeries.value?.stopReplay();
+    }
+
     /**
      * Create ribbon from raw drawing points (2D screen coordinates)
      * This handles the conversion from {x,y} to THREE.Vector3 internally
@@ -277,6 +300,41 @@ export function useRibbonBuilder(ctx) {
         return series;
     }
 
+    /**
+     * Replace the current ribbon with an empty series for live paths (see
+     * RibbonSeries.updateLivePaths); it builds itself on the first update.
+     */
+    function createLiveRibbon() {
+        if (!ctx.scene.value || !ctx.tileManager.value) {
+            console.error('[ThreeSetup] Cannot create live ribbon - not initialized');
+            return null;
+        }
+
+        if (ctx.ribbon.value) {
+            ctx.ribbon.value.dispose();
+            ctx.ribbon.value = null;
+        }
+
+        if (ctx.ribbonSeries.value) {
+            ctx.ribbonSeries.value.dispose();
+            ctx.ribbonSeries.value = null;
+        }
+
+        ctx.ribbonSeries.value = new RibbonSeries(ctx.scene.value);
+        applyTileManagersToSeries(ctx.ribbonSeries.value);
+        ctx.ribbonSeries.value.setHelixOptions({
+            ...ctx.app.helixOptions,
+            helixMode: false,
+            sphericalProjectionEnabled: false,
+        });
+        ctx.ribbonSeries.value.setNormalizeTextureOrientation(ctx.app.normalizeTextureOrientation);
+
+        ctx.cinematicCamera.clearROIs();
+        ctx.app.setProceduralPathMode?.(null);
+
+        return ctx.ribbonSeries.value;
+    }
+
     /**
      * Rebuild existing ribbons with new textures
      */
@@ -310,6 +368,11 @@ export function useRibbonBuilder(ctx) {
                 return;
             }
 
+            if (ctx.ribbonSeries.value.replaySource) {
+                ctx.ribbonSeries.value.refreshReplay();
+                return;
+            }
+
             // Rebuild ribbon series with new textures
             const sourcePaths = ctx.ribbonSeries.value.sourcePathsPoints?.length
                 ? ctx.ribbonSeries.value.sourcePathsPoints
@@ -641,6 +704,11 @@ export function useRibbonBuilder(ctx) {
 
         ctx.ribbonSeries.value.setHelixOptions(options);
 
+        if (ctx.ribbonSeries.value.replaySource) {
+            ctx.ribbonSeries.value.refreshReplay();
+            return;
+        }
+
         // Rebuild geometry with new helix params
         if (ctx.ribbonSeries.value.lastPathsPoints && ctx.ribbonSeries.value.lastPathsPoints.length > 0) {
             ctx.ribbonSeries.value.rebuildUpdate(performance.now() / 1000);
@@ -657,6 +725,9 @@ export function useRibbonBuilder(ctx) {
         createProceduralRibbon,
         updateProceduralRibbon,
         updateProceduralRibbonSettings,
+        createLiveRibbon,
+        startRibbonReplay,
+        stopRibbonReplay,
         rebuildRibbonsWithNewTextures,
         setFlowState,
         setFlowSpeed,
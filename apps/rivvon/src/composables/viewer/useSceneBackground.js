@@ -2,10 +2,21 @@
 // Scene background management via a camera-locked textured plane.
 
 import * as THREE from "three";
-import { getBackgroundTextureOption } from "../../modules/viewer/backgroundTextures.js";
+import {
+  BACKGROUND_TEXTURE_SOURCES,
+  getBackgroundTextureOption,
+  normalizeBackgroundTexture,
+  serializeBackgroundTexture,
+} from "../../modules/viewer/backgroundTextures.js";
+import {
+  PROCEDURAL_BACKGROUND_SIZE,
+  renderProceduralBackground,
+} from "../../modules/viewer/proceduralBackgrounds.js";
+import { getBackgroundImage, getTextureSet } from "../../services/localStorage.js";
 
 const BACKGROUND_DISTANCE = 100;
 const BACKGROUND_RENDER_ORDER = -10000;
+const BACKGROUND_PLANE_NAME = "RivvonCameraLockedBackground";
 const REALTIME_BLUR_MAX_SIDE = 384;
 const MAX_BACKGROUND_BLUR_AMOUNT = 200;
 const MAX_BACKGROUND_BLUR_RADIUS_PASSES = 128;
@@ -13,6 +24,9 @@ const MAX_REALTIME_GAUSSIAN_PASSES = 6;
 const BACKGROUND_FLOW_TIME_ORIGIN =
   typeof performance !== "undefined" ? performance.now() : Date.now();
 const BACKGROUND_TEXTURE_CACHE = new Map();
+// Uploaded, saved-texture and procedural backgrounds: only the current one
+// is kept, so changing parameters does not pile up GPU textures
+let customBackgroundTexture = null;
 
 function positiveModulo(value, modulus) {
   if (!modulus) return 0;
@@ -183,33 +197,91 @@ function getBackgroundTimeSeconds(renderOptions = {}) {
   );
 }
 
-async function loadBackgroundTexture(ctx) {
-  if (!ctx.app.backgroundTextureEnabled) {
+function configureBackgroundTexture(texture) {
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+async function loadBackgroundTextureFromUrl(url) {
+  const loader = new THREE.TextureLoader();
+  loader.crossOrigin = "anonymous";
+  const texture = await new Promise((resolve, reject) => {
+    loader.load(url, resolve, undefined, reject);
+  });
+  return configureBackgroundTexture(texture);
+}
+
+async function createCustomBackgroundTexture(selection) {
+  if (selection.source === BACKGROUND_TEXTURE_SOURCES.PROCEDURAL) {
+    const size = PROCEDURAL_BACKGROUND_SIZE;
+    const pixels = renderProceduralBackground(selection.id, selection.params, size);
+    return configureBackgroundTexture(
+      new THREE.DataTexture(pixels, size, size, THREE.RGBAFormat),
+    );
+  }
+
+  if (selection.source === BACKGROUND_TEXTURE_SOURCES.IMAGE) {
+    const record = await getBackgroundImage(selection.id);
+    if (!record?.blob) {
+      console.warn(`[SceneBackground] Background image ${selection.id} is not saved in this browser`);
+      return null;
+    }
+
+    const url = URL.createObjectURL(record.blob);
+    try {
+      return await loadBackgroundTextureFromUrl(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // Saved rivvon textures are KTX2 tile arrays; their thumbnail is the
+  // 2D image that stands in for them here
+  const textureSet = await getTextureSet(selection.id);
+  if (!textureSet?.thumbnail_data_url) {
+    console.warn(`[SceneBackground] Saved texture ${selection.id} has no thumbnail in this browser`);
     return null;
   }
+  return loadBackgroundTextureFromUrl(textureSet.thumbnail_data_url);
+}
 
-  const option = getBackgroundTextureOption(ctx.app.backgroundTexture);
-  if (option.type === "procedural" || !option.url) {
+async function loadBackgroundTexture(ctx) {
+  if (!ctx.app.backgroundTextureEnabled) {
     return null;
   }
-  if (BACKGROUND_TEXTURE_CACHE.has(option.url)) {
+
+  const selection = normalizeBackgroundTexture(ctx.app.backgroundTexture);
+  if (selection.source === BACKGROUND_TEXTURE_SOURCES.PRESET) {
+    const option = getBackgroundTextureOption(selection);
+    if (!BACKGROUND_TEXTURE_CACHE.has(option.url)) {
+      BACKGROUND_TEXTURE_CACHE.set(option.url, await loadBackgroundTextureFromUrl(option.url));
+    }
     return BACKGROUND_TEXTURE_CACHE.get(option.url);
   }
 
-  const loader = new THREE.TextureLoader();
-  loader.crossOrigin = "anonymous";
-  const texture = await new Promise((resolve, reject) => {
-    loader.load(option.url, resolve, undefined, reject);
-  });
+  const key = serializeBackgroundTexture(selection);
+  if (customBackgroundTexture?.key !== key) {
+    const previous = customBackgroundTexture;
+    customBackgroundTexture = { key, texture: createCustomBackgroundTexture(selection) };
+    // Later selections may still be loading; only the latest one is kept
+    previous?.texture.then((texture) => texture?.dispose()).catch(() => {});
+  }
 
-  texture.colorSpace = THREE.SRGBColorSpace;
-  texture.wrapS = THREE.RepeatWrapping;
-  texture.wrapT = THREE.RepeatWrapping;
-  texture.minFilter = THREE.LinearMipmapLinearFilter;
-  texture.magFilter = THREE.LinearFilter;
-  texture.needsUpdate = true;
-  BACKGROUND_TEXTURE_CACHE.set(option.url, texture);
-  return texture;
+  const pending = customBackgroundTexture;
+  try {
+    return await pending.texture;
+  } catch (error) {
+    if (customBackgroundTexture === pending) {
+      customBackgroundTexture = null;
+    }
+    throw error;
+  }
 }
 
 function getBackgroundOverlayState(ctx) {
@@ -445,6 +517,7 @@ function getBackgroundFlowPosition(ctx, tileManager, timeSeconds = null) {
 export function useSceneBackground(ctx) {
   let activeRuntime = null;
   let backgroundGenerationToken = 0;
+  let backgroundSuppressed = false;
 
   function disposeBackground() {
     backgroundGenerationToken += 1;
@@ -562,13 +635,32 @@ export function useSceneBackground(ctx) {
   }
 
   function updateBackground(renderOptions = {}) {
+    const plane = ctx.camera.value?.getObjectByName(BACKGROUND_PLANE_NAME);
+    if (plane) {
+      plane.visible = !backgroundSuppressed;
+    }
+
+    if (backgroundSuppressed) {
+      return;
+    }
+
     activeRuntime?.update?.(renderOptions);
   }
 
+  /**
+   * Hide the background plane without tearing it down, so transparent
+   * exports render ribbons over a clear (alpha 0) canvas.
+   * @param {boolean} suppressed
+   */
+  function setBackgroundSuppressed(suppressed) {
+    backgroundSuppressed = !!suppressed;
+  }
+
   return {
     disposeBackground,
     setBackgroundFromTileManager,
     setBackgroundFromUrl,
+    setBackgroundSuppressed,
     updateBackground,
   };
 }
@@ -579,7 +671,7 @@ function attachCameraBackgroundPlane(ctx, material) {
   const geometry = new THREE.PlaneGeometry(1, 1);
   const mesh = new THREE.Mesh(geometry, material);
 
-  mesh.name = "RivvonCameraLockedBackground";
+  mesh.name = BACKGROUND_PLANE_NAME;
   mesh.frustumCulled = false;
   mesh.renderOrder = BACKGROUND_RENDER_ORDER;
   mesh.position.set(0, 0, -BACKGROUND_DISTANCE);
@@ -1,5 +1,6 @@
 // src/composables/viewer/useSceneExport.js
-// Scene export: PNG image, legacy WebM video, and frame-accurate MP4/WebM via WebCodecs
+// Scene export: PNG image, legacy WebM video, frame-accurate MP4/WebM via WebCodecs,
+// and GIF/APNG/PNG-sequence from the same deterministic frame loop
 
 import { Quaternion, Vector3 } from 'three';
 import { EXPORT_LOGO_DEFAULT_CORNER, drawExportLogoOverlay, loadExportLogoAsset } from '../../modules/viewer/exportLogoOverlay';
@@ -9,7 +10,20 @@ import {
     getSeamlessLoopDuration as getSharedSeamlessLoopDuration,
     normalizeSeamlessLoopCount,
 } from '../../modules/viewer/seamlessLoop.js';
+import { getCrossSectionPlaybackMode } from '../../modules/slyce/crossSectionStrategies.js';
+import { sampleOrbitTake } from '../../modules/viewer/orbitRecording.js';
+import {
+    createAnimatedImageEncoder,
+    getAnimatedImageMimeType,
+    isAnimatedImageFormat,
+} from '../../modules/viewer/animatedImageExport.js';
+import {
+    createSoundtrackBuffer,
+    decodeSoundtrackFile,
+    getSoundtrackCodec,
+} from '../../modules/viewer/exportSoundtrack.js';
 
+const PNG_SEQUENCE_FORMAT = 'png-sequence';
 const EXPORT_CIRCULAR_TURN_RADIANS = Math.PI * 2;
 const EXPORT_WORLD_UP = new Vector3(0, 1, 0);
 
@@ -186,7 +200,7 @@ export function useSceneExport(ctx, deps = {}) {
 
         const layerCount = tm.getLayerCount?.() ?? 0;
         const fps = tm.getFps?.() ?? 30;
-        const variant = tm.variant === 'planes' ? 'planes' : 'waves';
+        const variant = getCrossSectionPlaybackMode(tm.variant);
         const textureAnimationEnabled = tm.isLayerAnimationEnabled?.() ?? true;
         const textureCyclePeriod = textureAnimationEnabled && layerCount > 1 ? (tm.getLayerCyclePeriod?.() ?? 0) : 0;
         const undulationPeriod = ctx.app.undulationEnabled ? (tm.getOptimalUndulationPeriod?.(3.0) ?? 0) : 0;
@@ -265,8 +279,11 @@ export function useSceneExport(ctx, deps = {}) {
         ];
 
         const cinematicDuration = ctx.cinematicCamera.getLoopDuration();
+        // An authored timeline is exported exactly as edited, never stretched
         const cinematicAutoDuration = ctx.cinematicCamera.hasROIs.value
-            ? alignDurations(cinematicDuration, seamlessLoopDuration, fps)
+            ? (ctx.cinematicCamera.hasTimeline.value
+                ? cinematicDuration
+                : alignDurations(cinematicDuration, seamlessLoopDuration, fps))
             : seamlessLoopDuration;
 
         return {
@@ -626,6 +643,7 @@ export function useSceneExport(ctx, deps = {}) {
         // 3. Update wave undulation at the exact synthetic time
         if (ctx.ribbonSeries.value) {
             ctx.ribbonSeries.value.updateProcedural?.(waveTime);
+            ctx.ribbonSeries.value.updateReplay?.(waveTime);
             ctx.ribbonSeries.value.update(waveTime);
         }
 
@@ -643,22 +661,37 @@ export function useSceneExport(ctx, deps = {}) {
      * Frame-accurate video export using WebCodecs via mediabunny.
      * Pauses the live render loop, resizes the renderer, renders each frame
      * under a synthetic clock, encodes via CanvasSource, and restores state.
+     * GIF and APNG run the same loop but read each frame back from a 2D
+     * compositor canvas and encode it in JS instead; a PNG sequence zips
+     * each composited frame as its own file.
+     *
+     * With transparentBackground the scene background plane is skipped, so
+     * the canvas alpha (ribbon edges, transparent shadows) reaches formats
+     * that can keep it: PNG sequence, APNG and WebM (VP9 alpha, where the
+     * browser's encoder supports it). Other formats ignore the option.
+     *
+     * A soundtrack is trimmed or looped to the export length and muxed
+     * alongside the video: AAC in MP4, Opus in WebM.
      *
      * @param {Object} options
      * @param {number} options.width - Output width in pixels (default: 1920)
      * @param {number} options.height - Output height in pixels (default: 1080)
      * @param {number} options.fps - Frames per second (default: 30)
-     * @param {string} options.format - 'mp4' | 'webm' (default: 'mp4')
+     * @param {string} options.format - 'mp4' | 'webm' | 'gif' | 'apng' | 'png-sequence' (default: 'mp4')
      * @param {number|null} options.duration - Duration in seconds, or null for auto (one seamless loop)
     * @param {number} options.loopCount - Number of seamless auto loops when duration is null (default: 1)
      * @param {string} options.filename - Output filename
      * @param {Function} options.onProgress - Progress callback (0-1)
      * @param {Function} options.onStatus - Status text callback
      * @param {AbortSignal} options.signal - Optional AbortSignal to cancel export
-    * @param {string} options.artworkMotionMode - 'none' | 'cinematic' | 'circularTilt' | 'circularOrbit' | 'circularOrbitReverse'
+    * @param {string} options.artworkMotionMode - 'none' | 'cinematic' | 'circularTilt' | 'circularOrbit' | 'circularOrbitReverse' | 'recordedOrbit'
      * @param {string} options.logoOverlayCorner - Export logo corner for video overlays
      * @param {string} options.quality - 'very-low' | 'low' | 'medium' | 'high' | 'very-high' (default: 'very-high')
-     * @returns {Promise<Blob|null>} The encoded video blob, or null on cancel
+     * @param {boolean} options.dither - Floyd–Steinberg dithering for GIF palettes (default: true)
+     * @param {boolean} options.transparentBackground - Skip background layers and keep alpha (default: false)
+     * @param {boolean} options.audioReactive - Drive audio-reactive parameters from the loaded audio file, analysed per frame (default: false)
+     * @param {Object|null} options.soundtrack - { file, offset, loop, fadeIn, fadeOut } to mux into MP4/WebM (default: null)
+     * @returns {Promise<Blob|null>} The encoded video, animated image or ZIP blob, or null on cancel
      */
     async function exportVideo(options = {}) {
         const {
@@ -676,6 +709,10 @@ export function useSceneExport(ctx, deps = {}) {
             quality = 'very-high',
             logoOverlayEnabled = true,
             logoOverlayCorner = 'bottomLeft',
+            dither = true,
+            transparentBackground = false,
+            audioReactive = false,
+            soundtrack = null,
         } = options;
 
         if (!ctx.renderer.value || !ctx.scene.value || !ctx.camera.value || !ctx.tileManager.value) {
@@ -683,17 +720,33 @@ export function useSceneExport(ctx, deps = {}) {
             return null;
         }
 
+        const animatedImage = isAnimatedImageFormat(format);
+        const pngSequence = format === PNG_SEQUENCE_FORMAT;
+        const videoOutput = !animatedImage && !pngSequence;
+        const keepAlpha = transparentBackground && (format === 'webm' || format === 'apng' || pngSequence);
+
         // Lazy-import mediabunny to keep it tree-shaken out of the main bundle
-        const MB = await import('mediabunny');
+        const MB = videoOutput ? await import('mediabunny') : null;
 
         // Check WebCodecs support
-        if (typeof VideoEncoder === 'undefined') {
+        if (videoOutput && typeof VideoEncoder === 'undefined') {
             throw new Error('WebCodecs API is not available in this browser. Use Chrome 94+, Edge 94+, or Firefox 130+.');
         }
 
+        if (keepAlpha && format === 'webm' && !(await MB.canEncodeVideo('vp9', { width, height, alpha: 'keep' }))) {
+            throw new Error('This browser cannot encode VP9 with alpha. Export a PNG sequence or APNG for transparency instead.');
+        }
+
+        const audioCodec = videoOutput && soundtrack?.file ? getSoundtrackCodec(format) : null;
+        if (audioCodec && !(await MB.canEncodeAudio(audioCodec))) {
+            throw new Error(`This browser cannot encode ${audioCodec === 'aac' ? 'AAC' : 'Opus'} audio. Export without a soundtrack or try the other video format.`);
+        }
+
         // --- Determine codec ---
         let OutputFormat, codec;
-        if (format === 'webm') {
+        if (!videoOutput) {
+            codec = format;
+        } else if (format === 'webm') {
             OutputFormat = MB.WebMOutputFormat;
             codec = 'vp9';
         } else {
@@ -705,17 +758,28 @@ export function useSceneExport(ctx, deps = {}) {
         const loopDuration = getSeamlessLoopDuration();
         // When cinematic is active and no explicit duration, use the cinematic timeline duration.
         // Note: exportDuration may be updated later by prepareForExport if auto-ROIs are generated.
+        const orbitTake = artworkMotionMode === 'recordedOrbit'
+            ? (ctx.orbitRecorder?.take.value ?? null)
+            : null;
         let exportDuration;
         if (duration != null) {
             exportDuration = duration;
+        } else if (orbitTake) {
+            // Takes are trimmed to whole seamless loops when recorded
+            exportDuration = orbitTake.duration;
         } else if (artworkMotionMode === 'cinematic' && ctx.cinematicCamera.hasROIs.value) {
             const cinematicDuration = ctx.cinematicCamera.getLoopDuration();
             // Align with texture loop: snap to nearest frame boundary that is
             // >= cinematic duration and a near-integer multiple of the texture loop.
             // Cap at 2× cinematic duration to prevent excessively long exports.
-            exportDuration = alignDurations(cinematicDuration, loopDuration, fps);
+            // Authored timelines keep their exact length.
+            exportDuration = ctx.cinematicCamera.hasTimeline.value
+                ? cinematicDuration
+                : alignDurations(cinematicDuration, loopDuration, fps);
         } else {
-            exportDuration = loopDuration;
+            // A running replay sets the length so the route finishes growing
+            const replayDuration = ctx.ribbonSeries.value?.getReplayDuration?.() ?? 0;
+            exportDuration = replayDuration > 0 ? replayDuration : loopDuration;
         }
         const normalizedLoopCount = normalizeSeamlessLoopCount(loopCount);
         const deltaSec = 1 / fps;
@@ -728,6 +792,7 @@ export function useSceneExport(ctx, deps = {}) {
         const savedCameraPos = ctx.camera.value.position.clone();
         const savedCameraQuat = ctx.camera.value.quaternion.clone();
         const savedControlsTarget = ctx.controls.value?.target?.clone() ?? null;
+        const savedCameraFov = ctx.camera.value.fov;
 
         // --- Cinematic camera setup for export ---
         let cinematicReady = false;
@@ -749,6 +814,10 @@ export function useSceneExport(ctx, deps = {}) {
             }
         }
 
+        if (artworkMotionMode === 'recordedOrbit' && !orbitTake) {
+            console.warn('[ThreeSetup] Recorded orbit requested but no take is recorded — camera will stay fixed');
+        }
+
         if (duration == null && normalizedLoopCount > 1) {
             exportDuration *= normalizedLoopCount;
         }
@@ -770,9 +839,31 @@ export function useSceneExport(ctx, deps = {}) {
         console.log(`[ThreeSetup] Frame-accurate export: ${totalFrames} frames, ${exportDuration.toFixed(2)}s @ ${fps}fps, ${format}/${codec}, ${width}×${height}`);
         if (onStatus) onStatus(`Preparing ${format.toUpperCase()} export…`);
 
+        // Decode before pausing so a bad file fails without touching the scene
+        let decodedSoundtrack = null;
+        if (audioCodec) {
+            try {
+                decodedSoundtrack = await decodeSoundtrackFile(soundtrack.file);
+            } catch (error) {
+                throw new Error(`Could not decode the soundtrack: ${error?.message || error}`);
+            }
+        }
+
         // --- Pause live render loop ---
         deps.pauseRenderLoop?.();
 
+        // Formats that drop alpha keep the background rather than render on black
+        if (keepAlpha) {
+            deps.setBackgroundSuppressed?.(true);
+        }
+
+        // Live audio modulation is cleared either way; with audioReactive the
+        // loaded audio file is analysed offline at every frame time
+        const audioDriven = ctx.audioReactive?.beginExport?.({ offline: audioReactive }) ?? false;
+        if (audioReactive && !audioDriven) {
+            console.warn('[ThreeSetup] Audio-reactive export requested but no audio file is loaded — parameters stay neutral');
+        }
+
         try {
             // --- Resize renderer for export ---
             ctx.renderer.value.setPixelRatio(1); // Exact pixel output
@@ -822,22 +913,7 @@ export function useSceneExport(ctx, deps = {}) {
             // Flow materials cache concrete tile pairs on the meshes, so rebuild
             // them to match the reset state before rendering frame 0.
             ctx.ribbonSeries.value?.initFlowMaterials?.();
-
-            // --- Create mediabunny output ---
-            const output = new MB.Output({
-                format: new OutputFormat(),
-                target: new MB.BufferTarget()
-            });
-
-            // Map quality preset to mediabunny subjective quality constants
-            const qualityMap = {
-                'very-low': MB.QUALITY_VERY_LOW,
-                'low': MB.QUALITY_LOW,
-                'medium': MB.QUALITY_MEDIUM,
-                'high': MB.QUALITY_HIGH,
-                'very-high': MB.QUALITY_VERY_HIGH,
-            };
-            const bitrate = qualityMap[quality] ?? MB.QUALITY_VERY_HIGH;
+            ctx.ribbonSeries.value?.resetReplayClock?.();
 
             const renderCanvas = ctx.renderer.value.domElement;
             let exportCanvas = renderCanvas;
@@ -846,23 +922,74 @@ export function useSceneExport(ctx, deps = {}) {
 
             if (logoOverlayEnabled) {
                 exportLogoAsset = await loadExportLogoAsset();
+            }
+
+            // Animated images and PNG sequences always read back from a 2D canvas
+            if (logoOverlayEnabled || !videoOutput) {
                 exportCanvas = document.createElement('canvas');
                 exportCanvas.width = width;
                 exportCanvas.height = height;
-                exportCanvasContext = exportCanvas.getContext('2d', { alpha: true });
+                exportCanvasContext = exportCanvas.getContext('2d', { alpha: true, willReadFrequently: animatedImage });
 
                 if (!exportCanvasContext) {
                     throw new Error('Failed to create export overlay compositor.');
                 }
             }
 
-            const videoSource = new MB.CanvasSource(exportCanvas, {
-                codec,
-                bitrate
-            });
-            output.addVideoTrack(videoSource);
+            let output = null;
+            let videoSource = null;
+            let audioSource = null;
+            let imageEncoder = null;
+            let frameSequence = null;
+
+            if (animatedImage) {
+                imageEncoder = createAnimatedImageEncoder({ format, width, height, fps, dither, alpha: keepAlpha });
+            } else if (pngSequence) {
+                const { createImageSequenceZip } = await import('../../modules/slyce/zipDownloader.js');
+                frameSequence = createImageSequenceZip({ extension: 'png' });
+            } else {
+                // --- Create mediabunny output ---
+                output = new MB.Output({
+                    format: new OutputFormat(),
+                    target: new MB.BufferTarget()
+                });
+
+                // Map quality preset to mediabunny subjective quality constants
+                const qualityMap = {
+                    'very-low': MB.QUALITY_VERY_LOW,
+                    'low': MB.QUALITY_LOW,
+                    'medium': MB.QUALITY_MEDIUM,
+                    'high': MB.QUALITY_HIGH,
+                    'very-high': MB.QUALITY_VERY_HIGH,
+                };
+                const bitrate = qualityMap[quality] ?? MB.QUALITY_VERY_HIGH;
+
+                videoSource = new MB.CanvasSource(exportCanvas, {
+                    codec,
+                    bitrate,
+                    ...(keepAlpha ? { alpha: 'keep' } : {}),
+                });
+                output.addVideoTrack(videoSource);
+
+                if (decodedSoundtrack) {
+                    audioSource = new MB.AudioBufferSource({
+                        codec: audioCodec,
+                        bitrate: MB.QUALITY_HIGH,
+                    });
+                    output.addAudioTrack(audioSource);
+                }
 
-            await output.start();
+                await output.start();
+
+                // The whole track is known up front, so it goes in before any frames
+                if (audioSource) {
+                    if (onStatus) onStatus('Encoding soundtrack…');
+                    await audioSource.add(createSoundtrackBuffer(decodedSoundtrack, {
+                        ...soundtrack,
+                        duration: totalFrames / fps,
+                    }));
+                }
+            }
 
             if (onStatus) onStatus(`Encoding ${totalFrames} frames…`);
 
@@ -871,7 +998,7 @@ export function useSceneExport(ctx, deps = {}) {
                 // Check for cancellation
                 if (signal?.aborted) {
                     console.log('[ThreeSetup] Export cancelled by user');
-                    await output.finalize();
+                    await output?.finalize();
                     return null;
                 }
 
@@ -883,6 +1010,16 @@ export function useSceneExport(ctx, deps = {}) {
                     ctx.cinematicCamera.getInstance().updateAtTime(t);
                 }
 
+                if (orbitTake) {
+                    const orbitFrame = sampleOrbitTake(orbitTake, t);
+                    ctx.camera.value.position.set(orbitFrame.position.x, orbitFrame.position.y, orbitFrame.position.z);
+                    ctx.camera.value.lookAt(orbitFrame.target.x, orbitFrame.target.y, orbitFrame.target.z);
+                    if (ctx.camera.value.fov !== orbitFrame.fov) {
+                        ctx.camera.value.fov = orbitFrame.fov;
+                        ctx.camera.value.updateProjectionMatrix();
+                    }
+                }
+
                 if (circularTiltReady) {
                     const motionProgress = totalFrames <= 1 ? 0 : frame / (totalFrames - 1);
                     circularTiltController.apply(getCircularTiltAnglesAtProgress(motionProgress));
@@ -902,6 +1039,10 @@ export function useSceneExport(ctx, deps = {}) {
                     circularOrbitRoot.updateMatrixWorld(true);
                 }
 
+                if (audioDriven) {
+                    ctx.audioReactive.renderAtTime(t, animationDelta);
+                }
+
                 // Render this frame at the exact synthetic time
                 renderFrameAtTime(t, animationDelta, {
                     blurMode: 'export',
@@ -909,9 +1050,12 @@ export function useSceneExport(ctx, deps = {}) {
                     height,
                 });
 
-                if (exportCanvasContext && exportLogoAsset) {
+                if (exportCanvasContext) {
                     exportCanvasContext.clearRect(0, 0, width, height);
                     exportCanvasContext.drawImage(renderCanvas, 0, 0, width, height);
+                }
+
+                if (exportCanvasContext && exportLogoAsset) {
                     drawExportLogoOverlay(
                         exportCanvasContext,
                         exportLogoAsset.image,
@@ -922,8 +1066,14 @@ export function useSceneExport(ctx, deps = {}) {
                     );
                 }
 
-                // Feed the rendered frame to mediabunny
-                await videoSource.add(t, deltaSec);
+                if (imageEncoder) {
+                    await imageEncoder.addFrame(exportCanvasContext.getImageData(0, 0, width, height).data);
+                } else if (frameSequence) {
+                    frameSequence.addFrame(await canvasToBlob(exportCanvas, 'image/png', false));
+                } else {
+                    // Feed the rendered frame to mediabunny
+                    await videoSource.add(t, deltaSec);
+                }
 
                 // Report progress
                 if (onProgress) onProgress((frame + 1) / totalFrames);
@@ -931,17 +1081,38 @@ export function useSceneExport(ctx, deps = {}) {
 
             // --- Finalize ---
             if (onStatus) onStatus('Finalizing…');
-            await output.finalize();
 
-            const buffer = output.target.buffer;
-            const mimeType = format === 'webm' ? 'video/webm' : 'video/mp4';
-            const blob = new Blob([buffer], { type: mimeType });
+            let blob;
+            if (imageEncoder) {
+                blob = new Blob([imageEncoder.finish()], { type: getAnimatedImageMimeType(format) });
+            } else if (frameSequence) {
+                blob = await frameSequence.finish({
+                    generatedBy: 'Rivvon',
+                    generatedAt: new Date().toISOString(),
+                    width,
+                    height,
+                    fps,
+                    duration: exportDuration,
+                    transparentBackground,
+                });
+            } else {
+                await output.finalize();
+
+                const buffer = output.target.buffer;
+                const mimeType = format === 'webm' ? 'video/webm' : 'video/mp4';
+                blob = new Blob([buffer], { type: mimeType });
+            }
 
             console.log(`[ThreeSetup] Export complete: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
 
             return blob;
         } finally {
             circularTiltController?.deactivate({ restoreBaseline: true });
+            ctx.audioReactive?.endExport?.();
+
+            if (keepAlpha) {
+                deps.setBackgroundSuppressed?.(false);
+            }
 
             if (circularOrbitRoot && circularOrbitBasePosition && circularOrbitBaseQuaternion) {
                 circularOrbitRoot.position.copy(circularOrbitBasePosition);
@@ -956,6 +1127,7 @@ export function useSceneExport(ctx, deps = {}) {
                 savedHeight / savedPixelRatio
             );
             ctx.camera.value.aspect = savedAspect;
+            ctx.camera.value.fov = savedCameraFov;
             ctx.camera.value.updateProjectionMatrix();
 
             if (ctx.controls.value) ctx.controls.value.enabled = true;
@@ -976,6 +1148,7 @@ export function useSceneExport(ctx, deps = {}) {
             } else {
                 ctx.tileManager.value.resetAnimationState();
             }
+            ctx.ribbonSeries.value?.resetReplayClock?.();
 
             // Resume live render loop
             deps.resumeRenderLoop?.();
@@ -1003,9 +1176,16 @@ export function useSceneExport(ctx, deps = {}) {
             flowSpeed: tm?.getFlowSpeed?.() ?? 0,
             tileCount: tm?.getTileCount?.() ?? 0,
             hasWebCodecs: typeof VideoEncoder !== 'undefined',
+            hasCompressionStream: typeof CompressionStream !== 'undefined',
+            hasAudioFile: !!ctx.audioReactive?.audioBuffer.value,
+            audioFileName: ctx.audioReactive?.audioBuffer.value ? ctx.audioReactive.sourceName.value : '',
+            audioFile: ctx.audioReactive?.audioFile.value ?? null,
             hasROIs: ctx.cinematicCamera.hasROIs.value,
+            hasCinematicTimeline: ctx.cinematicCamera.hasTimeline.value,
             cinematicDuration: ctx.cinematicCamera.getLoopDuration(),
             cinematicAutoDuration: cycleInfo.cinematicAutoDuration,
+            orbitTakeDuration: ctx.orbitRecorder?.takeDuration.value ?? 0,
+            replayDuration: ctx.ribbonSeries.value?.getReplayDuration?.() ?? 0,
         };
     }
 
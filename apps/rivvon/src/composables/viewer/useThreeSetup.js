@@ -13,6 +13,10 @@ import { useHeadTracking } from "./useHeadTracking";
 import { useMouseTilt } from "./useMouseTilt";
 import { useScrollTilt } from "./useScrollTilt";
 import { useViewerMotion } from "./useViewerMotion";
+import { useOrbitRecorder } from "./useOrbitRecorder";
+import { useAudioReactive } from "./useAudioReactive";
+import { useBodyTracking } from "./useBodyTracking";
+import { useLiveDrawing } from "./useLiveDrawing";
 import { useRenderFilter } from "./useRenderFilter";
 import { useRenderLoop } from "./useRenderLoop";
 import { useSceneBackground } from "./useSceneBackground";
@@ -88,8 +92,12 @@ export function useThreeSetup() {
   ctx.mouseTilt = mouseTilt;
   const scrollTilt = useScrollTilt(ctx);
   ctx.scrollTilt = scrollTilt;
+  const orbitRecorder = useOrbitRecorder(ctx);
+  ctx.orbitRecorder = orbitRecorder;
   const viewerMotion = useViewerMotion(ctx);
   ctx.viewerMotion = viewerMotion;
+  const audioReactive = useAudioReactive(ctx);
+  ctx.audioReactive = audioReactive;
   const renderFilter = useRenderFilter(ctx);
 
   // ── Sub-composables ────────────────────────────────────────────────
@@ -103,10 +111,18 @@ export function useThreeSetup() {
 
   const background = useSceneBackground(ctx);
   const ribbons = useRibbonBuilder(ctx);
+  const bodyTracking = useBodyTracking(ctx, {
+    createLiveRibbon: ribbons.createLiveRibbon,
+  });
+  ctx.bodyTracking = bodyTracking;
+  const liveDrawing = useLiveDrawing(ctx, {
+    createLiveRibbon: ribbons.createLiveRibbon,
+  });
+  ctx.liveDrawing = liveDrawing;
 
   function renderSceneWithBackground(renderOptions = {}) {
     background.updateBackground(renderOptions);
-    renderFilter.renderScene(renderOptions.target ?? null);
+    renderFilter.renderScene(renderOptions.target ?? null, renderOptions);
   }
 
   function updateBackground() {
@@ -123,6 +139,7 @@ export function useThreeSetup() {
     pauseRenderLoop: renderLoop.pauseRenderLoop,
     resumeRenderLoop: renderLoop.resumeRenderLoop,
     renderScene: renderSceneWithBackground,
+    setBackgroundSuppressed: background.setBackgroundSuppressed,
   });
 
   // ── Initialization ─────────────────────────────────────────────────
@@ -313,6 +330,7 @@ export function useThreeSetup() {
     headTracking.detach({ releaseDetector: true });
     scrollTilt.deactivate({ restoreBaseline: false });
     viewerMotion.deactivate({ restore: false });
+    audioReactive.dispose();
     cinematicCamera.dispose();
     renderFilter.disposeRenderFilter();
 
@@ -406,6 +424,11 @@ export function useThreeSetup() {
     createProceduralRibbon: ribbons.createProceduralRibbon,
     updateProceduralRibbon: ribbons.updateProceduralRibbon,
     updateProceduralRibbonSettings: ribbons.updateProceduralRibbonSettings,
+    createLiveRibbon: ribbons.createLiveRibbon,
+    updateLiveDrawing: liveDrawing.setStrokes,
+    endLiveDrawing: liveDrawing.reset,
+    startRibbonReplay: ribbons.startRibbonReplay,
+    stopRibbonReplay: ribbons.stopRibbonReplay,
     clearMultiTextureState: textures.clearMultiTextureState,
     loadTextures: textures.loadTextures,
     loadTexturesFromRemote: textures.loadTexturesFromRemote,
@@ -451,5 +474,8 @@ export function useThreeSetup() {
     mouseTilt,
     scrollTilt,
     viewerMotion,
+    orbitRecorder,
+    audioReactive,
+    bodyTracking,
   };
 }
@@ -6,12 +6,14 @@ import {
 } from "../../modules/viewer/viewerMotion.js";
 import { getCircularTiltAnglesAtProgress } from "../../modules/viewer/mouseTiltMotion.js";
 import { getSeamlessLoopDurationForCount } from "../../modules/viewer/seamlessLoop.js";
+import { sampleOrbitTake } from "../../modules/viewer/orbitRecording.js";
 
 const WORLD_UP = new Vector3(0, 1, 0);
 
 export function useViewerMotion(ctx) {
   let activeMode = "none";
   let activeRoot = null;
+  let activeTake = null;
   let motionStartTime = null;
   let baseline = null;
 
@@ -51,6 +53,10 @@ export function useViewerMotion(ctx) {
         : target,
       baseRight: baseRight.clone(),
       baseUp: baseUp.clone(),
+      cameraPosition: camera.position.clone(),
+      cameraQuaternion: camera.quaternion.clone(),
+      cameraFov: camera.fov,
+      controlsTarget: ctx.controls.value?.target?.clone() ?? null,
     };
     activeRoot = root;
     return true;
@@ -61,18 +67,55 @@ export function useViewerMotion(ctx) {
       return;
     }
 
+    if (activeMode === "recordedOrbit") {
+      restoreCamera();
+    }
+
     baseline.root.position.copy(baseline.position);
     baseline.root.quaternion.copy(baseline.quaternion);
     baseline.root.updateMatrixWorld(true);
   }
 
+  // Replay mutes orbit input through the per-gesture flags rather than
+  // `enabled`, which cinematic playback and head tracking save and restore.
+  function setControlsInputEnabled(enabled) {
+    const controls = ctx.controls.value;
+    if (!controls) {
+      return;
+    }
+
+    controls.enableRotate = enabled;
+    controls.enablePan = enabled;
+    controls.enableZoom = enabled;
+  }
+
+  function restoreCamera() {
+    const camera = ctx.camera.value;
+    const controls = ctx.controls.value;
+    if (!camera) {
+      return;
+    }
+
+    camera.position.copy(baseline.cameraPosition);
+    camera.quaternion.copy(baseline.cameraQuaternion);
+    camera.fov = baseline.cameraFov;
+    camera.updateProjectionMatrix();
+    if (controls && baseline.controlsTarget) {
+      controls.target.copy(baseline.controlsTarget);
+    }
+  }
+
   function deactivate({ restore = true } = {}) {
+    if (activeMode === "recordedOrbit") {
+      setControlsInputEnabled(true);
+    }
     if (restore) {
       restoreBaseline();
     }
 
     activeMode = "none";
     activeRoot = null;
+    activeTake = null;
     motionStartTime = null;
     baseline = null;
   }
@@ -84,6 +127,12 @@ export function useViewerMotion(ctx) {
 
     activeMode = mode;
     motionStartTime = now;
+
+    if (mode === "recordedOrbit") {
+      // The take drives the camera; hand control back on deactivate
+      activeTake = ctx.orbitRecorder?.take.value ?? null;
+      setControlsInputEnabled(false);
+    }
     return true;
   }
 
@@ -95,12 +144,24 @@ export function useViewerMotion(ctx) {
       return "none";
     }
 
-    return normalizeArtworkMotionMode(ctx.app.artworkMotionMode);
+    const mode = normalizeArtworkMotionMode(ctx.app.artworkMotionMode);
+    if (
+      mode === "recordedOrbit" &&
+      (!ctx.orbitRecorder?.take.value || ctx.orbitRecorder.isRecording.value)
+    ) {
+      return "none";
+    }
+
+    return mode;
   }
 
   function syncMode(now) {
     const requestedMode = getRequestedMode();
-    if (requestedMode === activeMode && activeRoot === resolveRoot()) {
+    if (
+      requestedMode === activeMode &&
+      activeRoot === resolveRoot() &&
+      (activeMode !== "recordedOrbit" || activeTake === ctx.orbitRecorder.take.value)
+    ) {
       return;
     }
 
@@ -145,12 +206,34 @@ export function useViewerMotion(ctx) {
       .premultiply(orbitRotation);
   }
 
+  function applyRecordedOrbit(seconds) {
+    const frame = sampleOrbitTake(activeTake, seconds);
+    const camera = ctx.camera.value;
+    if (!frame || !camera) {
+      return;
+    }
+
+    camera.position.set(frame.position.x, frame.position.y, frame.position.z);
+    camera.lookAt(frame.target.x, frame.target.y, frame.target.z);
+    ctx.controls.value?.target.set(frame.target.x, frame.target.y, frame.target.z);
+    if (camera.fov !== frame.fov) {
+      camera.fov = frame.fov;
+      camera.updateProjectionMatrix();
+    }
+  }
+
   function tick(now) {
     syncMode(now);
     if (activeMode === "none" || motionStartTime == null || !baseline) {
       return;
     }
 
+    if (activeMode === "recordedOrbit") {
+      // Takes are already trimmed to whole seamless loops
+      applyRecordedOrbit(Math.max(0, now - motionStartTime) / 1000);
+      return;
+    }
+
     const motionDuration = getSeamlessLoopDurationForCount(
       ctx.tileManager.value,
       ctx.app.viewerMotionLoopCount,
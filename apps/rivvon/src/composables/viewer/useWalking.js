@@ -1,4 +1,4 @@
-import { ref, shallowRef, onUnmounted } from 'vue';
+import { ref, shallowRef, onUnmounted, watch } from 'vue';
 import { useViewerStore } from '../../stores/viewerStore';
 import { WalkingManager } from '../../modules/viewer/walking';
 
@@ -14,6 +14,11 @@ export function useWalking() {
     const accuracyMeters = ref(null);
     const isTracking = ref(false);
     const hasLocated = ref(false);
+    const isImportedRoute = ref(false);
+    const routeName = ref(null);
+    const mapProviderId = ref(null);
+    const mapTheme = ref('dark');
+    const mapProviderError = ref(null);
 
     function syncState(nextState) {
         status.value = nextState.status;
@@ -23,6 +28,11 @@ export function useWalking() {
         accuracyMeters.value = nextState.accuracyMeters;
         isTracking.value = nextState.isTracking;
         hasLocated.value = nextState.hasLocated;
+        isImportedRoute.value = nextState.isImportedRoute;
+        routeName.value = nextState.routeName;
+        mapProviderId.value = nextState.mapProviderId;
+        mapTheme.value = nextState.mapTheme;
+        mapProviderError.value = nextState.mapProviderError;
     }
 
     function initWalking(mapElement) {
@@ -39,6 +49,7 @@ export function useWalking() {
             },
             syncState
         );
+        walkingManager.value.setMapSettings(app.walkMapSettings);
 
         return walkingManager.value;
     }
@@ -59,11 +70,27 @@ export function useWalking() {
         return walkingManager.value.finalizeWalk();
     }
 
+    function loadRoute(route) {
+        if (!walkingManager.value) {
+            throw new Error('The walk map is not ready yet.');
+        }
+
+        walkingManager.value.loadRoute(route);
+    }
+
+    function getRoute() {
+        return walkingManager.value?.getRoute() ?? null;
+    }
+
     function clearWalk() {
         walkingManager.value?.clearWalk();
         app.setWalkPointCount(0);
     }
 
+    watch(() => app.walkMapSettings, (settings) => {
+        walkingManager.value?.setMapSettings(settings);
+    });
+
     onUnmounted(() => {
         walkingManager.value?.destroy();
     });
@@ -78,9 +105,16 @@ export function useWalking() {
         accuracyMeters,
         isTracking,
         hasLocated,
+        isImportedRoute,
+        routeName,
+        mapProviderId,
+        mapTheme,
+        mapProviderError,
         initWalking,
         setWalkingMode,
         finalizeWalk,
+        loadRoute,
+        getRoute,
         clearWalk
     };
 }
\ No newline at end of file
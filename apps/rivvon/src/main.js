@@ -42,7 +42,20 @@ loadMaterialSymbols([
     'swap_vert','fast_rewind','wallpaper','blur_on','sync',
     'refresh','link','target','colors','contrast',
     'fit_page_width','vital_signs', 'opacity','branding_watermark',
-    'north_west', 'south_east', 'north_east','south_west' ,'text_select_move_up','blur_linear','block','brightness_6','colorize'
+    'north_west', 'south_east', 'north_east','south_west' ,'text_select_move_up','blur_linear','block','brightness_6','colorize',
+    'timeline','view_timeline',
+    'radio_button_checked',
+    'file_open',
+    'mic','library_music',
+    'search','tune',
+    'grain','casino','gradient',
+    'arrow_upward','arrow_downward','circle','stairs','vignette','blur_circular','brightness_high','exposure','flare',
+    'photo_filter',
+    'brush','ink_eraser','category','layers_clear','line_weight','more_horiz',
+    'accessibility_new','accessibility','back_hand','front_hand','footprint','timelapse','bookmark_add','hourglass_top','error',
+    'window','desktop_windows','straighten','vertical_align_top','vertical_align_bottom',
+    'route',
+    'dark_mode','light_mode','satellite_alt','landscape','replay','preview'
 ]);
 
 
@@ -1,6 +1,6 @@
 import * as THREE from 'three';
 
-const DRAWING_KIND_VALUES = new Set(['gesture', 'walk', 'text', 'emoji', 'svg', 'contour', 'clock', 'sineWave']);
+const DRAWING_KIND_VALUES = new Set(['gesture', 'walk', 'text', 'emoji', 'svg', 'contour', 'clock', 'sineWave', 'body', 'artboard']);
 const DRAWING_STORAGE_PROVIDER_VALUES = new Set(['local', 'google-drive', 'r2']);
 
 function normalizeFiniteNumber(value, fallback = 0) {
@@ -63,6 +63,10 @@ export function getKindLabel(kind) {
             return 'Clock';
         case 'sineWave':
             return 'Wave';
+        case 'body':
+            return 'Body';
+        case 'artboard':
+            return 'Artboard';
         default:
             return 'Drawing';
     }
@@ -222,6 +226,7 @@ export function createDrawingDocument(input = {}) {
         point_count: countDrawingPoints(serializedPaths),
         thumbnail_data_url: input.thumbnailDataUrl || input.thumbnail_data_url || createDrawingThumbnailDataUrl(serializedPaths),
         source: cloneSerializable(input.source),
+        cinematic: cloneSerializable(input.cinematic),
         cached_from: cachedFrom,
         parent_drawing_id: parentDrawingId,
         root_drawing_id: rootDrawingId,
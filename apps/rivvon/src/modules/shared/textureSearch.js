@@ -0,0 +1,136 @@
+// src/modules/shared/textureSearch.js
+// Texture browser search and filters. Published textures are filtered by the
+// API (GET /textures); drafts are local, so the same filters are applied here.
+
+export const TEXTURE_SORT_OPTIONS = Object.freeze([
+    { label: 'Newest', value: 'newest' },
+    { label: 'Most Used', value: 'most-used' },
+    { label: 'Largest', value: 'size' },
+]);
+
+// Tile resolutions and interpolation factors Create Texture can produce
+export const TEXTURE_RESOLUTION_FILTER_OPTIONS = Object.freeze([
+    { label: '256px', value: 256 },
+    { label: '512px', value: 512 },
+    { label: '1024px', value: 1024 },
+]);
+
+export const TEXTURE_FRAME_INTERPOLATION_FILTER_OPTIONS = Object.freeze([
+    { label: 'No interpolation', value: 1 },
+    { label: '2x', value: 2 },
+    { label: '4x', value: 4 },
+    { label: '8x', value: 8 },
+]);
+
+export const DEFAULT_TEXTURE_FILTERS = Object.freeze({
+    search: '',
+    tags: [],
+    crossSectionType: null,
+    tileResolution: null,
+    frameInterpolationFactor: null,
+    sort: 'newest',
+});
+
+function getSearchTerms(search) {
+    return String(search || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Whether anything narrows the result set (sort alone does not).
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function hasActiveTextureFilters(filters = {}) {
+    return getSearchTerms(filters.search).length > 0
+        || (filters.tags?.length ?? 0) > 0
+        || !!filters.crossSectionType
+        || filters.tileResolution != null
+        || filters.frameInterpolationFactor != null;
+}
+
+/**
+ * Query parameters for GET /textures. Empty filters are left out.
+ * @param {Object} filters - DEFAULT_TEXTURE_FILTERS shape, plus optional owner
+ * @returns {URLSearchParams}
+ */
+export function buildTextureListParams(filters = {}) {
+    const params = new URLSearchParams();
+    const search = String(filters.search || '').trim();
+
+    if (search) params.set('q', search);
+    if (filters.tags?.length) params.set('tags', filters.tags.join(','));
+    if (filters.owner) params.set('owner', filters.owner);
+    if (filters.crossSectionType) params.set('crossSectionType', filters.crossSectionType);
+    if (filters.tileResolution != null) params.set('tileResolution', String(filters.tileResolution));
+    if (filters.frameInterpolationFactor != null) {
+        params.set('frameInterpolationFactor', String(filters.frameInterpolationFactor));
+    }
+    if (filters.sort && filters.sort !== DEFAULT_TEXTURE_FILTERS.sort) params.set('sort', filters.sort);
+
+    return params;
+}
+
+/**
+ * Client-side equivalent of the API filters, for texture family cards.
+ * Search terms match word prefixes in the name or description, like the
+ * API's full-text search.
+ * @param {Object} texture - Family card from TextureBrowser
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function matchesTextureFilters(texture, filters = {}) {
+    const terms = getSearchTerms(filters.search);
+    if (terms.length > 0) {
+        const words = getSearchTerms(`${texture.name || ''} ${texture.description || ''}`);
+        if (!terms.every((term) => words.some((word) => word.startsWith(term)))) {
+            return false;
+        }
+    }
+
+    if (filters.tags?.length && !filters.tags.every((tag) => texture.tags?.includes(tag))) {
+        return false;
+    }
+
+    if (filters.crossSectionType && texture.cross_section_type !== filters.crossSectionType) {
+        return false;
+    }
+
+    if (filters.tileResolution != null) {
+        const resolutions = texture.availableResolutions?.length
+            ? texture.availableResolutions
+            : [Number(texture.tile_resolution)];
+        if (!resolutions.includes(Number(filters.tileResolution))) {
+            return false;
+        }
+    }
+
+    if (filters.frameInterpolationFactor != null
+        && Number(texture.frame_interpolation_factor ?? 1) !== Number(filters.frameInterpolationFactor)) {
+        return false;
+    }
+
+    return true;
+}
+
+function getFamilySizeBytes(texture) {
+    return Number(texture.family_size_bytes ?? texture.total_size_bytes ?? 0) || 0;
+}
+
+const TEXTURE_SORT_COMPARATORS = {
+    'newest': () => 0,
+    'most-used': (left, right) => (Number(right.use_count) || 0) - (Number(left.use_count) || 0),
+    'size': (left, right) => getFamilySizeBytes(right) - getFamilySizeBytes(left),
+};
+
+/**
+ * Sort family cards the way the API sorts a page, newest first on ties.
+ * @param {Object[]} textures
+ * @param {string} sort - A TEXTURE_SORT_OPTIONS value
+ * @returns {Object[]} A new array
+ */
+export function sortTextureCards(textures, sort = DEFAULT_TEXTURE_FILTERS.sort) {
+    const compare = TEXTURE_SORT_COMPARATORS[sort] || TEXTURE_SORT_COMPARATORS.newest;
+    return [...textures].sort((left, right) => {
+        return compare(left, right) || (Number(right.created_at) || 0) - (Number(left.created_at) || 0);
+    });
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    buildTextureListParams,
+    hasActiveTextureFilters,
+    matchesTextureFilters,
+    sortTextureCards,
+} from './textureSearch.js';
+
+const draft = {
+    name: 'Ocean Waves',
+    description: 'Blue water at dusk',
+    cross_section_type: 'waves',
+    availableResolutions: [1024, 512],
+    created_at: 100,
+};
+
+describe('buildTextureListParams', () => {
+    it('only sends filters that narrow the listing', () => {
+        expect(buildTextureListParams({ search: ' ink ', tags: ['a', 'b'], tileResolution: 512, sort: 'newest' }).toString())
+            .toBe('q=ink&tags=a%2Cb&tileResolution=512');
+        expect(buildTextureListParams({ sort: 'size' }).toString()).toBe('sort=size');
+        expect(hasActiveTextureFilters({ sort: 'size' })).toBe(false);
+    });
+});
+
+describe('matchesTextureFilters', () => {
+    it('matches word prefixes and any family resolution', () => {
+        expect(matchesTextureFilters(draft, { search: 'oce dus', tileResolution: 512 })).toBe(true);
+        expect(matchesTextureFilters(draft, { search: 'cean' })).toBe(false);
+        expect(matchesTextureFilters(draft, { tileResolution: 256 })).toBe(false);
+        expect(matchesTextureFilters(draft, { tags: ['water'] })).toBe(false);
+        expect(matchesTextureFilters(draft, { frameInterpolationFactor: 1 })).toBe(true);
+    });
+});
+
+describe('sortTextureCards', () => {
+    it('sorts by the chosen key and falls back to newest', () => {
+        const cards = [
+            { id: 'old', created_at: 1, use_count: 3, total_size_bytes: 10 },
+            { id: 'new', created_at: 2, use_count: 3, family_size_bytes: 5 },
+        ];
+
+        expect(sortTextureCards(cards, 'most-used').map((card) => card.id)).toEqual(['new', 'old']);
+        expect(sortTextureCards(cards, 'size').map((card) => card.id)).toEqual(['old', 'new']);
+    });
+});
@@ -0,0 +1,43 @@
+// src/modules/shared/tileChecksum.js
+// SHA-256 digests for KTX2 tiles. The API verifies them when a tile is
+// written and again before a texture set is completed, and reports them back
+// so an interrupted upload only re-sends what is missing.
+
+/**
+ * Lowercase hex SHA-256 of a Blob or ArrayBuffer.
+ * @param {Blob|ArrayBuffer|ArrayBufferView} data
+ * @returns {Promise<string>}
+ */
+export async function computeSha256Hex(data) {
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Attach a checksum to each upload tile that does not already carry one.
+ * @param {Array<{index: number, blob: Blob, checksum?: string}>} tiles
+ * @returns {Promise<Array<{index: number, blob: Blob, checksum: string}>>}
+ */
+export async function withTileChecksums(tiles) {
+    const hashed = [];
+    for (const tile of tiles) {
+        hashed.push(tile.checksum ? tile : { ...tile, checksum: await computeSha256Hex(tile.blob) });
+    }
+    return hashed;
+}
+
+/**
+ * Tiles that still need uploading: anything the API does not report as
+ * present, valid and carrying the same checksum as the local tile.
+ * @param {Array<{index: number, checksum: string}>} tiles
+ * @param {Array<{tileIndex: number, present: boolean, valid: boolean, checksum: string|null}>} tileStatuses - From GET /texture-set/:id/tiles
+ * @returns {Array} The subset of `tiles`, in order
+ */
+export function selectTilesToUpload(tiles, tileStatuses = []) {
+    const statusByIndex = new Map(tileStatuses.map((status) => [Number(status.tileIndex), status]));
+    return tiles.filter((tile) => {
+        const status = statusByIndex.get(Number(tile.index));
+        return !(status?.present && status.valid && status.checksum === tile.checksum);
+    });
+}
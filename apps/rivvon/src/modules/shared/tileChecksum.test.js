@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+
+import { computeSha256Hex, selectTilesToUpload } from './tileChecksum.js';
+
+describe('computeSha256Hex', () => {
+    it('hashes blobs and buffers alike', async () => {
+        const expected = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+        expect(await computeSha256Hex(new Blob(['abc']))).toBe(expected);
+        expect(await computeSha256Hex(new TextEncoder().encode('abc'))).toBe(expected);
+    });
+});
+
+describe('selectTilesToUpload', () => {
+    const tiles = [
+        { index: 0, checksum: 'a' },
+        { index: 1, checksum: 'b' },
+        { index: 2, checksum: 'c' },
+        { index: 3, checksum: 'd' },
+    ];
+
+    it('skips tiles the API already holds with the same checksum', () => {
+        const statuses = [
+            { tileIndex: 0, present: true, valid: true, checksum: 'a' },
+            { tileIndex: 1, present: false, valid: false, checksum: null },
+            { tileIndex: 2, present: true, valid: false, checksum: 'c' },
+            { tileIndex: 3, present: true, valid: true, checksum: 'stale' },
+        ];
+
+        expect(selectTilesToUpload(tiles, statuses).map((tile) => tile.index)).toEqual([1, 2, 3]);
+    });
+
+    it('uploads everything without a status report', () => {
+        expect(selectTilesToUpload(tiles)).toEqual(tiles);
+    });
+});
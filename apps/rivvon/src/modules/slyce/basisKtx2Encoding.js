@@ -0,0 +1,59 @@
+// basisKtx2Encoding.js
+// Single-layer RGBA → KTX2 (UASTC) encode shared by the browser worker pool
+// and the headless CLI, so both produce byte-identical layers.
+
+/**
+ * Encode one RGBA image to a standalone KTX2 file with a loaded BASIS module.
+ *
+ * @param {Object} Module - Initialized BASIS encoder module
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Tightly packed RGBA8 pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} Encoded KTX2 bytes (a view over a fresh buffer)
+ */
+export function encodeRgbaToKtx2(Module, rgba, width, height) {
+    const { BasisEncoder } = Module;
+
+    // Create encoder instance for this frame
+    const basisEncoder = new BasisEncoder();
+
+    try {
+        // Single-threaded mode (parallelism is managed by the caller)
+        basisEncoder.controlThreading(false, 1);
+
+        // Set up encoding buffer
+        const bufferSize = Math.max(1024 * 1024, width * height * 2);
+        const ktx2FileData = new Uint8Array(bufferSize);
+
+        // Set source image
+        basisEncoder.setSliceSourceImage(
+            0,
+            rgba,
+            width,
+            height,
+            Module.ldr_image_type.cRGBA32.value
+        );
+
+        // Configure settings (matching KTX2Encoder defaults)
+        basisEncoder.setCreateKTX2File(true);
+        basisEncoder.setKTX2UASTCSupercompression(false);
+        basisEncoder.setKTX2SRGBTransferFunc(true);
+        basisEncoder.setFormatMode(1); // UASTC LDR 4x4
+        basisEncoder.setPerceptual(true);
+        basisEncoder.setMipSRGB(true);
+        basisEncoder.setRDOUASTC(false);
+        basisEncoder.setMipGen(true);
+        basisEncoder.setPackUASTCFlags(1);
+
+        const numOutputBytes = basisEncoder.encode(ktx2FileData);
+
+        if (numOutputBytes === 0) {
+            throw new Error('Encoding returned 0 bytes');
+        }
+
+        return new Uint8Array(ktx2FileData.buffer, 0, numOutputBytes);
+    } finally {
+        // Clean up encoder
+        basisEncoder.delete();
+    }
+}
@@ -0,0 +1,508 @@
+// crossSectionStrategies.js
+// Registry of cross-section sampling strategies shared by every tile builder.
+//
+// 'planes' and 'waves' sample a single row or column per layer, so GPU
+// backends keep resolving them in-shader from a scalar sample location.
+// Every other strategy is a "slit" strategy: it maps each output pixel of a
+// tile row to an arbitrary point in the source frame. Slit coordinates are
+// always computed here on the CPU and uploaded as-is, so the canvas, WebGL,
+// WebGPU and WebGPU direct-array builders sample exactly the same points.
+
+export const DEFAULT_CROSS_SECTION_TYPE = 'waves';
+
+// Shader mode ids written into the GPU builders' uniforms.
+export const CROSS_SECTION_SHADER_MODE_PLANES = 0;
+export const CROSS_SECTION_SHADER_MODE_WAVES = 1;
+export const CROSS_SECTION_SHADER_MODE_SLIT = 2;
+
+// Layer playback modes understood by TileManager and the linear renderers.
+export const CROSS_SECTION_PLAYBACK_WRAP = 'waves';
+export const CROSS_SECTION_PLAYBACK_PING_PONG = 'planes';
+
+const strategies = new Map();
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function toFiniteNumber(value, fallback) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : fallback;
+}
+
+function normalizeUnitPoint(point, fallback) {
+    return {
+        x: clamp(toFiniteNumber(point?.x, fallback.x), 0, 1),
+        y: clamp(toFiniteNumber(point?.y, fallback.y), 0, 1),
+    };
+}
+
+function buildCosineDistribution(count) {
+    const distribution = new Float64Array(Math.max(count, 0));
+
+    if (count === 1) {
+        distribution[0] = 0.5;
+        return distribution;
+    }
+
+    for (let i = 0; i < count; i++) {
+        const normalizedIndex = (i / (count - 1)) * Math.PI;
+        distribution[i] = (Math.cos(normalizedIndex) + 1) / 2;
+    }
+
+    return distribution;
+}
+
+function getSlitParameter(pixelIndex, slitLength) {
+    return (pixelIndex + 0.5) / Math.max(slitLength, 1);
+}
+
+/**
+ * Intersect the infinite line `origin + s * direction` with the source frame
+ * and return the visible segment, or null when the line misses the frame.
+ */
+function clipLineToFrame(origin, direction, maxX, maxY) {
+    let sMin = -Infinity;
+    let sMax = Infinity;
+    const axes = [
+        [origin.x, direction.x, maxX],
+        [origin.y, direction.y, maxY],
+    ];
+
+    for (const [start, delta, max] of axes) {
+        if (Math.abs(delta) < 1e-9) {
+            if (start < 0 || start > max) {
+                return null;
+            }
+            continue;
+        }
+
+        const s0 = (0 - start) / delta;
+        const s1 = (max - start) / delta;
+        sMin = Math.max(sMin, Math.min(s0, s1));
+        sMax = Math.min(sMax, Math.max(s0, s1));
+    }
+
+    if (!(sMax >= sMin)) {
+        return null;
+    }
+
+    return {
+        start: { x: origin.x + sMin * direction.x, y: origin.y + sMin * direction.y },
+        end: { x: origin.x + sMax * direction.x, y: origin.y + sMax * direction.y },
+    };
+}
+
+/**
+ * Distance from `origin` along `direction` until the ray leaves the frame.
+ */
+function getRayLengthInFrame(origin, direction, maxX, maxY) {
+    let length = Infinity;
+
+    if (direction.x > 1e-9) length = Math.min(length, (maxX - origin.x) / direction.x);
+    if (direction.x < -1e-9) length = Math.min(length, (0 - origin.x) / direction.x);
+    if (direction.y > 1e-9) length = Math.min(length, (maxY - origin.y) / direction.y);
+    if (direction.y < -1e-9) length = Math.min(length, (0 - origin.y) / direction.y);
+
+    return Number.isFinite(length) ? Math.max(0, length) : 0;
+}
+
+function buildArcLengthTable(points) {
+    const lengths = new Float64Array(points.length);
+
+    for (let i = 1; i < points.length; i++) {
+        lengths[i] = lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+
+    return lengths;
+}
+
+function samplePolylineAt(points, lengths, t, out) {
+    const totalLength = lengths[lengths.length - 1];
+
+    if (points.length === 1 || totalLength <= 0) {
+        out.x = points[0].x;
+        out.y = points[0].y;
+        return out;
+    }
+
+    const target = clamp(t, 0, 1) * totalLength;
+    let segment = 1;
+    while (segment < lengths.length - 1 && lengths[segment] < target) {
+        segment++;
+    }
+
+    const segmentLength = lengths[segment] - lengths[segment - 1];
+    const localT = segmentLength > 0 ? (target - lengths[segment - 1]) / segmentLength : 0;
+    out.x = points[segment - 1].x + (points[segment].x - points[segment - 1].x) * localT;
+    out.y = points[segment - 1].y + (points[segment].y - points[segment - 1].y) * localT;
+    return out;
+}
+
+/**
+ * Register a sampling strategy.
+ *
+ * Axis strategies provide `createAxisResolver(context)` returning
+ * `(layerIndex, frameNumber) => sampleLocation`. Slit strategies provide
+ * `createSlitResolver(context)` returning
+ * `(layerIndex, frameNumber, t, out) => out` where `out` receives a source
+ * pixel position for the normalized slit parameter `t`.
+ */
+export function registerCrossSectionStrategy(definition) {
+    if (!definition?.id) {
+        throw new Error('Cross-section strategies require an id.');
+    }
+
+    if (typeof definition.createAxisResolver !== 'function' && typeof definition.createSlitResolver !== 'function') {
+        throw new Error(`Cross-section strategy "${definition.id}" needs an axis or slit resolver.`);
+    }
+
+    strategies.set(definition.id, Object.freeze({
+        label: definition.id,
+        description: '',
+        playbackMode: CROSS_SECTION_PLAYBACK_PING_PONG,
+        frameInvariant: true,
+        defaultOptions: {},
+        normalizeOptions: () => ({}),
+        ...definition,
+    }));
+}
+
+export function getCrossSectionStrategy(type) {
+    return strategies.get(type) ?? null;
+}
+
+export function listCrossSectionStrategies() {
+    return [...strategies.values()];
+}
+
+export function isKnownCrossSectionType(type) {
+    return strategies.has(type);
+}
+
+export function normalizeCrossSectionType(type, fallback = DEFAULT_CROSS_SECTION_TYPE) {
+    return strategies.has(type) ? type : fallback;
+}
+
+export function isSlitCrossSectionType(type) {
+    return typeof strategies.get(type)?.createSlitResolver === 'function';
+}
+
+/**
+ * Resolve the layer playback mode for a texture's cross-section type.
+ * Unknown or missing types keep the historical 'waves' default.
+ */
+export function getCrossSectionPlaybackMode(type) {
+    return strategies.get(type)?.playbackMode ?? CROSS_SECTION_PLAYBACK_WRAP;
+}
+
+export function normalizeCrossSectionOptions(type, options = {}) {
+    const strategy = strategies.get(type);
+    if (!strategy) {
+        return {};
+    }
+
+    return strategy.normalizeOptions({
+        ...strategy.defaultOptions,
+        ...(options && typeof options === 'object' ? options : {}),
+    });
+}
+
+/**
+ * Build the per-run sampler used by tile builders.
+ *
+ * @param {Object} settings
+ * @param {string} settings.crossSectionType
+ * @param {Object} [settings.crossSectionOptions]
+ * @param {number} settings.crossSectionCount
+ * @param {string} settings.samplingMode - 'rows' or 'columns'
+ * @param {{width: number, height: number}} settings.fileInfo - Scaled source frame size
+ * @param {number} settings.frameCount - Frames used for the whole run
+ * @param {number} [settings.slitLength] - Output pixels per slit (tile width)
+ */
+export function createCrossSectionSampler(settings) {
+    const type = normalizeCrossSectionType(settings.crossSectionType);
+    const strategy = strategies.get(type);
+    const sourceWidth = Number(settings.fileInfo?.width) || 1;
+    const sourceHeight = Number(settings.fileInfo?.height) || 1;
+    const layerCount = Math.max(1, Number(settings.crossSectionCount) || 1);
+    const context = {
+        layerCount,
+        frameCount: Number(settings.frameCount) || 0,
+        sourceWidth,
+        sourceHeight,
+        distributionRange: settings.samplingMode === 'rows' ? sourceHeight : sourceWidth,
+        options: normalizeCrossSectionOptions(type, settings.crossSectionOptions),
+    };
+
+    if (typeof strategy.createAxisResolver === 'function') {
+        const resolveSampleLocation = strategy.createAxisResolver(context);
+
+        return {
+            type,
+            kind: 'axis',
+            shaderMode: strategy.shaderMode,
+            playbackMode: strategy.playbackMode,
+            options: context.options,
+            resolveSampleLocation,
+        };
+    }
+
+    const slitLength = Math.max(1, Number(settings.slitLength ?? settings.tilePlan?.width) || 1);
+    const resolveSlitPoint = strategy.createSlitResolver(context);
+    const point = { x: 0, y: 0 };
+    const maxX = Math.max(sourceWidth - 1, 0);
+    const maxY = Math.max(sourceHeight - 1, 0);
+
+    function fillLayer(layerIndex, frameNumber, target, offset = 0) {
+        for (let pixel = 0; pixel < slitLength; pixel++) {
+            resolveSlitPoint(layerIndex, frameNumber, getSlitParameter(pixel, slitLength), point);
+            target[offset + (pixel * 2)] = clamp(point.x, 0, maxX);
+            target[offset + (pixel * 2) + 1] = clamp(point.y, 0, maxY);
+        }
+        return target;
+    }
+
+    return {
+        type,
+        kind: 'slit',
+        shaderMode: CROSS_SECTION_SHADER_MODE_SLIT,
+        playbackMode: strategy.playbackMode,
+        frameInvariant: strategy.frameInvariant !== false,
+        options: context.options,
+        slitLength,
+        layerCount,
+        /**
+         * Source pixel coordinates for one layer, packed as [x0, y0, x1, y1, ...].
+         */
+        getLayerCoordinates(layerIndex, frameNumber, target = new Float32Array(slitLength * 2)) {
+            return fillLayer(layerIndex, frameNumber, target);
+        },
+        /**
+         * Source pixel coordinates for every layer, packed layer-major so GPU
+         * backends can index them as `layerIndex * slitLength + pixel`.
+         */
+        getCoordinates(frameNumber, target = new Float32Array(layerCount * slitLength * 2)) {
+            for (let layerIndex = 0; layerIndex < layerCount; layerIndex++) {
+                fillLayer(layerIndex, frameNumber, target, layerIndex * slitLength * 2);
+            }
+            return target;
+        },
+    };
+}
+
+/**
+ * Bilinear sample of RGBA8 pixel data at a source pixel position.
+ * Matches GPU linear filtering with clamp-to-edge addressing when the GPU
+ * samples at `(position + 0.5) / size`.
+ */
+export function sampleRgbaBilinear(data, width, height, x, y, out, outOffset = 0) {
+    const x0 = clamp(Math.floor(x), 0, width - 1);
+    const y0 = clamp(Math.floor(y), 0, height - 1);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = clamp(x - x0, 0, 1);
+    const fy = clamp(y - y0, 0, 1);
+    const i00 = (y0 * width + x0) * 4;
+    const i10 = (y0 * width + x1) * 4;
+    const i01 = (y1 * width + x0) * 4;
+    const i11 = (y1 * width + x1) * 4;
+
+    for (let channel = 0; channel < 4; channel++) {
+        const top = data[i00 + channel] + (data[i10 + channel] - data[i00 + channel]) * fx;
+        const bottom = data[i01 + channel] + (data[i11 + channel] - data[i01 + channel]) * fx;
+        out[outOffset + channel] = Math.round(top + (bottom - top) * fy);
+    }
+
+    return out;
+}
+
+registerCrossSectionStrategy({
+    id: 'planes',
+    label: 'Planes',
+    description: 'Each layer samples a fixed row or column, spread with a cosine distribution.',
+    playbackMode: CROSS_SECTION_PLAYBACK_PING_PONG,
+    shaderMode: CROSS_SECTION_SHADER_MODE_PLANES,
+    createAxisResolver({ layerCount, distributionRange }) {
+        const cosineIndices = buildCosineDistribution(layerCount);
+        return (layerIndex) => cosineIndices[layerIndex] * (distributionRange - 1);
+    },
+});
+
+registerCrossSectionStrategy({
+    id: 'waves',
+    label: 'Waves',
+    description: 'Each layer follows a phase-shifted sine through the frame for a seamless loop.',
+    playbackMode: CROSS_SECTION_PLAYBACK_WRAP,
+    shaderMode: CROSS_SECTION_SHADER_MODE_WAVES,
+    frameInvariant: false,
+    createAxisResolver({ layerCount, distributionRange, frameCount }) {
+        const phaseShifts = new Float64Array(layerCount);
+        for (let i = 0; i < layerCount; i++) {
+            phaseShifts[i] = (2 * Math.PI * i) / layerCount;
+        }
+        const waveAmplitude = distributionRange / 2;
+        const waveOffset = distributionRange / 2;
+        const omega = frameCount ? (2 * Math.PI) / frameCount : 0;
+
+        return (layerIndex, frameNumber) => {
+            // Use a continuous global frame index so phase doesn't reset per tile
+            const globalIndex = Math.min(frameNumber, frameCount) - 1;
+            const sampleLocation = waveAmplitude * Math.sin(omega * globalIndex + phaseShifts[layerIndex]) + waveOffset;
+            return Math.max(0, Math.min(distributionRange - 1, sampleLocation));
+        };
+    },
+});
+
+registerCrossSectionStrategy({
+    id: 'radial',
+    label: 'Radial',
+    description: 'Each layer samples a spoke from a chosen center; layers sweep a full turn and loop.',
+    playbackMode: CROSS_SECTION_PLAYBACK_WRAP,
+    defaultOptions: {
+        center: { x: 0.5, y: 0.5 },
+        startAngle: 0,
+    },
+    normalizeOptions(options) {
+        return {
+            center: normalizeUnitPoint(options.center, { x: 0.5, y: 0.5 }),
+            startAngle: toFiniteNumber(options.startAngle, 0) % 360,
+        };
+    },
+    createSlitResolver({ layerCount, sourceWidth, sourceHeight, options }) {
+        const maxX = Math.max(sourceWidth - 1, 0);
+        const maxY = Math.max(sourceHeight - 1, 0);
+        const center = { x: options.center.x * maxX, y: options.center.y * maxY };
+        const spokes = Array.from({ length: layerCount }, (_, layerIndex) => {
+            const angle = (options.startAngle * Math.PI / 180) + (2 * Math.PI * layerIndex) / layerCount;
+            const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+            return { direction, length: getRayLengthInFrame(center, direction, maxX, maxY) };
+        });
+
+        return (layerIndex, frameNumber, t, out) => {
+            const spoke = spokes[layerIndex];
+            out.x = center.x + spoke.direction.x * spoke.length * t;
+            out.y = center.y + spoke.direction.y * spoke.length * t;
+            return out;
+        };
+    },
+});
+
+registerCrossSectionStrategy({
+    id: 'diagonal',
+    label: 'Angled slit',
+    description: 'Each layer samples a straight slit at a chosen angle, swept across the frame.',
+    playbackMode: CROSS_SECTION_PLAYBACK_PING_PONG,
+    defaultOptions: {
+        angle: 45,
+    },
+    normalizeOptions(options) {
+        return {
+            angle: clamp(toFiniteNumber(options.angle, 45), -180, 180),
+        };
+    },
+    createSlitResolver({ layerCount, sourceWidth, sourceHeight, options }) {
+        const maxX = Math.max(sourceWidth - 1, 0);
+        const maxY = Math.max(sourceHeight - 1, 0);
+        const angle = options.angle * Math.PI / 180;
+        const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+        const normal = { x: -direction.y, y: direction.x };
+        const halfExtent = (Math.abs(normal.x) * maxX + Math.abs(normal.y) * maxY) / 2;
+        const distribution = buildCosineDistribution(layerCount);
+        const slits = Array.from({ length: layerCount }, (_, layerIndex) => {
+            const offset = (distribution[layerIndex] * 2 - 1) * halfExtent;
+            const origin = { x: maxX / 2 + normal.x * offset, y: maxY / 2 + normal.y * offset };
+            return clipLineToFrame(origin, direction, maxX, maxY) ?? { start: origin, end: origin };
+        });
+
+        return (layerIndex, frameNumber, t, out) => {
+            const { start, end } = slits[layerIndex];
+            out.x = start.x + (end.x - start.x) * t;
+            out.y = start.y + (end.y - start.y) * t;
+            return out;
+        };
+    },
+});
+
+registerCrossSectionStrategy({
+    id: 'spiral',
+    label: 'Spiral',
+    description: 'Each layer samples an Archimedean spiral; layers rotate it a full turn and loop.',
+    playbackMode: CROSS_SECTION_PLAYBACK_WRAP,
+    defaultOptions: {
+        center: { x: 0.5, y: 0.5 },
+        turns: 2,
+    },
+    normalizeOptions(options) {
+        return {
+            center: normalizeUnitPoint(options.center, { x: 0.5, y: 0.5 }),
+            turns: clamp(toFiniteNumber(options.turns, 2), 0.25, 12),
+        };
+    },
+    createSlitResolver({ layerCount, sourceWidth, sourceHeight, options }) {
+        const maxX = Math.max(sourceWidth - 1, 0);
+        const maxY = Math.max(sourceHeight - 1, 0);
+        const center = { x: options.center.x * maxX, y: options.center.y * maxY };
+        const radius = Math.min(center.x, maxX - center.x, center.y, maxY - center.y);
+        const sweep = 2 * Math.PI * options.turns;
+
+        return (layerIndex, frameNumber, t, out) => {
+            const angle = (2 * Math.PI * layerIndex) / layerCount + sweep * t;
+            out.x = center.x + Math.cos(angle) * radius * t;
+            out.y = center.y + Math.sin(angle) * radius * t;
+            return out;
+        };
+    },
+});
+
+export const DEFAULT_CROSS_SECTION_CURVE = Object.freeze([
+    { x: 0.05, y: 0.5 },
+    { x: 0.3, y: 0.3 },
+    { x: 0.7, y: 0.7 },
+    { x: 0.95, y: 0.5 },
+]);
+
+registerCrossSectionStrategy({
+    id: 'curve',
+    label: 'Drawn curve',
+    description: 'Each layer samples a user-drawn curve, swept across the frame.',
+    playbackMode: CROSS_SECTION_PLAYBACK_PING_PONG,
+    defaultOptions: {
+        points: DEFAULT_CROSS_SECTION_CURVE,
+        sweep: 0.5,
+    },
+    normalizeOptions(options) {
+        const points = Array.isArray(options.points)
+            ? options.points
+                .filter(point => Number.isFinite(Number(point?.x)) && Number.isFinite(Number(point?.y)))
+                .map(point => normalizeUnitPoint(point, point))
+            : [];
+
+        return {
+            points: points.length >= 2 ? points : DEFAULT_CROSS_SECTION_CURVE.map(point => ({ ...point })),
+            sweep: clamp(toFiniteNumber(options.sweep, 0.5), 0, 1),
+        };
+    },
+    createSlitResolver({ layerCount, sourceWidth, sourceHeight, options }) {
+        const maxX = Math.max(sourceWidth - 1, 0);
+        const maxY = Math.max(sourceHeight - 1, 0);
+        const points = options.points.map(point => ({ x: point.x * maxX, y: point.y * maxY }));
+        const lengths = buildArcLengthTable(points);
+        const first = points[0];
+        const last = points[points.length - 1];
+        const chordLength = Math.hypot(last.x - first.x, last.y - first.y);
+        const normal = chordLength > 0
+            ? { x: -(last.y - first.y) / chordLength, y: (last.x - first.x) / chordLength }
+            : { x: 0, y: 1 };
+        const extent = Math.abs(normal.x) * maxX + Math.abs(normal.y) * maxY;
+        const distribution = buildCosineDistribution(layerCount);
+        const offsets = Array.from(distribution, value => (value - 0.5) * options.sweep * extent);
+
+        return (layerIndex, frameNumber, t, out) => {
+            samplePolylineAt(points, lengths, t, out);
+            out.x += normal.x * offsets[layerIndex];
+            out.y += normal.y * offsets[layerIndex];
+            return out;
+        };
+    },
+});
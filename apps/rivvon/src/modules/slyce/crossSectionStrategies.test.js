@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    CROSS_SECTION_PLAYBACK_PING_PONG,
+    CROSS_SECTION_PLAYBACK_WRAP,
+    createCrossSectionSampler,
+    getCrossSectionPlaybackMode,
+    normalizeCrossSectionOptions,
+    normalizeCrossSectionType,
+    sampleRgbaBilinear,
+} from './crossSectionStrategies.js';
+
+const fileInfo = { width: 101, height: 51 };
+
+describe('cross-section registry', () => {
+    it('falls back to waves for unknown types', () => {
+        expect(normalizeCrossSectionType('zigzag')).toBe('waves');
+        expect(normalizeCrossSectionType('spiral')).toBe('spiral');
+    });
+
+    it('resolves playback modes per strategy', () => {
+        expect(getCrossSectionPlaybackMode('radial')).toBe(CROSS_SECTION_PLAYBACK_WRAP);
+        expect(getCrossSectionPlaybackMode('curve')).toBe(CROSS_SECTION_PLAYBACK_PING_PONG);
+        expect(getCrossSectionPlaybackMode(null)).toBe(CROSS_SECTION_PLAYBACK_WRAP);
+    });
+
+    it('clamps options and replaces degenerate curves', () => {
+        expect(normalizeCrossSectionOptions('spiral', { turns: 40, center: { x: 2, y: -1 } })).toEqual({
+            center: { x: 1, y: 0 },
+            turns: 12,
+        });
+        expect(normalizeCrossSectionOptions('curve', { points: [{ x: 0.5, y: 0.5 }] }).points).toHaveLength(4);
+    });
+});
+
+describe('createCrossSectionSampler', () => {
+    it('keeps the planes cosine distribution across the sampled axis', () => {
+        const sampler = createCrossSectionSampler({
+            crossSectionType: 'planes',
+            crossSectionCount: 3,
+            samplingMode: 'rows',
+            fileInfo,
+            frameCount: 10,
+        });
+
+        expect(sampler.kind).toBe('axis');
+        expect([0, 1, 2].map(layer => sampler.resolveSampleLocation(layer, 1))).toEqual([50, 25, 0]);
+    });
+
+    it('runs radial spokes from the center to the frame edge', () => {
+        const sampler = createCrossSectionSampler({
+            crossSectionType: 'radial',
+            crossSectionCount: 4,
+            fileInfo,
+            slitLength: 2,
+        });
+        const coordinates = sampler.getLayerCoordinates(0, 1);
+
+        expect(sampler.kind).toBe('slit');
+        expect(coordinates[0]).toBeCloseTo(50 + 50 * 0.25);
+        expect(coordinates[1]).toBeCloseTo(25);
+        expect(coordinates[2]).toBeCloseTo(50 + 50 * 0.75);
+    });
+
+    it('packs every layer and keeps coordinates inside the frame', () => {
+        const sampler = createCrossSectionSampler({
+            crossSectionType: 'curve',
+            crossSectionOptions: { sweep: 1 },
+            crossSectionCount: 5,
+            fileInfo,
+            slitLength: 16,
+        });
+        const coordinates = sampler.getCoordinates(1);
+
+        expect(coordinates).toHaveLength(5 * 16 * 2);
+        for (let index = 0; index < coordinates.length; index += 2) {
+            expect(coordinates[index]).toBeGreaterThanOrEqual(0);
+            expect(coordinates[index]).toBeLessThanOrEqual(100);
+            expect(coordinates[index + 1]).toBeGreaterThanOrEqual(0);
+            expect(coordinates[index + 1]).toBeLessThanOrEqual(50);
+        }
+    });
+});
+
+describe('sampleRgbaBilinear', () => {
+    it('blends neighbouring pixels like linear GPU filtering', () => {
+        const data = new Uint8ClampedArray([
+            0, 0, 0, 255, 200, 100, 0, 255,
+        ]);
+
+        expect(Array.from(sampleRgbaBilinear(data, 2, 1, 0.5, 0, new Uint8ClampedArray(4)))).toEqual([100, 50, 0, 255]);
+    });
+});
@@ -87,6 +87,7 @@ function buildDefaultSourceMetadata(source, effectiveFrameCount) {
         sampledFrameCount: effectiveFrameCount,
         frameInterpolationFactor,
         frame_count: effectiveFrameCount,
+        crossSectionOptions: source.crossSectionOptions,
     };
 }
 
@@ -185,13 +186,23 @@ export function buildFileTextureSaveSource(app, overrides = {}) {
         potResolution: app.potResolution,
         crossSectionCount: app.crossSectionCount,
         crossSectionType: app.crossSectionType,
+        crossSectionOptions: app.activeCrossSectionOptions,
         thumbnailBlob: app.thumbnailBlob,
         autoDeriveResolutions: app.autoDeriveResolutions,
         ...overrides,
     };
 }
 
-export async function saveProcessedTextureFamilyLocally(controller, source = {}) {
+/**
+ * Save a processed texture (and any auto-derived variants) locally.
+ *
+ * @param {Object} controller - Local save controller (see localSaveController.js)
+ * @param {Object} source - Save source, usually from buildFileTextureSaveSource
+ * @param {Object} [options]
+ * @param {Function} [options.saveTextureSet] - Persistence function with the
+ *   signature of services/localStorage.saveTextureSet. Defaults to IndexedDB.
+ */
+export async function saveProcessedTextureFamilyLocally(controller, source = {}, { saveTextureSet: persistTextureSet = saveTextureSet } = {}) {
     if (!controller || controller.isSavingLocally) return controller?.savedLocalTextureId ?? null;
 
     const plan = getProcessedTextureFamilyPlan(source);
@@ -216,14 +227,14 @@ export async function saveProcessedTextureFamilyLocally(controller, source = {})
     try {
         const blobs = source.ktx2Blobs ?? await collectKtx2BlobsFromUrls(source.ktx2BlobURLs);
         const thumbnailBlob = source.thumbnailBlob ?? null;
-        const thumbnailDataUrl = thumbnailBlob ? await blobToDataUrl(thumbnailBlob) : null;
+        const thumbnailDataUrl = source.thumbnailDataUrl ?? (thumbnailBlob ? await blobToDataUrl(thumbnailBlob) : null);
         const sourceMetadata = source.sourceMetadata ?? buildDefaultSourceMetadata(source, plan.effectiveFrameCount);
 
         controller.set('saveLocalProgress', targetResolutions.length > 0
             ? 'Saving root texture to browser...'
             : 'Saving to browser...');
 
-        savedRootId = await saveTextureSet({
+        savedRootId = await persistTextureSet({
             name: plan.textureName,
             description: typeof source.description === 'string' ? source.description : '',
             tileCount: plan.tileCount,
@@ -264,7 +275,7 @@ export async function saveProcessedTextureFamilyLocally(controller, source = {})
                 const variantName = buildDerivedTextureName(plan.textureName, variant.targetResolution);
 
                 controller.set('saveLocalProgress', `Saving ${variantName} (${variantIndex + 1}/${familyResult.variants.length})...`);
-                const savedVariantId = await saveTextureSet({
+                const savedVariantId = await persistTextureSet({
                     name: variantName,
                     description: typeof source.description === 'string' ? source.description : '',
                     tileCount: variant.result.output.tileCount,
@@ -345,9 +356,9 @@ export async function saveProcessedTextureFamilyLocally(controller, source = {})
     }
 }
 
-export async function saveProcessedTextureSetLocally(controller, source = {}) {
+export async function saveProcessedTextureSetLocally(controller, source = {}, options = {}) {
     return saveProcessedTextureFamilyLocally(controller, {
         ...source,
         autoDeriveResolutions: [],
-    });
+    }, options);
 }
\ No newline at end of file
@@ -1,5 +1,16 @@
 import { ref } from 'vue';
 
+/**
+ * Key for an interrupted upload: one texture set per destination and tile
+ * resolution (the root and each derived variant).
+ * @param {string} destination - 'r2' or 'google-drive'
+ * @param {number} tileResolution
+ * @returns {string}
+ */
+export function getResumableUploadKey(destination, tileResolution) {
+    return `${destination}:${Number(tileResolution) || 0}`;
+}
+
 export function createPublishState() {
     return {
         isPublishingToCloud: false,
@@ -12,6 +23,10 @@ export function createPublishState() {
         publishLocalDraftId: null,
         publishDestination: null,
         publishGeneration: 0,
+        // Texture sets created by an upload that has not completed yet, keyed
+        // by getResumableUploadKey(). A retry continues them instead of
+        // creating new sets; the API reports which tiles already arrived.
+        publishResumableUploads: {},
     };
 }
 
@@ -32,6 +47,7 @@ function createPublishController(getValue, setValue) {
         setValue('publishPendingResolutions', []);
         setValue('publishLocalDraftId', null);
         setValue('publishDestination', null);
+        setValue('publishResumableUploads', {});
         return generation;
     }
 
@@ -53,6 +69,27 @@ function createPublishController(getValue, setValue) {
         setValue('isPublishingToCloud', false);
     }
 
+    /**
+     * The interrupted upload to continue for a family member, if any.
+     * @param {string} key - From getResumableUploadKey()
+     * @returns {{textureSetId: string, driveFolderId?: string}|null}
+     */
+    function getResumableUpload(key) {
+        return getValue('publishResumableUploads')?.[key] || null;
+    }
+
+    function rememberResumableUpload(key, upload) {
+        setValue('publishResumableUploads', {
+            ...getValue('publishResumableUploads'),
+            [key]: upload,
+        });
+    }
+
+    function forgetResumableUpload(key) {
+        const { [key]: _forgotten, ...remaining } = getValue('publishResumableUploads') || {};
+        setValue('publishResumableUploads', remaining);
+    }
+
     return {
         get isPublishingToCloud() {
             return getValue('isPublishingToCloud');
@@ -84,10 +121,16 @@ function createPublishController(getValue, setValue) {
         get publishGeneration() {
             return getValue('publishGeneration');
         },
+        get publishResumableUploads() {
+            return getValue('publishResumableUploads');
+        },
         set,
         resetPublishState,
         beginPublish,
         finishPublish,
+        getResumableUpload,
+        rememberResumableUpload,
+        forgetResumableUpload,
     };
 }
 
@@ -112,6 +155,7 @@ export function createRefPublishController() {
         publishLocalDraftId: ref(null),
         publishDestination: ref(null),
         publishGeneration: ref(0),
+        publishResumableUploads: ref({}),
     };
 
     const controller = createPublishController(
@@ -32,6 +32,24 @@ export function readCanvasSetImages(canvasSet) {
     });
 }
 
+/**
+ * Draw one preview row for a slit strategy by copying the nearest source pixel
+ * for every slit position. GPU builders use this for their preview canvas;
+ * the tile data itself is sampled on the GPU.
+ */
+export function drawSlitPreviewRow(ctx, source, coordinates, drawLocation) {
+    const slitLength = coordinates.length / 2;
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    for (let pixel = 0; pixel < slitLength; pixel++) {
+        const sx = Math.round(coordinates[pixel * 2]);
+        const sy = Math.round(coordinates[pixel * 2 + 1]);
+        ctx.drawImage(source, sx, sy, 1, 1, pixel, drawLocation, 1, 1);
+    }
+    ctx.restore();
+}
+
 export async function consumeSamplingSource({
     source,
     signal = null,
@@ -2,39 +2,22 @@
 import { EventEmitter } from 'events';  // https://www.npmjs.com/package/events
 import { getCached2dContext } from './samplingRuntime.js';
 import { createRealtimeCanvas } from './realtimeCanvasSupport.js';
+import { createCrossSectionSampler, sampleRgbaBilinear } from './crossSectionStrategies.js';
 
 export class TileBuilder extends EventEmitter {
     constructor(settings) {
         super();
         this.settings = settings;
-        const {
-            fileInfo,
-            samplingMode,
-            crossSectionCount,
-            crossSectionType,
-            frameCount
-        } = settings;
-
-        this._distributionRange = samplingMode === 'rows' ? fileInfo.height : fileInfo.width;
-
-        if (crossSectionType === 'planes') {
-            this._cosineIndices = new Float64Array(crossSectionCount);
-            if (crossSectionCount === 1) {
-                this._cosineIndices[0] = 0.5;
-            } else {
-                for (let i = 0; i < crossSectionCount; i++) {
-                    const normalizedIndex = (i / (crossSectionCount - 1)) * Math.PI;
-                    this._cosineIndices[i] = (Math.cos(normalizedIndex) + 1) / 2;
-                }
-            }
-        } else {
-            this._phaseShifts = new Float64Array(crossSectionCount);
-            for (let i = 0; i < crossSectionCount; i++) {
-                this._phaseShifts[i] = (2 * Math.PI * i) / crossSectionCount;
-            }
-            this._waveAmplitude = this._distributionRange / 2;
-            this._waveOffset = this._distributionRange / 2;
-            this._omega = frameCount ? (2 * Math.PI) / frameCount : 0;
+        // Sample positions come from the shared strategy registry so every
+        // backend resolves planes / waves / slit strategies identically
+        this._crossSectionSampler = createCrossSectionSampler(settings);
+        this._slitRow = null;
+        this._slitCoordinates = null;
+
+        if (this._crossSectionSampler.kind === 'slit') {
+            const { slitLength } = this._crossSectionSampler;
+            this._slitRow = new ImageData(slitLength, 1);
+            this._slitCoordinates = new Float32Array(slitLength * 2);
         }
 
         this.canvasses = this.createCanvasses();
@@ -83,6 +66,66 @@ export class TileBuilder extends EventEmitter {
         this.removeAllListeners();
     }
 
+    drawAxisSamples(sourceCanvas, drawLocation, frameNumber) {
+        const { fileInfo, tilePlan, samplingMode } = this.settings;
+
+        for (let canvasNumber = 0; canvasNumber < this.canvasses.length; canvasNumber++) {
+            const ctx = getCached2dContext(this.canvasses[canvasNumber]);
+
+            // We will sample pixels from a different location for each canvas;
+            // the strategy decides where (planes: fixed, waves: sine over time)
+            const sampleLocation = this._crossSectionSampler.resolveSampleLocation(canvasNumber, frameNumber);
+
+            // drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
+            // When sample and tile dimensions differ, drawImage ⟹ scaling effects
+
+            if (samplingMode === 'columns') {
+                // Column sampling — canvas may be rotated (columns → rows)
+                // Use tilePlan.width for dh since the canvas coordinate system is rotated
+                const sx = sampleLocation           // Source x
+                const sy = 0                        // Source y
+                const sw = 1                        // Source width
+                const sh = fileInfo.height          // Source height
+                const dx = drawLocation             // Destination x
+                const dy = 0                        // Destination y
+                const dw = 1                        // Destination width
+                const dh = tilePlan.width           // Destination height (width because rotated)
+                ctx.drawImage(sourceCanvas, sx, sy, sw, sh, dx, dy, dw, dh);
+            }
+            else if (samplingMode === 'rows') {
+                const sx = 0                        // Source x
+                const sy = sampleLocation           // Source y
+                const sw = fileInfo.width           // Source width
+                const sh = 1                        // Source height
+                const dx = 0                        // Destination x
+                const dy = drawLocation             // Destination y
+                const dw = tilePlan.width           // Destination width
+                const dh = 1                        // Destination height
+                ctx.drawImage(sourceCanvas, sx, sy, sw, sh, dx, dy, dw, dh);
+            }
+        }
+    }
+
+    drawSlitSamples(sourceCtx, drawLocation, frameNumber) {
+        const { width, height } = this.settings.fileInfo;
+        const { data } = sourceCtx.getImageData(0, 0, width, height);
+        const row = this._slitRow;
+        const coordinates = this._slitCoordinates;
+
+        for (let canvasNumber = 0; canvasNumber < this.canvasses.length; canvasNumber++) {
+            const ctx = getCached2dContext(this.canvasses[canvasNumber]);
+            this._crossSectionSampler.getLayerCoordinates(canvasNumber, frameNumber, coordinates);
+
+            for (let pixel = 0; pixel < row.width; pixel++) {
+                sampleRgbaBilinear(data, width, height, coordinates[pixel * 2], coordinates[pixel * 2 + 1], row.data, pixel * 4);
+            }
+
+            // putImageData ignores the columns → rows rotation, which is what
+            // slit strategies want: they always fill tile rows directly
+            ctx.putImageData(row, 0, drawLocation);
+        }
+    }
+
 
 
     processFrame(data) {
@@ -93,16 +136,10 @@ export class TileBuilder extends EventEmitter {
         } = data
 
         const {
-            fileInfo,
             tileNumber,
             tilePlan,
-            samplingMode,
-            crossSectionType,
-            frameCount
         } = this.settings
 
-
-
         // Let's normalize the frameNumber to the tile's range
         // so we know where to draw the sample to in the destination tile  
         let drawLocation = frameNumber - tilePlan.tiles[tileNumber].start;
@@ -117,87 +154,10 @@ export class TileBuilder extends EventEmitter {
             sourceCtx.drawImage(videoFrame, 0, 0, sourceCanvas.width, sourceCanvas.height);
         }
 
-        for (let canvasNumber = 0; canvasNumber < this.canvasses.length; canvasNumber++) {
-            const canvas = this.canvasses[canvasNumber];
-            const ctx = getCached2dContext(canvas);
-
-            // We will sample pixels from a different y-location for each canvas    
-            // the logic whereby this is done will depend on the crossSectionType
-            // planes / waves
-
-            if (crossSectionType === 'planes') {
-                const sampleLocation = this._cosineIndices[canvasNumber] * (this._distributionRange - 1);
-
-
-
-
-                // drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
-                // When sample and tile dimensions differ, drawImage ⟹ scaling effects
-
-                if (samplingMode === 'columns') {
-                    // Column sampling — canvas may be rotated (columns → rows)
-                    // Use tilePlan.width for dh since the canvas coordinate system is rotated
-                    const sx = sampleLocation           // Source x
-                    const sy = 0                        // Source y
-                    const sw = 1                        // Source width
-                    const sh = fileInfo.height      // Source height
-                    const dx = drawLocation             // Destination x
-                    const dy = 0                        // Destination y
-                    const dw = 1                        // Destination width
-                    const dh = tilePlan.width           // Destination height (width because rotated)
-                    ctx.drawImage(sourceCanvas, sx, sy, sw, sh, dx, dy, dw, dh);
-                }
-                else if (samplingMode === 'rows') {
-                    const sx = 0                        // Source x
-                    const sy = sampleLocation           // Source y
-                    const sw = fileInfo.width       // Source width
-                    const sh = 1                        // Source height
-                    const dx = 0                        // Destination x
-                    const dy = drawLocation             // Destination y
-                    const dw = tilePlan.width           // Destination width
-                    const dh = 1                        // Destination height
-                    ctx.drawImage(sourceCanvas, sx, sy, sw, sh, dx, dy, dw, dh);
-                }
-            }
-            else if (crossSectionType === 'waves') {
-                // Calculate sample location using sine function
-                // Use a continuous global frame index so phase doesn't reset per tile
-                // frameCount is the total number of frames we actually process (framesUsed)
-                const globalIndex = Math.min(frameNumber, frameCount) - 1; // zero-based
-                const sampleLocation = this._waveAmplitude * Math.sin(this._omega * globalIndex + this._phaseShifts[canvasNumber]) + this._waveOffset;
-
-                // Clamp sampleLocation to be within video bounds
-                const clampedSampleLocation = Math.max(0, Math.min(this._distributionRange - 1, sampleLocation));
-
-                // Sample the pixel based on sampling mode
-                let sx, sy, sw, sh, dx, dy, dw, dh;
-
-                if (samplingMode === 'columns') {
-                    sx = clampedSampleLocation; // x-coordinate
-                    sy = 0;
-                    sw = 1;
-                    sh = fileInfo.height;
-                    dx = drawLocation; // Destination x
-                    dy = 0;
-                    dw = 1;
-                    dh = tilePlan.height;
-                } else if (samplingMode === 'rows') {
-                    sx = 0;
-                    sy = clampedSampleLocation; // y-coordinate
-                    sw = fileInfo.width;
-                    sh = 1;
-                    dx = 0;
-                    dy = drawLocation; // Destination y
-                    dw = tilePlan.width;
-                    dh = 1;
-                }
-
-                // Draw the sampled pixels onto the canvas
-                ctx.drawImage(sourceCanvas, sx, sy, sw, sh, dx, dy, dw, dh);
-
-
-
-            }
+        if (this._crossSectionSampler.kind === 'slit') {
+            this.drawSlitSamples(sourceCtx, drawLocation, frameNumber);
+        } else {
+            this.drawAxisSamples(sourceCanvas, drawLocation, frameNumber);
         }
 
         // Release the VideoFrame now that all drawing is complete
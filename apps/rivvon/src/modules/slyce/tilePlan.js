@@ -0,0 +1,136 @@
+// tilePlan.js
+// Pure tile-plan math shared by the Slyce UI (useTilePlan) and the headless CLI.
+
+/**
+ * Resolve samplingSide ('long'/'short') to an actual axis ('rows'/'columns')
+ * based on perceived dimensions (accounting for rotation metadata).
+ * 'rows' always yields raw-width pixels; 'columns' yields raw-height pixels.
+ * We pick whichever raw axis produces the desired perceived dimension.
+ */
+export function resolveSamplingAxis({ width, height, rotation = 0, samplingSide = 'long' }) {
+    if (!width || !height) return 'rows';
+    const normalizedRotation = ((rotation || 0) % 360 + 360) % 360;
+    const isRotated = normalizedRotation === 90 || normalizedRotation === 270;
+    const perceivedW = isRotated ? height : width;
+    const perceivedH = isRotated ? width : height;
+    const perceivedLong = Math.max(perceivedW, perceivedH);
+    // raw width is what 'rows' produces — check if that matches the long edge
+    const longAxisIsRows = (width === perceivedLong);
+    if (samplingSide === 'long') {
+        return longAxisIsRows ? 'rows' : 'columns';
+    }
+    return longAxisIsRows ? 'columns' : 'rows';
+}
+
+/**
+ * Build the tile plan for a clip.
+ *
+ * @param {Object} options
+ * @param {{width: number, height: number}} options.fileInfo - Raw (coded) video size
+ * @param {number} options.frameCount - Source frame count (used only to detect missing metadata)
+ * @param {number} options.effectiveFrameCount - Frames emitted after trimming / interpolation
+ * @param {string} options.samplingAxis - 'rows' or 'columns'
+ * @param {number} options.potResolution - Power-of-two tile size
+ * @param {Object} [options.crop] - { x, y, width, height } when cropping
+ */
+export function buildTilePlan({
+    fileInfo,
+    frameCount,
+    effectiveFrameCount,
+    samplingAxis,
+    potResolution,
+    crop = null,
+}) {
+    const plan = {
+        length: 0,
+        width: 0,
+        height: 0,
+        tiles: [],
+        notices: [],
+        isScaled: false,
+        scaleFrom: 0,
+        scaleTo: 0,
+        rotate: 0, // Rotation angle (0 or 90 degrees)
+        skipping: 0, // Number of frames being skipped
+        // Cropping info (passed to videoProcessor)
+        isCropping: false,
+        cropX: 0,
+        cropY: 0,
+        cropWidth: 0,
+        cropHeight: 0,
+    };
+
+    // Ensure necessary data is available
+    if (
+        !fileInfo?.width ||
+        !fileInfo?.height ||
+        !frameCount
+    ) {
+        plan.notices.push('Insufficient data to calculate tile plan.');
+        return plan;
+    }
+
+    // Determine effective dimensions based on crop settings
+    const effectiveWidth = crop && crop.width ? crop.width : fileInfo.width;
+    const effectiveHeight = crop && crop.height ? crop.height : fileInfo.height;
+
+    // Store crop info in plan for videoProcessor
+    plan.isCropping = Boolean(crop);
+    plan.cropX = crop ? crop.x : 0;
+    plan.cropY = crop ? crop.y : 0;
+    plan.cropWidth = effectiveWidth;
+    plan.cropHeight = effectiveHeight;
+
+    // Rotation is needed when sampling columns but outputting rows
+    if (samplingAxis === 'columns') {
+        plan.rotate = 90;
+    }
+
+    // Initialize variables
+    let framesPerTile; // Number of frames per tile (temporal side)
+    // Use effective dimensions for spatial side calculation
+    let spatialSide = samplingAxis === 'rows' ? effectiveWidth : effectiveHeight;
+
+    // Power-of-two square tiles — width and height are both potResolution
+    plan.isScaled = true;
+    plan.scaleFrom = spatialSide;
+    plan.scaleTo = potResolution;
+
+    plan.width = potResolution;  // Spatial side (POT)
+    plan.height = potResolution; // Temporal side (square tiles)
+    framesPerTile = plan.height;
+
+    plan.length = Math.floor(effectiveFrameCount / framesPerTile);
+
+    // Generate tile frame ranges
+    plan.tiles = Array.from({ length: plan.length }, (_, i) => {
+        const startFrame = i * framesPerTile + 1;
+        const endFrame = (i + 1) * framesPerTile;
+        return {
+            start: startFrame,
+            end: endFrame,
+        };
+    });
+
+    // Ensure framesPerTile and plan.length are valid
+    if (framesPerTile < 1 || plan.length < 1) {
+        const framesNeeded = framesPerTile || 1;
+        const framesShort = framesNeeded - effectiveFrameCount;
+        plan.notices.push(
+            `Not enough frames to create tiles with the current settings. Each tile requires ${framesNeeded} frames, but only ${effectiveFrameCount} frames are available. You are short by ${framesShort} frames.`
+        );
+        plan.skipping = effectiveFrameCount; // All frames are skipped
+        return plan;
+    }
+
+    // POT tiles use all allocated frames; remainder is skipped
+    const usedFrames = plan.length * framesPerTile;
+    plan.skipping = effectiveFrameCount - usedFrames;
+
+    // Ensure dimensions are integers
+    plan.width = Math.floor(plan.width);
+    plan.height = Math.floor(plan.height);
+    plan.scaleTo = Math.floor(plan.scaleTo);
+
+    return plan;
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildTilePlan, resolveSamplingAxis } from './tilePlan.js';
+
+describe('resolveSamplingAxis', () => {
+    it('samples rows along the long edge of a landscape clip', () => {
+        expect(resolveSamplingAxis({ width: 1920, height: 1080 })).toBe('rows');
+        expect(resolveSamplingAxis({ width: 1920, height: 1080, samplingSide: 'short' })).toBe('columns');
+    });
+
+    it('follows rotation metadata to the perceived long edge', () => {
+        expect(resolveSamplingAxis({ width: 1920, height: 1080, rotation: 90 })).toBe('rows');
+        expect(resolveSamplingAxis({ width: 1080, height: 1920, rotation: -90 })).toBe('columns');
+        expect(resolveSamplingAxis({ width: 0, height: 1080 })).toBe('rows');
+    });
+});
+
+describe('buildTilePlan', () => {
+    const fileInfo = { width: 1920, height: 1080 };
+
+    it('splits the frames into square power-of-two tiles', () => {
+        const plan = buildTilePlan({
+            fileInfo,
+            frameCount: 600,
+            effectiveFrameCount: 600,
+            samplingAxis: 'rows',
+            potResolution: 256,
+        });
+
+        expect(plan).toMatchObject({
+            length: 2,
+            width: 256,
+            height: 256,
+            rotate: 0,
+            scaleFrom: 1920,
+            scaleTo: 256,
+            skipping: 88,
+            notices: [],
+        });
+        expect(plan.tiles).toEqual([{ start: 1, end: 256 }, { start: 257, end: 512 }]);
+    });
+
+    it('scales from the cropped side and rotates for column sampling', () => {
+        const plan = buildTilePlan({
+            fileInfo,
+            frameCount: 300,
+            effectiveFrameCount: 300,
+            samplingAxis: 'columns',
+            potResolution: 128,
+            crop: { x: 10, y: 20, width: 640, height: 480 },
+        });
+
+        expect(plan).toMatchObject({
+            rotate: 90,
+            scaleFrom: 480,
+            isCropping: true,
+            cropX: 10,
+            cropY: 20,
+            cropWidth: 640,
+            cropHeight: 480,
+        });
+    });
+
+    it('reports when there are not enough frames for one tile', () => {
+        const plan = buildTilePlan({
+            fileInfo,
+            frameCount: 100,
+            effectiveFrameCount: 100,
+            samplingAxis: 'rows',
+            potResolution: 256,
+        });
+
+        expect(plan.length).toBe(0);
+        expect(plan.skipping).toBe(100);
+        expect(plan.notices[0]).toContain('short by 156 frames');
+    });
+
+    it('refuses to plan without video metadata', () => {
+        const plan = buildTilePlan({ fileInfo: null, frameCount: 0, effectiveFrameCount: 0, samplingAxis: 'rows', potResolution: 256 });
+
+        expect(plan.tiles).toEqual([]);
+        expect(plan.notices).toEqual(['Insufficient data to calculate tile plan.']);
+    });
+});
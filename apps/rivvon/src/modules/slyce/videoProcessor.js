@@ -445,6 +445,7 @@ const processVideo = async (settings) => {
         config,
         crossSectionCount,
         crossSectionType,
+        crossSectionOptions,
         tileBuilderBackend = getDefaultTileBuilderBackend(),
     } = settings;
 
@@ -754,6 +755,7 @@ const processVideo = async (settings) => {
                 samplingMode,
                 crossSectionCount,
                 crossSectionType,
+                crossSectionOptions,
                 // Base wavelength on frames we actually process (up to lastTileEnd)
                 frameCount: framesUsed,
                 outputFormat: app.outputFormat,
@@ -1,7 +1,11 @@
 import { EventEmitter } from 'events';
-import { getCached2dContext } from './samplingRuntime.js';
+import { drawSlitPreviewRow, getCached2dContext } from './samplingRuntime.js';
+import {
+    CROSS_SECTION_SHADER_MODE_PLANES,
+    CROSS_SECTION_SHADER_MODE_SLIT,
+    createCrossSectionSampler,
+} from './crossSectionStrategies.js';
 
-const CROSS_SECTION_PLANES = 'planes';
 const SAMPLING_ROWS = 'rows';
 
 function createCanvasSurface(width, height) {
@@ -109,11 +113,16 @@ uniform float uFrameCount;
 
 out vec2 vLocalCoord;
 flat out float vSampleLocation;
+flat out int vLayerIndex;
 
 const float PI = 3.1415926535897932384626433832795;
 
 float resolveSampleLocation(int layerIndex) {
-    if (uCrossSectionType == 0) {
+    if (uCrossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}) {
+        return 0.0;
+    }
+
+    if (uCrossSectionType == ${CROSS_SECTION_SHADER_MODE_PLANES}) {
         if (uCrossSectionCount <= 1) {
             return 0.5 * max(uDistributionRange - 1.0, 0.0);
         }
@@ -150,25 +159,35 @@ void main() {
 
     vLocalCoord = aCorner;
     vSampleLocation = resolveSampleLocation(layerIndex);
+    vLayerIndex = layerIndex;
 }
 `);
 
     const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, `#version 300 es
 precision highp float;
+precision highp int;
 
 uniform sampler2D uSourceTexture;
+uniform highp sampler2D uSlitCoordinates;
 uniform vec2 uSourceSize;
+uniform vec2 uTileSize;
 uniform int uSamplingMode;
+uniform int uCrossSectionType;
 
 in vec2 vLocalCoord;
 flat in float vSampleLocation;
+flat in int vLayerIndex;
 
 out vec4 outColor;
 
 void main() {
     vec2 sourcePixel;
 
-    if (uSamplingMode == 1) {
+    if (uCrossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}) {
+        // Slit strategies: per-pixel source coordinates computed on the CPU
+        int slitPixel = min(int(vLocalCoord.x * uTileSize.x), int(uTileSize.x) - 1);
+        sourcePixel = texelFetch(uSlitCoordinates, ivec2(slitPixel, vLayerIndex), 0).xy;
+    } else if (uSamplingMode == 1) {
         sourcePixel = vec2(
             vSampleLocation,
             (1.0 - vLocalCoord.x) * max(uSourceSize.y - 1.0, 0.0)
@@ -206,6 +225,7 @@ void main() {
             frameIndex: gl.getUniformLocation(program, 'uFrameIndex'),
             frameCount: gl.getUniformLocation(program, 'uFrameCount'),
             sourceTexture: gl.getUniformLocation(program, 'uSourceTexture'),
+            slitCoordinates: gl.getUniformLocation(program, 'uSlitCoordinates'),
             sourceSize: gl.getUniformLocation(program, 'uSourceSize'),
             samplingMode: gl.getUniformLocation(program, 'uSamplingMode'),
         },
@@ -311,7 +331,6 @@ export class WebGLTileBuilder extends EventEmitter {
             fileInfo,
             samplingMode,
             crossSectionCount,
-            crossSectionType,
             frameCount,
             tilePlan,
             supportReport = null,
@@ -320,32 +339,15 @@ export class WebGLTileBuilder extends EventEmitter {
         this._distributionRange = samplingMode === SAMPLING_ROWS ? fileInfo.height : fileInfo.width;
         this._frameCount = Number(frameCount) || 0;
         this._samplingMode = samplingMode;
-        this._crossSectionType = crossSectionType;
+        this._crossSectionSampler = createCrossSectionSampler(settings);
         this._crossSectionCount = crossSectionCount;
         this._tileWidth = tilePlan.width;
         this._tileHeight = tilePlan.height;
         this._tileNumber = settings.tileNumber;
         this._tileEndFrame = tilePlan.tiles[this._tileNumber].end;
-
-        if (crossSectionType === CROSS_SECTION_PLANES) {
-            this._cosineIndices = new Float64Array(crossSectionCount);
-            if (crossSectionCount === 1) {
-                this._cosineIndices[0] = 0.5;
-            } else {
-                for (let i = 0; i < crossSectionCount; i++) {
-                    const normalizedIndex = (i / (crossSectionCount - 1)) * Math.PI;
-                    this._cosineIndices[i] = (Math.cos(normalizedIndex) + 1) / 2;
-                }
-            }
-        } else {
-            this._phaseShifts = new Float64Array(crossSectionCount);
-            for (let i = 0; i < crossSectionCount; i++) {
-                this._phaseShifts[i] = (2 * Math.PI * i) / crossSectionCount;
-            }
-            this._waveAmplitude = this._distributionRange / 2;
-            this._waveOffset = this._distributionRange / 2;
-            this._omega = this._frameCount ? (2 * Math.PI) / this._frameCount : 0;
-        }
+        this._slitCoordinates = null;
+        this._slitPreviewCoordinates = null;
+        this._slitCoordinatesUploaded = false;
 
         const report = supportReport || WebGLTileBuilder.getSupportReport(settings);
         if (!report.supported || !report.layout) {
@@ -389,6 +391,12 @@ export class WebGLTileBuilder extends EventEmitter {
         this._sourceTexture = this._createSourceTexture(fileInfo.width, fileInfo.height);
         this._vertexArray = this._createVertexArray();
 
+        if (this._crossSectionSampler.kind === 'slit') {
+            this._slitCoordinates = new Float32Array(this._crossSectionCount * this._tileWidth * 2);
+            this._slitPreviewCoordinates = new Float32Array(this._tileWidth * 2);
+            this._slitTexture = this._createSlitCoordinateTexture(this._tileWidth, this._crossSectionCount);
+        }
+
         this._gl.viewport(0, 0, this._layout.width, this._layout.height);
         this._gl.bindFramebuffer(this._gl.FRAMEBUFFER, this._framebuffer);
         this._gl.clearColor(0, 0, 0, 0);
@@ -437,6 +445,33 @@ export class WebGLTileBuilder extends EventEmitter {
         return texture;
     }
 
+    _createSlitCoordinateTexture(width, height) {
+        const gl = this._gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RG32F, width, height, 0, gl.RG, gl.FLOAT, null);
+        return texture;
+    }
+
+    _uploadSlitCoordinates(frameNumber) {
+        if (!this._slitTexture || (this._slitCoordinatesUploaded && this._crossSectionSampler.frameInvariant)) {
+            return;
+        }
+
+        const gl = this._gl;
+        this._crossSectionSampler.getCoordinates(frameNumber, this._slitCoordinates);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this._slitTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this._tileWidth, this._crossSectionCount, gl.RG, gl.FLOAT, this._slitCoordinates);
+        gl.activeTexture(gl.TEXTURE0);
+        this._slitCoordinatesUploaded = true;
+    }
+
     _createVertexArray() {
         const gl = this._gl;
         const vao = gl.createVertexArray();
@@ -470,28 +505,26 @@ export class WebGLTileBuilder extends EventEmitter {
         gl.uniform2f(uniforms.tileSize, this._tileWidth, this._tileHeight);
         gl.uniform1i(uniforms.atlasColumns, this._layout.columns);
         gl.uniform1i(uniforms.crossSectionCount, this._crossSectionCount);
-        gl.uniform1i(uniforms.crossSectionType, this._crossSectionType === CROSS_SECTION_PLANES ? 0 : 1);
+        gl.uniform1i(uniforms.crossSectionType, this._crossSectionSampler.shaderMode);
         gl.uniform1f(uniforms.distributionRange, this._distributionRange);
         gl.uniform1f(uniforms.frameCount, this._frameCount);
         gl.uniform1i(uniforms.sourceTexture, 0);
+        gl.uniform1i(uniforms.slitCoordinates, 1);
         gl.uniform2f(uniforms.sourceSize, fileInfo.width, fileInfo.height);
         gl.uniform1i(uniforms.samplingMode, this._samplingMode === SAMPLING_ROWS ? 0 : 1);
         gl.useProgram(null);
     }
 
-    _resolvePreviewSampleLocation(frameNumber) {
-        if (this._crossSectionType === CROSS_SECTION_PLANES) {
-            return this._cosineIndices[0] * (this._distributionRange - 1);
-        }
-
-        const globalIndex = Math.min(frameNumber, this._frameCount) - 1;
-        const sampleLocation = this._waveAmplitude * Math.sin(this._omega * globalIndex + this._phaseShifts[0]) + this._waveOffset;
-        return Math.max(0, Math.min(this._distributionRange - 1, sampleLocation));
-    }
-
     _updatePreview(videoFrame, drawLocation, frameNumber) {
         const { fileInfo, tilePlan } = this.settings;
-        const sampleLocation = this._resolvePreviewSampleLocation(frameNumber);
+
+        if (this._crossSectionSampler.kind === 'slit') {
+            this._crossSectionSampler.getLayerCoordinates(0, frameNumber, this._slitPreviewCoordinates);
+            drawSlitPreviewRow(this._previewCtx, this._uploadCanvas, this._slitPreviewCoordinates, drawLocation);
+            return;
+        }
+
+        const sampleLocation = this._crossSectionSampler.resolveSampleLocation(0, frameNumber);
 
         if (this._samplingMode === 'columns') {
             this._previewCtx.drawImage(
@@ -545,6 +578,11 @@ export class WebGLTileBuilder extends EventEmitter {
         gl.useProgram(program);
         gl.uniform1f(uniforms.drawRow, drawLocation);
         gl.uniform1f(uniforms.frameIndex, frameNumber);
+        if (this._slitTexture) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this._slitTexture);
+            gl.activeTexture(gl.TEXTURE0);
+        }
         gl.bindVertexArray(this._vertexArray);
         gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, this._crossSectionCount);
         gl.bindVertexArray(null);
@@ -597,6 +635,9 @@ export class WebGLTileBuilder extends EventEmitter {
             if (this._sourceTexture) {
                 gl.deleteTexture(this._sourceTexture);
             }
+            if (this._slitTexture) {
+                gl.deleteTexture(this._slitTexture);
+            }
             if (this._atlasTexture) {
                 gl.deleteTexture(this._atlasTexture);
             }
@@ -614,6 +655,9 @@ export class WebGLTileBuilder extends EventEmitter {
         this._quadBuffer = null;
         this._vertexArray = null;
         this._sourceTexture = null;
+        this._slitTexture = null;
+        this._slitCoordinates = null;
+        this._slitPreviewCoordinates = null;
         this._atlasTexture = null;
         this._framebuffer = null;
         this._program = null;
@@ -639,6 +683,7 @@ export class WebGLTileBuilder extends EventEmitter {
 
         try {
             this._uploadSourceFrame(videoFrame);
+            this._uploadSlitCoordinates(frameNumber);
             this._drawFrame(drawLocation, frameNumber);
             this._updatePreview(videoFrame, drawLocation, frameNumber);
         } finally {
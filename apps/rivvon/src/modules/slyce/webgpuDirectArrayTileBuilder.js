@@ -1,7 +1,11 @@
 import { EventEmitter } from 'events';
-import { getCached2dContext } from './samplingRuntime.js';
+import { drawSlitPreviewRow, getCached2dContext } from './samplingRuntime.js';
+import {
+    CROSS_SECTION_SHADER_MODE_PLANES,
+    CROSS_SECTION_SHADER_MODE_SLIT,
+    createCrossSectionSampler,
+} from './crossSectionStrategies.js';
 
-const CROSS_SECTION_PLANES = 'planes';
 const SAMPLING_ROWS = 'rows';
 const COPY_BYTES_ALIGNMENT = 256;
 const WGSL_PI = '3.1415926535897932384626433832795';
@@ -91,6 +95,7 @@ struct Params {
 @group(0) @binding(1) var sourceSampler: sampler;
 @group(0) @binding(2) var sourceTexture: texture_2d<f32>;
 @group(0) @binding(3) var outputTexture: texture_storage_2d_array<rgba8unorm, write>;
+@group(0) @binding(4) var<storage, read> slitCoordinates: array<vec2f>;
 
 const PI = ${WGSL_PI};
 
@@ -101,7 +106,11 @@ fn resolveSampleLocation(layerIndex: u32) -> f32 {
     let frameIndex = params.frame.y;
     let frameCount = params.frame.z;
 
-    if (crossSectionType == 0u) {
+    if (crossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}u) {
+        return 0.0;
+    }
+
+    if (crossSectionType == ${CROSS_SECTION_SHADER_MODE_PLANES}u) {
         if (crossSectionCount <= 1u) {
             return 0.5 * max(distributionRange - 1.0, 0.0);
         }
@@ -128,6 +137,7 @@ fn csMain(@builtin(global_invocation_id) globalId: vec3<u32>) {
     let sourceWidth = params.sizes.z;
     let sourceHeight = params.sizes.w;
     let crossSectionCount = params.modes.x;
+    let crossSectionType = params.modes.y;
     let samplingMode = params.modes.z;
     let drawRow = params.modes.w;
 
@@ -139,7 +149,10 @@ fn csMain(@builtin(global_invocation_id) globalId: vec3<u32>) {
     let sampleLocation = resolveSampleLocation(layerIndex);
     var sourcePixel: vec2f;
 
-    if (samplingMode == 1u) {
+    if (crossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}u) {
+        // Slit strategies: per-pixel source coordinates computed on the CPU
+        sourcePixel = slitCoordinates[layerIndex * tileWidth + x];
+    } else if (samplingMode == 1u) {
         sourcePixel = vec2f(
             sampleLocation,
             (1.0 - localCoordX) * max(f32(sourceHeight) - 1.0, 0.0)
@@ -293,7 +306,6 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
             fileInfo,
             samplingMode,
             crossSectionCount,
-            crossSectionType,
             frameCount,
             tilePlan,
             supportReport = null,
@@ -308,7 +320,7 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
         this._distributionRange = samplingMode === SAMPLING_ROWS ? fileInfo.height : fileInfo.width;
         this._frameCount = Number(frameCount) || 0;
         this._samplingMode = samplingMode;
-        this._crossSectionType = crossSectionType;
+        this._crossSectionSampler = createCrossSectionSampler(settings);
         this._crossSectionCount = crossSectionCount;
         this._tileWidth = tilePlan.width;
         this._tileHeight = tilePlan.height;
@@ -363,6 +375,17 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
+        // The shader always declares the slit coordinate buffer, so axis
+        // strategies bind a minimal placeholder to satisfy the layout.
+        const isSlit = this._crossSectionSampler.kind === 'slit';
+        this._slitCoordinates = isSlit ? new Float32Array(this._crossSectionCount * this._tileWidth * 2) : null;
+        this._slitPreviewCoordinates = isSlit ? new Float32Array(this._tileWidth * 2) : null;
+        this._slitCoordinatesUploaded = false;
+        this._slitCoordinateBuffer = this._device.createBuffer({
+            size: Math.max(this._slitCoordinates?.byteLength ?? 0, 16),
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+
         const shaderModule = createShaderModule(this._device);
         this._pipeline = this._device.createComputePipeline({
             layout: 'auto',
@@ -390,6 +413,10 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
                     binding: 3,
                     resource: this._arrayTextureView,
                 },
+                {
+                    binding: 4,
+                    resource: { buffer: this._slitCoordinateBuffer },
+                },
             ],
         });
 
@@ -402,7 +429,7 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
         this._uniformView.setUint32(8, fileInfo.width, true);
         this._uniformView.setUint32(12, fileInfo.height, true);
         this._uniformView.setUint32(16, this._crossSectionCount, true);
-        this._uniformView.setUint32(20, this._crossSectionType === CROSS_SECTION_PLANES ? 0 : 1, true);
+        this._uniformView.setUint32(20, this._crossSectionSampler.shaderMode, true);
         this._uniformView.setUint32(24, this._samplingMode === SAMPLING_ROWS ? 0 : 1, true);
         this._uniformView.setUint32(28, 0, true);
         this._uniformView.setFloat32(32, this._distributionRange, true);
@@ -412,6 +439,16 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
         this._device.queue.writeBuffer(this._uniformBuffer, 0, this._uniformBytes);
     }
 
+    _uploadSlitCoordinates(frameNumber) {
+        if (!this._slitCoordinates || (this._slitCoordinatesUploaded && this._crossSectionSampler.frameInvariant)) {
+            return;
+        }
+
+        this._crossSectionSampler.getCoordinates(frameNumber, this._slitCoordinates);
+        this._device.queue.writeBuffer(this._slitCoordinateBuffer, 0, this._slitCoordinates);
+        this._slitCoordinatesUploaded = true;
+    }
+
     _updateDynamicUniforms(drawLocation, frameNumber) {
         this._uniformView.setUint32(28, drawLocation, true);
         this._uniformView.setFloat32(36, frameNumber, true);
@@ -431,28 +468,16 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
         }
     }
 
-    _resolvePreviewSampleLocation(frameNumber) {
-        if (this._crossSectionType === CROSS_SECTION_PLANES) {
-            if (this._crossSectionCount <= 1) {
-                return 0.5 * (this._distributionRange - 1);
-            }
+    _updatePreview(videoFrame, drawLocation, frameNumber) {
+        const { fileInfo, tilePlan } = this.settings;
 
-            const normalizedIndex = 0;
-            return ((Math.cos(normalizedIndex) + 1) / 2) * (this._distributionRange - 1);
+        if (this._crossSectionSampler.kind === 'slit') {
+            this._crossSectionSampler.getLayerCoordinates(0, frameNumber, this._slitPreviewCoordinates);
+            drawSlitPreviewRow(this._previewCtx, videoFrame, this._slitPreviewCoordinates, drawLocation);
+            return;
         }
 
-        const phaseShift = 0;
-        const waveAmplitude = this._distributionRange / 2;
-        const waveOffset = this._distributionRange / 2;
-        const omega = this._frameCount ? (2 * Math.PI) / this._frameCount : 0;
-        const globalIndex = Math.min(frameNumber, this._frameCount) - 1;
-        const sampleLocation = waveAmplitude * Math.sin(omega * globalIndex + phaseShift) + waveOffset;
-        return Math.max(0, Math.min(this._distributionRange - 1, sampleLocation));
-    }
-
-    _updatePreview(videoFrame, drawLocation, frameNumber) {
-        const { fileInfo, tilePlan } = this.settings;
-        const sampleLocation = this._resolvePreviewSampleLocation(frameNumber);
+        const sampleLocation = this._crossSectionSampler.resolveSampleLocation(0, frameNumber);
 
         if (this._samplingMode === 'columns') {
             this._previewCtx.drawImage(
@@ -597,12 +622,16 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
         this._sourceTexture?.destroy?.();
         this._arrayTexture?.destroy?.();
         this._uniformBuffer?.destroy?.();
+        this._slitCoordinateBuffer?.destroy?.();
 
         this._sourceTexture = null;
         this._sourceTextureView = null;
         this._arrayTexture = null;
         this._arrayTextureView = null;
         this._uniformBuffer = null;
+        this._slitCoordinateBuffer = null;
+        this._slitCoordinates = null;
+        this._slitPreviewCoordinates = null;
         this._pipeline = null;
         this._bindGroup = null;
         this._sampler = null;
@@ -628,6 +657,7 @@ export class WebGPUDirectArrayTileBuilder extends EventEmitter {
 
         try {
             this._uploadSourceFrame(videoFrame);
+            this._uploadSlitCoordinates(frameNumber);
             this._dispatchFrame(drawLocation, frameNumber);
             this._updatePreview(videoFrame, drawLocation, frameNumber);
         } finally {
@@ -1,7 +1,11 @@
 import { EventEmitter } from 'events';
-import { getCached2dContext } from './samplingRuntime.js';
+import { drawSlitPreviewRow, getCached2dContext } from './samplingRuntime.js';
+import {
+    CROSS_SECTION_SHADER_MODE_PLANES,
+    CROSS_SECTION_SHADER_MODE_SLIT,
+    createCrossSectionSampler,
+} from './crossSectionStrategies.js';
 
-const CROSS_SECTION_PLANES = 'planes';
 const SAMPLING_ROWS = 'rows';
 const COPY_BYTES_ALIGNMENT = 256;
 const WGSL_PI = '3.1415926535897932384626433832795';
@@ -137,11 +141,13 @@ struct VertexOutput {
     @builtin(position) position: vec4f,
     @location(0) localCoord: vec2f,
     @location(1) @interpolate(flat) sampleLocation: f32,
+    @location(2) @interpolate(flat) layerIndex: u32,
 };
 
 @group(0) @binding(0) var<uniform> params: Params;
 @group(0) @binding(1) var sourceSampler: sampler;
 @group(0) @binding(2) var sourceTexture: texture_2d<f32>;
+@group(0) @binding(3) var<storage, read> slitCoordinates: array<vec2f>;
 
 const corners = array<vec2f, 6>(
     vec2f(0.0, 0.0),
@@ -153,7 +159,11 @@ const corners = array<vec2f, 6>(
 );
 
 fn resolveSampleLocation(layerIndex: u32) -> f32 {
-    if (params.crossSectionType == 0u) {
+    if (params.crossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}u) {
+        return 0.0;
+    }
+
+    if (params.crossSectionType == ${CROSS_SECTION_SHADER_MODE_PLANES}u) {
         if (params.crossSectionCount <= 1u) {
             return 0.5 * max(params.distributionRange - 1.0, 0.0);
         }
@@ -196,6 +206,7 @@ fn vsMain(
     );
     output.localCoord = corner;
     output.sampleLocation = resolveSampleLocation(instanceIndex);
+    output.layerIndex = instanceIndex;
     return output;
 }
 
@@ -203,7 +214,12 @@ fn vsMain(
 fn fsMain(input: VertexOutput) -> @location(0) vec4f {
     var sourcePixel: vec2f;
 
-    if (params.samplingMode == 1u) {
+    if (params.crossSectionType == ${CROSS_SECTION_SHADER_MODE_SLIT}u) {
+        // Slit strategies: per-pixel source coordinates computed on the CPU
+        let tileWidth = u32(params.tileSize.x);
+        let slitPixel = min(u32(input.localCoord.x * params.tileSize.x), tileWidth - 1u);
+        sourcePixel = slitCoordinates[input.layerIndex * tileWidth + slitPixel];
+    } else if (params.samplingMode == 1u) {
         sourcePixel = vec2f(
             input.sampleLocation,
             (1.0 - input.localCoord.x) * max(params.sourceSize.y - 1.0, 0.0)
@@ -289,7 +305,6 @@ export class WebGPUTileBuilder extends EventEmitter {
             fileInfo,
             samplingMode,
             crossSectionCount,
-            crossSectionType,
             frameCount,
             tilePlan,
             supportReport = null,
@@ -304,7 +319,7 @@ export class WebGPUTileBuilder extends EventEmitter {
         this._distributionRange = samplingMode === SAMPLING_ROWS ? fileInfo.height : fileInfo.width;
         this._frameCount = Number(frameCount) || 0;
         this._samplingMode = samplingMode;
-        this._crossSectionType = crossSectionType;
+        this._crossSectionSampler = createCrossSectionSampler(settings);
         this._crossSectionCount = crossSectionCount;
         this._tileWidth = tilePlan.width;
         this._tileHeight = tilePlan.height;
@@ -362,6 +377,17 @@ export class WebGPUTileBuilder extends EventEmitter {
             size: this._uniformBytes.byteLength,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
+
+        // The shader always declares the slit coordinate buffer, so axis
+        // strategies bind a minimal placeholder to satisfy the layout.
+        const isSlit = this._crossSectionSampler.kind === 'slit';
+        this._slitCoordinates = isSlit ? new Float32Array(this._crossSectionCount * this._tileWidth * 2) : null;
+        this._slitPreviewCoordinates = isSlit ? new Float32Array(this._tileWidth * 2) : null;
+        this._slitCoordinatesUploaded = false;
+        this._slitCoordinateBuffer = this._device.createBuffer({
+            size: Math.max(this._slitCoordinates?.byteLength ?? 0, 16),
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
         this._pipeline = this._device.createRenderPipeline({
             layout: 'auto',
             vertex: {
@@ -392,6 +418,10 @@ export class WebGPUTileBuilder extends EventEmitter {
                     binding: 2,
                     resource: this._sourceTextureView,
                 },
+                {
+                    binding: 3,
+                    resource: { buffer: this._slitCoordinateBuffer },
+                },
             ],
         });
 
@@ -420,7 +450,7 @@ export class WebGPUTileBuilder extends EventEmitter {
         this._uniformView.setFloat32(12, this._tileHeight, true);
         this._uniformView.setUint32(16, this._layout.columns, true);
         this._uniformView.setUint32(20, this._crossSectionCount, true);
-        this._uniformView.setUint32(24, this._crossSectionType === CROSS_SECTION_PLANES ? 0 : 1, true);
+        this._uniformView.setUint32(24, this._crossSectionSampler.shaderMode, true);
         this._uniformView.setUint32(28, this._samplingMode === SAMPLING_ROWS ? 0 : 1, true);
         this._uniformView.setFloat32(32, this._distributionRange, true);
         this._uniformView.setFloat32(36, 0, true);
@@ -433,34 +463,32 @@ export class WebGPUTileBuilder extends EventEmitter {
         this._device.queue.writeBuffer(this._uniformBuffer, 0, this._uniformBytes);
     }
 
+    _uploadSlitCoordinates(frameNumber) {
+        if (!this._slitCoordinates || (this._slitCoordinatesUploaded && this._crossSectionSampler.frameInvariant)) {
+            return;
+        }
+
+        this._crossSectionSampler.getCoordinates(frameNumber, this._slitCoordinates);
+        this._device.queue.writeBuffer(this._slitCoordinateBuffer, 0, this._slitCoordinates);
+        this._slitCoordinatesUploaded = true;
+    }
+
     _updateDynamicUniforms(drawLocation, frameNumber) {
         this._uniformView.setFloat32(36, drawLocation, true);
         this._uniformView.setFloat32(40, frameNumber, true);
         this._device.queue.writeBuffer(this._uniformBuffer, 0, this._uniformBytes);
     }
 
-    _resolvePreviewSampleLocation(frameNumber) {
-        if (this._crossSectionType === CROSS_SECTION_PLANES) {
-            if (this._crossSectionCount <= 1) {
-                return 0.5 * (this._distributionRange - 1);
-            }
+    _updatePreview(videoFrame, drawLocation, frameNumber) {
+        const { fileInfo, tilePlan } = this.settings;
 
-            const normalizedIndex = 0;
-            return ((Math.cos(normalizedIndex) + 1) / 2) * (this._distributionRange - 1);
+        if (this._crossSectionSampler.kind === 'slit') {
+            this._crossSectionSampler.getLayerCoordinates(0, frameNumber, this._slitPreviewCoordinates);
+            drawSlitPreviewRow(this._previewCtx, this._uploadCanvas, this._slitPreviewCoordinates, drawLocation);
+            return;
         }
 
-        const phaseShift = 0;
-        const waveAmplitude = this._distributionRange / 2;
-        const waveOffset = this._distributionRange / 2;
-        const omega = this._frameCount ? (2 * Math.PI) / this._frameCount : 0;
-        const globalIndex = Math.min(frameNumber, this._frameCount) - 1;
-        const sampleLocation = waveAmplitude * Math.sin(omega * globalIndex + phaseShift) + waveOffset;
-        return Math.max(0, Math.min(this._distributionRange - 1, sampleLocation));
-    }
-
-    _updatePreview(videoFrame, drawLocation, frameNumber) {
-        const { fileInfo, tilePlan } = this.settings;
-        const sampleLocation = this._resolvePreviewSampleLocation(frameNumber);
+        const sampleLocation = this._crossSectionSampler.resolveSampleLocation(0, frameNumber);
 
         if (this._samplingMode === 'columns') {
             this._previewCtx.drawImage(
@@ -597,12 +625,16 @@ export class WebGPUTileBuilder extends EventEmitter {
         this._sourceTexture?.destroy?.();
         this._atlasTexture?.destroy?.();
         this._uniformBuffer?.destroy?.();
+        this._slitCoordinateBuffer?.destroy?.();
 
         this._sourceTexture = null;
         this._sourceTextureView = null;
         this._atlasTexture = null;
         this._atlasTextureView = null;
         this._uniformBuffer = null;
+        this._slitCoordinateBuffer = null;
+        this._slitCoordinates = null;
+        this._slitPreviewCoordinates = null;
         this._pipeline = null;
         this._bindGroup = null;
         this._sampler = null;
@@ -628,6 +660,7 @@ export class WebGPUTileBuilder extends EventEmitter {
 
         try {
             this._uploadSourceFrame(videoFrame);
+            this._uploadSlitCoordinates(frameNumber);
             this._drawFrame(drawLocation, frameNumber);
             this._updatePreview(videoFrame, drawLocation, frameNumber);
         } finally {
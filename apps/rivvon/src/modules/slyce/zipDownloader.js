@@ -39,6 +39,7 @@ export async function downloadAllAsZip(blobURLs, fileInfo, format, appStore) {
             frameInterpolationFactor: appStore?.effectiveInterpolationFactor,
             crossSectionCount: appStore?.crossSectionCount,
             crossSectionType: appStore?.crossSectionType,
+            crossSectionOptions: appStore?.activeCrossSectionOptions,
             samplingMode: appStore?.samplingAxis,
             tileProportion: 'square',
             prioritize: 'powersOfTwo',
@@ -105,3 +106,43 @@ export async function downloadAllAsZip(blobURLs, fileInfo, format, appStore) {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
+
+/**
+ * Collect numbered image frames into a ZIP, one file per frame
+ * (frame_00000.png, frame_00001.png, …) for compositing tools.
+ * @param {Object} [options]
+ * @param {string} [options.prefix='frame'] - File name prefix
+ * @param {string} [options.extension='png'] - Frame file extension
+ * @returns {{ addFrame: Function, finish: Function }}
+ */
+export function createImageSequenceZip({ prefix = 'frame', extension = 'png' } = {}) {
+    const zip = new JSZip();
+    let frameCount = 0;
+
+    return {
+        /**
+         * @param {Blob} blob - Encoded frame image
+         */
+        addFrame(blob) {
+            zip.file(
+                `${prefix}_${String(frameCount).padStart(5, '0')}.${extension}`,
+                blob,
+                { binary: true }
+            );
+            frameCount++;
+        },
+
+        /**
+         * @param {Object} [metadata] - Written alongside the frames as metadata.json
+         * @returns {Promise<Blob>}
+         */
+        async finish(metadata = null) {
+            if (metadata) {
+                zip.file('metadata.json', JSON.stringify({ ...metadata, frameCount }, null, 2));
+            }
+
+            // Frames are already compressed images, so store them as-is
+            return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+        },
+    };
+}
@@ -0,0 +1,139 @@
+// src/modules/viewer/animatedImageExport.js
+// Shared pieces for GIF / APNG scene exports: format metadata, the size and
+// frame-rate presets offered by the export dialog, and a rough file-size
+// estimate shown before encoding starts.
+
+import { createApngEncoder } from './apngEncoder.js';
+import { createGifEncoder } from './gifEncoder.js';
+
+export const ANIMATED_IMAGE_FORMATS = Object.freeze({
+    gif: { label: 'GIF', mimeType: 'image/gif', extension: 'gif' },
+    apng: { label: 'APNG', mimeType: 'image/png', extension: 'png' },
+});
+
+export const DEFAULT_ANIMATED_IMAGE_PRESET = 'medium';
+
+// longEdge / fps of null keep the dialog's resolution and frame rate
+export const ANIMATED_IMAGE_PRESET_OPTIONS = Object.freeze([
+    { label: 'Small (480px · 12 fps)', value: 'small', longEdge: 480, fps: 12 },
+    { label: 'Medium (640px · 15 fps)', value: 'medium', longEdge: 640, fps: 15 },
+    { label: 'Large (960px · 20 fps)', value: 'large', longEdge: 960, fps: 20 },
+    { label: 'Export Resolution', value: 'full', longEdge: null, fps: null },
+]);
+
+// GIF delays are whole centiseconds and browsers slow anything under 2cs
+const GIF_MAX_FPS = 50;
+
+// Ballpark compressed bytes per pixel per frame for textured ribbon scenes.
+// Dithering adds noise that LZW compresses poorly.
+const BYTES_PER_PIXEL = {
+    gif: 0.45,
+    gifDithered: 0.7,
+    apng: 1.1,
+    apngAlpha: 1.4,
+};
+
+/**
+ * @param {string} format
+ * @returns {boolean} True for GIF / APNG
+ */
+export function isAnimatedImageFormat(format) {
+    return Object.prototype.hasOwnProperty.call(ANIMATED_IMAGE_FORMATS, format);
+}
+
+/**
+ * @param {string} format
+ * @returns {string} MIME type for the encoded file
+ */
+export function getAnimatedImageMimeType(format) {
+    return ANIMATED_IMAGE_FORMATS[format]?.mimeType ?? 'image/gif';
+}
+
+/**
+ * @param {string} format
+ * @returns {string} File extension without the dot
+ */
+export function getAnimatedImageExtension(format) {
+    return ANIMATED_IMAGE_FORMATS[format]?.extension ?? 'gif';
+}
+
+function toEven(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Resolve a preset against the dialog's export dimensions, keeping the
+ * aspect ratio and never upscaling past them.
+ * @param {string} preset
+ * @param {Object} base
+ * @param {number} base.width
+ * @param {number} base.height
+ * @param {number} base.fps
+ * @param {string} [format='gif']
+ * @returns {{ width: number, height: number, fps: number }}
+ */
+export function resolveAnimatedImagePreset(preset, { width, height, fps }, format = 'gif') {
+    const option = ANIMATED_IMAGE_PRESET_OPTIONS.find((entry) => entry.value === preset)
+        ?? ANIMATED_IMAGE_PRESET_OPTIONS.find((entry) => entry.value === DEFAULT_ANIMATED_IMAGE_PRESET);
+    const longEdge = Math.max(width, height);
+    const scale = option.longEdge && longEdge > option.longEdge ? option.longEdge / longEdge : 1;
+    const resolvedFps = option.fps ?? fps;
+
+    return {
+        width: toEven(width * scale),
+        height: toEven(height * scale),
+        fps: format === 'gif' ? Math.min(GIF_MAX_FPS, resolvedFps) : resolvedFps,
+    };
+}
+
+/**
+ * Rough output size before encoding. Real sizes swing with texture detail
+ * and motion, so treat this as an order-of-magnitude guide.
+ * @param {Object} options
+ * @param {string} options.format - 'gif' | 'apng' | 'png-sequence'
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {number} options.duration - Seconds
+ * @param {boolean} [options.dither=true]
+ * @param {boolean} [options.alpha=false]
+ * @returns {number} Estimated bytes
+ */
+export function estimateAnimatedImageSize({ format, width, height, fps, duration, dither = true, alpha = false }) {
+    const frames = Math.max(1, Math.ceil(duration * fps));
+    const pixels = width * height;
+
+    // A PNG sequence compresses like APNG frames, just split into files
+    if (format === 'apng' || format === 'png-sequence') {
+        return Math.round(pixels * frames * (alpha ? BYTES_PER_PIXEL.apngAlpha : BYTES_PER_PIXEL.apng));
+    }
+
+    // Each GIF frame also carries a 768-byte local palette
+    const perPixel = dither ? BYTES_PER_PIXEL.gifDithered : BYTES_PER_PIXEL.gif;
+    return Math.round(pixels * frames * perPixel + frames * 768);
+}
+
+/**
+ * Create the encoder for an animated image format. Both encoders take RGBA
+ * frames via addFrame() (which may be async) and return the file bytes from
+ * finish().
+ * @param {Object} options
+ * @param {string} options.format - 'gif' | 'apng'
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {boolean} [options.dither=true] - GIF only
+ * @param {boolean} [options.alpha=false] - APNG only
+ * @returns {{ addFrame: Function, finish: Function }}
+ */
+export function createAnimatedImageEncoder({ format, width, height, fps, dither = true, alpha = false }) {
+    if (format === 'apng') {
+        return createApngEncoder({ width, height, fps, alpha });
+    }
+
+    if (format === 'gif') {
+        return createGifEncoder({ width, height, fps, dither });
+    }
+
+    throw new Error(`Unsupported animated image format: ${format}`);
+}
@@ -0,0 +1,200 @@
+import { inflateSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+
+import { estimateAnimatedImageSize, resolveAnimatedImagePreset } from './animatedImageExport.js';
+import { crc32, createApngEncoder } from './apngEncoder.js';
+import { createGifEncoder, mapRgbaToPalette, quantizeRgba } from './gifEncoder.js';
+
+function gradientFrame(width, height, shift = 0) {
+    const rgba = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            rgba[i] = (x * 255) / (width - 1);
+            rgba[i + 1] = (y * 255) / (height - 1);
+            rgba[i + 2] = (x + y + shift) % 256;
+            rgba[i + 3] = 255;
+        }
+    }
+    return rgba;
+}
+
+function solidFrame(width, height, colors) {
+    const rgba = new Uint8Array(width * height * 4);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+        rgba.set([...colors[pixel % colors.length], 255], pixel * 4);
+    }
+    return rgba;
+}
+
+// Minimal GIF reader: returns each frame's delay and decoded palette indices
+function decodeGif(bytes) {
+    let offset = 13;
+    const frames = [];
+    let delay = 0;
+    let loops = false;
+
+    const readSubBlocks = () => {
+        const data = [];
+        while (bytes[offset] !== 0) {
+            const size = bytes[offset++];
+            data.push(...bytes.subarray(offset, offset + size));
+            offset += size;
+        }
+        offset++;
+        return data;
+    };
+
+    while (bytes[offset] !== 0x3b) {
+        const introducer = bytes[offset++];
+        if (introducer === 0x21) {
+            const label = bytes[offset++];
+            if (label === 0xf9) delay = bytes[offset + 2] | (bytes[offset + 3] << 8);
+            if (label === 0xff) loops = true;
+            readSubBlocks();
+            continue;
+        }
+
+        const width = bytes[offset + 4] | (bytes[offset + 5] << 8);
+        const height = bytes[offset + 6] | (bytes[offset + 7] << 8);
+        const packed = bytes[offset + 8];
+        offset += 9 + (3 << ((packed & 7) + 1));
+        const minCodeSize = bytes[offset++];
+        const data = readSubBlocks();
+
+        const clearCode = 1 << minCodeSize;
+        let dictionary;
+        let codeSize;
+        let previous = null;
+        const output = [];
+        let bitPosition = 0;
+        const reset = () => {
+            dictionary = Array.from({ length: clearCode + 2 }, (_, code) => [code]);
+            codeSize = minCodeSize + 1;
+            previous = null;
+        };
+        reset();
+
+        while (bitPosition + codeSize <= data.length * 8) {
+            let code = 0;
+            for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+                code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+            }
+            if (code === clearCode) {
+                reset();
+                continue;
+            }
+            if (code === clearCode + 1) break;
+
+            const entry = code < dictionary.length ? dictionary[code] : [...previous, previous[0]];
+            output.push(...entry);
+            if (previous) dictionary.push([...previous, entry[0]]);
+            if (dictionary.length === (1 << codeSize) && codeSize < 12) codeSize++;
+            previous = entry;
+        }
+
+        frames.push({ width, height, delay, indices: output });
+    }
+
+    return { loops, frames };
+}
+
+function readPngChunks(bytes) {
+    const chunks = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        const crc = view.getUint32(offset + 8 + length);
+        chunks.push({ type, data, crcValid: crc === crc32(bytes.subarray(offset + 4, offset + 8 + length)) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+describe('quantizeRgba', () => {
+    it('keeps frames with few colours exact', () => {
+        const palette = quantizeRgba(solidFrame(4, 4, [[10, 20, 30], [200, 100, 0]]));
+        expect(Array.from(palette)).toEqual([10, 20, 30, 200, 100, 0]);
+    });
+
+    it('reduces busy frames to the colour limit', () => {
+        const rgba = gradientFrame(64, 64);
+        const palette = quantizeRgba(rgba, 256);
+        expect(palette.length).toBeLessThanOrEqual(256 * 3);
+
+        const indices = mapRgbaToPalette(rgba, 64, 64, palette, { dither: true });
+        expect(Math.max(...indices)).toBeLessThan(palette.length / 3);
+    });
+});
+
+describe('createGifEncoder', () => {
+    it('writes a looping GIF whose frames decode back to their palette indices', () => {
+        const rgba = solidFrame(5, 3, [[255, 0, 0], [0, 255, 0], [0, 0, 255]]);
+        const encoder = createGifEncoder({ width: 5, height: 3, fps: 15, dither: false });
+        encoder.addFrame(rgba);
+        encoder.addFrame(rgba);
+        encoder.addFrame(rgba);
+        const bytes = encoder.finish();
+
+        expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+        expect(bytes[bytes.length - 1]).toBe(0x3b);
+
+        const gif = decodeGif(bytes);
+        expect(gif.loops).toBe(true);
+        expect(gif.frames).toHaveLength(3);
+        // 15 fps in whole centiseconds: 7, 6, 7 keeps the average at 6.67
+        expect(gif.frames.map((frame) => frame.delay)).toEqual([7, 6, 7]);
+        expect(gif.frames[0].indices).toEqual([0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2]);
+    });
+
+    it('survives dictionary resets on large frames', () => {
+        const width = 96;
+        const height = 96;
+        const rgba = gradientFrame(width, height);
+        const encoder = createGifEncoder({ width, height, dither: false });
+        encoder.addFrame(rgba);
+
+        const [frame] = decodeGif(encoder.finish()).frames;
+        const palette = quantizeRgba(rgba);
+        expect(frame.indices).toEqual(Array.from(mapRgbaToPalette(rgba, width, height, palette)));
+    });
+});
+
+describe('createApngEncoder', () => {
+    it('writes valid chunks with one fcTL per frame', async () => {
+        const encoder = createApngEncoder({ width: 8, height: 4, fps: 24 });
+        await encoder.addFrame(gradientFrame(8, 4));
+        await encoder.addFrame(gradientFrame(8, 4, 40));
+        const chunks = readPngChunks(encoder.finish());
+
+        expect(chunks.map((chunk) => chunk.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+        expect(chunks.every((chunk) => chunk.crcValid)).toBe(true);
+
+        const actl = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+        expect(actl.getUint32(0)).toBe(2);
+        expect(actl.getUint32(4)).toBe(0);
+
+        // 4 rows of filter byte + 8 RGB pixels
+        expect(inflateSync(chunks[3].data)).toHaveLength(4 * (1 + 8 * 3));
+        expect(inflateSync(chunks[5].data.subarray(4))).toHaveLength(4 * (1 + 8 * 3));
+    });
+});
+
+describe('animated image presets', () => {
+    it('scales to the preset long edge without upscaling', () => {
+        expect(resolveAnimatedImagePreset('small', { width: 1920, height: 1080, fps: 30 }))
+            .toEqual({ width: 480, height: 270, fps: 12 });
+        expect(resolveAnimatedImagePreset('large', { width: 720, height: 720, fps: 30 }))
+            .toEqual({ width: 720, height: 720, fps: 20 });
+        expect(resolveAnimatedImagePreset('full', { width: 640, height: 360, fps: 60 }, 'gif').fps).toBe(50);
+    });
+
+    it('estimates dithered GIFs larger than plain ones', () => {
+        const base = { format: 'gif', width: 640, height: 360, fps: 15, duration: 4 };
+        expect(estimateAnimatedImageSize({ ...base, dither: true }))
+            .toBeGreaterThan(estimateAnimatedImageSize({ ...base, dither: false }));
+    });
+});
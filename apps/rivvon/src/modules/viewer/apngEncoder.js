@@ -0,0 +1,247 @@
+// src/modules/viewer/apngEncoder.js
+// Animated PNG encoder for the scene exporter. Frames are full-canvas,
+// lossless and compressed with the browser's CompressionStream('deflate'),
+// which already produces the zlib stream PNG expects.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_COLOR_TYPE_RGB = 2;
+const PNG_COLOR_TYPE_RGBA = 6;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (crcTable) return crcTable;
+
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 as used by PNG chunks.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeUint32(target, offset, value) {
+    target[offset] = (value >>> 24) & 0xff;
+    target[offset + 1] = (value >>> 16) & 0xff;
+    target[offset + 2] = (value >>> 8) & 0xff;
+    target[offset + 3] = value & 0xff;
+}
+
+function writeUint16(target, offset, value) {
+    target[offset] = (value >>> 8) & 0xff;
+    target[offset + 1] = value & 0xff;
+}
+
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    writeUint32(chunk, 0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const dLeft = Math.abs(estimate - left);
+    const dUp = Math.abs(estimate - up);
+    const dUpLeft = Math.abs(estimate - upLeft);
+    if (dLeft <= dUp && dLeft <= dUpLeft) return left;
+    return dUp <= dUpLeft ? up : upLeft;
+}
+
+/**
+ * Convert RGBA pixels into PNG scanlines, choosing the filter per row with
+ * the usual minimum-sum-of-absolute-differences heuristic.
+ * @param {Uint8Array|Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} alpha - Keep the alpha channel (RGBA) or drop it (RGB)
+ * @returns {Uint8Array}
+ */
+export function filterScanlines(rgba, width, height, alpha) {
+    const channels = alpha ? 4 : 3;
+    const stride = width * channels;
+    const output = new Uint8Array((stride + 1) * height);
+    let previous = new Uint8Array(stride);
+    let current = new Uint8Array(stride);
+    const candidate = new Uint8Array(stride);
+    const best = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0, source = y * width * 4, target = 0; x < width; x++, source += 4, target += channels) {
+            current[target] = rgba[source];
+            current[target + 1] = rgba[source + 1];
+            current[target + 2] = rgba[source + 2];
+            if (alpha) current[target + 3] = rgba[source + 3];
+        }
+
+        let bestFilter = 0;
+        let bestScore = Infinity;
+        for (let filter = 0; filter < 5; filter++) {
+            let score = 0;
+            for (let i = 0; i < stride; i++) {
+                const left = i >= channels ? current[i - channels] : 0;
+                const up = previous[i];
+                const upLeft = i >= channels ? previous[i - channels] : 0;
+                let predictor = 0;
+                if (filter === 1) predictor = left;
+                else if (filter === 2) predictor = up;
+                else if (filter === 3) predictor = (left + up) >> 1;
+                else if (filter === 4) predictor = paeth(left, up, upLeft);
+
+                const value = (current[i] - predictor) & 0xff;
+                candidate[i] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                bestFilter = filter;
+                best.set(candidate);
+            }
+        }
+
+        const rowOffset = y * (stride + 1);
+        output[rowOffset] = bestFilter;
+        output.set(best, rowOffset + 1);
+        [previous, current] = [current, previous];
+    }
+    return output;
+}
+
+async function deflateWithCompressionStream(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('CompressionStream is not available in this browser, so APNG export is unsupported.');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function getFrameDelay(fps) {
+    if (Number.isInteger(fps) && fps > 0 && fps <= 0xffff) {
+        return { numerator: 1, denominator: fps };
+    }
+    return { numerator: Math.max(1, Math.round(1000 / fps)), denominator: 1000 };
+}
+
+/**
+ * Create an animated PNG encoder. Compressed frames are held until finish()
+ * because the acTL chunk, which precedes them, records the frame count.
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.fps=30]
+ * @param {boolean} [options.alpha=false] - Encode an alpha channel
+ * @param {number} [options.plays=0] - Loop count, 0 = forever
+ * @param {Function} [options.deflate] - (Uint8Array) => Promise<Uint8Array> zlib stream
+ * @returns {{ addFrame: Function, finish: Function, frameCount: number }}
+ */
+export function createApngEncoder({
+    width,
+    height,
+    fps = 30,
+    alpha = false,
+    plays = 0,
+    deflate = deflateWithCompressionStream,
+} = {}) {
+    if (!(width > 0 && height > 0)) {
+        throw new Error(`Invalid APNG dimensions: ${width}×${height}`);
+    }
+
+    const frames = [];
+    const delay = getFrameDelay(fps);
+
+    return {
+        get frameCount() {
+            return frames.length;
+        },
+
+        /**
+         * Filter, compress and queue one RGBA frame.
+         * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes
+         */
+        async addFrame(rgba) {
+            if (rgba.length !== width * height * 4) {
+                throw new Error('APNG frame size does not match encoder dimensions');
+            }
+            frames.push(await deflate(filterScanlines(rgba, width, height, alpha)));
+        },
+
+        /**
+         * Assemble the file.
+         * @returns {Uint8Array} The complete APNG file
+         */
+        finish() {
+            if (!frames.length) {
+                throw new Error('APNG export needs at least one frame');
+            }
+
+            const chunks = [new Uint8Array(PNG_SIGNATURE)];
+
+            const header = new Uint8Array(13);
+            writeUint32(header, 0, width);
+            writeUint32(header, 4, height);
+            header[8] = 8;
+            header[9] = alpha ? PNG_COLOR_TYPE_RGBA : PNG_COLOR_TYPE_RGB;
+            chunks.push(createChunk('IHDR', header));
+
+            const animationControl = new Uint8Array(8);
+            writeUint32(animationControl, 0, frames.length);
+            writeUint32(animationControl, 4, plays);
+            chunks.push(createChunk('acTL', animationControl));
+
+            // fcTL and fdAT share one sequence counter
+            let sequence = 0;
+            frames.forEach((data, index) => {
+                const frameControl = new Uint8Array(26);
+                writeUint32(frameControl, 0, sequence++);
+                writeUint32(frameControl, 4, width);
+                writeUint32(frameControl, 8, height);
+                writeUint16(frameControl, 20, delay.numerator);
+                writeUint16(frameControl, 22, delay.denominator);
+                // dispose_op and blend_op stay 0: every frame replaces the canvas
+                chunks.push(createChunk('fcTL', frameControl));
+
+                if (index === 0) {
+                    // The first frame doubles as the still image for non-APNG viewers
+                    chunks.push(createChunk('IDAT', data));
+                    return;
+                }
+
+                const frameData = new Uint8Array(4 + data.length);
+                writeUint32(frameData, 0, sequence++);
+                frameData.set(data, 4);
+                chunks.push(createChunk('fdAT', frameData));
+            });
+
+            chunks.push(createChunk('IEND', new Uint8Array(0)));
+
+            const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const file = new Uint8Array(total);
+            let offset = 0;
+            for (const chunk of chunks) {
+                file.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return file;
+        },
+    };
+}
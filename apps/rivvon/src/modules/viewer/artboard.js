@@ -0,0 +1,342 @@
+// src/modules/viewer/artboard.js
+// Layers for the artboard, where text, emoji, drawings, SVGs and walks share
+// one scene. A layer keeps its paths centred on its own origin plus a
+// transform, ribbon width and texture. Composing flattens the layers bottom
+// to top into the paths of a single drawing, with the layer metadata needed
+// to split them apart again.
+
+import * as THREE from 'three';
+
+export const ARTBOARD_VERSION = 1;
+
+// Lifts each layer above the one below so overlapping flat ribbons do not
+// z-fight; it also makes the layer order visible from the side
+export const ARTBOARD_LAYER_Z_STEP = 0.02;
+
+export const MIN_LAYER_SCALE = 0.05;
+export const MAX_LAYER_SCALE = 20;
+export const MIN_LAYER_WIDTH_SCALE = 0.2;
+export const MAX_LAYER_WIDTH_SCALE = 3;
+
+// Layers added after the first start smaller so they do not cover it
+export const ADDED_LAYER_SCALE = 0.5;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function toFinite(value, fallback) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function createLayerId() {
+    return `layer_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+function toPlainPaths(paths) {
+    return (Array.isArray(paths) ? paths : [])
+        .map(path => (Array.isArray(path) ? path : [])
+            .filter(point => Number.isFinite(point?.x) && Number.isFinite(point?.y))
+            .map(point => ({ x: point.x, y: point.y, z: Number.isFinite(point.z) ? point.z : 0 })))
+        .filter(path => path.length >= 2);
+}
+
+function getPathBounds(paths) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+
+    for (const path of paths) {
+        for (const point of path) {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        }
+    }
+
+    return Number.isFinite(minX)
+        ? { minX, maxX, minY, maxY }
+        : { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+}
+
+/**
+ * @param {Object} [transform]
+ * @returns {{ x: number, y: number, scale: number, rotation: number }}
+ *   rotation is in degrees
+ */
+export function normalizeLayerTransform(transform = {}) {
+    const source = transform && typeof transform === 'object' ? transform : {};
+    const rotation = toFinite(source.rotation, 0) % 360;
+
+    return {
+        x: toFinite(source.x, 0),
+        y: toFinite(source.y, 0),
+        scale: clamp(toFinite(source.scale, 1), MIN_LAYER_SCALE, MAX_LAYER_SCALE),
+        rotation: rotation < 0 ? rotation + 360 : rotation
+    };
+}
+
+function normalizeTextureIndex(value) {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Create a layer from drawing paths. The transform places the layer where
+ * the paths already are, so a drawing keeps its position as the first layer.
+ * @param {Object} input
+ * @param {Array<Array<{x: number, y: number, z?: number}>>} input.paths
+ * @param {string} [input.kind]
+ * @param {string} [input.name]
+ * @param {Object} [input.source] - Source metadata of the drawing
+ * @param {Object} [input.transform] - Overrides the computed placement
+ * @param {number} [input.widthScale=1]
+ * @param {number|null} [input.textureIndex=null] - Loaded texture to use;
+ *   null shares textures across paths as usual
+ * @returns {Object|null} The layer, or null when no path is drawable
+ */
+export function createArtboardLayer({
+    paths,
+    kind = 'gesture',
+    name = '',
+    source = null,
+    transform = null,
+    widthScale = 1,
+    textureIndex = null,
+    id = null
+} = {}) {
+    const plainPaths = toPlainPaths(paths);
+    if (plainPaths.length === 0) {
+        return null;
+    }
+
+    const bounds = getPathBounds(plainPaths);
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    const localPaths = plainPaths.map(path => path.map(point => ({
+        x: point.x - centerX,
+        y: point.y - centerY,
+        z: point.z
+    })));
+
+    return {
+        id: typeof id === 'string' && id ? id : createLayerId(),
+        kind,
+        name: typeof name === 'string' ? name.trim() : '',
+        source: source && typeof source === 'object' ? source : null,
+        paths: localPaths,
+        bounds: getPathBounds(localPaths),
+        transform: normalizeLayerTransform(transform ?? { x: centerX, y: centerY }),
+        widthScale: clamp(toFinite(widthScale, 1), MIN_LAYER_WIDTH_SCALE, MAX_LAYER_WIDTH_SCALE),
+        textureIndex: normalizeTextureIndex(textureIndex)
+    };
+}
+
+/**
+ * @param {Array<Object>} layers
+ * @param {string} layerId
+ * @param {Object} patch - transform (merged), widthScale and/or textureIndex
+ * @returns {Array<Object>} New layer array
+ */
+export function updateArtboardLayer(layers, layerId, patch = {}) {
+    return layers.map((layer) => {
+        if (layer.id !== layerId) {
+            return layer;
+        }
+
+        return {
+            ...layer,
+            transform: patch.transform
+                ? normalizeLayerTransform({ ...layer.transform, ...patch.transform })
+                : layer.transform,
+            widthScale: 'widthScale' in patch
+                ? clamp(toFinite(patch.widthScale, layer.widthScale), MIN_LAYER_WIDTH_SCALE, MAX_LAYER_WIDTH_SCALE)
+                : layer.widthScale,
+            textureIndex: 'textureIndex' in patch
+                ? normalizeTextureIndex(patch.textureIndex)
+                : layer.textureIndex
+        };
+    });
+}
+
+/**
+ * Move a layer up (towards the top) or down the stack.
+ * @param {Array<Object>} layers - Bottom to top
+ * @param {string} layerId
+ * @param {number} offset - +1 raises the layer, -1 lowers it
+ * @returns {Array<Object>} New layer array
+ */
+export function moveArtboardLayer(layers, layerId, offset) {
+    const index = layers.findIndex(layer => layer.id === layerId);
+    const target = clamp(index + offset, 0, layers.length - 1);
+
+    if (index < 0 || target === index) {
+        return layers;
+    }
+
+    const next = [...layers];
+    const [layer] = next.splice(index, 1);
+    next.splice(target, 0, layer);
+    return next;
+}
+
+/**
+ * Map a point from layer space into the artboard.
+ * @param {{x: number, y: number, z?: number}} point
+ * @param {Object} transform - From normalizeLayerTransform
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function transformLayerPoint(point, transform) {
+    const radians = transform.rotation * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const x = point.x * transform.scale;
+    const y = point.y * transform.scale;
+
+    return {
+        x: transform.x + x * cos - y * sin,
+        y: transform.y + x * sin + y * cos,
+        z: (point.z ?? 0) * transform.scale
+    };
+}
+
+function inverseTransformLayerPoint(point, transform) {
+    const radians = -transform.rotation * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const x = point.x - transform.x;
+    const y = point.y - transform.y;
+
+    return {
+        x: (x * cos - y * sin) / transform.scale,
+        y: (x * sin + y * cos) / transform.scale,
+        z: (point.z ?? 0) / transform.scale
+    };
+}
+
+/**
+ * The corners of a layer's bounds in the artboard, for drawing handles.
+ * @param {Object} layer
+ * @returns {{ corners: Array<{x: number, y: number}>, center: {x: number, y: number} }}
+ *   corners run top-left, top-right, bottom-right, bottom-left
+ */
+export function getArtboardLayerFrame(layer) {
+    const { minX, maxX, minY, maxY } = layer.bounds;
+    const corners = [
+        { x: minX, y: maxY },
+        { x: maxX, y: maxY },
+        { x: maxX, y: minY },
+        { x: minX, y: minY }
+    ].map(corner => transformLayerPoint(corner, layer.transform));
+
+    return {
+        corners: corners.map(({ x, y }) => ({ x, y })),
+        center: { x: layer.transform.x, y: layer.transform.y }
+    };
+}
+
+/**
+ * Flatten the layers into one drawing, bottom layer first.
+ * @param {Array<Object>} layers
+ * @returns {{ paths: Array<Array<THREE.Vector3>>, pathStyles: Array<{widthScale: number, textureIndex: number|null}>, source: Object }}
+ */
+export function composeArtboard(layers) {
+    const paths = [];
+    const pathStyles = [];
+
+    layers.forEach((layer, layerIndex) => {
+        const zOffset = layerIndex * ARTBOARD_LAYER_Z_STEP;
+
+        for (const path of layer.paths) {
+            paths.push(path.map((point) => {
+                const { x, y, z } = transformLayerPoint(point, layer.transform);
+                return new THREE.Vector3(x, y, z + zOffset);
+            }));
+            pathStyles.push({
+                widthScale: layer.widthScale,
+                textureIndex: layer.textureIndex
+            });
+        }
+    });
+
+    return {
+        paths,
+        pathStyles,
+        source: {
+            artboard: {
+                version: ARTBOARD_VERSION,
+                layers: layers.map(layer => ({
+                    id: layer.id,
+                    kind: layer.kind,
+                    name: layer.name,
+                    source: layer.source,
+                    transform: layer.transform,
+                    widthScale: layer.widthScale,
+                    textureIndex: layer.textureIndex,
+                    pathCount: layer.paths.length
+                }))
+            }
+        }
+    };
+}
+
+/**
+ * Per-path styles for a saved artboard drawing.
+ * @param {Object} artboard - source.artboard of the drawing
+ * @returns {Array<{widthScale: number, textureIndex: number|null}>|null}
+ */
+export function getArtboardPathStyles(artboard) {
+    if (!Array.isArray(artboard?.layers)) {
+        return null;
+    }
+
+    return artboard.layers.flatMap(layer => Array.from(
+        { length: Math.max(0, Math.floor(toFinite(layer.pathCount, 0))) },
+        () => ({
+            widthScale: clamp(toFinite(layer.widthScale, 1), MIN_LAYER_WIDTH_SCALE, MAX_LAYER_WIDTH_SCALE),
+            textureIndex: normalizeTextureIndex(layer.textureIndex)
+        })
+    ));
+}
+
+/**
+ * Split a saved artboard drawing back into layers.
+ * @param {Array<Array<{x: number, y: number, z?: number}>>} paths - Composed paths
+ * @param {Object} artboard - source.artboard of the drawing
+ * @returns {Array<Object>} Layers, or an empty array when the paths do not
+ *   match the metadata
+ */
+export function restoreArtboardLayers(paths, artboard) {
+    const layerMeta = Array.isArray(artboard?.layers) ? artboard.layers : [];
+    const totalPaths = layerMeta.reduce((sum, layer) => sum + (Number(layer.pathCount) || 0), 0);
+
+    if (layerMeta.length === 0 || !Array.isArray(paths) || totalPaths !== paths.length) {
+        return [];
+    }
+
+    let pathIndex = 0;
+
+    return layerMeta.flatMap((meta, layerIndex) => {
+        const transform = normalizeLayerTransform(meta.transform);
+        const zOffset = layerIndex * ARTBOARD_LAYER_Z_STEP;
+        const layerPaths = paths.slice(pathIndex, pathIndex + meta.pathCount).map(path => path.map(point => (
+            inverseTransformLayerPoint({ x: point.x, y: point.y, z: (point.z ?? 0) - zOffset }, transform)
+        )));
+        pathIndex += meta.pathCount;
+
+        const layer = createArtboardLayer({
+            id: meta.id,
+            kind: meta.kind,
+            name: meta.name,
+            source: meta.source,
+            paths: layerPaths,
+            widthScale: meta.widthScale,
+            textureIndex: meta.textureIndex
+        });
+
+        // Paths were restored in layer space, so keep the saved placement
+        return layer ? [{ ...layer, transform }] : [];
+    });
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    ARTBOARD_LAYER_Z_STEP,
+    MAX_LAYER_WIDTH_SCALE,
+    composeArtboard,
+    createArtboardLayer,
+    getArtboardLayerFrame,
+    getArtboardPathStyles,
+    moveArtboardLayer,
+    restoreArtboardLayers,
+    updateArtboardLayer,
+} from './artboard.js';
+
+const square = [
+    [{ x: 2, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 4 }],
+    [{ x: 2, y: 4 }, { x: 2, y: 2 }],
+];
+
+describe('createArtboardLayer', () => {
+    it('centres paths on the layer origin and keeps their placement', () => {
+        const layer = createArtboardLayer({ kind: 'gesture', paths: square });
+
+        expect(layer.transform).toEqual({ x: 3, y: 3, scale: 1, rotation: 0 });
+        expect(layer.paths[0][0]).toEqual({ x: -1, y: -1, z: 0 });
+        expect(layer.bounds).toEqual({ minX: -1, maxX: 1, minY: -1, maxY: 1 });
+    });
+
+    it('drops paths that cannot be drawn', () => {
+        expect(createArtboardLayer({ paths: [[{ x: 0, y: 0 }]] })).toBeNull();
+    });
+});
+
+describe('composeArtboard', () => {
+    it('reproduces the original paths for an untouched layer', () => {
+        const { paths } = composeArtboard([createArtboardLayer({ paths: square })]);
+
+        expect(paths[0][1].x).toBeCloseTo(4);
+        expect(paths[0][1].y).toBeCloseTo(2);
+    });
+
+    it('applies scale and rotation around the layer centre', () => {
+        const layer = createArtboardLayer({ paths: square });
+        const [rotated] = updateArtboardLayer([layer], layer.id, { transform: { scale: 2, rotation: 90 } });
+        const { paths } = composeArtboard([rotated]);
+
+        // (-1, -1) scaled to (-2, -2) then turned a quarter to (2, -2)
+        expect(paths[0][0].x).toBeCloseTo(5);
+        expect(paths[0][0].y).toBeCloseTo(1);
+    });
+
+    it('stacks layers bottom to top with per-path styles', () => {
+        const bottom = createArtboardLayer({ kind: 'text', paths: square, widthScale: 0.5 });
+        const top = createArtboardLayer({ kind: 'emoji', paths: [square[0]], textureIndex: 1 });
+        const { paths, pathStyles, source } = composeArtboard([bottom, top]);
+
+        expect(paths).toHaveLength(3);
+        expect(paths[2][0].z).toBeCloseTo(ARTBOARD_LAYER_Z_STEP);
+        expect(pathStyles).toEqual([
+            { widthScale: 0.5, textureIndex: null },
+            { widthScale: 0.5, textureIndex: null },
+            { widthScale: 1, textureIndex: 1 },
+        ]);
+        expect(source.artboard.layers.map(layer => [layer.kind, layer.pathCount])).toEqual([['text', 2], ['emoji', 1]]);
+    });
+});
+
+describe('restoreArtboardLayers', () => {
+    it('splits a composed drawing back into editable layers', () => {
+        const layer = createArtboardLayer({ kind: 'svg', paths: square });
+        const [edited] = updateArtboardLayer([layer], layer.id, { transform: { x: -5, scale: 3, rotation: 45 } });
+        const second = createArtboardLayer({ kind: 'walk', paths: [[{ x: 0, y: 0, z: 1 }, { x: 1, y: 0, z: 2 }]] });
+        const composed = composeArtboard([edited, second]);
+
+        const restored = restoreArtboardLayers(composed.paths, composed.source.artboard);
+
+        expect(restored.map(entry => entry.kind)).toEqual(['svg', 'walk']);
+        expect(restored[0].transform).toEqual(edited.transform);
+        expect(restored[0].paths[0][0].x).toBeCloseTo(-1);
+        expect(restored[0].paths[0][0].y).toBeCloseTo(-1);
+        expect(restored[1].paths[0][1].z).toBeCloseTo(2);
+        expect(composeArtboard(restored).paths[0][2].x).toBeCloseTo(composed.paths[0][2].x);
+    });
+
+    it('gives up when the paths do not match the metadata', () => {
+        const composed = composeArtboard([createArtboardLayer({ paths: square })]);
+
+        expect(restoreArtboardLayers(composed.paths.slice(1), composed.source.artboard)).toEqual([]);
+    });
+});
+
+describe('layer editing', () => {
+    it('reorders layers within the stack', () => {
+        const layers = ['a', 'b', 'c'].map(id => createArtboardLayer({ id, paths: square }));
+
+        expect(moveArtboardLayer(layers, 'a', 1).map(layer => layer.id)).toEqual(['b', 'a', 'c']);
+        expect(moveArtboardLayer(layers, 'c', 1)).toBe(layers);
+    });
+
+    it('clamps widths and wraps rotation', () => {
+        const layer = createArtboardLayer({ paths: square });
+        const [updated] = updateArtboardLayer([layer], layer.id, { widthScale: 10, transform: { rotation: -90 } });
+
+        expect(updated.widthScale).toBe(MAX_LAYER_WIDTH_SCALE);
+        expect(updated.transform.rotation).toBe(270);
+    });
+
+    it('reports the transformed frame for handles', () => {
+        const layer = createArtboardLayer({ paths: square });
+        const [scaled] = updateArtboardLayer([layer], layer.id, { transform: { scale: 2 } });
+
+        expect(getArtboardLayerFrame(scaled).corners[0]).toEqual({ x: 1, y: 5 });
+    });
+
+    it('expands saved layer styles per path', () => {
+        expect(getArtboardPathStyles({ layers: [{ pathCount: 2, widthScale: 2, textureIndex: 0 }] })).toEqual([
+            { widthScale: 2, textureIndex: 0 },
+            { widthScale: 2, textureIndex: 0 },
+        ]);
+    });
+});
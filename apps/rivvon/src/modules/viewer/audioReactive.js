@@ -0,0 +1,306 @@
+// src/modules/viewer/audioReactive.js
+// Audio analysis and parameter mapping for audio-reactive ribbons. The live
+// path reads spectra from a Web Audio AnalyserNode; deterministic export
+// computes the same spectra offline from the decoded samples, so both share
+// the band, envelope and mapping code below.
+
+export const AUDIO_FFT_SIZE = 2048;
+
+// Matches the AnalyserNode defaults so live and offline levels line up
+export const AUDIO_MIN_DECIBELS = -100;
+export const AUDIO_MAX_DECIBELS = -30;
+
+export const AUDIO_REACTIVE_BANDS = Object.freeze([
+    Object.freeze({ value: 'level', label: 'Level', minHz: 20, maxHz: 12000 }),
+    Object.freeze({ value: 'bass', label: 'Bass', minHz: 20, maxHz: 250 }),
+    Object.freeze({ value: 'mid', label: 'Mid', minHz: 250, maxHz: 2000 }),
+    Object.freeze({ value: 'treble', label: 'Treble', minHz: 2000, maxHz: 12000 }),
+]);
+
+export const AUDIO_REACTIVE_TARGETS = Object.freeze([
+    Object.freeze({ value: 'flowSpeed', label: 'Flow Speed' }),
+    Object.freeze({ value: 'ribbonWidth', label: 'Ribbon Width' }),
+    Object.freeze({ value: 'helixRadius', label: 'Helix Radius' }),
+    Object.freeze({ value: 'undulation', label: 'Undulation' }),
+    Object.freeze({ value: 'contrast', label: 'Contrast' }),
+    Object.freeze({ value: 'saturation', label: 'Saturation' }),
+    Object.freeze({ value: 'gradientMap', label: 'Gradient Map' }),
+]);
+
+export const MAX_AUDIO_REACTIVE_AMOUNT = 2;
+
+// amount 0 leaves a target alone; 1 doubles it at full band level
+export const DEFAULT_AUDIO_REACTIVE_MAPPINGS = Object.freeze({
+    flowSpeed: Object.freeze({ band: 'bass', amount: 0 }),
+    ribbonWidth: Object.freeze({ band: 'bass', amount: 0.5 }),
+    helixRadius: Object.freeze({ band: 'bass', amount: 0 }),
+    undulation: Object.freeze({ band: 'mid', amount: 1 }),
+    contrast: Object.freeze({ band: 'treble', amount: 0 }),
+    saturation: Object.freeze({ band: 'level', amount: 0.5 }),
+    gradientMap: Object.freeze({ band: 'treble', amount: 0 }),
+});
+
+export const NEUTRAL_AUDIO_MODULATION = Object.freeze({
+    flowSpeedScale: 1,
+    widthScale: 1,
+    helixRadiusScale: 1,
+    amplitudeScale: 1,
+    contrastScale: 1,
+    saturationScale: 1,
+    gradientShift: 0,
+});
+
+const BAND_VALUES = AUDIO_REACTIVE_BANDS.map((band) => band.value);
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * @param {*} value - Stored or project-supplied mappings
+ * @returns {Object} One { band, amount } entry per target
+ */
+export function normalizeAudioReactiveMappings(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const mappings = {};
+
+    for (const { value: target } of AUDIO_REACTIVE_TARGETS) {
+        const fallback = DEFAULT_AUDIO_REACTIVE_MAPPINGS[target];
+        const entry = source[target];
+        const amount = Number(entry?.amount);
+
+        mappings[target] = {
+            band: BAND_VALUES.includes(entry?.band) ? entry.band : fallback.band,
+            amount: Number.isFinite(amount)
+                ? Math.min(MAX_AUDIO_REACTIVE_AMOUNT, Math.max(0, amount))
+                : fallback.amount,
+        };
+    }
+    return mappings;
+}
+
+/**
+ * @param {Object} mappings
+ * @returns {string} Stable signature for change tracking
+ */
+export function serializeAudioReactiveMappings(mappings) {
+    const normalized = normalizeAudioReactiveMappings(mappings);
+    return AUDIO_REACTIVE_TARGETS
+        .map(({ value }) => `${value}:${normalized[value].band}:${normalized[value].amount.toFixed(3)}`)
+        .join('|');
+}
+
+/**
+ * Average a decibel spectrum into 0..1 band levels.
+ * @param {Float32Array|number[]} spectrumDb - fftSize / 2 bins, as from getFloatFrequencyData
+ * @param {number} sampleRate
+ * @returns {{ level: number, bass: number, mid: number, treble: number }}
+ */
+export function computeBandLevels(spectrumDb, sampleRate) {
+    const binHz = sampleRate / (spectrumDb.length * 2);
+    const range = AUDIO_MAX_DECIBELS - AUDIO_MIN_DECIBELS;
+    const levels = {};
+
+    for (const band of AUDIO_REACTIVE_BANDS) {
+        const first = Math.max(1, Math.floor(band.minHz / binHz));
+        const last = Math.min(spectrumDb.length - 1, Math.ceil(band.maxHz / binHz));
+        let sum = 0;
+        let count = 0;
+
+        for (let bin = first; bin <= last; bin++) {
+            const db = spectrumDb[bin];
+            sum += Number.isFinite(db) ? clamp01((db - AUDIO_MIN_DECIBELS) / range) : 0;
+            count++;
+        }
+        levels[band.value] = count > 0 ? sum / count : 0;
+    }
+    return levels;
+}
+
+let blackmanWindow = null;
+
+function getBlackmanWindow(size) {
+    if (blackmanWindow?.length === size) return blackmanWindow;
+
+    // Same window the AnalyserNode applies (alpha = 0.16)
+    blackmanWindow = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const phase = (2 * Math.PI * i) / size;
+        blackmanWindow[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+    }
+    return blackmanWindow;
+}
+
+function fftInPlace(real, imag) {
+    const size = real.length;
+
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let length = 2; length <= size; length <<= 1) {
+        const angle = (-2 * Math.PI) / length;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < size; start += length) {
+            let twiddleReal = 1;
+            let twiddleImag = 0;
+            for (let k = 0; k < length / 2; k++) {
+                const even = start + k;
+                const odd = even + length / 2;
+                const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+                const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+                real[odd] = real[even] - oddReal;
+                imag[odd] = imag[even] - oddImag;
+                real[even] += oddReal;
+                imag[even] += oddImag;
+                const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+                twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+                twiddleReal = nextReal;
+            }
+        }
+    }
+}
+
+/**
+ * Decibel spectrum of the fftSize samples ending at `time`, computed the way
+ * an AnalyserNode with smoothingTimeConstant 0 would. Times past the end wrap
+ * around, matching the looped live playback.
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @param {number} time - Seconds
+ * @param {number} [fftSize=AUDIO_FFT_SIZE] - Power of two
+ * @returns {Float32Array} fftSize / 2 bins in dBFS
+ */
+export function computeSpectrumAt(samples, sampleRate, time, fftSize = AUDIO_FFT_SIZE) {
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    const window = getBlackmanWindow(fftSize);
+    const end = Math.round(time * sampleRate);
+    const length = samples.length;
+
+    if (length > 0) {
+        for (let i = 0; i < fftSize; i++) {
+            const index = (((end - fftSize + i) % length) + length) % length;
+            real[i] = samples[index] * window[i];
+        }
+    }
+
+    fftInPlace(real, imag);
+
+    const spectrum = new Float32Array(fftSize / 2);
+    for (let bin = 0; bin < spectrum.length; bin++) {
+        const magnitude = Math.hypot(real[bin], imag[bin]) / fftSize;
+        spectrum[bin] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    }
+    return spectrum;
+}
+
+/**
+ * Average all channels of an AudioBuffer-like object into one.
+ * @param {{ numberOfChannels: number, length: number, getChannelData: Function }} buffer
+ * @returns {Float32Array}
+ */
+export function mixToMono(buffer) {
+    const mono = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i] / buffer.numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Attack / release smoothing for band levels. Stepping by elapsed time keeps
+ * the response frame-rate independent, so export matches the live feel.
+ * @param {Object} [options]
+ * @param {number} [options.attack=0.05] - Rise time constant, seconds
+ * @param {number} [options.release=0.25] - Fall time constant, seconds
+ */
+export function createEnvelopeFollower({ attack = 0.05, release = 0.25 } = {}) {
+    let current = null;
+
+    return {
+        reset() {
+            current = null;
+        },
+
+        /**
+         * @param {Object} levels - Raw 0..1 band levels
+         * @param {number} deltaSec
+         * @returns {Object} Smoothed levels
+         */
+        step(levels, deltaSec) {
+            if (!current) {
+                current = { ...levels };
+                return { ...current };
+            }
+
+            for (const key of Object.keys(levels)) {
+                const previous = current[key] ?? 0;
+                const timeConstant = levels[key] > previous ? attack : release;
+                const blend = timeConstant > 0 ? 1 - Math.exp(-Math.max(0, deltaSec) / timeConstant) : 1;
+                current[key] = previous + (levels[key] - previous) * blend;
+            }
+            return { ...current };
+        },
+    };
+}
+
+/**
+ * Turn band levels into per-parameter multipliers.
+ * @param {Object} levels - 0..1 band levels
+ * @param {Object} mappings - From normalizeAudioReactiveMappings
+ * @returns {Object} Same shape as NEUTRAL_AUDIO_MODULATION
+ */
+export function getAudioModulation(levels, mappings) {
+    const normalized = normalizeAudioReactiveMappings(mappings);
+    const drive = (target) => {
+        const { band, amount } = normalized[target];
+        return amount * clamp01(levels?.[band] ?? 0);
+    };
+
+    return {
+        flowSpeedScale: 1 + drive('flowSpeed'),
+        widthScale: 1 + drive('ribbonWidth'),
+        helixRadiusScale: 1 + drive('helixRadius'),
+        amplitudeScale: 1 + drive('undulation'),
+        contrastScale: 1 + drive('contrast'),
+        saturationScale: 1 + drive('saturation'),
+        gradientShift: drive('gradientMap'),
+    };
+}
+
+/**
+ * @param {Object} modulation
+ * @returns {boolean} True when any parameter differs from neutral
+ */
+export function isAudioModulationActive(modulation) {
+    return Object.keys(NEUTRAL_AUDIO_MODULATION)
+        .some((key) => modulation?.[key] !== NEUTRAL_AUDIO_MODULATION[key]);
+}
+
+/**
+ * Push gradient map stops toward the shadow end so highlight colours spread
+ * across more of the image as the band gets louder. The end stops stay put.
+ * @param {Array<{ position: number, color: string }>} stops
+ * @param {number} shift - 0 leaves the stops unchanged
+ * @returns {Array} New stop objects
+ */
+export function modulateGradientMapStops(stops, shift) {
+    if (!(shift > 0)) return stops;
+
+    const exponent = 1 + shift;
+    return stops.map((stop) => ({
+        ...stop,
+        position: Math.pow(clamp01(stop.position), exponent),
+    }));
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    computeBandLevels,
+    computeSpectrumAt,
+    createEnvelopeFollower,
+    getAudioModulation,
+    isAudioModulationActive,
+    modulateGradientMapStops,
+    NEUTRAL_AUDIO_MODULATION,
+    normalizeAudioReactiveMappings,
+} from './audioReactive.js';
+
+const SAMPLE_RATE = 48000;
+
+function sineSamples(frequency, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+describe('computeSpectrumAt', () => {
+    it('puts a pure tone in its band', () => {
+        const bassTone = computeBandLevels(computeSpectrumAt(sineSamples(100, 1), SAMPLE_RATE, 0.5), SAMPLE_RATE);
+        expect(bassTone.bass).toBeGreaterThan(bassTone.treble + 0.2);
+
+        const trebleTone = computeBandLevels(computeSpectrumAt(sineSamples(5000, 1), SAMPLE_RATE, 0.5), SAMPLE_RATE);
+        expect(trebleTone.treble).toBeGreaterThan(trebleTone.bass);
+    });
+
+    it('reads silence as zero and is deterministic', () => {
+        const silent = computeBandLevels(computeSpectrumAt(new Float32Array(4096), SAMPLE_RATE, 0.05), SAMPLE_RATE);
+        expect(silent).toEqual({ level: 0, bass: 0, mid: 0, treble: 0 });
+
+        const samples = sineSamples(440, 0.5);
+        expect(computeSpectrumAt(samples, SAMPLE_RATE, 0.3)).toEqual(computeSpectrumAt(samples, SAMPLE_RATE, 0.3));
+    });
+});
+
+describe('createEnvelopeFollower', () => {
+    it('rises faster than it falls', () => {
+        const rise = createEnvelopeFollower({ attack: 0.05, release: 0.5 });
+        rise.step({ bass: 0 }, 0);
+        expect(rise.step({ bass: 1 }, 0.05).bass).toBeCloseTo(1 - Math.exp(-1), 5);
+
+        const fall = createEnvelopeFollower({ attack: 0.05, release: 0.5 });
+        fall.step({ bass: 1 }, 0);
+        expect(fall.step({ bass: 0 }, 0.05).bass).toBeCloseTo(Math.exp(-0.1), 5);
+    });
+});
+
+describe('getAudioModulation', () => {
+    it('scales mapped targets by band level and leaves the rest neutral', () => {
+        const mappings = normalizeAudioReactiveMappings({
+            ribbonWidth: { band: 'bass', amount: 1 },
+            undulation: { band: 'mid', amount: 0.5 },
+            saturation: { band: 'level', amount: 0 },
+            gradientMap: { band: 'treble', amount: 2 },
+        });
+        const modulation = getAudioModulation({ level: 0.5, bass: 0.8, mid: 0.4, treble: 0.25 }, mappings);
+
+        expect(modulation.widthScale).toBeCloseTo(1.8);
+        expect(modulation.amplitudeScale).toBeCloseTo(1.2);
+        expect(modulation.saturationScale).toBe(1);
+        expect(modulation.gradientShift).toBeCloseTo(0.5);
+        expect(isAudioModulationActive(NEUTRAL_AUDIO_MODULATION)).toBe(false);
+        expect(isAudioModulationActive(modulation)).toBe(true);
+    });
+
+    it('falls back to defaults for unknown bands and clamps amounts', () => {
+        const mappings = normalizeAudioReactiveMappings({ contrast: { band: 'sub', amount: 9 } });
+        expect(mappings.contrast).toEqual({ band: 'treble', amount: 2 });
+    });
+});
+
+describe('modulateGradientMapStops', () => {
+    it('pulls interior stops toward the shadow end', () => {
+        const stops = [
+            { id: 'shadow', position: 0, color: '#000000' },
+            { id: 'midtone', position: 0.5, color: '#ff7a00' },
+            { id: 'highlight', position: 1, color: '#ffffff' },
+        ];
+        const shifted = modulateGradientMapStops(stops, 1);
+
+        expect(shifted.map((stop) => stop.position)).toEqual([0, 0.25, 1]);
+        expect(modulateGradientMapStops(stops, 0)).toBe(stops);
+    });
+});
@@ -1,3 +1,18 @@
+import {
+  getProceduralBackgroundOption,
+  normalizeProceduralBackgroundParams,
+} from "./proceduralBackgrounds.js";
+
+// Where the static background layer comes from. Uploaded images and saved
+// textures live in this browser's IndexedDB (see services/localStorage.js),
+// so a project opened elsewhere falls back to no static layer for them.
+export const BACKGROUND_TEXTURE_SOURCES = {
+  PRESET: "preset",
+  IMAGE: "image",
+  TEXTURE: "texture",
+  PROCEDURAL: "procedural",
+};
+
 export const BACKGROUND_TEXTURE_OPTIONS = [
   {
     label: "Card",
@@ -11,17 +26,101 @@ export const BACKGROUND_TEXTURE_OPTIONS = [
   },
 ];
 
-export const DEFAULT_BACKGROUND_TEXTURE = "card";
+export const DEFAULT_BACKGROUND_TEXTURE = Object.freeze({
+  source: BACKGROUND_TEXTURE_SOURCES.PRESET,
+  id: "card",
+});
+
+function normalizeStoredReference(source, value) {
+  const id = typeof value?.id === "string" ? value.id.trim() : "";
+  if (!id) {
+    return null;
+  }
 
+  return {
+    source,
+    id,
+    name: typeof value.name === "string" ? value.name : "",
+  };
+}
+
+/**
+ * Normalize a background texture selection. Older preferences and projects
+ * stored the preset name as a plain string.
+ * @param {string|Object} value
+ * @returns {{source: string, id: string, name?: string, params?: Object}}
+ */
 export function normalizeBackgroundTexture(value) {
-  return BACKGROUND_TEXTURE_OPTIONS.some((option) => option.value === value)
-    ? value
-    : DEFAULT_BACKGROUND_TEXTURE;
+  const selection =
+    typeof value === "string"
+      ? {
+          source: getProceduralBackgroundOption(value)
+            ? BACKGROUND_TEXTURE_SOURCES.PROCEDURAL
+            : BACKGROUND_TEXTURE_SOURCES.PRESET,
+          id: value,
+        }
+      : value;
+
+  switch (selection?.source) {
+    case BACKGROUND_TEXTURE_SOURCES.PRESET:
+      if (BACKGROUND_TEXTURE_OPTIONS.some((option) => option.value === selection.id)) {
+        return { source: BACKGROUND_TEXTURE_SOURCES.PRESET, id: selection.id };
+      }
+      break;
+    case BACKGROUND_TEXTURE_SOURCES.IMAGE:
+    case BACKGROUND_TEXTURE_SOURCES.TEXTURE: {
+      const reference = normalizeStoredReference(selection.source, selection);
+      if (reference) {
+        return reference;
+      }
+      break;
+    }
+    case BACKGROUND_TEXTURE_SOURCES.PROCEDURAL:
+      if (getProceduralBackgroundOption(selection.id)) {
+        return {
+          source: BACKGROUND_TEXTURE_SOURCES.PROCEDURAL,
+          id: selection.id,
+          params: normalizeProceduralBackgroundParams(selection.id, selection.params),
+        };
+      }
+      break;
+    default:
+      break;
+  }
+
+  return { ...DEFAULT_BACKGROUND_TEXTURE };
+}
+
+/**
+ * Stable signature for change tracking and texture caching.
+ * @param {string|Object} value
+ * @returns {string}
+ */
+export function serializeBackgroundTexture(value) {
+  const selection = normalizeBackgroundTexture(value);
+  const params = selection.params
+    ? Object.entries(selection.params)
+        .map(([key, paramValue]) => `${key}=${paramValue}`)
+        .join(",")
+    : "";
+  return [selection.source, selection.id, params].filter(Boolean).join(":");
+}
+
+/**
+ * Key identifying which background is selected, ignoring procedural
+ * parameters. Used as the option value in the background picker.
+ * @param {string|Object} value
+ * @returns {string}
+ */
+export function getBackgroundTextureSelectionKey(value) {
+  const selection = normalizeBackgroundTexture(value);
+  return `${selection.source}:${selection.id}`;
 }
 
 export function getBackgroundTextureOption(value) {
+  const id = typeof value === "string" ? value : value?.id;
   return (
-    BACKGROUND_TEXTURE_OPTIONS.find((option) => option.value === value) ||
+    BACKGROUND_TEXTURE_OPTIONS.find((option) => option.value === id) ||
     BACKGROUND_TEXTURE_OPTIONS[0]
   );
 }
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    DEFAULT_BACKGROUND_TEXTURE,
+    normalizeBackgroundTexture,
+    serializeBackgroundTexture,
+} from './backgroundTextures.js';
+
+describe('normalizeBackgroundTexture', () => {
+    it('reads the preset names older preferences stored', () => {
+        expect(normalizeBackgroundTexture('textile')).toEqual({ source: 'preset', id: 'textile' });
+        expect(normalizeBackgroundTexture('missing')).toEqual(DEFAULT_BACKGROUND_TEXTURE);
+    });
+
+    it('keeps references to local images and saved textures', () => {
+        expect(normalizeBackgroundTexture({ source: 'image', id: ' background_1 ', name: 'Wall' }))
+            .toEqual({ source: 'image', id: 'background_1', name: 'Wall' });
+        expect(normalizeBackgroundTexture({ source: 'texture', id: '' })).toEqual(DEFAULT_BACKGROUND_TEXTURE);
+    });
+
+    it('fills in and clamps procedural parameters', () => {
+        expect(normalizeBackgroundTexture({
+            source: 'procedural',
+            id: 'gradient',
+            params: { startColor: '#FFFFFF', endColor: 'blue', angle: 720 },
+        })).toEqual({
+            source: 'procedural',
+            id: 'gradient',
+            params: { startColor: '#ffffff', endColor: '#3d4a5c', angle: 360 },
+        });
+    });
+});
+
+describe('serializeBackgroundTexture', () => {
+    it('changes with procedural parameters', () => {
+        const noise = { source: 'procedural', id: 'noise', params: { seed: 2 } };
+        expect(serializeBackgroundTexture(noise)).not.toBe(serializeBackgroundTexture({ ...noise, params: { seed: 3 } }));
+        expect(serializeBackgroundTexture('card')).toBe('preset:card');
+    });
+});
@@ -0,0 +1,85 @@
+import { loadTasksVisionModule, loadVisionRuntime } from '../visionTasksRuntime.js';
+
+const POSE_LANDMARKER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
+
+export const POSE_LANDMARKER_DETECTION_STATUS = {
+    skipped: 'skipped',
+    processed: 'processed',
+};
+
+async function createLandmarker(delegate) {
+    const [{ PoseLandmarker }, vision] = await Promise.all([
+        loadTasksVisionModule(),
+        loadVisionRuntime(),
+    ]);
+
+    return PoseLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: POSE_LANDMARKER_MODEL_URL,
+            delegate,
+        },
+        runningMode: 'VIDEO',
+        numPoses: 1,
+        outputSegmentationMasks: false,
+        minPoseDetectionConfidence: 0.5,
+        minPosePresenceConfidence: 0.5,
+        minTrackingConfidence: 0.5,
+    });
+}
+
+export class PoseLandmarkerDetector {
+    constructor() {
+        this._landmarker = null;
+        this._lastVideoTime = -1;
+    }
+
+    async initialize() {
+        if (this._landmarker) {
+            return this._landmarker;
+        }
+
+        try {
+            this._landmarker = await createLandmarker('GPU');
+        } catch (gpuError) {
+            console.warn('[BodyTracking] GPU pose landmarker init failed, falling back to CPU.', gpuError);
+            this._landmarker = await createLandmarker('CPU');
+        }
+
+        return this._landmarker;
+    }
+
+    detect(video, timestampMs = performance.now()) {
+        if (!this._landmarker || !video) {
+            return {
+                status: POSE_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+            return {
+                status: POSE_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        if (video.currentTime === this._lastVideoTime) {
+            return {
+                status: POSE_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        this._lastVideoTime = video.currentTime;
+        return {
+            status: POSE_LANDMARKER_DETECTION_STATUS.processed,
+            result: this._landmarker.detectForVideo(video, timestampMs),
+        };
+    }
+
+    dispose() {
+        this._lastVideoTime = -1;
+        this._landmarker?.close?.();
+        this._landmarker = null;
+    }
+}
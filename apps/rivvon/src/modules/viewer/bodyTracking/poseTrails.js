@@ -0,0 +1,164 @@
+// src/modules/viewer/bodyTracking/poseTrails.js
+// Trails left by tracked body landmarks. Each frame of pose landmarks (in
+// MediaPipe's normalized image coordinates) extends one stroke per enabled
+// landmark; points older than the trail length fall off the tail, so the
+// ribbons follow the body and fade out behind it.
+
+// Indices into the 33-point MediaPipe pose topology
+export const POSE_TRAIL_LANDMARKS = Object.freeze([
+    { value: 'leftWrist', label: 'Left Hand', icon: 'front_hand', index: 15 },
+    { value: 'rightWrist', label: 'Right Hand', icon: 'back_hand', index: 16 },
+    { value: 'leftElbow', label: 'Left Elbow', icon: 'accessibility', index: 13 },
+    { value: 'rightElbow', label: 'Right Elbow', icon: 'accessibility', index: 14 },
+    { value: 'leftAnkle', label: 'Left Foot', icon: 'footprint', index: 27 },
+    { value: 'rightAnkle', label: 'Right Foot', icon: 'footprint', index: 28 },
+    { value: 'leftKnee', label: 'Left Knee', icon: 'directions_walk', index: 25 },
+    { value: 'rightKnee', label: 'Right Knee', icon: 'directions_walk', index: 26 },
+    { value: 'nose', label: 'Head', icon: 'face', index: 0 },
+]);
+
+export const DEFAULT_BODY_TRACKING_SETTINGS = Object.freeze({
+    landmarks: Object.freeze(['leftWrist', 'rightWrist']),
+    trailSeconds: 2,
+});
+
+export const MIN_TRAIL_SECONDS = 0.25;
+export const MAX_TRAIL_SECONDS = 10;
+
+// Height of the camera frame in drawing units; width follows the video aspect
+export const POSE_TRAIL_FRAME_HEIGHT = 5;
+
+const MIN_LANDMARK_VISIBILITY = 0.5;
+const MIN_POINT_DISTANCE = 0.02;
+const SMOOTHING = 0.45;
+// A landmark lost for longer than this starts a new stroke when it returns
+const TRAIL_GAP_MS = 250;
+
+const LANDMARKS_BY_VALUE = new Map(POSE_TRAIL_LANDMARKS.map((landmark) => [landmark.value, landmark]));
+
+export function normalizeBodyTrackingSettings(settings = {}) {
+    const landmarks = Array.isArray(settings.landmarks)
+        ? [...new Set(settings.landmarks.filter((value) => LANDMARKS_BY_VALUE.has(value)))]
+        : [...DEFAULT_BODY_TRACKING_SETTINGS.landmarks];
+    const trailSeconds = Number(settings.trailSeconds);
+
+    return {
+        landmarks,
+        trailSeconds: Number.isFinite(trailSeconds)
+            ? Math.min(MAX_TRAIL_SECONDS, Math.max(MIN_TRAIL_SECONDS, trailSeconds))
+            : DEFAULT_BODY_TRACKING_SETTINGS.trailSeconds,
+    };
+}
+
+/**
+ * Map a normalized landmark into drawing space: centred on the frame,
+ * y up, and mirrored so the ribbon moves the way the dancer sees themselves.
+ * @param {{ x: number, y: number }} landmark
+ * @param {number} aspect - Video width / height
+ * @returns {{ x: number, y: number }}
+ */
+export function mapLandmarkToDrawing(landmark, aspect = 4 / 3) {
+    return {
+        x: (0.5 - landmark.x) * aspect * POSE_TRAIL_FRAME_HEIGHT,
+        y: (0.5 - landmark.y) * POSE_TRAIL_FRAME_HEIGHT,
+    };
+}
+
+export class PoseTrails {
+    constructor(settings = {}) {
+        this._settings = normalizeBodyTrackingSettings(settings);
+        // landmark value -> { strokes: [{ points: [{ x, y, time }] }], lastSeenAt }
+        this._trails = new Map();
+    }
+
+    setSettings(settings = {}) {
+        this._settings = normalizeBodyTrackingSettings({ ...this._settings, ...settings });
+
+        for (const value of this._trails.keys()) {
+            if (!this._settings.landmarks.includes(value)) {
+                this._trails.delete(value);
+            }
+        }
+    }
+
+    /**
+     * Extend the trails with one frame of landmarks and expire old points.
+     * @param {Array<{ x: number, y: number, visibility?: number }>|null} landmarks
+     * @param {number} timestampMs
+     * @param {{ aspect?: number }} [options]
+     */
+    push(landmarks, timestampMs, { aspect = 4 / 3 } = {}) {
+        for (const value of this._settings.landmarks) {
+            const landmark = landmarks?.[LANDMARKS_BY_VALUE.get(value).index];
+            if (!landmark || (landmark.visibility ?? 1) < MIN_LANDMARK_VISIBILITY) {
+                continue;
+            }
+
+            let trail = this._trails.get(value);
+            if (!trail) {
+                trail = { strokes: [], lastSeenAt: -Infinity };
+                this._trails.set(value, trail);
+            }
+
+            const target = mapLandmarkToDrawing(landmark, aspect);
+            let stroke = trail.strokes[trail.strokes.length - 1];
+            if (!stroke || timestampMs - trail.lastSeenAt > TRAIL_GAP_MS) {
+                stroke = { points: [] };
+                trail.strokes.push(stroke);
+            }
+            trail.lastSeenAt = timestampMs;
+
+            const last = stroke.points[stroke.points.length - 1];
+            if (!last) {
+                stroke.points.push({ ...target, time: timestampMs });
+                continue;
+            }
+
+            const x = last.x + (target.x - last.x) * (1 - SMOOTHING);
+            const y = last.y + (target.y - last.y) * (1 - SMOOTHING);
+            if (Math.hypot(x - last.x, y - last.y) < MIN_POINT_DISTANCE) {
+                continue;
+            }
+
+            stroke.points.push({ x, y, time: timestampMs });
+        }
+
+        this.expire(timestampMs);
+    }
+
+    expire(timestampMs) {
+        const oldest = timestampMs - this._settings.trailSeconds * 1000;
+
+        for (const trail of this._trails.values()) {
+            for (const stroke of trail.strokes) {
+                const firstKept = stroke.points.findIndex((point) => point.time >= oldest);
+                stroke.points.splice(0, firstKept === -1 ? stroke.points.length : firstKept);
+            }
+            trail.strokes = trail.strokes.filter((stroke, index) => (
+                stroke.points.length > 0 || index === trail.strokes.length - 1
+            ));
+        }
+    }
+
+    /**
+     * Strokes long enough to draw, in landmark order.
+     * @returns {Array<Array<{ x: number, y: number }>>}
+     */
+    getPaths() {
+        const paths = [];
+
+        for (const value of this._settings.landmarks) {
+            for (const stroke of this._trails.get(value)?.strokes ?? []) {
+                if (stroke.points.length >= 2) {
+                    paths.push(stroke.points.map(({ x, y }) => ({ x, y })));
+                }
+            }
+        }
+
+        return paths;
+    }
+
+    clear() {
+        this._trails.clear();
+    }
+}
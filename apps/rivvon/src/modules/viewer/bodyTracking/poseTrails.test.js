@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    mapLandmarkToDrawing,
+    normalizeBodyTrackingSettings,
+    POSE_TRAIL_FRAME_HEIGHT,
+    PoseTrails,
+} from './poseTrails.js';
+
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+
+function createFrame(positions) {
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility: 0 }));
+    for (const [index, x, y] of positions) {
+        landmarks[index] = { x, y, visibility: 1 };
+    }
+    return landmarks;
+}
+
+function sweep(trails, index, { from = 0, to = 1000, step = 50 } = {}) {
+    for (let time = from; time <= to; time += step) {
+        trails.push(createFrame([[index, 0.2 + time / 2000, 0.5]]), time, { aspect: 1 });
+    }
+}
+
+describe('normalizeBodyTrackingSettings', () => {
+    it('drops unknown landmarks and clamps the trail length', () => {
+        expect(normalizeBodyTrackingSettings({
+            landmarks: ['leftWrist', 'tail', 'leftWrist'],
+            trailSeconds: 99,
+        })).toEqual({ landmarks: ['leftWrist'], trailSeconds: 10 });
+    });
+});
+
+describe('mapLandmarkToDrawing', () => {
+    it('mirrors x and flips y around the frame centre', () => {
+        expect(mapLandmarkToDrawing({ x: 0, y: 0 }, 1)).toEqual({
+            x: POSE_TRAIL_FRAME_HEIGHT / 2,
+            y: POSE_TRAIL_FRAME_HEIGHT / 2,
+        });
+    });
+});
+
+describe('PoseTrails', () => {
+    it('builds one stroke per enabled landmark', () => {
+        const trails = new PoseTrails({ landmarks: ['leftWrist'], trailSeconds: 5 });
+        sweep(trails, LEFT_WRIST);
+        sweep(trails, RIGHT_WRIST, { from: 1050, to: 1500 });
+
+        const paths = trails.getPaths();
+        expect(paths).toHaveLength(1);
+        expect(paths[0].length).toBeGreaterThan(10);
+        // Mirrored: moving right in the image moves left in the drawing
+        expect(paths[0][paths[0].length - 1].x).toBeLessThan(paths[0][0].x);
+    });
+
+    it('drops points older than the trail length', () => {
+        const trails = new PoseTrails({ landmarks: ['leftWrist'], trailSeconds: 0.5 });
+        sweep(trails, LEFT_WRIST, { to: 2000 });
+
+        const [path] = trails.getPaths();
+        expect(path.length).toBeLessThanOrEqual(11);
+
+        trails.expire(5000);
+        expect(trails.getPaths()).toHaveLength(0);
+    });
+
+    it('starts a new stroke when a landmark returns after going missing', () => {
+        const trails = new PoseTrails({ landmarks: ['leftWrist'], trailSeconds: 5 });
+        sweep(trails, LEFT_WRIST, { to: 500 });
+        trails.push(createFrame([]), 600, { aspect: 1 });
+        sweep(trails, LEFT_WRIST, { from: 1200, to: 1700 });
+
+        expect(trails.getPaths()).toHaveLength(2);
+    });
+
+    it('forgets trails for landmarks that are switched off', () => {
+        const trails = new PoseTrails({ landmarks: ['leftWrist', 'rightWrist'], trailSeconds: 5 });
+        for (let time = 0; time <= 500; time += 50) {
+            trails.push(createFrame([
+                [LEFT_WRIST, 0.2 + time / 2000, 0.4],
+                [RIGHT_WRIST, 0.8 - time / 2000, 0.6],
+            ]), time, { aspect: 1 });
+        }
+        expect(trails.getPaths()).toHaveLength(2);
+
+        trails.setSettings({ landmarks: ['rightWrist'] });
+        expect(trails.getPaths()).toHaveLength(1);
+    });
+});
@@ -4,6 +4,18 @@
 // smooth, loopable camera animations through them.
 
 import { Vector3, Box3, CatmullRomCurve3, MathUtils } from 'three';
+import {
+    CINEMATIC_FOV_MAX,
+    CINEMATIC_FOV_MIN,
+    DEFAULT_ROI_DWELL_SECONDS,
+    DEFAULT_SEGMENT_EASING,
+    MIN_SEGMENT_DURATION_SECONDS,
+    getCinematicTimelineDuration,
+    normalizeCinematicTimeline,
+    normalizeCinematicTrack,
+    removeCinematicTimelineROI,
+    sampleCinematicTimeline,
+} from './cinematicTimeline';
 
 /**
  * @typedef {Object} ROI
@@ -56,6 +68,7 @@ export class CinematicCamera {
 
         // Playback state
         this._playing = false;
+        this._paused = false;          // playing but held (timeline scrubbing)
         this._playbackTime = 0;        // normalized [0, 1]
         this._totalDuration = 0;       // seconds
         this._wallClock = 0;           // seconds, for micro-motion
@@ -69,6 +82,11 @@ export class CinematicCamera {
         this._timeToArc = null;        // Float32Array lookup: normalized time → arc-length
         this._dwellRadius = 0;         // arc-length radius where speed ramps down
         this._targetRoiArcPositions = [];  // arc-length u [0,1] for each ROI on the target spline
+        this._roiSplineParams = [];    // raw spline parameter [0,1) of each ROI's control point
+
+        // Authored timeline (per-ROI dwell, per-segment duration/easing).
+        // null = automatic speed profile.
+        this._timeline = null;
 
         // Saved camera state before playback started
         this._savedPos = null;
@@ -124,6 +142,7 @@ export class CinematicCamera {
         if (this._autoROIs) {
             this._rois.length = 0;
             this._autoROIs = false;
+            this._timeline = null;
             console.log('[Cinematic] Cleared auto-generated ROIs for manual authoring');
         }
 
@@ -136,6 +155,9 @@ export class CinematicCamera {
         };
         this._rois.push(roi);
         const index = this._rois.length - 1;
+        if (this._timeline) {
+            this._timeline = normalizeCinematicTimeline(this._timeline, this._rois.length);
+        }
         console.log(
             `[Cinematic] ROI #${index} captured at ` +
             `(${roi.position.x.toFixed(2)}, ${roi.position.y.toFixed(2)}, ${roi.position.z.toFixed(2)}) → ` +
@@ -152,6 +174,9 @@ export class CinematicCamera {
     removeROI(index) {
         if (index >= 0 && index < this._rois.length) {
             this._rois.splice(index, 1);
+            if (this._timeline) {
+                this._timeline = removeCinematicTimelineROI(this._timeline, index);
+            }
         }
     }
 
@@ -160,6 +185,7 @@ export class CinematicCamera {
         const count = this._rois.length;
         this._rois.length = 0;
         this._autoROIs = false;
+        this._timeline = null;
         this._planePoint = null;
         this._planeNormal = null;
         console.log(`[Cinematic] Cleared ${count} ROIs`);
@@ -175,6 +201,7 @@ export class CinematicCamera {
         const count = this._rois.length;
         this._rois.length = 0;
         this._autoROIs = false;
+        this._timeline = null;
         this.stopPlayback();
         console.log(`[Cinematic] Invalidated ${count} auto-generated ROIs (ribbon geometry changed)`);
     }
@@ -194,6 +221,146 @@ export class CinematicCamera {
         return this._rois.length > 0;
     }
 
+    /** @returns {boolean} true when the current ROIs came from generateDefaultROIs */
+    get hasAutoROIs() {
+        return this._autoROIs;
+    }
+
+    /**
+     * Set an ROI's FOV keyframe.
+     * @param {number} index
+     * @param {number} fov - Degrees
+     */
+    setROIFov(index, fov) {
+        const roi = this._rois[index];
+        const parsed = Number(fov);
+        if (!roi || !Number.isFinite(parsed)) return;
+        roi.fov = MathUtils.clamp(parsed, CINEMATIC_FOV_MIN, CINEMATIC_FOV_MAX);
+        this._refreshPlayback();
+    }
+
+    // ─── Timeline authoring ───────────────────────────────────────
+
+    /**
+     * Timing only takes over from the speed profile with 2+ ROIs;
+     * a single ROI keeps its micro-orbit.
+     * @returns {boolean}
+     * @private
+     */
+    _timelineActive() {
+        return this._timeline !== null && this._rois.length >= 2;
+    }
+
+    /** @returns {boolean} */
+    get hasTimeline() {
+        return this._timeline !== null;
+    }
+
+    /**
+     * @returns {{ rois: { dwell: number }[], segments: { duration: number, easing: string }[] } | null}
+     */
+    getTimeline() {
+        if (!this._timeline) return null;
+        return {
+            rois: this._timeline.rois.map(roi => ({ ...roi })),
+            segments: this._timeline.segments.map(segment => ({ ...segment })),
+        };
+    }
+
+    /**
+     * Build a starting timeline whose segment durations follow the
+     * distance between ROIs at the base traversal speed, so switching
+     * to authored timing keeps roughly the same pacing.
+     * @returns {Object|null}
+     */
+    createDefaultTimeline() {
+        const n = this._rois.length;
+        if (n === 0) return null;
+
+        const segments = [];
+        for (let i = 0; i < n; i++) {
+            const next = this._rois[(i + 1) % n];
+            const distance = this._rois[i].position.distanceTo(next.position);
+            // Eased segments spend part of their time accelerating, so pad the linear estimate
+            const duration = Math.max(MIN_SEGMENT_DURATION_SECONDS, (distance / TRANSIT_SPEED) * 1.5);
+            segments.push({ duration: Math.round(duration * 10) / 10, easing: DEFAULT_SEGMENT_EASING });
+        }
+
+        return normalizeCinematicTimeline({
+            rois: this._rois.map(() => ({ dwell: DEFAULT_ROI_DWELL_SECONDS })),
+            segments,
+        }, n);
+    }
+
+    /**
+     * Replace the authored timeline. Pass null to go back to the automatic
+     * speed profile. Rebuilds timing in place when playing or prepared.
+     * @param {Object|null} timeline
+     */
+    setTimeline(timeline) {
+        this._timeline = timeline
+            ? normalizeCinematicTimeline(timeline, this._rois.length)
+            : null;
+        this._refreshPlayback();
+    }
+
+    /**
+     * Rebuild timing after an edit while keeping the playhead at the same
+     * wall time (clamped into the new loop).
+     * @private
+     */
+    _refreshPlayback() {
+        if (!this._positionSpline) return;
+
+        const seconds = this._playbackTime * this._totalDuration;
+        this._buildSpeedProfile();
+        this._playbackTime = this._totalDuration > 0
+            ? Math.min(seconds, this._totalDuration) / this._totalDuration % 1
+            : 0;
+
+        if (this._playing) {
+            this._applyCamera(this._playbackTime, this._wallClock);
+        }
+    }
+
+    // ─── Save / load ──────────────────────────────────────────────
+
+    /**
+     * Serialize ROIs and timeline as plain JSON for storage alongside a drawing.
+     * @returns {Object|null}
+     */
+    exportTrack() {
+        return normalizeCinematicTrack({
+            rois: this._rois,
+            timeline: this._timeline,
+        });
+    }
+
+    /**
+     * Replace ROIs and timeline with a previously exported track.
+     * @param {Object} track
+     * @returns {boolean} true if the track contained usable ROIs
+     */
+    loadTrack(track) {
+        const normalized = normalizeCinematicTrack(track);
+        if (!normalized) return false;
+
+        this.stopPlayback();
+        this._rois = normalized.rois.map(roi => ({
+            position: new Vector3(roi.position.x, roi.position.y, roi.position.z),
+            target: new Vector3(roi.target.x, roi.target.y, roi.target.z),
+            fov: roi.fov,
+        }));
+        this._timeline = normalized.timeline;
+        this._autoROIs = false;
+
+        console.log(
+            `[Cinematic] Loaded ${this._rois.length} ROIs` +
+            (this._timeline ? ` with ${getCinematicTimelineDuration(this._timeline).toFixed(1)}s timeline` : '')
+        );
+        return true;
+    }
+
     // ─── Auto-ROI generation from ribbon geometry ─────────────────
 
     /**
@@ -316,8 +483,9 @@ export class CinematicCamera {
         const closeUpEnd = makeCloseUpROI(lastRibbon, false, -1, firstStart);
 
         // ── Assemble ROIs ──────────────────────────────────────────
-        // Clear any existing (auto or manual) ROIs
+        // Clear any existing (auto or manual) ROIs and their timing
         this._rois.length = 0;
+        this._timeline = null;
 
         this._rois.push({ position: overviewPos, target: center.clone(), fov });
 
@@ -417,6 +585,10 @@ export class CinematicCamera {
             tgtPoints = this._rois.map(r => r.target.clone());
         }
 
+        // Raw spline parameter of each ROI's control point. With two ROIs
+        // the padded return path puts ROI 1 at control point 1 of 4.
+        this._roiSplineParams = this._rois.map((_, i) => i / posPoints.length);
+
         // Create closed centripetal CatmullRom splines
         this._positionSpline = new CatmullRomCurve3(posPoints, true, 'centripetal');
         this._targetSpline = new CatmullRomCurve3(tgtPoints, true, 'centripetal');
@@ -496,9 +668,9 @@ export class CinematicCamera {
             return;
         }
 
-        // Compute arc-length u for each ROI (raw parameter i/n → arc-length fraction)
+        // Compute arc-length u for each ROI (raw spline parameter → arc-length fraction)
         for (let i = 0; i < n; i++) {
-            const rawT = i / n;
+            const rawT = this._roiSplineParams[i];
             const idx = rawT * SPEED_PROFILE_SAMPLES;
             const lo = Math.floor(idx);
             const hi = Math.min(Math.ceil(idx), SPEED_PROFILE_SAMPLES);
@@ -512,7 +684,7 @@ export class CinematicCamera {
         const targetArcLengths = this._targetSpline.getLengths(SPEED_PROFILE_SAMPLES);
         const totalTargetArcLength = targetArcLengths[targetArcLengths.length - 1];
         for (let i = 0; i < n; i++) {
-            const rawT = i / n;
+            const rawT = this._roiSplineParams[i];
             const idx = rawT * SPEED_PROFILE_SAMPLES;
             const lo = Math.floor(idx);
             const hi = Math.min(Math.ceil(idx), SPEED_PROFILE_SAMPLES);
@@ -531,6 +703,14 @@ export class CinematicCamera {
         }
         this._dwellRadius = (totalSpacing / n) * this.dwellRadiusFraction;
 
+        // Authored timeline: duration is explicit and _applyCamera maps time
+        // through the timeline instead of the speed-profile lookup.
+        if (this._timelineActive()) {
+            this._totalDuration = getCinematicTimelineDuration(this._timeline);
+            this._timeToArc = null;
+            return;
+        }
+
         // Numerically integrate 1/speed(u) to get cumulative time cost
         const rawTime = new Float32Array(SPEED_PROFILE_SAMPLES + 1);
         rawTime[0] = 0;
@@ -570,6 +750,7 @@ export class CinematicCamera {
      * @returns {number}
      */
     getLoopDuration() {
+        if (this._timelineActive()) return getCinematicTimelineDuration(this._timeline);
         if (this._totalDuration > 0) return this._totalDuration;
         // Fallback: rough estimate without building
         const n = this._rois.length;
@@ -685,6 +866,35 @@ export class CinematicCamera {
         return this._targetSpline.getPointAt(uTarget, optionalTarget);
     }
 
+    /**
+     * Resolve normalized time through the authored timeline: hold at the
+     * ROI during its dwell, otherwise advance along the segment's arc
+     * range with the segment's easing. FOV keyframes sit on the ROIs and
+     * follow the same easing.
+     * @param {number} normalizedT - Time in [0, 1)
+     * @returns {{ u: number, speed: number, fov: number }}
+     * @private
+     */
+    _sampleTimeline(normalizedT) {
+        const sample = sampleCinematicTimeline(this._timeline, normalizedT * this._totalDuration);
+        const from = this._rois[sample.fromIndex];
+
+        if (sample.kind === 'dwell') {
+            return { u: this._roiArcPositions[sample.fromIndex], speed: 0, fov: from.fov };
+        }
+
+        const to = this._rois[sample.toIndex];
+        const uStart = this._roiArcPositions[sample.fromIndex];
+        let gap = this._roiArcPositions[sample.toIndex] - uStart;
+        if (gap <= 0) gap += 1.0; // closed spline wrap
+
+        return {
+            u: (uStart + sample.progress * gap) % 1,
+            speed: sample.velocity,
+            fov: MathUtils.lerp(from.fov, to.fov, sample.progress),
+        };
+    }
+
     // ─── Camera application (shared core) ─────────────────────────
 
     /**
@@ -706,8 +916,10 @@ export class CinematicCamera {
         // Wrap normalizedT to [0, 1)
         const t = ((normalizedT % 1) + 1) % 1;
 
-        // Map time to arc-length via the speed-profile lookup table
-        const u = this._lookupTimeToArc(t);
+        // Map time to arc-length (and FOV): authored timeline when present,
+        // otherwise the speed-profile lookup table
+        const timelineSample = this._timelineActive() ? this._sampleTimeline(t) : null;
+        const u = timelineSample ? timelineSample.u : this._lookupTimeToArc(t);
 
         // Evaluate position at arc-length u; target uses decoupled phase-shifted timing
         const pos = this._positionSpline.getPointAt(u, this._tmpPos);
@@ -715,16 +927,18 @@ export class CinematicCamera {
 
         // Update telemetry
         this._telemetry.u = u;
-        this._telemetry.speed = this._speedAt(u);
+        this._telemetry.speed = timelineSample ? timelineSample.speed : this._speedAt(u);
         this._telemetry.normalizedT = t;
         this._telemetry.elapsedSeconds = t * this._totalDuration;
 
-        // Proximity-weighted FOV blend
         let fov;
-        if (n === 1) {
+        if (timelineSample) {
+            fov = timelineSample.fov;
+        } else if (n === 1) {
             fov = this._rois[0].fov;
         } else {
-            // Weighted average of all ROI FOVs based on proximity in arc-length space
+            // Proximity-weighted FOV blend: weighted average of all ROI FOVs
+            // based on proximity in arc-length space
             let totalWeight = 0;
             let weightedFov = 0;
             for (let i = 0; i < n; i++) {
@@ -791,7 +1005,8 @@ export class CinematicCamera {
             position: this._telemetry.position,
             target: this._telemetry.target,
             dwellRadius: this._dwellRadius,
-            minSpeedRatio: this.minSpeedRatio
+            minSpeedRatio: this.minSpeedRatio,
+            timeline: this._timelineActive()
         };
     }
 
@@ -880,6 +1095,7 @@ export class CinematicCamera {
         this._playbackTime = 0;
         this._wallClock = 0;
         this._playing = true;
+        this._paused = false;
 
         console.log(
             `[Cinematic] Playback started: ${this._rois.length} ROIs, ` +
@@ -894,6 +1110,7 @@ export class CinematicCamera {
         if (!this._playing) return;
 
         this._playing = false;
+        this._paused = false;
 
         // Restore camera state
         if (this._savedPos) {
@@ -925,6 +1142,38 @@ export class CinematicCamera {
         return this._playing;
     }
 
+    /** @returns {boolean} */
+    get isPaused() {
+        return this._paused;
+    }
+
+    /**
+     * Hold or resume the playhead without leaving playback.
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (!this._playing) return;
+        this._paused = Boolean(paused);
+    }
+
+    /** @returns {number} Current playhead position in seconds */
+    getPlaybackSeconds() {
+        return this._playbackTime * this._totalDuration;
+    }
+
+    /**
+     * Move the playhead to a loop time and apply the camera immediately.
+     * Micro-motion phase follows the same time so scrubbing matches export.
+     * @param {number} seconds
+     */
+    seek(seconds) {
+        if (!this._playing || this._totalDuration <= 0) return;
+        const clamped = Math.max(0, Number(seconds) || 0);
+        this._playbackTime = (clamped % this._totalDuration) / this._totalDuration;
+        this._wallClock = clamped;
+        this._applyCamera(this._playbackTime, this._wallClock);
+    }
+
     // ─── Per-frame update (real-time) ─────────────────────────────
 
     /**
@@ -932,7 +1181,7 @@ export class CinematicCamera {
      * @param {number} deltaSeconds - Frame delta in seconds
      */
     update(deltaSeconds) {
-        if (!this._playing || this._totalDuration <= 0) return;
+        if (!this._playing || this._paused || this._totalDuration <= 0) return;
 
         this._wallClock += deltaSeconds;
         this._playbackTime += deltaSeconds / this._totalDuration;
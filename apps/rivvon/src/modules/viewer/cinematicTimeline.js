@@ -0,0 +1,249 @@
+// src/modules/viewer/cinematicTimeline.js
+// Authored timing for the cinematic camera: how long the camera dwells at
+// each ROI, how long each ROI→ROI segment takes and how it eases.
+// Pure data + math so the camera, the timeline editor and export all
+// resolve the same time → (segment, progress) mapping.
+//
+// The loop is closed: dwell(0) → segment(0: ROI 0→1) → dwell(1) → … →
+// segment(n−1: ROI n−1→0), so a timeline for n ROIs has n dwells and
+// n segments.
+
+export const CINEMATIC_TRACK_VERSION = 1;
+
+export const DEFAULT_ROI_DWELL_SECONDS = 1.5;
+export const DEFAULT_SEGMENT_DURATION_SECONDS = 4;
+export const DEFAULT_SEGMENT_EASING = 'easeInOut';
+
+export const MIN_ROI_DWELL_SECONDS = 0;
+export const MIN_SEGMENT_DURATION_SECONDS = 0.25;
+export const MAX_TIMELINE_SPAN_SECONDS = 120;
+
+export const CINEMATIC_FOV_MIN = 10;
+export const CINEMATIC_FOV_MAX = 120;
+const DEFAULT_CINEMATIC_FOV = 60;
+
+const CINEMATIC_EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    // Hermite smoothstep — gentler than cubic in/out
+    smooth: t => t * t * (3 - 2 * t),
+};
+
+export const CINEMATIC_EASING_OPTIONS = [
+    { label: 'Linear', value: 'linear' },
+    { label: 'Ease In', value: 'easeIn' },
+    { label: 'Ease Out', value: 'easeOut' },
+    { label: 'Ease In-Out', value: 'easeInOut' },
+    { label: 'Smooth', value: 'smooth' },
+];
+
+function clampNumber(value, min, max, fallback) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(max, Math.max(min, parsed));
+}
+
+export function normalizeCinematicEasing(easing) {
+    return Object.prototype.hasOwnProperty.call(CINEMATIC_EASINGS, easing)
+        ? easing
+        : DEFAULT_SEGMENT_EASING;
+}
+
+/**
+ * @param {string} easing
+ * @param {number} t - Raw progress [0, 1]
+ * @returns {number} Eased progress [0, 1]
+ */
+export function applyCinematicEasing(easing, t) {
+    const clamped = Math.min(1, Math.max(0, t));
+    return CINEMATIC_EASINGS[normalizeCinematicEasing(easing)](clamped);
+}
+
+/**
+ * Normalize a timeline to exactly `roiCount` dwells and segments.
+ * Missing entries are filled with defaults; extra entries are dropped.
+ * @param {Object|null} timeline
+ * @param {number} roiCount
+ * @returns {{ rois: { dwell: number }[], segments: { duration: number, easing: string }[] }}
+ */
+export function normalizeCinematicTimeline(timeline, roiCount) {
+    const count = Math.max(0, Math.floor(Number(roiCount) || 0));
+    const inputRois = Array.isArray(timeline?.rois) ? timeline.rois : [];
+    const inputSegments = Array.isArray(timeline?.segments) ? timeline.segments : [];
+    const rois = [];
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+        rois.push({
+            dwell: clampNumber(inputRois[i]?.dwell, MIN_ROI_DWELL_SECONDS, MAX_TIMELINE_SPAN_SECONDS, DEFAULT_ROI_DWELL_SECONDS),
+        });
+        segments.push({
+            duration: clampNumber(inputSegments[i]?.duration, MIN_SEGMENT_DURATION_SECONDS, MAX_TIMELINE_SPAN_SECONDS, DEFAULT_SEGMENT_DURATION_SECONDS),
+            easing: normalizeCinematicEasing(inputSegments[i]?.easing),
+        });
+    }
+
+    return { rois, segments };
+}
+
+/**
+ * Drop one ROI from a normalized timeline. The segments into and out of the
+ * removed ROI become a single segment between its neighbours that keeps the
+ * incoming easing and takes both durations, so the rest of the loop keeps
+ * its timing.
+ * @param {Object} timeline - Normalized timeline
+ * @param {number} index - ROI to remove
+ * @returns {Object|null} New timeline, or null when no ROIs remain
+ */
+export function removeCinematicTimelineROI(timeline, index) {
+    const n = timeline?.rois.length ?? 0;
+    if (index < 0 || index >= n) return timeline;
+    if (n === 1) return null;
+
+    const incomingIndex = (index - 1 + n) % n;
+    const incoming = timeline.segments[incomingIndex];
+    const merged = {
+        duration: Math.min(MAX_TIMELINE_SPAN_SECONDS, incoming.duration + timeline.segments[index].duration),
+        easing: incoming.easing,
+    };
+
+    const rois = timeline.rois.filter((_, i) => i !== index).map(roi => ({ ...roi }));
+    const segments = timeline.segments
+        .map((segment, i) => (i === incomingIndex ? merged : { ...segment }))
+        .filter((_, i) => i !== index);
+
+    return { rois, segments };
+}
+
+/**
+ * @param {{ rois: { dwell: number }[], segments: { duration: number }[] }} timeline
+ * @returns {number} Loop duration in seconds
+ */
+export function getCinematicTimelineDuration(timeline) {
+    if (!timeline) return 0;
+    let total = 0;
+    for (const roi of timeline.rois) total += roi.dwell;
+    for (const segment of timeline.segments) total += segment.duration;
+    return total;
+}
+
+/**
+ * Lay the timeline out as ordered spans. Zero-length dwells are omitted.
+ * @param {Object} timeline - Normalized timeline
+ * @returns {Array<{ kind: 'dwell'|'segment', index: number, fromIndex: number, toIndex: number, start: number, end: number, easing?: string }>}
+ */
+export function getCinematicTimelineSpans(timeline) {
+    const spans = [];
+    if (!timeline) return spans;
+
+    const n = timeline.rois.length;
+    let cursor = 0;
+
+    for (let i = 0; i < n; i++) {
+        const dwell = timeline.rois[i].dwell;
+        if (dwell > 0) {
+            spans.push({ kind: 'dwell', index: i, fromIndex: i, toIndex: i, start: cursor, end: cursor + dwell });
+            cursor += dwell;
+        }
+
+        const segment = timeline.segments[i];
+        spans.push({
+            kind: 'segment',
+            index: i,
+            fromIndex: i,
+            toIndex: (i + 1) % n,
+            start: cursor,
+            end: cursor + segment.duration,
+            easing: segment.easing,
+        });
+        cursor += segment.duration;
+    }
+
+    return spans;
+}
+
+/**
+ * Resolve loop time to the active span and its eased progress.
+ * @param {Object} timeline - Normalized timeline
+ * @param {number} seconds - Any time; wrapped into the loop
+ * @returns {{ kind: 'dwell'|'segment', index: number, fromIndex: number, toIndex: number, progress: number, rawProgress: number, velocity: number, seconds: number } | null}
+ */
+export function sampleCinematicTimeline(timeline, seconds) {
+    const duration = getCinematicTimelineDuration(timeline);
+    if (duration <= 0) return null;
+
+    const time = ((seconds % duration) + duration) % duration;
+    const spans = getCinematicTimelineSpans(timeline);
+    const span = spans.find(candidate => time < candidate.end) ?? spans[spans.length - 1];
+
+    if (span.kind === 'dwell') {
+        return { kind: 'dwell', index: span.index, fromIndex: span.fromIndex, toIndex: span.toIndex, progress: 0, rawProgress: 0, velocity: 0, seconds: time };
+    }
+
+    const length = span.end - span.start;
+    const rawProgress = length > 0 ? Math.min(1, (time - span.start) / length) : 1;
+    // Slope of the easing curve, used for telemetry (1 = linear speed)
+    const h = 1e-3;
+    const velocity = (applyCinematicEasing(span.easing, rawProgress + h) - applyCinematicEasing(span.easing, rawProgress - h))
+        / (Math.min(1, rawProgress + h) - Math.max(0, rawProgress - h));
+
+    return {
+        kind: 'segment',
+        index: span.index,
+        fromIndex: span.fromIndex,
+        toIndex: span.toIndex,
+        progress: applyCinematicEasing(span.easing, rawProgress),
+        rawProgress,
+        velocity,
+        seconds: time,
+    };
+}
+
+function toPlainVector(vector) {
+    const x = Number(vector?.x);
+    const y = Number(vector?.y);
+    const z = Number(vector?.z);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null;
+    return { x, y, z };
+}
+
+/**
+ * Normalize a single camera view (an ROI, or the current framing) into
+ * plain JSON. Accepts Vector3 or `{x,y,z}` positions.
+ * @param {Object} view
+ * @returns {{ position: Object, target: Object, fov: number } | null}
+ */
+export function normalizeCinematicView(view) {
+    const position = toPlainVector(view?.position);
+    const target = toPlainVector(view?.target);
+    if (!position || !target) return null;
+
+    return {
+        position,
+        target,
+        fov: clampNumber(view.fov, CINEMATIC_FOV_MIN, CINEMATIC_FOV_MAX, DEFAULT_CINEMATIC_FOV),
+    };
+}
+
+/**
+ * Normalize a saved cinematic track (ROIs + optional timeline) into plain
+ * JSON. Accepts Vector3 or `{x,y,z}` positions. Returns null when no
+ * usable ROIs remain.
+ * @param {Object} track
+ * @returns {{ version: number, rois: { position: Object, target: Object, fov: number }[], timeline: Object|null } | null}
+ */
+export function normalizeCinematicTrack(track) {
+    if (!track || typeof track !== 'object' || !Array.isArray(track.rois)) return null;
+
+    const rois = track.rois.map(normalizeCinematicView).filter(Boolean);
+
+    if (rois.length === 0) return null;
+
+    return {
+        version: CINEMATIC_TRACK_VERSION,
+        rois,
+        timeline: track.timeline ? normalizeCinematicTimeline(track.timeline, rois.length) : null,
+    };
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    applyCinematicEasing,
+    getCinematicTimelineDuration,
+    getCinematicTimelineSpans,
+    normalizeCinematicTimeline,
+    normalizeCinematicTrack,
+    removeCinematicTimelineROI,
+    sampleCinematicTimeline,
+} from './cinematicTimeline.js';
+
+const timeline = normalizeCinematicTimeline({
+    rois: [{ dwell: 1 }, { dwell: 0 }],
+    segments: [
+        { duration: 2, easing: 'linear' },
+        { duration: 4, easing: 'easeInOut' },
+    ],
+}, 2);
+
+describe('normalizeCinematicTimeline', () => {
+    it('pads and trims to the ROI count with defaults', () => {
+        const normalized = normalizeCinematicTimeline({
+            rois: [{ dwell: -3 }],
+            segments: [{ duration: 0, easing: 'bogus' }, { duration: 2 }, { duration: 9 }],
+        }, 2);
+
+        expect(normalized.rois).toEqual([{ dwell: 0 }, { dwell: 1.5 }]);
+        expect(normalized.segments).toEqual([
+            { duration: 0.25, easing: 'easeInOut' },
+            { duration: 2, easing: 'easeInOut' },
+        ]);
+    });
+});
+
+describe('sampleCinematicTimeline', () => {
+    it('lays out dwell and segment spans in loop order', () => {
+        expect(getCinematicTimelineDuration(timeline)).toBe(7);
+        expect(getCinematicTimelineSpans(timeline).map(span => [span.kind, span.index, span.start, span.end])).toEqual([
+            ['dwell', 0, 0, 1],
+            ['segment', 0, 1, 3],
+            ['segment', 1, 3, 7],
+        ]);
+    });
+
+    it('holds during dwells and eases through segments', () => {
+        expect(sampleCinematicTimeline(timeline, 0.5)).toMatchObject({ kind: 'dwell', fromIndex: 0, progress: 0 });
+        expect(sampleCinematicTimeline(timeline, 2)).toMatchObject({ kind: 'segment', fromIndex: 0, toIndex: 1, progress: 0.5 });
+
+        const easedQuarter = sampleCinematicTimeline(timeline, 4);
+        expect(easedQuarter).toMatchObject({ kind: 'segment', fromIndex: 1, toIndex: 0, rawProgress: 0.25 });
+        expect(easedQuarter.progress).toBeCloseTo(applyCinematicEasing('easeInOut', 0.25));
+    });
+
+    it('wraps times outside the loop', () => {
+        expect(sampleCinematicTimeline(timeline, 9).seconds).toBeCloseTo(2);
+        expect(sampleCinematicTimeline(timeline, -1).seconds).toBeCloseTo(6);
+    });
+});
+
+describe('removeCinematicTimelineROI', () => {
+    const threeRois = normalizeCinematicTimeline({
+        rois: [{ dwell: 1 }, { dwell: 2 }, { dwell: 3 }],
+        segments: [
+            { duration: 4, easing: 'linear' },
+            { duration: 5, easing: 'smooth' },
+            { duration: 6, easing: 'easeIn' },
+        ],
+    }, 3);
+
+    it('merges the segments around a middle ROI', () => {
+        expect(removeCinematicTimelineROI(threeRois, 1)).toEqual({
+            rois: [{ dwell: 1 }, { dwell: 3 }],
+            segments: [
+                { duration: 9, easing: 'linear' },
+                { duration: 6, easing: 'easeIn' },
+            ],
+        });
+    });
+
+    it('merges the segments around the last ROI', () => {
+        expect(removeCinematicTimelineROI(threeRois, 2)).toEqual({
+            rois: [{ dwell: 1 }, { dwell: 2 }],
+            segments: [
+                { duration: 4, easing: 'linear' },
+                { duration: 11, easing: 'smooth' },
+            ],
+        });
+    });
+
+    it('wraps to the closing segment when the first ROI goes', () => {
+        expect(removeCinematicTimelineROI(threeRois, 0)).toEqual({
+            rois: [{ dwell: 2 }, { dwell: 3 }],
+            segments: [
+                { duration: 5, easing: 'smooth' },
+                { duration: 10, easing: 'easeIn' },
+            ],
+        });
+        expect(threeRois.segments).toHaveLength(3);
+    });
+
+    it('clears the timeline with the last remaining ROI', () => {
+        expect(removeCinematicTimelineROI(normalizeCinematicTimeline(null, 1), 0)).toBeNull();
+    });
+});
+
+describe('normalizeCinematicTrack', () => {
+    it('drops invalid ROIs and normalizes the timeline to the remaining ones', () => {
+        const track = normalizeCinematicTrack({
+            rois: [
+                { position: { x: 0, y: 1, z: 5 }, target: { x: 0, y: 0, z: 0 }, fov: 500 },
+                { position: { x: 'nope' }, target: { x: 0, y: 0, z: 0 }, fov: 40 },
+            ],
+            timeline: { rois: [{ dwell: 2 }], segments: [{ duration: 3, easing: 'smooth' }] },
+        });
+
+        expect(track.rois).toEqual([{ position: { x: 0, y: 1, z: 5 }, target: { x: 0, y: 0, z: 0 }, fov: 120 }]);
+        expect(track.timeline).toEqual({ rois: [{ dwell: 2 }], segments: [{ duration: 3, easing: 'smooth' }] });
+        expect(normalizeCinematicTrack({ rois: [] })).toBeNull();
+    });
+});
@@ -7,13 +7,38 @@
  * Public API:
  *   inferContours(imageData, options?) → Promise<{ paths, maskWidth, maskHeight }>
  *     paths: Array of Array of { x, y }  (normalised to [-1, 1] drawing space)
+ *   inferContourMaps(imageData, { model }?) → Promise<{ alpha, edges, maskWidth, maskHeight }>
+ *   traceContourPaths(maps, options?) → Array of Array of { x, y }
+ *     Inference and tracing are split so the panel can retune and repaint the
+ *     mask without running the model again.
  *
  * Options:
+ *   model               string          default 'u2net' – see contourModels.js
+ *   mode                string          default 'outline'
+ *                         'outline'    – marching squares around the mask
+ *                         'centerline' – single-stroke skeleton of the mask
+ *                         'interior'   – single-stroke lines along image edges inside the mask
  *   maskThreshold       number  0–255   default 160  – alpha threshold for binary mask
+ *   edgeThreshold       number  0–255   default 64   – edge strength kept in interior mode
  *   minContourPoints    number          default 12   – drop contours shorter than this
+ *   pruneLength         number          default 8    – skeleton spurs shorter than this are dropped (pixels)
  *   simplifyTolerance   number          default 0.35 – RDP epsilon in mask pixels
+ *   edits               Uint8Array      optional     – brush edits (see paintMaskStroke)
  */
 
+import { DEFAULT_CONTOUR_MODEL } from './contourModels.js';
+import { thinMask, traceSkeletonPaths } from './maskSkeleton.js';
+
+export const CONTOUR_TRACE_MODES = Object.freeze([
+    { value: 'outline', label: 'Outline', icon: 'gesture' },
+    { value: 'centerline', label: 'Centerline', icon: 'timeline' },
+    { value: 'interior', label: 'Interior Edges', icon: 'line_curve' },
+]);
+
+export const MASK_EDIT_NONE = 0;
+export const MASK_EDIT_ADD = 1;
+export const MASK_EDIT_ERASE = 2;
+
 // ---------------------------------------------------------------------------
 // Lazy singleton worker
 // ---------------------------------------------------------------------------
@@ -32,7 +57,7 @@ function getWorker() {
     );
 
     workerInstance.onmessage = (event) => {
-        const { type, id, alpha, maskWidth, maskHeight, error, stage, message } = event.data;
+        const { type, id, alpha, edges, maskWidth, maskHeight, error, stage, message } = event.data;
         const entry = pendingRequests.get(id);
         if (!entry) return;
 
@@ -46,7 +71,7 @@ function getWorker() {
         pendingRequests.delete(id);
 
         if (type === 'infer-result') {
-            entry.resolve({ alpha, maskWidth, maskHeight });
+            entry.resolve({ alpha, edges, maskWidth, maskHeight });
         } else if (type === 'preload-complete') {
             entry.resolve();
         } else {
@@ -66,7 +91,7 @@ function getWorker() {
     return { worker: workerInstance, pending: pendingRequests };
 }
 
-function requestAlpha(imageData) {
+function requestMaps(imageData, model) {
     return new Promise((resolve, reject) => {
         const { worker, pending } = getWorker();
         const id = nextId++;
@@ -74,7 +99,7 @@ function requestAlpha(imageData) {
 
         const dataCopy = new Uint8ClampedArray(imageData.data);
         worker.postMessage(
-            { type: 'infer', id, imageData: { data: dataCopy, width: imageData.width, height: imageData.height } },
+            { type: 'infer', id, model, imageData: { data: dataCopy, width: imageData.width, height: imageData.height } },
             [dataCopy.buffer]
         );
     });
@@ -86,7 +111,7 @@ function requestAlpha(imageData) {
  * Returns a Promise that resolves when model is loaded.
  */
 export function preloadModel(options = {}) {
-    const { onStatus } = options;
+    const { onStatus, model = DEFAULT_CONTOUR_MODEL } = options;
 
     return new Promise((resolve, reject) => {
         const { worker, pending } = getWorker();
@@ -97,7 +122,7 @@ export function preloadModel(options = {}) {
             onStatus
         });
 
-        worker.postMessage({ type: 'preload', id });
+        worker.postMessage({ type: 'preload', id, model });
     });
 }
 
@@ -258,6 +283,64 @@ function marchingSquaresContours(alpha, width, height, threshold, minContourPoin
     return polylines;
 }
 
+// ---------------------------------------------------------------------------
+// Mask brush edits
+// One byte per mask pixel: MASK_EDIT_ADD forces the pixel into the mask,
+// MASK_EDIT_ERASE forces it out. Edits are applied before tracing.
+// ---------------------------------------------------------------------------
+
+/**
+ * Stamp a round brush along the segment from → to (mask pixel coords).
+ * Pass `from = null` to stamp a single dab at `to`.
+ *
+ * @param {Uint8Array} edits   maskWidth × maskHeight, modified in place
+ * @param {number} width
+ * @param {number} height
+ * @param {{ x: number, y: number }|null} from
+ * @param {{ x: number, y: number }} to
+ * @param {number} radius     in mask pixels
+ * @param {number} value      MASK_EDIT_ADD | MASK_EDIT_ERASE | MASK_EDIT_NONE
+ */
+export function paintMaskStroke(edits, width, height, from, to, radius, value) {
+    const start = from || to;
+    const distance = Math.hypot(to.x - start.x, to.y - start.y);
+    const steps = Math.max(1, Math.ceil(distance / Math.max(0.5, radius / 2)));
+    const r2 = radius * radius;
+
+    for (let step = 0; step <= steps; step++) {
+        const t = step / steps;
+        const cx = start.x + (to.x - start.x) * t;
+        const cy = start.y + (to.y - start.y) * t;
+        const minX = Math.max(0, Math.floor(cx - radius));
+        const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+        const minY = Math.max(0, Math.floor(cy - radius));
+        const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= r2) {
+                    edits[y * width + x] = value;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Return a copy of the alpha mask with brush edits applied.
+ */
+export function applyMaskEdits(alpha, edits) {
+    const edited = new Uint8ClampedArray(alpha);
+    if (!edits) return edited;
+
+    for (let i = 0; i < edited.length; i++) {
+        if (edits[i] === MASK_EDIT_ADD) edited[i] = 255;
+        else if (edits[i] === MASK_EDIT_ERASE) edited[i] = 0;
+    }
+
+    return edited;
+}
+
 // ---------------------------------------------------------------------------
 // Ramer-Douglas-Peucker simplification (operates on [x,y] arrays)
 // ---------------------------------------------------------------------------
@@ -310,30 +393,78 @@ function normaliseMaskCoord(px, py, maskW, maskH, outputAspect = maskW / maskH)
 // ---------------------------------------------------------------------------
 
 /**
- * Run U2Net inference on imageData and return drawing paths.
+ * Run the segmentation model and edge detector on imageData.
  *
  * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
- * @param {{ maskThreshold?: number, minContourPoints?: number, simplifyTolerance?: number }} [options]
- * @returns {Promise<{ paths: Array<Array<{x,y}>>, maskWidth: number, maskHeight: number }>}
+ * @param {{ model?: string }} [options]
+ * @returns {Promise<{ alpha: Uint8ClampedArray, edges: Uint8ClampedArray, maskWidth: number, maskHeight: number, sourceAspect: number }>}
  */
-export async function inferContours(imageData, options = {}) {
-    const {
-        maskThreshold     = 160,
-        minContourPoints  = 12,
-        simplifyTolerance = 0.35,
-    } = options;
+export async function inferContourMaps(imageData, options = {}) {
+    const { model = DEFAULT_CONTOUR_MODEL } = options;
 
-    const { alpha, maskWidth, maskHeight } = await requestAlpha(imageData);
+    const { alpha, edges, maskWidth, maskHeight } = await requestMaps(imageData, model);
     const sourceAspect = (Number(imageData?.width) > 0 && Number(imageData?.height) > 0)
         ? imageData.width / imageData.height
         : (maskWidth / maskHeight);
 
-    const contours = marchingSquaresContours(alpha, maskWidth, maskHeight, maskThreshold, minContourPoints);
+    return { alpha, edges, maskWidth, maskHeight, sourceAspect };
+}
 
-    const paths = contours
+/**
+ * Trace drawing paths from maps returned by inferContourMaps.
+ *
+ * @param {{ alpha: Uint8ClampedArray, edges?: Uint8ClampedArray, maskWidth: number, maskHeight: number, sourceAspect?: number }} maps
+ * @param {{ mode?: string, maskThreshold?: number, edgeThreshold?: number, minContourPoints?: number, simplifyTolerance?: number, edits?: Uint8Array }} [options]
+ * @returns {Array<Array<{x,y}>>}
+ */
+export function traceContourPaths(maps, options = {}) {
+    const {
+        mode              = 'outline',
+        maskThreshold     = 160,
+        edgeThreshold     = 64,
+        minContourPoints  = 12,
+        pruneLength       = 8,
+        simplifyTolerance = 0.35,
+        edits             = null,
+    } = options;
+    const { edges, maskWidth, maskHeight } = maps;
+    const sourceAspect = maps.sourceAspect || (maskWidth / maskHeight);
+    const alpha = applyMaskEdits(maps.alpha, edits);
+
+    let contours;
+    if (mode === 'interior' || mode === 'centerline') {
+        if (mode === 'interior' && !edges) throw new Error('Interior edge tracing needs an edge map');
+
+        // Both are traced as skeletons: the suppressed edge map is nearly one
+        // pixel wide already, the mask is thinned down to its medial line.
+        const binary = new Uint8Array(alpha.length);
+        for (let i = 0; i < binary.length; i++) {
+            binary[i] = alpha[i] >= maskThreshold && (mode === 'centerline' || edges[i] >= edgeThreshold) ? 1 : 0;
+        }
+        contours = traceSkeletonPaths(thinMask(binary, maskWidth, maskHeight), maskWidth, maskHeight, {
+            pruneLength,
+            minPoints: minContourPoints,
+        });
+    } else {
+        contours = marchingSquaresContours(alpha, maskWidth, maskHeight, maskThreshold, minContourPoints);
+    }
+
+    return contours
         .map(({ points }) => rdpSimplify(points, simplifyTolerance))
         .filter(pts => pts.length >= 2)
         .map(pts => pts.map(([x, y]) => normaliseMaskCoord(x, y, maskWidth, maskHeight, sourceAspect)));
+}
+
+/**
+ * Run U2Net inference on imageData and return drawing paths.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
+ * @param {{ model?: string, mode?: string, maskThreshold?: number, edgeThreshold?: number, minContourPoints?: number, simplifyTolerance?: number, edits?: Uint8Array }} [options]
+ * @returns {Promise<{ paths: Array<Array<{x,y}>>, maskWidth: number, maskHeight: number }>}
+ */
+export async function inferContours(imageData, options = {}) {
+    const maps = await inferContourMaps(imageData, options);
+    const paths = traceContourPaths(maps, options);
 
-    return { paths, maskWidth, maskHeight };
+    return { paths, maskWidth: maps.maskWidth, maskHeight: maps.maskHeight };
 }
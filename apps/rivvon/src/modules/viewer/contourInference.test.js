@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    applyMaskEdits,
+    MASK_EDIT_ADD,
+    MASK_EDIT_ERASE,
+    paintMaskStroke,
+    traceContourPaths,
+} from './contourInference.js';
+
+const SIZE = 32;
+
+function createMaps({ square = true, edgeRow = null } = {}) {
+    const alpha = new Uint8ClampedArray(SIZE * SIZE);
+    const edges = new Uint8ClampedArray(SIZE * SIZE);
+
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            if (square && x >= 8 && x < 24 && y >= 8 && y < 24) alpha[y * SIZE + x] = 255;
+            if (y === edgeRow && x >= 4 && x < 28) edges[y * SIZE + x] = 200;
+        }
+    }
+
+    return { alpha, edges, maskWidth: SIZE, maskHeight: SIZE };
+}
+
+describe('paintMaskStroke', () => {
+    it('stamps a continuous stroke between two points', () => {
+        const edits = new Uint8Array(SIZE * SIZE);
+        paintMaskStroke(edits, SIZE, SIZE, { x: 2, y: 2 }, { x: 20, y: 2 }, 1, MASK_EDIT_ADD);
+
+        for (let x = 2; x <= 20; x++) {
+            expect(edits[2 * SIZE + x]).toBe(MASK_EDIT_ADD);
+        }
+        expect(edits[5 * SIZE + 10]).toBe(0);
+    });
+
+    it('clips the brush at the mask border', () => {
+        const edits = new Uint8Array(SIZE * SIZE);
+        paintMaskStroke(edits, SIZE, SIZE, null, { x: 0, y: 0 }, 3, MASK_EDIT_ERASE);
+
+        expect(edits[0]).toBe(MASK_EDIT_ERASE);
+        expect(edits.length).toBe(SIZE * SIZE);
+    });
+});
+
+describe('applyMaskEdits', () => {
+    it('forces added pixels in and erased pixels out without touching the source', () => {
+        const { alpha } = createMaps();
+        const edits = new Uint8Array(SIZE * SIZE);
+        edits[0] = MASK_EDIT_ADD;
+        edits[10 * SIZE + 10] = MASK_EDIT_ERASE;
+
+        const edited = applyMaskEdits(alpha, edits);
+
+        expect(edited[0]).toBe(255);
+        expect(edited[10 * SIZE + 10]).toBe(0);
+        expect(alpha[10 * SIZE + 10]).toBe(255);
+    });
+});
+
+describe('traceContourPaths', () => {
+    it('traces the outline of the mask in drawing space', () => {
+        const paths = traceContourPaths(createMaps(), { minContourPoints: 4, simplifyTolerance: 0.5 });
+
+        expect(paths).toHaveLength(1);
+        for (const point of paths[0]) {
+            expect(Math.abs(point.x)).toBeLessThanOrEqual(0.55);
+            expect(Math.abs(point.y)).toBeLessThanOrEqual(0.55);
+        }
+    });
+
+    it('splits the outline where the brush erases a channel through the mask', () => {
+        const maps = createMaps();
+        const edits = new Uint8Array(SIZE * SIZE);
+        paintMaskStroke(edits, SIZE, SIZE, { x: 16, y: 0 }, { x: 16, y: SIZE - 1 }, 1.5, MASK_EDIT_ERASE);
+
+        expect(traceContourPaths(maps, { edits, minContourPoints: 4 })).toHaveLength(2);
+    });
+
+    it('traces the centerline of the mask as one stroke instead of a doubled outline', () => {
+        const maps = createMaps({ square: false });
+        for (let y = 12; y < 20; y++) {
+            for (let x = 2; x < 30; x++) maps.alpha[y * SIZE + x] = 255;
+        }
+
+        const paths = traceContourPaths(maps, { mode: 'centerline', minContourPoints: 4 });
+
+        expect(paths).toHaveLength(1);
+        expect(paths[0].every(point => Math.abs(point.y) < 0.1)).toBe(true);
+    });
+
+    it('follows an edge inside the mask as a single open stroke', () => {
+        const paths = traceContourPaths(createMaps({ edgeRow: 16 }), {
+            mode: 'interior',
+            minContourPoints: 4,
+        });
+
+        // The edge runs from x = 4 to 27, but only x = 8..23 lies inside the mask
+        expect(paths).toHaveLength(1);
+        expect(paths[0]).toHaveLength(2);
+        expect(Math.abs(paths[0][0].x - paths[0][1].x)).toBeCloseTo((15 / SIZE) * 2);
+    });
+
+    it('keeps edges outside the segmentation when the mask is painted in', () => {
+        const maps = createMaps({ square: false, edgeRow: 16 });
+        const edits = new Uint8Array(SIZE * SIZE).fill(MASK_EDIT_ADD);
+
+        const paths = traceContourPaths(maps, { mode: 'interior', edits, minContourPoints: 4 });
+
+        expect(paths).toHaveLength(1);
+        expect(Math.abs(paths[0][0].x - paths[0][1].x)).toBeCloseTo((23 / SIZE) * 2);
+    });
+});
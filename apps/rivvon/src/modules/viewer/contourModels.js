@@ -0,0 +1,29 @@
+// src/modules/viewer/contourModels.js
+// Segmentation models offered by the contour panel. Shared by the panel and
+// the inference worker: `assetId` names the runtime asset holding the ONNX
+// weights, and a model without one skips inference and starts from a full
+// mask for the user to paint.
+
+export const CONTOUR_MODELS = Object.freeze([
+    {
+        value: 'u2net',
+        label: 'Objects',
+        icon: 'category',
+        description: 'U²-Net salient object detection',
+        assetId: 'u2netModel',
+    },
+    {
+        value: 'none',
+        label: 'Whole Image',
+        icon: 'crop_free',
+        description: 'No segmentation; paint the mask by hand',
+        assetId: null,
+    },
+]);
+
+export const DEFAULT_CONTOUR_MODEL = 'u2net';
+
+export function getContourModel(value) {
+    return CONTOUR_MODELS.find((model) => model.value === value)
+        || CONTOUR_MODELS.find((model) => model.value === DEFAULT_CONTOUR_MODEL);
+}
@@ -0,0 +1,190 @@
+// Adobe/Resolve .cube colour lookup tables. A 1D table holds one curve per
+// channel (the general form of the gradient map LUT); a 3D table maps every
+// RGB input to an output colour, red varying fastest.
+
+export const MAX_CUBE_LUT_1D_SIZE = 65536;
+export const MAX_CUBE_LUT_3D_SIZE = 128;
+export const DEFAULT_COLOR_LUT_INTENSITY = 1;
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function parseNumbers(parts, count, lineNumber, keyword) {
+    if (parts.length !== count || !parts.every((part) => NUMBER_PATTERN.test(part))) {
+        throw new Error(`Line ${lineNumber}: ${keyword ? `${keyword} expects` : 'expected'} ${count} number${count === 1 ? '' : 's'}`);
+    }
+    return parts.map(Number);
+}
+
+function parseSize(parts, lineNumber, keyword, max) {
+    const [size] = parseNumbers(parts, 1, lineNumber, keyword);
+    if (!Number.isInteger(size) || size < 2 || size > max) {
+        throw new Error(`Line ${lineNumber}: ${keyword} must be a whole number from 2 to ${max}`);
+    }
+    return size;
+}
+
+/**
+ * Parse the text of a .cube file.
+ * @param {string} text
+ * @returns {{title: string, type: '1D'|'3D', size: number, domainMin: number[], domainMax: number[], data: Float32Array}}
+ *   `data` holds RGB triples in file order
+ * @throws {Error} With the offending line number when the file is malformed
+ */
+export function parseCubeLut(text) {
+    if (typeof text !== 'string') {
+        throw new Error('LUT file is empty');
+    }
+
+    let title = '';
+    let size1D = 0;
+    let size3D = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    let data = null;
+    let entryCount = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (let index = 0; index < lines.length; index += 1) {
+        const line = lines[index].trim();
+        const lineNumber = index + 1;
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+
+        if (NUMBER_PATTERN.test(keyword)) {
+            if (!data) {
+                const size = size3D || size1D;
+                if (!size) {
+                    throw new Error(`Line ${lineNumber}: LUT_1D_SIZE or LUT_3D_SIZE must come before the table`);
+                }
+                data = new Float32Array((size3D ? size ** 3 : size) * 3);
+            }
+            if (entryCount * 3 >= data.length) {
+                throw new Error(`Line ${lineNumber}: more entries than the declared size`);
+            }
+            data.set(parseNumbers(parts, 3, lineNumber), entryCount * 3);
+            entryCount += 1;
+            continue;
+        }
+
+        if (data) {
+            throw new Error(`Line ${lineNumber}: ${keyword} must come before the table`);
+        }
+
+        switch (keyword) {
+            case 'TITLE':
+                title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+                break;
+            case 'LUT_1D_SIZE':
+                size1D = parseSize(parts.slice(1), lineNumber, keyword, MAX_CUBE_LUT_1D_SIZE);
+                break;
+            case 'LUT_3D_SIZE':
+                size3D = parseSize(parts.slice(1), lineNumber, keyword, MAX_CUBE_LUT_3D_SIZE);
+                break;
+            case 'DOMAIN_MIN':
+                domainMin = parseNumbers(parts.slice(1), 3, lineNumber, keyword);
+                break;
+            case 'DOMAIN_MAX':
+                domainMax = parseNumbers(parts.slice(1), 3, lineNumber, keyword);
+                break;
+            case 'LUT_1D_INPUT_RANGE':
+            case 'LUT_3D_INPUT_RANGE': {
+                const [min, max] = parseNumbers(parts.slice(1), 2, lineNumber, keyword);
+                domainMin = [min, min, min];
+                domainMax = [max, max, max];
+                break;
+            }
+            default:
+                // Vendor keywords (e.g. LUT_IN_VIDEO_RANGE) do not change the table
+                break;
+        }
+    }
+
+    if (size1D && size3D) {
+        throw new Error('Files with both a 1D and a 3D table are not supported');
+    }
+
+    const size = size3D || size1D;
+    if (!size) {
+        throw new Error('Missing LUT_1D_SIZE or LUT_3D_SIZE');
+    }
+
+    const expectedEntries = size3D ? size ** 3 : size;
+    if (entryCount !== expectedEntries) {
+        throw new Error(`Expected ${expectedEntries} table entries, found ${entryCount}`);
+    }
+
+    if (domainMin.some((min, channel) => min >= domainMax[channel])) {
+        throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+    }
+
+    return {
+        title,
+        type: size3D ? '3D' : '1D',
+        size,
+        domainMin,
+        domainMax,
+        data,
+    };
+}
+
+/**
+ * Expand a parsed table to RGBA texels for a DataTexture (1D, size x 1) or
+ * Data3DTexture (3D, size^3 with x = red). Long 1D tables are resampled so
+ * they fit in a single texture row.
+ * @param {{type: string, size: number, data: Float32Array}} lut
+ * @param {number} [max1DWidth]
+ * @returns {{size: number, data: Float32Array}} Texels per axis and the RGBA data
+ */
+export function createCubeLutTextureData(lut, max1DWidth = 4096) {
+    const size = lut.type === '1D' ? Math.min(lut.size, max1DWidth) : lut.size;
+    const texelCount = lut.type === '1D' ? size : size ** 3;
+    const texels = new Float32Array(texelCount * 4);
+
+    for (let texel = 0; texel < texelCount; texel += 1) {
+        if (size === lut.size) {
+            texels.set(lut.data.subarray(texel * 3, texel * 3 + 3), texel * 4);
+        } else {
+            const position = (texel / (size - 1)) * (lut.size - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lut.size - 1, lower + 1);
+            const weight = position - lower;
+
+            for (let channel = 0; channel < 3; channel += 1) {
+                const from = lut.data[lower * 3 + channel];
+                texels[texel * 4 + channel] = from + (lut.data[upper * 3 + channel] - from) * weight;
+            }
+        }
+        texels[texel * 4 + 3] = 1;
+    }
+
+    return { size, data: texels };
+}
+
+/**
+ * Normalize the selected LUT reference. Imported LUTs live in this browser's
+ * IndexedDB, so a project only carries the id and name.
+ * @param {Object|null} value
+ * @returns {{id: string, name: string}|null}
+ */
+export function normalizeColorLutReference(value) {
+    const id = typeof value?.id === 'string' ? value.id.trim() : '';
+    if (!id) {
+        return null;
+    }
+
+    return {
+        id,
+        name: typeof value.name === 'string' ? value.name : '',
+    };
+}
+
+export function normalizeColorLutIntensity(value) {
+    const intensity = Number(value);
+    return Number.isFinite(intensity)
+        ? Math.min(1, Math.max(0, intensity))
+        : DEFAULT_COLOR_LUT_INTENSITY;
+}
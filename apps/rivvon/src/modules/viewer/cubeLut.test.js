@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    createCubeLutTextureData,
+    normalizeColorLutIntensity,
+    normalizeColorLutReference,
+    parseCubeLut,
+} from './cubeLut.js';
+
+const IDENTITY_3D = `# Created by hand
+TITLE "Identity"
+LUT_3D_SIZE 2
+DOMAIN_MIN 0 0 0
+DOMAIN_MAX 1 1 1
+
+0 0 0
+1 0 0
+0 1 0
+1 1 0
+0 0 1
+1 0 1
+0 1 1
+1 1 1
+`;
+
+describe('parseCubeLut', () => {
+    it('parses a 3D table with red varying fastest', () => {
+        const lut = parseCubeLut(IDENTITY_3D);
+
+        expect(lut).toMatchObject({ title: 'Identity', type: '3D', size: 2, domainMin: [0, 0, 0], domainMax: [1, 1, 1] });
+        expect(Array.from(lut.data.slice(3, 6))).toEqual([1, 0, 0]);
+        expect(Array.from(lut.data.slice(21, 24))).toEqual([1, 1, 1]);
+    });
+
+    it('parses a 1D table with an input range and CRLF line endings', () => {
+        const lut = parseCubeLut('LUT_1D_SIZE 3\r\nLUT_1D_INPUT_RANGE 0 2\r\n0 0 0\r\n0.5 0.25 1e-1\r\n1 1 1\r\n');
+
+        expect(lut.type).toBe('1D');
+        expect(lut.domainMax).toEqual([2, 2, 2]);
+        expect(lut.data[5]).toBeCloseTo(0.1);
+    });
+
+    it('reports the size mismatch and the offending line', () => {
+        expect(() => parseCubeLut('LUT_3D_SIZE 2\n0 0 0\n')).toThrow('Expected 8 table entries, found 1');
+        expect(() => parseCubeLut('LUT_1D_SIZE 2\n0 0\n1 1 1\n')).toThrow('Line 2: expected 3 numbers');
+        expect(() => parseCubeLut('0 0 0\n')).toThrow('Line 1: LUT_1D_SIZE or LUT_3D_SIZE must come before the table');
+        expect(() => parseCubeLut('LUT_3D_SIZE 512\n')).toThrow('LUT_3D_SIZE must be a whole number from 2 to 128');
+    });
+});
+
+describe('createCubeLutTextureData', () => {
+    it('pads RGB entries to opaque RGBA texels', () => {
+        const texture = createCubeLutTextureData(parseCubeLut('LUT_1D_SIZE 2\n0 0.5 1\n1 1 1\n'));
+        expect(texture.size).toBe(2);
+        expect(Array.from(texture.data)).toEqual([0, 0.5, 1, 1, 1, 1, 1, 1]);
+    });
+
+    it('resamples long 1D tables to the texture width', () => {
+        const lines = Array.from({ length: 5 }, (_, index) => `${index / 4} ${index / 4} ${index / 4}`);
+        const texture = createCubeLutTextureData(parseCubeLut(`LUT_1D_SIZE 5\n${lines.join('\n')}\n`), 3);
+
+        expect(texture.size).toBe(3);
+        expect(Array.from(texture.data.filter((_, index) => index % 4 === 0))).toEqual([0, 0.5, 1]);
+    });
+});
+
+describe('normalizeColorLutReference', () => {
+    it('keeps only an id and name', () => {
+        expect(normalizeColorLutReference({ id: ' lut-1 ', name: 'Film', data: [] })).toEqual({ id: 'lut-1', name: 'Film' });
+        expect(normalizeColorLutReference({ name: 'No id' })).toBeNull();
+        expect(normalizeColorLutIntensity('2')).toBe(1);
+    });
+});
@@ -34,6 +34,13 @@ export class DrawingManager {
         this.onAutoFinalizeCountdown = null; // Callback for countdown UI
         this.onAutoFinalizeProgress = null; // Callback for progress bar (0-1)
 
+        // Live drawing: smoothed strokes are reported as they change so the
+        // ribbon can grow before the drawing is finalized
+        this.onStrokesChange = null;
+        this.smoothedStrokeCache = new WeakMap(); // Completed stroke -> smoothed subpaths
+        this.inkVisible = true; // Canvas ink for strokes; the live ribbon can replace it
+
+        this.cursor = null; // Cursor drawn for non-pointer input, e.g. a tracked fingertip
         this.isActive = false;
         this.minPointDistance = 2; // Minimum pixels between points to avoid duplicates
         this.resize(window.innerWidth, window.innerHeight);
@@ -77,6 +84,7 @@ export class DrawingManager {
         this.canvas.style.pointerEvents = active ? 'auto' : 'none';
 
         if (!active) {
+            this.cursor = null;
             this.clearStrokes();
             this.cancelAutoFinalize();
         }
@@ -96,22 +104,14 @@ export class DrawingManager {
     handlePointerDown(e) {
         if (!this.isActive) return;
 
-        // Cancel any pending auto-finalize when starting new stroke
-        this.cancelAutoFinalize();
-
         console.log('[Drawing] Pointer down - starting new stroke', {
             position: { x: Math.round(e.clientX), y: Math.round(e.clientY) },
             pointerId: e.pointerId,
             existingStrokes: this.strokes.length
         });
 
-        this.currentStroke = [];
-        this.currentStroke.push({ x: Math.round(e.clientX), y: Math.round(e.clientY) });
-        this.isDrawingStroke = true;
+        this.beginStroke(Math.round(e.clientX), Math.round(e.clientY));
         this.canvas.setPointerCapture(e.pointerId);
-
-        // Redraw to show current stroke
-        this.drawAllStrokes();
     }
 
     /**
@@ -124,11 +124,7 @@ export class DrawingManager {
         const x = Math.round(e.clientX);
         const y = Math.round(e.clientY);
 
-        // Only add point if it's far enough from the last one
-        if (this.shouldAddPoint(x, y)) {
-            this.currentStroke.push({ x, y });
-            this.drawAllStrokes();
-        }
+        this.extendStroke(x, y);
 
         // Log periodically (every 10 points) to avoid spam
         if (this.currentStroke.length % 10 === 0) {
@@ -146,13 +142,57 @@ export class DrawingManager {
     handlePointerUp(e) {
         if (!this.isActive || !this.isDrawingStroke) return;
 
-        this.isDrawingStroke = false;
-
         console.log('[Drawing] Pointer up - stroke complete', {
             strokePoints: this.currentStroke.length,
             pointerId: e.pointerId
         });
 
+        this.endStroke();
+    }
+
+    /**
+     * Start a new stroke. Pointer input and other input sources
+     * (e.g. hand tracking) share this path.
+     * @param {number} x - Start x in canvas pixels
+     * @param {number} y - Start y in canvas pixels
+     */
+    beginStroke(x, y) {
+        if (!this.isActive) return;
+
+        // Cancel any pending auto-finalize when starting new stroke
+        this.cancelAutoFinalize();
+
+        this.currentStroke = [{ x, y }];
+        this.isDrawingStroke = true;
+
+        // Redraw to show current stroke
+        this.drawAllStrokes();
+    }
+
+    /**
+     * Add a point to the stroke being drawn
+     * @param {number} x - Point x in canvas pixels
+     * @param {number} y - Point y in canvas pixels
+     */
+    extendStroke(x, y) {
+        if (!this.isActive || !this.isDrawingStroke) return;
+
+        // Only add point if it's far enough from the last one
+        if (this.shouldAddPoint(x, y)) {
+            this.currentStroke.push({ x, y });
+            this.drawAllStrokes();
+            this.notifyStrokesChange();
+        }
+    }
+
+    /**
+     * Finish the stroke being drawn and start auto-finalize
+     */
+    endStroke() {
+        if (!this.isActive || !this.isDrawingStroke) return;
+
+        this.isDrawingStroke = false;
+
         // Add stroke to collection if it has enough points
         if (this.currentStroke.length >= 2) {
             this.strokes.push([...this.currentStroke]);
@@ -170,6 +210,7 @@ export class DrawingManager {
 
         this.currentStroke = [];
         this.drawAllStrokes();
+        this.notifyStrokesChange();
 
         // Start auto-finalize timer if enabled and we have strokes
         if (this.autoFinalizeEnabled && this.strokes.length > 0) {
@@ -177,6 +218,50 @@ export class DrawingManager {
         }
     }
 
+    /**
+     * Smoothed strokes as they are now, including the one being drawn
+     * @returns {Array<Array<{x,y}>>} Subpaths in canvas pixels
+     */
+    getLiveStrokes() {
+        const completed = this.strokes.flatMap((stroke) => {
+            if (!this.smoothedStrokeCache.has(stroke)) {
+                this.smoothedStrokeCache.set(stroke, finalizeCapturedPaths([stroke]));
+            }
+            return this.smoothedStrokeCache.get(stroke);
+        });
+
+        return this.currentStroke.length >= 2
+            ? [...completed, ...finalizeCapturedPaths([this.currentStroke])]
+            : completed;
+    }
+
+    /**
+     * Report the live strokes, when someone is listening
+     */
+    notifyStrokesChange() {
+        if (this.onStrokesChange) {
+            this.onStrokesChange(this.getLiveStrokes());
+        }
+    }
+
+    /**
+     * Show or hide the canvas ink for strokes. The cursor is always drawn.
+     * @param {boolean} visible - Whether strokes are drawn on the canvas
+     */
+    setInkVisible(visible) {
+        this.inkVisible = visible;
+        this.drawAllStrokes();
+    }
+
+    /**
+     * Show or hide a cursor for input sources without a pointer
+     * @param {{x: number, y: number, pressed: boolean}|null} cursor - Cursor in canvas pixels, or null to hide
+     */
+    setCursor(cursor) {
+        this.cursor = cursor;
+        this.drawAllStrokes();
+    }
+
     /**
      * Start the auto-finalize countdown
      */
@@ -301,6 +386,7 @@ export class DrawingManager {
         this.currentStroke = [];
         this.isDrawingStroke = false;
         this.clearCanvas();
+        this.notifyStrokesChange();
 
         // Notify stroke count change
         if (this.onStrokeCountChange) {
@@ -318,6 +404,7 @@ export class DrawingManager {
         this.cancelAutoFinalize();
         this.strokes.pop();
         this.drawAllStrokes();
+        this.notifyStrokesChange();
 
         // Notify stroke count change
         if (this.onStrokeCountChange) {
@@ -344,17 +431,37 @@ export class DrawingManager {
 
         // Draw completed strokes in light gray
         this.strokes.forEach((stroke) => {
-            if (stroke.length < 2) return;
+            if (!this.inkVisible || stroke.length < 2) return;
 
             this.ctx.strokeStyle = 'rgba(200, 200, 200, 0.8)';
             this.drawStrokePoints(stroke);
         });
 
         // Draw current stroke in white
-        if (this.currentStroke.length >= 2) {
+        if (this.inkVisible && this.currentStroke.length >= 2) {
             this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
             this.drawStrokePoints(this.currentStroke);
         }
+
+        if (this.cursor) {
+            this.drawCursor(this.cursor);
+        }
+    }
+
+    /**
+     * Draw the non-pointer cursor as a ring, filled while pressed
+     * @param {{x: number, y: number, pressed: boolean}} cursor - Cursor to draw
+     */
+    drawCursor({ x, y, pressed }) {
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, pressed ? 6 : 10, 0, Math.PI * 2);
+        if (pressed) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.fill();
+        } else {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.stroke();
+        }
     }
 
     /**
@@ -0,0 +1,126 @@
+// src/modules/viewer/exportSoundtrack.js
+// Soundtrack preparation for video export: decode the chosen file, then
+// trim or loop it to the export duration with optional fades, ready for
+// mediabunny's AudioBufferSource.
+
+// Both AAC and Opus encoders accept 48 kHz everywhere WebCodecs runs
+export const SOUNDTRACK_SAMPLE_RATE = 48000;
+
+export const SOUNDTRACK_CODECS = Object.freeze({
+    mp4: 'aac',
+    webm: 'opus',
+});
+
+// Roughly what AAC / Opus stereo lands on at QUALITY_HIGH, for size estimates
+export const SOUNDTRACK_BITRATE_ESTIMATE = 160_000;
+
+export const DEFAULT_SOUNDTRACK_OPTIONS = Object.freeze({
+    offset: 0,
+    loop: true,
+    fadeIn: 0,
+    fadeOut: 1,
+});
+
+/**
+ * @param {string} format - Export format
+ * @returns {string|null} mediabunny audio codec, or null when the format has no audio
+ */
+export function getSoundtrackCodec(format) {
+    return SOUNDTRACK_CODECS[format] ?? null;
+}
+
+function toSeconds(value, fallback) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0 ? numeric : fallback;
+}
+
+/**
+ * @param {Object} [options]
+ * @returns {{ offset: number, loop: boolean, fadeIn: number, fadeOut: number }}
+ */
+export function normalizeSoundtrackOptions(options = {}) {
+    return {
+        offset: toSeconds(options.offset, DEFAULT_SOUNDTRACK_OPTIONS.offset),
+        loop: options.loop ?? DEFAULT_SOUNDTRACK_OPTIONS.loop,
+        fadeIn: toSeconds(options.fadeIn, DEFAULT_SOUNDTRACK_OPTIONS.fadeIn),
+        fadeOut: toSeconds(options.fadeOut, DEFAULT_SOUNDTRACK_OPTIONS.fadeOut),
+    };
+}
+
+/**
+ * Fit decoded channels to an export. Playback starts `offset` seconds into
+ * the source; when the source runs out it either loops back to the offset or
+ * falls silent. Fades are linear and applied to the fitted result, so a loop
+ * seam in the middle is left alone.
+ * @param {Float32Array[]} channels - Source samples per channel
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.duration - Export length in seconds
+ * @param {number} [options.offset=0]
+ * @param {boolean} [options.loop=true]
+ * @param {number} [options.fadeIn=0]
+ * @param {number} [options.fadeOut=1]
+ * @returns {Float32Array[]} One buffer per channel, duration × sampleRate long
+ */
+export function fitSoundtrackChannels(channels, sampleRate, { duration, ...rest }) {
+    const { offset, loop, fadeIn, fadeOut } = normalizeSoundtrackOptions(rest);
+    const length = Math.max(0, Math.round(duration * sampleRate));
+    const sourceLength = channels[0]?.length ?? 0;
+    const start = Math.min(sourceLength, Math.round(offset * sampleRate));
+    const playable = sourceLength - start;
+
+    // Fades never overlap; each takes at most half the export
+    const fadeInLength = Math.min(Math.round(fadeIn * sampleRate), Math.floor(length / 2));
+    const fadeOutLength = Math.min(Math.round(fadeOut * sampleRate), Math.floor(length / 2));
+    const audibleLength = loop ? length : Math.min(length, playable);
+
+    return channels.map((source) => {
+        const output = new Float32Array(length);
+        if (playable <= 0) return output;
+
+        for (let i = 0; i < audibleLength; i++) {
+            output[i] = source[start + (i % playable)];
+        }
+
+        for (let i = 0; i < fadeInLength; i++) {
+            output[i] *= i / fadeInLength;
+        }
+        for (let i = 0; i < fadeOutLength; i++) {
+            output[length - 1 - i] *= i / fadeOutLength;
+        }
+        return output;
+    });
+}
+
+/**
+ * Decode an audio file at the soundtrack sample rate.
+ * @param {File|Blob} file
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeSoundtrackFile(file) {
+    // decodeAudioData resamples to the context rate, so any source rate works
+    const context = new OfflineAudioContext(2, 1, SOUNDTRACK_SAMPLE_RATE);
+    return context.decodeAudioData(await file.arrayBuffer());
+}
+
+/**
+ * Build the AudioBuffer muxed into an export.
+ * @param {AudioBuffer} decoded - From decodeSoundtrackFile
+ * @param {Object} options - duration plus normalizeSoundtrackOptions fields
+ * @returns {AudioBuffer}
+ */
+export function createSoundtrackBuffer(decoded, options) {
+    const sourceChannels = Array.from(
+        { length: decoded.numberOfChannels },
+        (_, channel) => decoded.getChannelData(channel),
+    );
+    const fitted = fitSoundtrackChannels(sourceChannels, decoded.sampleRate, options);
+    const buffer = new AudioBuffer({
+        numberOfChannels: fitted.length,
+        length: Math.max(1, fitted[0]?.length ?? 0),
+        sampleRate: decoded.sampleRate,
+    });
+
+    fitted.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+    return buffer;
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+
+import { fitSoundtrackChannels, getSoundtrackCodec } from './exportSoundtrack.js';
+
+const ramp = Float32Array.from({ length: 4 }, (_, i) => i + 1);
+
+describe('fitSoundtrackChannels', () => {
+    it('loops from the offset to fill the export', () => {
+        const [fitted] = fitSoundtrackChannels([ramp], 4, { duration: 2.5, offset: 0.25, fadeOut: 0 });
+        expect(Array.from(fitted)).toEqual([2, 3, 4, 2, 3, 4, 2, 3, 4, 2]);
+    });
+
+    it('falls silent after one pass without looping', () => {
+        const [fitted] = fitSoundtrackChannels([ramp], 4, { duration: 1.5, loop: false, fadeOut: 0 });
+        expect(Array.from(fitted)).toEqual([1, 2, 3, 4, 0, 0]);
+    });
+
+    it('fades in and out linearly', () => {
+        const ones = new Float32Array(8).fill(1);
+        const [fitted] = fitSoundtrackChannels([ones], 4, { duration: 2, fadeIn: 0.5, fadeOut: 0.5 });
+        expect(Array.from(fitted)).toEqual([0, 0.5, 1, 1, 1, 1, 0.5, 0]);
+    });
+
+    it('trims every channel the same way', () => {
+        const channels = fitSoundtrackChannels([ramp, ramp.map((value) => -value)], 4, { duration: 0.5, fadeOut: 0 });
+        expect(channels.map((channel) => Array.from(channel))).toEqual([[1, 2], [-1, -2]]);
+    });
+});
+
+describe('getSoundtrackCodec', () => {
+    it('uses AAC for MP4, Opus for WebM and nothing for image formats', () => {
+        expect(getSoundtrackCodec('mp4')).toBe('aac');
+        expect(getSoundtrackCodec('webm')).toBe('opus');
+        expect(getSoundtrackCodec('gif')).toBeNull();
+    });
+});
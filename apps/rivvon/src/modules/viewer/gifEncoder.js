@@ -0,0 +1,456 @@
+// src/modules/viewer/gifEncoder.js
+// Animated GIF89a encoder for the scene exporter. Every frame gets its own
+// median-cut palette (local color table) so flowing textures keep their
+// colours as the loop moves through them, with optional Floyd–Steinberg
+// dithering to hide banding in gradients.
+
+const GIF_MAX_COLORS = 256;
+const GIF_MAX_CODE = 4095;
+const HISTOGRAM_BITS = 5;
+const HISTOGRAM_SHIFT = 8 - HISTOGRAM_BITS;
+
+function clampByte(value) {
+    return value < 0 ? 0 : (value > 255 ? 255 : value);
+}
+
+function getHistogramKey(r, g, b) {
+    return ((r >> HISTOGRAM_SHIFT) << (HISTOGRAM_BITS * 2))
+        | ((g >> HISTOGRAM_SHIFT) << HISTOGRAM_BITS)
+        | (b >> HISTOGRAM_SHIFT);
+}
+
+function collectExactColors(rgba, maxColors) {
+    const colors = new Map();
+    for (let i = 0; i < rgba.length; i += 4) {
+        const key = (rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2];
+        if (!colors.has(key)) {
+            if (colors.size >= maxColors) return null;
+            colors.set(key, true);
+        }
+    }
+
+    const palette = new Uint8Array(colors.size * 3);
+    let offset = 0;
+    for (const key of colors.keys()) {
+        palette[offset++] = (key >> 16) & 0xff;
+        palette[offset++] = (key >> 8) & 0xff;
+        palette[offset++] = key & 0xff;
+    }
+    return palette;
+}
+
+function createColorBox(colors) {
+    const box = { colors, count: 0, longestChannel: 0, range: 0 };
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+
+    for (const color of colors) {
+        box.count += color.count;
+        for (let channel = 0; channel < 3; channel++) {
+            if (color.rgb[channel] < min[channel]) min[channel] = color.rgb[channel];
+            if (color.rgb[channel] > max[channel]) max[channel] = color.rgb[channel];
+        }
+    }
+
+    for (let channel = 0; channel < 3; channel++) {
+        const range = max[channel] - min[channel];
+        if (range > box.range) {
+            box.range = range;
+            box.longestChannel = channel;
+        }
+    }
+    return box;
+}
+
+function splitColorBox(box) {
+    const channel = box.longestChannel;
+    const colors = [...box.colors].sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+
+    // Split at the pixel-weighted median so busy colours get more palette slots
+    const half = box.count / 2;
+    let running = 0;
+    let splitIndex = 1;
+    for (let i = 0; i < colors.length - 1; i++) {
+        running += colors[i].count;
+        if (running >= half) {
+            splitIndex = i + 1;
+            break;
+        }
+        splitIndex = i + 1;
+    }
+
+    return [createColorBox(colors.slice(0, splitIndex)), createColorBox(colors.slice(splitIndex))];
+}
+
+/**
+ * Build a palette for one RGBA frame.
+ * Frames with few enough distinct colours keep them exactly; everything
+ * else is reduced by median cut over a 15-bit colour histogram.
+ * @param {Uint8Array|Uint8ClampedArray} rgba
+ * @param {number} [maxColors=256]
+ * @returns {Uint8Array} Packed RGB triples
+ */
+export function quantizeRgba(rgba, maxColors = GIF_MAX_COLORS) {
+    const limit = Math.max(2, Math.min(GIF_MAX_COLORS, Math.floor(maxColors)));
+    const exact = collectExactColors(rgba, limit);
+    if (exact) return exact;
+
+    const histogramSize = 1 << (HISTOGRAM_BITS * 3);
+    const counts = new Uint32Array(histogramSize);
+    const sums = new Float64Array(histogramSize * 3);
+    for (let i = 0; i < rgba.length; i += 4) {
+        const key = getHistogramKey(rgba[i], rgba[i + 1], rgba[i + 2]);
+        counts[key]++;
+        sums[key * 3] += rgba[i];
+        sums[key * 3 + 1] += rgba[i + 1];
+        sums[key * 3 + 2] += rgba[i + 2];
+    }
+
+    const colors = [];
+    for (let key = 0; key < histogramSize; key++) {
+        const count = counts[key];
+        if (!count) continue;
+        colors.push({
+            count,
+            rgb: [sums[key * 3] / count, sums[key * 3 + 1] / count, sums[key * 3 + 2] / count],
+        });
+    }
+
+    const boxes = [createColorBox(colors)];
+    while (boxes.length < limit) {
+        let target = -1;
+        let targetScore = 0;
+        for (let i = 0; i < boxes.length; i++) {
+            const box = boxes[i];
+            if (box.colors.length < 2) continue;
+            const score = box.range * Math.sqrt(box.count);
+            if (score > targetScore) {
+                targetScore = score;
+                target = i;
+            }
+        }
+        if (target < 0) break;
+        boxes.splice(target, 1, ...splitColorBox(boxes[target]));
+    }
+
+    const palette = new Uint8Array(boxes.length * 3);
+    boxes.forEach((box, index) => {
+        const sum = [0, 0, 0];
+        for (const color of box.colors) {
+            sum[0] += color.rgb[0] * color.count;
+            sum[1] += color.rgb[1] * color.count;
+            sum[2] += color.rgb[2] * color.count;
+        }
+        palette[index * 3] = Math.round(sum[0] / box.count);
+        palette[index * 3 + 1] = Math.round(sum[1] / box.count);
+        palette[index * 3 + 2] = Math.round(sum[2] / box.count);
+    });
+    return palette;
+}
+
+function findNearestPaletteIndex(palette, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0, index = 0; i < palette.length; i += 3, index++) {
+        const dr = palette[i] - r;
+        const dg = palette[i + 1] - g;
+        const db = palette[i + 2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = index;
+            if (distance === 0) break;
+        }
+    }
+    return best;
+}
+
+/**
+ * Map an RGBA frame onto a palette.
+ * @param {Uint8Array|Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} palette - Packed RGB triples
+ * @param {Object} [options]
+ * @param {boolean} [options.dither=false] - Floyd–Steinberg error diffusion
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function mapRgbaToPalette(rgba, width, height, palette, { dither = false } = {}) {
+    const indices = new Uint8Array(width * height);
+    const exactLookup = new Map();
+    const approximateLookup = new Int16Array(1 << (HISTOGRAM_BITS * 3)).fill(-1);
+
+    function lookup(r, g, b) {
+        if (!dither) {
+            const exactKey = (r << 16) | (g << 8) | b;
+            let index = exactLookup.get(exactKey);
+            if (index === undefined) {
+                index = findNearestPaletteIndex(palette, r, g, b);
+                exactLookup.set(exactKey, index);
+            }
+            return index;
+        }
+
+        // Diffused values rarely repeat exactly, so cache on the 15-bit bucket
+        const key = getHistogramKey(r, g, b);
+        if (approximateLookup[key] < 0) {
+            approximateLookup[key] = findNearestPaletteIndex(palette, r, g, b);
+        }
+        return approximateLookup[key];
+    }
+
+    if (!dither) {
+        for (let pixel = 0, i = 0; pixel < indices.length; pixel++, i += 4) {
+            indices[pixel] = lookup(rgba[i], rgba[i + 1], rgba[i + 2]);
+        }
+        return indices;
+    }
+
+    let currentErrors = new Float32Array((width + 2) * 3);
+    let nextErrors = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const pixel = y * width + x;
+            const i = pixel * 4;
+            const e = (x + 1) * 3;
+            const r = clampByte(Math.round(rgba[i] + currentErrors[e]));
+            const g = clampByte(Math.round(rgba[i + 1] + currentErrors[e + 1]));
+            const b = clampByte(Math.round(rgba[i + 2] + currentErrors[e + 2]));
+            const index = lookup(r, g, b);
+            indices[pixel] = index;
+
+            const errors = [
+                r - palette[index * 3],
+                g - palette[index * 3 + 1],
+                b - palette[index * 3 + 2],
+            ];
+            for (let channel = 0; channel < 3; channel++) {
+                const error = errors[channel];
+                currentErrors[e + 3 + channel] += error * 7 / 16;
+                nextErrors[e - 3 + channel] += error * 3 / 16;
+                nextErrors[e + channel] += error * 5 / 16;
+                nextErrors[e + 3 + channel] += error / 16;
+            }
+        }
+
+        [currentErrors, nextErrors] = [nextErrors, currentErrors];
+        nextErrors.fill(0);
+    }
+    return indices;
+}
+
+function createByteWriter() {
+    let buffer = new Uint8Array(1 << 16);
+    let length = 0;
+
+    function ensure(extra) {
+        if (length + extra <= buffer.length) return;
+        let size = buffer.length * 2;
+        while (size < length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(buffer.subarray(0, length));
+        buffer = next;
+    }
+
+    return {
+        byte(value) {
+            ensure(1);
+            buffer[length++] = value;
+        },
+        short(value) {
+            ensure(2);
+            buffer[length++] = value & 0xff;
+            buffer[length++] = (value >> 8) & 0xff;
+        },
+        bytes(values) {
+            ensure(values.length);
+            buffer.set(values, length);
+            length += values.length;
+        },
+        string(value) {
+            for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+        },
+        result() {
+            return buffer.slice(0, length);
+        },
+    };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks.
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @param {Object} writer
+ */
+function writeLzwImageData(indices, minCodeSize, writer) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // Dictionary keyed by (prefix code << 8 | next index); only entries added
+    // since the last clear are reset, so each clear stays cheap
+    const dictionary = new Int16Array((GIF_MAX_CODE + 1) << 8);
+    const usedKeys = new Int32Array(GIF_MAX_CODE + 1);
+    let usedCount = 0;
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function flushByte(value) {
+        block[blockLength++] = value;
+        if (blockLength === 255) {
+            writer.byte(255);
+            writer.bytes(block);
+            blockLength = 0;
+        }
+    }
+
+    function emit(code) {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            flushByte(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    function resetDictionary() {
+        for (let i = 0; i < usedCount; i++) dictionary[usedKeys[i]] = 0;
+        usedCount = 0;
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+    }
+
+    writer.byte(minCodeSize);
+    emit(clearCode);
+
+    if (indices.length) {
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const value = indices[i];
+            const key = (prefix << 8) | value;
+            const existing = dictionary[key];
+            if (existing) {
+                prefix = existing;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode <= GIF_MAX_CODE) {
+                dictionary[key] = nextCode;
+                usedKeys[usedCount++] = key;
+                // The decoder widens one code later than the encoder adds it
+                if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+                nextCode++;
+            } else {
+                emit(clearCode);
+                resetDictionary();
+            }
+            prefix = value;
+        }
+        emit(prefix);
+    }
+
+    emit(endCode);
+    if (bitCount > 0) flushByte(bitBuffer & 0xff);
+    if (blockLength > 0) {
+        writer.byte(blockLength);
+        writer.bytes(block.subarray(0, blockLength));
+    }
+    writer.byte(0);
+}
+
+/**
+ * Create a streaming animated GIF encoder.
+ * GIF delays are whole centiseconds, so frame delays alternate where needed
+ * to keep the loop at the requested frame rate overall.
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.fps=15]
+ * @param {boolean} [options.loop=true] - Repeat forever (NETSCAPE2.0 extension)
+ * @param {boolean} [options.dither=true] - Floyd–Steinberg dithering per frame
+ * @returns {{ addFrame: Function, finish: Function, frameCount: number }}
+ */
+export function createGifEncoder({ width, height, fps = 15, loop = true, dither = true } = {}) {
+    if (!(width > 0 && height > 0) || width > 0xffff || height > 0xffff) {
+        throw new Error(`Invalid GIF dimensions: ${width}×${height}`);
+    }
+
+    const writer = createByteWriter();
+    let frameCount = 0;
+    let finished = false;
+
+    writer.string('GIF89a');
+    writer.short(width);
+    writer.short(height);
+    writer.byte(0); // No global color table; every frame carries its own palette
+    writer.byte(0);
+    writer.byte(0);
+
+    if (loop) {
+        writer.bytes([0x21, 0xff, 0x0b]);
+        writer.string('NETSCAPE2.0');
+        writer.bytes([0x03, 0x01]);
+        writer.short(0);
+        writer.byte(0);
+    }
+
+    return {
+        get frameCount() {
+            return frameCount;
+        },
+
+        /**
+         * Quantize and append one RGBA frame.
+         * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes
+         */
+        addFrame(rgba) {
+            if (finished) throw new Error('GIF encoder already finished');
+            if (rgba.length !== width * height * 4) {
+                throw new Error('GIF frame size does not match encoder dimensions');
+            }
+
+            const palette = quantizeRgba(rgba);
+            const indices = mapRgbaToPalette(rgba, width, height, palette, { dither });
+            const colorBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+            const delay = Math.round(((frameCount + 1) * 100) / fps) - Math.round((frameCount * 100) / fps);
+
+            // Graphic control extension: keep previous frame, per-frame delay
+            writer.bytes([0x21, 0xf9, 0x04, 0x04]);
+            writer.short(Math.max(1, delay));
+            writer.bytes([0x00, 0x00]);
+
+            // Image descriptor with a local color table
+            writer.byte(0x2c);
+            writer.short(0);
+            writer.short(0);
+            writer.short(width);
+            writer.short(height);
+            writer.byte(0x80 | (colorBits - 1));
+
+            const table = new Uint8Array(3 << colorBits);
+            table.set(palette);
+            writer.bytes(table);
+
+            writeLzwImageData(indices, Math.max(2, colorBits), writer);
+            frameCount++;
+        },
+
+        /**
+         * Close the stream.
+         * @returns {Uint8Array} The complete GIF file
+         */
+        finish() {
+            if (!finished) {
+                writer.byte(0x3b);
+                finished = true;
+            }
+            return writer.result();
+        },
+    };
+}
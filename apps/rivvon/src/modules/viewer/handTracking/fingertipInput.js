@@ -0,0 +1,109 @@
+// src/modules/viewer/handTracking/fingertipInput.js
+// Turns hand landmarks into a drawing cursor: the index fingertip moves the
+// cursor and pinching thumb and index together holds the "pen" down.
+// Landmarks are MediaPipe's 21-point hand topology in normalized image
+// coordinates.
+
+export const HAND_LANDMARK_INDEX = Object.freeze({
+    wrist: 0,
+    thumbTip: 4,
+    indexTip: 8,
+    middleMcp: 9,
+});
+
+// Pinch distance relative to palm length. Separate start and release
+// thresholds stop a borderline pinch from flickering strokes on and off.
+export const PINCH_START_RATIO = 0.3;
+export const PINCH_RELEASE_RATIO = 0.45;
+
+// The camera frame is mapped onto a slightly larger area than the viewport
+// so the edges can be reached without the hand leaving the frame.
+const FINGERTIP_REACH = 1.25;
+const CURSOR_SMOOTHING = 0.5;
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Thumb-to-index distance as a fraction of palm length, so the threshold
+ * works at any distance from the camera.
+ * @param {Array<{ x: number, y: number }>} landmarks
+ * @returns {number|null}
+ */
+export function getPinchRatio(landmarks) {
+    const wrist = landmarks?.[HAND_LANDMARK_INDEX.wrist];
+    const middleMcp = landmarks?.[HAND_LANDMARK_INDEX.middleMcp];
+    const thumbTip = landmarks?.[HAND_LANDMARK_INDEX.thumbTip];
+    const indexTip = landmarks?.[HAND_LANDMARK_INDEX.indexTip];
+    if (!wrist || !middleMcp || !thumbTip || !indexTip) {
+        return null;
+    }
+
+    const palmLength = distance(wrist, middleMcp);
+    return palmLength > 0 ? distance(thumbTip, indexTip) / palmLength : null;
+}
+
+/**
+ * Map the index fingertip into viewport pixels, mirrored like a selfie view.
+ * @param {{ x: number, y: number }} landmark
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x: number, y: number }}
+ */
+export function mapFingertipToViewport(landmark, width, height) {
+    const u = 0.5 + (0.5 - landmark.x) * FINGERTIP_REACH;
+    const v = 0.5 + (landmark.y - 0.5) * FINGERTIP_REACH;
+
+    return {
+        x: Math.min(1, Math.max(0, u)) * width,
+        y: Math.min(1, Math.max(0, v)) * height,
+    };
+}
+
+/**
+ * Follows one hand across frames.
+ * `update` returns the smoothed cursor in viewport pixels (or null when no
+ * hand is visible) and whether the pinch started or ended on this frame.
+ */
+export function createFingertipTracker() {
+    let cursor = null;
+    let pinching = false;
+
+    function update(landmarks, width, height) {
+        const indexTip = landmarks?.[HAND_LANDMARK_INDEX.indexTip];
+        const ratio = getPinchRatio(landmarks);
+
+        if (!indexTip || ratio === null) {
+            const released = pinching;
+            cursor = null;
+            pinching = false;
+            return { cursor: null, pinching: false, pinchStarted: false, pinchEnded: released };
+        }
+
+        const target = mapFingertipToViewport(indexTip, width, height);
+        cursor = cursor
+            ? {
+                x: cursor.x + (target.x - cursor.x) * (1 - CURSOR_SMOOTHING),
+                y: cursor.y + (target.y - cursor.y) * (1 - CURSOR_SMOOTHING),
+            }
+            : target;
+
+        const wasPinching = pinching;
+        pinching = pinching ? ratio < PINCH_RELEASE_RATIO : ratio < PINCH_START_RATIO;
+
+        return {
+            cursor: { x: Math.round(cursor.x), y: Math.round(cursor.y) },
+            pinching,
+            pinchStarted: pinching && !wasPinching,
+            pinchEnded: !pinching && wasPinching,
+        };
+    }
+
+    function reset() {
+        cursor = null;
+        pinching = false;
+    }
+
+    return { update, reset };
+}
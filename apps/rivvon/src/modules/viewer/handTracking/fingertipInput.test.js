@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    createFingertipTracker,
+    getPinchRatio,
+    HAND_LANDMARK_INDEX,
+    mapFingertipToViewport,
+} from './fingertipInput.js';
+
+// A hand with a palm 0.2 tall and the thumb tip `gap` away from the index tip
+function createHand({ x = 0.5, y = 0.4, gap = 0.15 } = {}) {
+    const landmarks = Array.from({ length: 21 }, () => ({ x, y }));
+    landmarks[HAND_LANDMARK_INDEX.wrist] = { x, y: y + 0.3 };
+    landmarks[HAND_LANDMARK_INDEX.middleMcp] = { x, y: y + 0.1 };
+    landmarks[HAND_LANDMARK_INDEX.indexTip] = { x, y };
+    landmarks[HAND_LANDMARK_INDEX.thumbTip] = { x: x + gap, y };
+    return landmarks;
+}
+
+describe('getPinchRatio', () => {
+    it('measures the pinch relative to palm length', () => {
+        expect(getPinchRatio(createHand({ gap: 0.1 }))).toBeCloseTo(0.5);
+        expect(getPinchRatio(null)).toBeNull();
+    });
+});
+
+describe('mapFingertipToViewport', () => {
+    it('mirrors the image and clamps to the viewport', () => {
+        expect(mapFingertipToViewport({ x: 0.5, y: 0.5 }, 800, 600)).toEqual({ x: 400, y: 300 });
+        expect(mapFingertipToViewport({ x: 0.1, y: 0.5 }, 800, 600).x).toBe(800);
+        expect(mapFingertipToViewport({ x: 0.5, y: -0.2 }, 800, 600).y).toBe(0);
+    });
+});
+
+describe('createFingertipTracker', () => {
+    it('starts and ends a pinch with hysteresis', () => {
+        const tracker = createFingertipTracker();
+
+        expect(tracker.update(createHand({ gap: 0.15 }), 800, 600).pinching).toBe(false);
+        expect(tracker.update(createHand({ gap: 0.05 }), 800, 600)).toMatchObject({ pinching: true, pinchStarted: true });
+        // Between the two thresholds the pinch holds
+        expect(tracker.update(createHand({ gap: 0.08 }), 800, 600)).toMatchObject({ pinching: true, pinchStarted: false });
+        expect(tracker.update(createHand({ gap: 0.12 }), 800, 600)).toMatchObject({ pinching: false, pinchEnded: true });
+    });
+
+    it('releases the pinch when the hand is lost', () => {
+        const tracker = createFingertipTracker();
+        tracker.update(createHand({ gap: 0.02 }), 800, 600);
+
+        expect(tracker.update(null, 800, 600)).toEqual({
+            cursor: null,
+            pinching: false,
+            pinchStarted: false,
+            pinchEnded: true,
+        });
+    });
+
+    it('smooths the cursor between frames', () => {
+        const tracker = createFingertipTracker();
+        tracker.update(createHand({ x: 0.5 }), 800, 600);
+        const { cursor } = tracker.update(createHand({ x: 0.3 }), 800, 600);
+
+        // Halfway from 400 towards the mapped target of 600
+        expect(cursor.x).toBe(500);
+    });
+});
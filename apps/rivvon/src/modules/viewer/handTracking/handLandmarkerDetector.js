@@ -0,0 +1,84 @@
+import { loadTasksVisionModule, loadVisionRuntime } from '../visionTasksRuntime.js';
+
+const HAND_LANDMARKER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+export const HAND_LANDMARKER_DETECTION_STATUS = {
+    skipped: 'skipped',
+    processed: 'processed',
+};
+
+async function createLandmarker(delegate) {
+    const [{ HandLandmarker }, vision] = await Promise.all([
+        loadTasksVisionModule(),
+        loadVisionRuntime(),
+    ]);
+
+    return HandLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: HAND_LANDMARKER_MODEL_URL,
+            delegate,
+        },
+        runningMode: 'VIDEO',
+        numHands: 1,
+        minHandDetectionConfidence: 0.5,
+        minHandPresenceConfidence: 0.5,
+        minTrackingConfidence: 0.5,
+    });
+}
+
+export class HandLandmarkerDetector {
+    constructor() {
+        this._landmarker = null;
+        this._lastVideoTime = -1;
+    }
+
+    async initialize() {
+        if (this._landmarker) {
+            return this._landmarker;
+        }
+
+        try {
+            this._landmarker = await createLandmarker('GPU');
+        } catch (gpuError) {
+            console.warn('[HandDrawing] GPU hand landmarker init failed, falling back to CPU.', gpuError);
+            this._landmarker = await createLandmarker('CPU');
+        }
+
+        return this._landmarker;
+    }
+
+    detect(video, timestampMs = performance.now()) {
+        if (!this._landmarker || !video) {
+            return {
+                status: HAND_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+            return {
+                status: HAND_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        if (video.currentTime === this._lastVideoTime) {
+            return {
+                status: HAND_LANDMARKER_DETECTION_STATUS.skipped,
+                result: null,
+            };
+        }
+
+        this._lastVideoTime = video.currentTime;
+        return {
+            status: HAND_LANDMARKER_DETECTION_STATUS.processed,
+            result: this._landmarker.detectForVideo(video, timestampMs),
+        };
+    }
+
+    dispose() {
+        this._lastVideoTime = -1;
+        this._landmarker?.close?.();
+        this._landmarker = null;
+    }
+}
@@ -1,7 +1,5 @@
-import { createLazyLoader } from '../../shared/lazyLoader.js';
+import { loadTasksVisionModule, loadVisionRuntime } from '../visionTasksRuntime.js';
 
-const TASKS_VISION_VERSION = '0.10.34';
-const TASKS_VISION_WASM_ROOT = `/vendor/mediapipe/tasks-vision/${TASKS_VISION_VERSION}/wasm`;
 const FACE_LANDMARKER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
 
 export const FACE_LANDMARKER_DETECTION_STATUS = {
@@ -9,12 +7,6 @@ export const FACE_LANDMARKER_DETECTION_STATUS = {
     processed: 'processed',
 };
 
-const loadTasksVisionModule = createLazyLoader(() => import('@mediapipe/tasks-vision'));
-
-const loadVisionRuntime = createLazyLoader(() => loadTasksVisionModule().then(({ FilesetResolver }) => (
-    FilesetResolver.forVisionTasks(TASKS_VISION_WASM_ROOT)
-)));
-
 async function createLandmarker(delegate) {
     const [{ FaceLandmarker }, vision] = await Promise.all([
         loadTasksVisionModule(),
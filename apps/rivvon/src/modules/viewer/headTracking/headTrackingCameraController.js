@@ -1,4 +1,5 @@
 import { MathUtils, Quaternion, Vector3 } from 'three';
+import { computeOffAxisFrustum, getNeutralEyePosition } from './offAxisProjection.js';
 
 const DEFAULT_OPTIONS = {
     yawDeadZone: MathUtils.degToRad(2.5),
@@ -54,6 +55,9 @@ export class HeadTrackingCameraController {
         this._active = false;
         this._ribbonSeries = null;
         this._ribbonRoot = null;
+        this._windowCalibration = null;
+        this._windowEye = null;
+        this._windowProjectionApplied = false;
 
         this._forward = new Vector3();
         this._baseForward = new Vector3();
@@ -101,6 +105,8 @@ export class HeadTrackingCameraController {
     }
 
     detach() {
+        this._restoreProjection();
+        this._windowEye = null;
         this._camera = null;
         this._controls = null;
         this._baseline = null;
@@ -123,6 +129,29 @@ export class HeadTrackingCameraController {
         return this._active;
     }
 
+    get isWindowMode() {
+        return !!this._windowCalibration;
+    }
+
+    get windowCalibration() {
+        return this._windowCalibration;
+    }
+
+    /**
+     * Switch between the default head-coupled orbit and the off-axis window
+     * projection. Pass a calibration to treat the display as a window onto
+     * the scene, or null to go back.
+     * @param {Object|null} calibration - Normalized window calibration
+     */
+    setWindowCalibration(calibration) {
+        this._windowCalibration = calibration ?? null;
+        this._windowEye = null;
+
+        if (!this._windowCalibration) {
+            this._restoreProjection();
+        }
+    }
+
     _estimateLookTarget(distanceHint = null) {
         if (!this._camera) {
             return null;
@@ -216,6 +245,9 @@ export class HeadTrackingCameraController {
     }
 
     restoreBaseline() {
+        this._restoreProjection();
+        this._windowEye = null;
+
         if (!this._camera || !this._baseline) {
             return;
         }
@@ -337,6 +369,92 @@ export class HeadTrackingCameraController {
         }
     }
 
+    /**
+     * Place the camera at the viewer's eye and project through the screen
+     * rectangle. The glass sits on the baseline target plane and spans the
+     * baseline view height there, so content around the target stays at the
+     * same size while the perspective follows the viewer.
+     * @param {{ x: number, y: number, z: number }|null} eye - Eye position in
+     *   screen space centimetres, or null for the neutral position
+     */
+    applyWindow(eye = null) {
+        if (!this._active || !this._camera || !this._baseline || !this._windowCalibration) {
+            return;
+        }
+
+        const calibration = this._windowCalibration;
+        this._windowEye = eye ? { ...eye } : getNeutralEyePosition(calibration);
+
+        this._baseForward.subVectors(this._baseline.target, this._baseline.position).normalize();
+        this._baseRight.crossVectors(this._baseForward, this._baseline.up).normalize();
+        this._baseUp.crossVectors(this._baseRight, this._baseForward).normalize();
+
+        const verticalFov = MathUtils.degToRad(this._camera.fov ?? 50);
+        const glassHeight = 2 * Math.tan(verticalFov * 0.5) * this._baseline.distance;
+        const worldPerCm = glassHeight / calibration.screenHeightCm;
+        const eyeDepth = Math.max(this._windowEye.z, 1);
+
+        this._cameraPosition.copy(this._baseline.target);
+        this._cameraPosition.addScaledVector(this._baseRight, this._windowEye.x * worldPerCm);
+        this._cameraPosition.addScaledVector(this._baseUp, this._windowEye.y * worldPerCm);
+        this._cameraPosition.addScaledVector(this._baseForward, -eyeDepth * worldPerCm);
+
+        this._camera.position.copy(this._cameraPosition);
+        this._camera.quaternion.copy(this._baseline.quaternion);
+        this._camera.up.copy(this._baseline.up);
+        this._camera.updateMatrixWorld();
+
+        if (this._ribbonRoot && this._baseline.ribbonPosition && this._baseline.ribbonQuaternion) {
+            this._ribbonRoot.position.copy(this._baseline.ribbonPosition);
+            this._ribbonRoot.quaternion.copy(this._baseline.ribbonQuaternion);
+            this._ribbonRoot.updateMatrixWorld(true);
+        }
+
+        if (this._controls) {
+            this._controls.target.copy(this._baseline.target);
+        }
+
+        this.refreshWindowProjection();
+    }
+
+    /**
+     * Re-apply the off-axis frustum. Resizing resets the camera's projection,
+     * so this runs every frame, not only when a new face pose arrives.
+     */
+    refreshWindowProjection() {
+        if (!this._active || !this._camera || !this._windowCalibration || !this._windowEye) {
+            return;
+        }
+
+        const near = this._camera.near;
+        const { left, right, top, bottom } = computeOffAxisFrustum(
+            this._windowEye,
+            this._windowCalibration,
+            near,
+        );
+
+        this._camera.projectionMatrix.makePerspective(
+            left,
+            right,
+            top,
+            bottom,
+            near,
+            this._camera.far,
+            this._camera.coordinateSystem,
+        );
+        this._camera.projectionMatrixInverse.copy(this._camera.projectionMatrix).invert();
+        this._windowProjectionApplied = true;
+    }
+
+    _restoreProjection() {
+        if (!this._windowProjectionApplied) {
+            return;
+        }
+
+        this._windowProjectionApplied = false;
+        this._camera?.updateProjectionMatrix?.();
+    }
+
     getDebugTelemetry() {
         const target = this._controls?.target ?? this._baseline?.target ?? null;
         const currentDistance = (this._camera && target)
@@ -353,6 +471,7 @@ export class HeadTrackingCameraController {
             cameraPosition: toPlainVector(this._camera?.position),
             cameraTarget: toPlainVector(target),
             ribbonPosition: toPlainVector(this._ribbonRoot?.position ?? this._baseline?.ribbonPosition ?? null),
+            windowEye: this._windowEye ? { ...this._windowEye } : null,
         };
     }
 }
\ No newline at end of file
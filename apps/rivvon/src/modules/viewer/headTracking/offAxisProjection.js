@@ -0,0 +1,70 @@
+// src/modules/viewer/headTracking/offAxisProjection.js
+// Geometry for treating the display as a window. Distances are in
+// centimetres in screen space: origin at the screen centre, +x right and +y
+// up as seen by the viewer, +z out of the glass towards the viewer.
+
+/**
+ * Estimate the viewer's eye position from the tracked face.
+ *
+ * Distance comes from the apparent face size relative to the size captured
+ * while the viewer sat at the calibrated viewing distance. The face centre's
+ * offset in the camera frame is then projected out to that distance through
+ * the camera's field of view.
+ *
+ * @param {{ frameCenter: { x: number, y: number }, scale: number }} face -
+ *   frameCenter in [-1, 1] image coordinates (+y up), unmirrored
+ * @param {number} neutralScale - Face scale captured at the viewing distance
+ * @param {{ viewingDistanceCm: number, cameraFovDeg: number, cameraOffsetXCm: number, cameraOffsetYCm: number }} calibration
+ * @param {number} [videoAspect] - Camera frame width over height
+ * @returns {{ x: number, y: number, z: number }|null}
+ */
+export function estimateEyePosition(face, neutralScale, calibration, videoAspect = 4 / 3) {
+    if (!face?.frameCenter || !(face.scale > 0) || !(neutralScale > 0)) {
+        return null;
+    }
+
+    const z = calibration.viewingDistanceCm * (neutralScale / face.scale);
+    const halfWidth = Math.tan((calibration.cameraFovDeg * Math.PI) / 360);
+    const halfHeight = halfWidth / (videoAspect > 0 ? videoAspect : 4 / 3);
+
+    return {
+        // The camera faces the viewer, so its image is the mirror of their view
+        x: calibration.cameraOffsetXCm - face.frameCenter.x * z * halfWidth,
+        y: calibration.cameraOffsetYCm + face.frameCenter.y * z * halfHeight,
+        z,
+    };
+}
+
+/**
+ * The eye position assumed before the face is found: centred at the
+ * calibrated viewing distance.
+ * @param {{ viewingDistanceCm: number }} calibration
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function getNeutralEyePosition(calibration) {
+    return { x: 0, y: 0, z: calibration.viewingDistanceCm };
+}
+
+/**
+ * Asymmetric frustum through the screen rectangle for an eye position.
+ * Returned planes are at the given near distance, ready for
+ * Matrix4.makePerspective.
+ * @param {{ x: number, y: number, z: number }} eye
+ * @param {{ screenWidthCm: number, screenHeightCm: number }} calibration
+ * @param {number} near
+ * @returns {{ left: number, right: number, top: number, bottom: number }}
+ */
+export function computeOffAxisFrustum(eye, calibration, near) {
+    const halfWidth = calibration.screenWidthCm / 2;
+    const halfHeight = calibration.screenHeightCm / 2;
+    // Keep the eye in front of the glass so the frustum never flips
+    const depth = Math.max(eye.z, 1);
+    const scale = near / depth;
+
+    return {
+        left: (-halfWidth - eye.x) * scale,
+        right: (halfWidth - eye.x) * scale,
+        top: (halfHeight - eye.y) * scale,
+        bottom: (-halfHeight - eye.y) * scale,
+    };
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    computeOffAxisFrustum,
+    estimateEyePosition,
+    getNeutralEyePosition,
+} from './offAxisProjection.js';
+
+const calibration = {
+    screenWidthCm: 40,
+    screenHeightCm: 20,
+    cameraOffsetXCm: 0,
+    cameraOffsetYCm: 11,
+    viewingDistanceCm: 60,
+    cameraFovDeg: 90,
+};
+
+describe('estimateEyePosition', () => {
+    it('places a centred face in front of the camera at the viewing distance', () => {
+        const eye = estimateEyePosition({ frameCenter: { x: 0, y: 0 }, scale: 0.2 }, 0.2, calibration);
+
+        expect(eye).toEqual({ x: 0, y: 11, z: 60 });
+    });
+
+    it('reads distance from face size and mirrors the camera image', () => {
+        // Twice the size means half the distance; with a 90° lens the frame
+        // edge is as far to the side as the face is from the camera
+        const eye = estimateEyePosition({ frameCenter: { x: -1, y: 0 }, scale: 0.4 }, 0.2, calibration, 1);
+
+        expect(eye.z).toBeCloseTo(30);
+        expect(eye.x).toBeCloseTo(30);
+    });
+
+    it('returns null without a usable face size', () => {
+        expect(estimateEyePosition({ frameCenter: { x: 0, y: 0 }, scale: 0 }, 0.2, calibration)).toBeNull();
+        expect(estimateEyePosition(null, 0.2, calibration)).toBeNull();
+    });
+});
+
+describe('computeOffAxisFrustum', () => {
+    it('is symmetric for a centred eye', () => {
+        const frustum = computeOffAxisFrustum(getNeutralEyePosition(calibration), calibration, 0.1);
+
+        expect(frustum.left).toBeCloseTo(-frustum.right);
+        expect(frustum.bottom).toBeCloseTo(-frustum.top);
+        expect(frustum.right).toBeCloseTo((20 / 60) * 0.1);
+    });
+
+    it('skews towards the side opposite the eye', () => {
+        const frustum = computeOffAxisFrustum({ x: 10, y: 0, z: 50 }, calibration, 1);
+
+        expect(frustum.left).toBeCloseTo(-30 / 50);
+        expect(frustum.right).toBeCloseTo(10 / 50);
+    });
+});
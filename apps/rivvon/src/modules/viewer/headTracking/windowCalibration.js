@@ -0,0 +1,160 @@
+// src/modules/viewer/headTracking/windowCalibration.js
+// Physical display measurements for the head-tracked "window" projection.
+// A profile describes one screen and where the webcam sits relative to it;
+// profiles are saved per device and assigned to screens by resolution, so a
+// laptop moved between its own panel and an external display keeps a
+// calibration for each.
+
+const CM_PER_INCH = 2.54;
+
+export const WINDOW_CALIBRATION_LIMITS = Object.freeze({
+    screenWidthCm: { min: 10, max: 1000 },
+    screenHeightCm: { min: 5, max: 1000 },
+    cameraOffsetXCm: { min: -500, max: 500 },
+    cameraOffsetYCm: { min: -500, max: 500 },
+    viewingDistanceCm: { min: 20, max: 1000 },
+    cameraFovDeg: { min: 30, max: 120 },
+});
+
+// A 15.6" 16:9 laptop panel with the webcam centred in the top bezel
+export const DEFAULT_WINDOW_CALIBRATION = Object.freeze({
+    name: 'Laptop screen',
+    screenWidthCm: 34.5,
+    screenHeightCm: 19.4,
+    cameraOffsetXCm: 0,
+    cameraOffsetYCm: 10.7,
+    viewingDistanceCm: 55,
+    cameraFovDeg: 60,
+});
+
+export const CAMERA_POSITION_PRESETS = Object.freeze([
+    { value: 'top', label: 'Top', icon: 'vertical_align_top' },
+    { value: 'bottom', label: 'Bottom', icon: 'vertical_align_bottom' },
+    { value: 'custom', label: 'Custom', icon: 'tune' },
+]);
+
+// Gap between the screen edge and the lens on a typical bezel
+const CAMERA_BEZEL_GAP_CM = 1;
+
+function clampNumber(value, { min, max }, fallback) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) {
+        return fallback;
+    }
+
+    return Math.min(max, Math.max(min, numeric));
+}
+
+/**
+ * @param {Object} [calibration]
+ * @returns {typeof DEFAULT_WINDOW_CALIBRATION}
+ */
+export function normalizeWindowCalibration(calibration = {}) {
+    const source = calibration && typeof calibration === 'object' ? calibration : {};
+    const normalized = {
+        name: typeof source.name === 'string' && source.name.trim()
+            ? source.name.trim()
+            : DEFAULT_WINDOW_CALIBRATION.name,
+    };
+
+    for (const [key, limits] of Object.entries(WINDOW_CALIBRATION_LIMITS)) {
+        normalized[key] = clampNumber(source[key], limits, DEFAULT_WINDOW_CALIBRATION[key]);
+    }
+
+    return normalized;
+}
+
+/**
+ * Screen width and height from the advertised diagonal and pixel aspect.
+ * @param {number} diagonalInches
+ * @param {number} aspect - Width over height
+ * @returns {{ screenWidthCm: number, screenHeightCm: number }}
+ */
+export function getScreenSizeFromDiagonal(diagonalInches, aspect) {
+    const diagonalCm = Math.max(0, Number(diagonalInches) || 0) * CM_PER_INCH;
+    const safeAspect = aspect > 0 ? aspect : 16 / 9;
+    const screenHeightCm = diagonalCm / Math.sqrt(1 + safeAspect * safeAspect);
+
+    return {
+        screenWidthCm: Math.round(screenHeightCm * safeAspect * 10) / 10,
+        screenHeightCm: Math.round(screenHeightCm * 10) / 10,
+    };
+}
+
+/**
+ * Camera offset from the screen centre for a bezel-mounted webcam.
+ * @param {'top'|'bottom'} preset
+ * @param {number} screenHeightCm
+ * @returns {{ cameraOffsetXCm: number, cameraOffsetYCm: number }}
+ */
+export function getCameraPresetOffset(preset, screenHeightCm) {
+    const edgeOffset = screenHeightCm / 2 + CAMERA_BEZEL_GAP_CM;
+
+    return {
+        cameraOffsetXCm: 0,
+        cameraOffsetYCm: preset === 'bottom' ? -edgeOffset : edgeOffset,
+    };
+}
+
+/**
+ * Identifies the display the window is on. Browsers only expose resolution
+ * and pixel density, which is enough to tell a laptop panel from a monitor.
+ * @param {{ width: number, height: number }} [screen]
+ * @param {number} [devicePixelRatio]
+ * @returns {string}
+ */
+export function getScreenKey(
+    screen = globalThis.screen,
+    devicePixelRatio = globalThis.devicePixelRatio,
+) {
+    const width = Math.round(screen?.width ?? 0);
+    const height = Math.round(screen?.height ?? 0);
+    const ratio = Math.round((devicePixelRatio || 1) * 100) / 100;
+
+    return `${width}x${height}@${ratio}`;
+}
+
+/**
+ * @param {unknown} profiles
+ * @returns {Array<Object>}
+ */
+export function normalizeWindowCalibrationProfiles(profiles) {
+    if (!Array.isArray(profiles)) {
+        return [];
+    }
+
+    return profiles
+        .filter((profile) => profile && typeof profile.id === 'string' && profile.id)
+        .map((profile) => ({
+            id: profile.id,
+            ...normalizeWindowCalibration(profile),
+        }));
+}
+
+/**
+ * @param {unknown} assignments - Screen key to profile id
+ * @param {Array<{ id: string }>} profiles
+ * @returns {Record<string, string>}
+ */
+export function normalizeWindowScreenAssignments(assignments, profiles) {
+    if (!assignments || typeof assignments !== 'object') {
+        return {};
+    }
+
+    const profileIds = new Set(profiles.map((profile) => profile.id));
+    return Object.fromEntries(
+        Object.entries(assignments).filter(([, profileId]) => profileIds.has(profileId)),
+    );
+}
+
+/**
+ * The profile assigned to a screen, or null when it is not calibrated.
+ * @param {Array<Object>} profiles
+ * @param {Record<string, string>} assignments
+ * @param {string} screenKey
+ * @returns {Object|null}
+ */
+export function resolveWindowCalibrationProfile(profiles, assignments, screenKey) {
+    const profileId = assignments?.[screenKey];
+    return profiles.find((profile) => profile.id === profileId) ?? null;
+}
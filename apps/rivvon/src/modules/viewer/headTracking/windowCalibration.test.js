@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    DEFAULT_WINDOW_CALIBRATION,
+    getCameraPresetOffset,
+    getScreenKey,
+    getScreenSizeFromDiagonal,
+    normalizeWindowCalibration,
+    normalizeWindowCalibrationProfiles,
+    normalizeWindowScreenAssignments,
+    resolveWindowCalibrationProfile,
+} from './windowCalibration.js';
+
+describe('normalizeWindowCalibration', () => {
+    it('fills missing values and clamps out-of-range ones', () => {
+        const calibration = normalizeWindowCalibration({ name: '  Desk  ', viewingDistanceCm: 5, cameraFovDeg: 'wide' });
+
+        expect(calibration.name).toBe('Desk');
+        expect(calibration.viewingDistanceCm).toBe(20);
+        expect(calibration.cameraFovDeg).toBe(DEFAULT_WINDOW_CALIBRATION.cameraFovDeg);
+        expect(calibration.screenWidthCm).toBe(DEFAULT_WINDOW_CALIBRATION.screenWidthCm);
+    });
+});
+
+describe('screen measurements', () => {
+    it('derives width and height from the diagonal', () => {
+        // A 27" 16:9 monitor is about 59.8 x 33.6 cm
+        expect(getScreenSizeFromDiagonal(27, 16 / 9)).toEqual({ screenWidthCm: 59.8, screenHeightCm: 33.6 });
+    });
+
+    it('puts bezel cameras just beyond the screen edge', () => {
+        expect(getCameraPresetOffset('top', 30)).toEqual({ cameraOffsetXCm: 0, cameraOffsetYCm: 16 });
+        expect(getCameraPresetOffset('bottom', 30)).toEqual({ cameraOffsetXCm: 0, cameraOffsetYCm: -16 });
+    });
+
+    it('keys screens by resolution and pixel ratio', () => {
+        expect(getScreenKey({ width: 2560, height: 1440 }, 1.25)).toBe('2560x1440@1.25');
+    });
+});
+
+describe('profiles', () => {
+    const profiles = normalizeWindowCalibrationProfiles([
+        { id: 'laptop', name: 'Laptop' },
+        { name: 'No id' },
+        { id: 'monitor', name: 'Monitor', screenWidthCm: 60 },
+    ]);
+
+    it('drops profiles without an id', () => {
+        expect(profiles.map((profile) => profile.id)).toEqual(['laptop', 'monitor']);
+    });
+
+    it('drops screen assignments to missing profiles', () => {
+        expect(normalizeWindowScreenAssignments({ a: 'laptop', b: 'gone' }, profiles)).toEqual({ a: 'laptop' });
+    });
+
+    it('resolves the profile for a screen', () => {
+        const assignments = { '1920x1080@1': 'monitor' };
+
+        expect(resolveWindowCalibrationProfile(profiles, assignments, '1920x1080@1').screenWidthCm).toBe(60);
+        expect(resolveWindowCalibrationProfile(profiles, assignments, '1280x800@2')).toBeNull();
+    });
+});
@@ -0,0 +1,42 @@
+// src/modules/viewer/liveDrawing.js
+// Maps strokes from the drawing canvas into the scene while they are still
+// being drawn, so the ribbon can grow under the pointer. Finished drawings
+// still go through the normal finalize and normalize steps.
+
+import * as THREE from 'three';
+
+// Matches the default width of ribbons built from finished drawings
+export const LIVE_DRAWING_WIDTH = 1.2;
+
+/**
+ * Project canvas strokes onto a plane facing the camera, through the camera
+ * as it is now.
+ * @param {Array<Array<{x: number, y: number}>>} strokes - Client pixels
+ * @param {THREE.Camera} camera
+ * @param {{ left: number, top: number, width: number, height: number }} rect
+ *   Client rect of the renderer canvas
+ * @param {number} [planeZ=0] - Z of the drawing plane
+ * @returns {Array<Array<THREE.Vector3>>} Paths with at least two points
+ */
+export function projectCanvasStrokesToPlane(strokes, camera, rect, planeZ = 0) {
+    if (!camera || !(rect?.width > 0) || !(rect?.height > 0)) {
+        return [];
+    }
+
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -planeZ);
+    const raycaster = new THREE.Raycaster();
+    const ndc = new THREE.Vector2();
+
+    return strokes
+        .map(stroke => stroke.flatMap((point) => {
+            ndc.set(
+                ((point.x - rect.left) / rect.width) * 2 - 1,
+                -((point.y - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(ndc, camera);
+
+            const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+            return hit ? [hit] : [];
+        }))
+        .filter(points => points.length >= 2);
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+
+import { projectCanvasStrokesToPlane } from './liveDrawing.js';
+
+function createCamera() {
+    const camera = new THREE.PerspectiveCamera(60, 2, 0.1, 1000);
+    camera.position.set(0, 0, 10);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    return camera;
+}
+
+const rect = { left: 0, top: 0, width: 800, height: 400 };
+
+describe('projectCanvasStrokesToPlane', () => {
+    it('maps the canvas centre to the origin and keeps screen up as +Y', () => {
+        const [path] = projectCanvasStrokesToPlane([[{ x: 400, y: 200 }, { x: 400, y: 0 }]], createCamera(), rect);
+
+        expect(path[0].x).toBeCloseTo(0);
+        expect(path[0].y).toBeCloseTo(0);
+        expect(path[0].z).toBeCloseTo(0);
+        // Top edge of a 60° view from 10 units away
+        expect(path[1].y).toBeCloseTo(10 * Math.tan(Math.PI / 6));
+    });
+
+    it('accounts for the canvas offset on the page', () => {
+        const [path] = projectCanvasStrokesToPlane(
+            [[{ x: 500, y: 250 }, { x: 900, y: 250 }]],
+            createCamera(),
+            { ...rect, left: 100, top: 50 }
+        );
+
+        expect(path[0].x).toBeCloseTo(0);
+        expect(path[1].x).toBeGreaterThan(0);
+    });
+
+    it('drops strokes that are too short to draw', () => {
+        const paths = projectCanvasStrokesToPlane(
+            [[{ x: 10, y: 10 }], [{ x: 10, y: 10 }, { x: 20, y: 20 }]],
+            createCamera(),
+            rect
+        );
+
+        expect(paths).toHaveLength(1);
+    });
+
+    it('returns nothing without a sized canvas', () => {
+        expect(projectCanvasStrokesToPlane([[{ x: 0, y: 0 }, { x: 1, y: 1 }]], createCamera(), { ...rect, width: 0 })).toEqual([]);
+    });
+});
@@ -0,0 +1,253 @@
+// src/modules/viewer/maskSkeleton.js
+// Centerlines of binary masks. thinMask erodes a shape to a one-pixel
+// skeleton; traceSkeletonPaths turns that skeleton into ordered polylines,
+// pruning short spurs and carrying lines straight through junctions so a
+// letterform becomes a few long strokes instead of many fragments.
+//
+// Masks are flat arrays, row-major, non-zero = inside. Points come back as
+// [x, y] pixel coordinates.
+
+// Neighbours in Zhang-Suen order: N, NE, E, SE, S, SW, W, NW
+const RING = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+/**
+ * Zhang-Suen thinning.
+ * @param {ArrayLike<number>} binary
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} 1 on the skeleton, 0 elsewhere
+ */
+export function thinMask(binary, width, height) {
+    const image = new Uint8Array(width * height);
+    for (let i = 0; i < image.length; i++) {
+        image[i] = binary[i] ? 1 : 0;
+    }
+
+    const ring = new Uint8Array(8);
+    const removals = [];
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+
+        for (let pass = 0; pass < 2; pass++) {
+            removals.length = 0;
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (!image[y * width + x]) continue;
+
+                    let count = 0;
+                    for (let k = 0; k < 8; k++) {
+                        const nx = x + RING[k][0];
+                        const ny = y + RING[k][1];
+                        ring[k] = (nx >= 0 && nx < width && ny >= 0 && ny < height) ? image[ny * width + nx] : 0;
+                        count += ring[k];
+                    }
+                    if (count < 2 || count > 6) continue;
+
+                    let transitions = 0;
+                    for (let k = 0; k < 8; k++) {
+                        if (!ring[k] && ring[(k + 1) % 8]) transitions++;
+                    }
+                    if (transitions !== 1) continue;
+
+                    const [n, , e, , s, , w] = ring;
+                    const remove = pass === 0
+                        ? !(n && e && s) && !(e && s && w)
+                        : !(n && e && w) && !(n && s && w);
+                    if (remove) removals.push(y * width + x);
+                }
+            }
+
+            for (const i of removals) image[i] = 0;
+            if (removals.length) changed = true;
+        }
+    }
+
+    return image;
+}
+
+function getDirection(edge, side, width) {
+    const { pixels } = edge;
+    const reach = Math.min(8, pixels.length - 1);
+    const from = side === 0 ? pixels[0] : pixels[pixels.length - 1];
+    const to = side === 0 ? pixels[reach] : pixels[pixels.length - 1 - reach];
+    const dx = (to % width) - (from % width);
+    const dy = Math.floor(to / width) - Math.floor(from / width);
+    const length = Math.hypot(dx, dy) || 1;
+    return [dx / length, dy / length];
+}
+
+/**
+ * Convert a one-pixel skeleton into polylines.
+ *
+ * Pixels are linked by m-adjacency (a diagonal neighbour only counts when no
+ * shared 4-neighbour already connects the two), so staircases do not read as
+ * junctions. The skeleton is split into edges between end points and
+ * junctions; spurs shorter than `pruneLength` are dropped, and at each
+ * junction the edges that continue most nearly straight are joined.
+ *
+ * @param {ArrayLike<number>} skeleton
+ * @param {number} width
+ * @param {number} height
+ * @param {{ pruneLength?: number, minPoints?: number }} [options]
+ * @returns {Array<{ points: Array<[number, number]>, closed: boolean }>}
+ */
+export function traceSkeletonPaths(skeleton, width, height, options = {}) {
+    const { pruneLength = 0, minPoints = 2 } = options;
+    const isSet = (x, y) => x >= 0 && x < width && y >= 0 && y < height && skeleton[y * width + x] !== 0;
+
+    const neighbourCache = new Map();
+    function neighbours(index) {
+        let found = neighbourCache.get(index);
+        if (found) return found;
+
+        const x = index % width;
+        const y = (index - x) / width;
+        found = [];
+        for (const [dx, dy] of RING) {
+            if (!isSet(x + dx, y + dy)) continue;
+            if (dx !== 0 && dy !== 0 && (isSet(x + dx, y) || isSet(x, y + dy))) continue;
+            found.push((y + dy) * width + x + dx);
+        }
+        neighbourCache.set(index, found);
+        return found;
+    }
+
+    const isNode = (index) => neighbours(index).length !== 2;
+    const visited = new Uint8Array(width * height);
+    const edges = [];
+    const nodeLinks = new Set();
+
+    // Edges that start and end at a node (end point or junction)
+    for (let i = 0; i < skeleton.length; i++) {
+        if (!skeleton[i] || !isNode(i)) continue;
+        visited[i] = 1;
+
+        for (const first of neighbours(i)) {
+            if (isNode(first)) {
+                const key = i < first ? `${i}:${first}` : `${first}:${i}`;
+                if (nodeLinks.has(key)) continue;
+                nodeLinks.add(key);
+                edges.push({ pixels: [i, first] });
+                continue;
+            }
+            if (visited[first]) continue;
+
+            const pixels = [i, first];
+            let previous = i;
+            let current = first;
+            while (!isNode(current)) {
+                visited[current] = 1;
+                const next = neighbours(current).find(n => n !== previous);
+                if (next === undefined || (visited[next] && !isNode(next))) break;
+                pixels.push(next);
+                previous = current;
+                current = next;
+            }
+            edges.push({ pixels });
+        }
+    }
+
+    // Whatever is left is loops with no end points or junctions
+    const loops = [];
+    for (let i = 0; i < skeleton.length; i++) {
+        if (!skeleton[i] || visited[i]) continue;
+
+        const pixels = [i];
+        visited[i] = 1;
+        let previous = -1;
+        let current = i;
+        for (;;) {
+            const next = neighbours(current).find(n => n !== previous && !visited[n]);
+            if (next === undefined) break;
+            visited[next] = 1;
+            pixels.push(next);
+            previous = current;
+            current = next;
+        }
+        loops.push({ pixels, closed: neighbours(current).includes(i) && pixels.length > 2 });
+    }
+
+    // Prune spurs: short edges from an end point into a junction
+    const degree = (index) => neighbours(index).length;
+    const kept = edges.filter(({ pixels }) => {
+        if (pixels.length >= pruneLength) return true;
+        const a = degree(pixels[0]);
+        const b = degree(pixels[pixels.length - 1]);
+        return !((a === 1 && b >= 3) || (b === 1 && a >= 3));
+    });
+
+    // Pair edge ends that meet at the same node, straightest continuation first
+    const endsByNode = new Map();
+    kept.forEach((edge, k) => {
+        for (const side of [0, 1]) {
+            const node = side === 0 ? edge.pixels[0] : edge.pixels[edge.pixels.length - 1];
+            if (!endsByNode.has(node)) endsByNode.set(node, []);
+            endsByNode.get(node).push(k * 2 + side);
+        }
+    });
+
+    const links = new Map();
+    for (const ends of endsByNode.values()) {
+        if (ends.length < 2) continue;
+
+        const directions = ends.map(end => getDirection(kept[end >> 1], end & 1, width));
+        const pairs = [];
+        for (let a = 0; a < ends.length; a++) {
+            for (let b = a + 1; b < ends.length; b++) {
+                if ((ends[a] >> 1) === (ends[b] >> 1)) continue;
+                const dot = directions[a][0] * directions[b][0] + directions[a][1] * directions[b][1];
+                if (ends.length === 2 || dot < -0.3) pairs.push({ a: ends[a], b: ends[b], dot });
+            }
+        }
+
+        pairs.sort((p, q) => p.dot - q.dot);
+        for (const { a, b } of pairs) {
+            if (links.has(a) || links.has(b)) continue;
+            links.set(a, b);
+            links.set(b, a);
+        }
+    }
+
+    // Walk the links to assemble chains
+    const used = new Uint8Array(kept.length);
+    function extend(end) {
+        const steps = [];
+        while (links.has(end)) {
+            const next = links.get(end);
+            const k = next >> 1;
+            if (used[k]) break;
+            used[k] = 1;
+            steps.push({ k, reversed: (next & 1) === 1 });
+            end = k * 2 + (1 - (next & 1));
+        }
+        return steps;
+    }
+
+    const chains = [];
+    for (let k = 0; k < kept.length; k++) {
+        if (used[k]) continue;
+        used[k] = 1;
+
+        const backward = extend(k * 2).reverse().map(step => ({ k: step.k, reversed: !step.reversed }));
+        const forward = extend(k * 2 + 1);
+        const pixels = [];
+
+        for (const step of [...backward, { k, reversed: false }, ...forward]) {
+            const segment = step.reversed ? [...kept[step.k].pixels].reverse() : kept[step.k].pixels;
+            pixels.push(...(pixels.length ? segment.slice(1) : segment));
+        }
+
+        const closed = pixels.length > 3 && pixels[0] === pixels[pixels.length - 1];
+        chains.push({ pixels: closed ? pixels.slice(0, -1) : pixels, closed });
+    }
+
+    return [...chains, ...loops]
+        .filter(({ pixels }) => pixels.length >= minPoints)
+        .map(({ pixels, closed }) => ({
+            points: pixels.map(index => [index % width, Math.floor(index / width)]),
+            closed,
+        }));
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+
+import { thinMask, traceSkeletonPaths } from './maskSkeleton.js';
+
+function createMask(width, height, rects) {
+    const mask = new Uint8Array(width * height);
+    for (const [x0, y0, x1, y1] of rects) {
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) mask[y * width + x] = 1;
+        }
+    }
+    return mask;
+}
+
+function getExtent(points, axis) {
+    const values = points.map(point => point[axis]);
+    return Math.max(...values) - Math.min(...values);
+}
+
+describe('thinMask', () => {
+    it('reduces a thick bar to a one-pixel line along its middle', () => {
+        const skeleton = thinMask(createMask(40, 20, [[4, 6, 36, 14]]), 40, 20);
+        const rows = new Set();
+
+        skeleton.forEach((value, index) => {
+            if (value && index % 40 > 10 && index % 40 < 30) rows.add(Math.floor(index / 40));
+        });
+
+        expect([...rows]).toHaveLength(1);
+        expect([...rows][0]).toBeGreaterThanOrEqual(9);
+        expect([...rows][0]).toBeLessThanOrEqual(10);
+    });
+
+    it('keeps lines that are already thin', () => {
+        const line = createMask(20, 5, [[2, 2, 18, 3]]);
+        expect(Array.from(thinMask(line, 20, 5))).toEqual(Array.from(line));
+    });
+});
+
+describe('traceSkeletonPaths', () => {
+    it('traces a line end to end as one open path', () => {
+        const paths = traceSkeletonPaths(createMask(20, 5, [[2, 2, 18, 3]]), 20, 5);
+
+        expect(paths).toHaveLength(1);
+        expect(paths[0].closed).toBe(false);
+        expect(paths[0].points).toHaveLength(16);
+        expect(getExtent(paths[0].points, 0)).toBe(15);
+    });
+
+    it('traces a ring as a closed path', () => {
+        const ring = createMask(12, 12, [[2, 2, 10, 3], [2, 9, 10, 10], [2, 2, 3, 10], [9, 2, 10, 10]]);
+        const paths = traceSkeletonPaths(ring, 12, 12);
+
+        expect(paths).toHaveLength(1);
+        expect(paths[0].closed).toBe(true);
+        expect(paths[0].points).toHaveLength(28);
+    });
+
+    it('joins the straight continuation through a junction and keeps the branch separate', () => {
+        // A "T": the bar should come back as one path, the stem as another
+        const tee = createMask(30, 30, [[2, 4, 28, 5], [15, 5, 16, 26]]);
+        const paths = traceSkeletonPaths(tee, 30, 30);
+
+        expect(paths).toHaveLength(2);
+        const bar = paths.find(path => getExtent(path.points, 0) > 20);
+        const stem = paths.find(path => getExtent(path.points, 1) > 15);
+        expect(getExtent(bar.points, 1)).toBe(0);
+        expect(getExtent(stem.points, 0)).toBe(0);
+    });
+
+    it('prunes short spurs', () => {
+        const withSpur = createMask(30, 10, [[2, 5, 28, 6], [12, 2, 13, 5]]);
+
+        expect(traceSkeletonPaths(withSpur, 30, 10)).toHaveLength(2);
+        expect(traceSkeletonPaths(withSpur, 30, 10, { pruneLength: 6 })).toHaveLength(1);
+    });
+
+    it('gives a thinned letterform a single stroke', () => {
+        const bar = createMask(60, 20, [[4, 4, 56, 16]]);
+        const paths = traceSkeletonPaths(thinMask(bar, 60, 20), 60, 20, { pruneLength: 8, minPoints: 4 });
+
+        expect(paths).toHaveLength(1);
+        expect(getExtent(paths[0].points, 0)).toBeGreaterThan(35);
+    });
+});
@@ -0,0 +1,25 @@
+// Spherical (Web) Mercator projection used for walk routes, in metres.
+
+const EARTH_RADIUS = 6378137;
+const MAX_MERCATOR_LAT = 85.05112878;
+
+function clampLatitude(latitude) {
+    return Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, latitude));
+}
+
+export function latLngToMercator(latitude, longitude) {
+    const lat = clampLatitude(latitude) * Math.PI / 180;
+    const lng = longitude * Math.PI / 180;
+
+    return {
+        x: EARTH_RADIUS * lng,
+        y: EARTH_RADIUS * Math.log(Math.tan((Math.PI / 4) + (lat / 2)))
+    };
+}
+
+export function mercatorToLatLng(x, y) {
+    return {
+        lat: (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - (Math.PI / 2)) * 180 / Math.PI,
+        lng: (x / EARTH_RADIUS) * 180 / Math.PI
+    };
+}
@@ -0,0 +1,234 @@
+// src/modules/viewer/orbitRecording.js
+// Recorded orbit takes: a live OrbitControls session captured as
+// (position, target, fov) samples, then resampled to a fixed rate,
+// smoothed, trimmed to whole seamless loops and closed so the last frame
+// flows back into the first.
+//
+// A finished take is plain JSON:
+//   { version, sampleRate, duration, frames: [{ position, target, fov }] }
+// where frames cover [0, duration) and sampling wraps around.
+
+import { KalmanFilter1D } from './kalmanFilter.js';
+
+export const ORBIT_TAKE_VERSION = 1;
+export const ORBIT_TAKE_SAMPLE_RATE = 30;
+export const MIN_ORBIT_TAKE_SECONDS = 0.5;
+export const MAX_ORBIT_TAKE_SECONDS = 300;
+
+// Kalman tuning for camera channels. Noise is relative to the per-frame
+// motion of a hand-driven orbit, so this removes jitter but keeps intent.
+const SMOOTHING_PROCESS_NOISE = 0.02;
+const SMOOTHING_MEASUREMENT_NOISE = 0.2;
+
+// Portion of the take used to ease the end back into the start
+const LOOP_BLEND_FRACTION = 0.2;
+const MAX_LOOP_BLEND_SECONDS = 1.5;
+
+const CHANNEL_COUNT = 7;
+
+function toChannels(sample) {
+    return [
+        sample.position.x, sample.position.y, sample.position.z,
+        sample.target.x, sample.target.y, sample.target.z,
+        sample.fov,
+    ];
+}
+
+function fromChannels(channels) {
+    return {
+        position: { x: channels[0], y: channels[1], z: channels[2] },
+        target: { x: channels[3], y: channels[4], z: channels[5] },
+        fov: channels[6],
+    };
+}
+
+function isFiniteVector(vector) {
+    return Number.isFinite(vector?.x) && Number.isFinite(vector?.y) && Number.isFinite(vector?.z);
+}
+
+function isValidSample(sample) {
+    return Number.isFinite(sample?.time)
+        && isFiniteVector(sample.position)
+        && isFiniteVector(sample.target)
+        && Number.isFinite(sample.fov);
+}
+
+function lerpChannels(a, b, t) {
+    const out = new Array(CHANNEL_COUNT);
+    for (let c = 0; c < CHANNEL_COUNT; c++) {
+        out[c] = a[c] + (b[c] - a[c]) * t;
+    }
+    return out;
+}
+
+/**
+ * Resample raw, irregularly timed samples to a fixed rate.
+ * @param {Array<{ time: number, position: Object, target: Object, fov: number }>} samples - `time` in seconds
+ * @param {number} sampleRate - Frames per second
+ * @returns {number[][]} Channel arrays, one per output frame
+ */
+export function resampleOrbitSamples(samples, sampleRate = ORBIT_TAKE_SAMPLE_RATE) {
+    const valid = (Array.isArray(samples) ? samples : [])
+        .filter(isValidSample)
+        .sort((a, b) => a.time - b.time);
+    if (valid.length < 2) return [];
+
+    const startTime = valid[0].time;
+    const duration = Math.min(MAX_ORBIT_TAKE_SECONDS, valid[valid.length - 1].time - startTime);
+    const frameCount = Math.floor(duration * sampleRate) + 1;
+    const channels = valid.map(toChannels);
+    const frames = [];
+
+    let cursor = 0;
+    for (let i = 0; i < frameCount; i++) {
+        const time = startTime + i / sampleRate;
+        while (cursor < valid.length - 2 && valid[cursor + 1].time <= time) cursor++;
+
+        const a = valid[cursor];
+        const b = valid[cursor + 1];
+        const span = b.time - a.time;
+        const t = span > 0 ? Math.min(1, Math.max(0, (time - a.time) / span)) : 0;
+        frames.push(lerpChannels(channels[cursor], channels[cursor + 1], t));
+    }
+
+    return frames;
+}
+
+/**
+ * Forward–backward Kalman pass per channel. Averaging both directions
+ * cancels the lag a single causal pass would add.
+ * @param {number[][]} frames
+ * @returns {number[][]}
+ */
+export function smoothOrbitFrames(frames) {
+    if (frames.length < 3) return frames.map(frame => frame.slice());
+
+    const smoothed = frames.map(() => new Array(CHANNEL_COUNT));
+    for (let c = 0; c < CHANNEL_COUNT; c++) {
+        const forward = new KalmanFilter1D({
+            processNoise: SMOOTHING_PROCESS_NOISE,
+            measurementNoise: SMOOTHING_MEASUREMENT_NOISE,
+        });
+        const backward = new KalmanFilter1D({
+            processNoise: SMOOTHING_PROCESS_NOISE,
+            measurementNoise: SMOOTHING_MEASUREMENT_NOISE,
+        });
+        const forwardValues = frames.map(frame => forward.update(frame[c]));
+
+        for (let i = frames.length - 1; i >= 0; i--) {
+            smoothed[i][c] = (forwardValues[i] + backward.update(frames[i][c])) / 2;
+        }
+    }
+
+    return smoothed;
+}
+
+/**
+ * Trim frames to a whole number of seamless loops and ease the tail so the
+ * take ends where it started. Takes shorter than one loop are time-stretched
+ * to exactly one loop rather than dropped.
+ * @param {number[][]} frames - Fixed-rate frames
+ * @param {number} sampleRate
+ * @param {number} loopDuration - Seamless material loop in seconds
+ * @returns {{ frames: number[][], duration: number }}
+ */
+export function loopOrbitFrames(frames, sampleRate, loopDuration) {
+    const takeDuration = (frames.length - 1) / sampleRate;
+    const loop = Number.isFinite(loopDuration) && loopDuration > 0 ? loopDuration : takeDuration;
+    const loopCount = Math.max(1, Math.floor(takeDuration / loop + 1e-6));
+    const duration = loop * loopCount;
+    // Source span mapped onto [0, duration): whole take if stretching
+    const sourceDuration = Math.min(takeDuration, duration);
+    const frameCount = Math.max(2, Math.round(duration * sampleRate));
+
+    const trimmed = [];
+    for (let i = 0; i < frameCount; i++) {
+        const sourceIndex = (i / frameCount) * sourceDuration * sampleRate;
+        const index = Math.min(frames.length - 2, Math.floor(sourceIndex));
+        trimmed.push(lerpChannels(frames[index], frames[index + 1], sourceIndex - index));
+    }
+
+    // Offset needed at the seam so the next frame after the last is frame 0
+    const sourceEndIndex = Math.min(frames.length - 1, sourceDuration * sampleRate);
+    const endIndex = Math.min(frames.length - 2, Math.floor(sourceEndIndex));
+    const end = lerpChannels(frames[endIndex], frames[endIndex + 1], sourceEndIndex - endIndex);
+    const seamOffset = trimmed[0].map((value, c) => value - end[c]);
+
+    const blendFrames = Math.max(1, Math.min(
+        Math.round(frameCount * LOOP_BLEND_FRACTION),
+        Math.round(MAX_LOOP_BLEND_SECONDS * sampleRate),
+    ));
+    const blendStart = frameCount - blendFrames;
+    for (let i = blendStart; i < frameCount; i++) {
+        const t = (i - blendStart + 1) / (blendFrames + 1);
+        const weight = t * t * (3 - 2 * t);
+        for (let c = 0; c < CHANNEL_COUNT; c++) {
+            trimmed[i][c] += seamOffset[c] * weight;
+        }
+    }
+
+    return { frames: trimmed, duration };
+}
+
+/**
+ * Build a loopable take from raw OrbitControls samples.
+ * @param {Array<{ time: number, position: Object, target: Object, fov: number }>} samples
+ * @param {Object} [options]
+ * @param {number} [options.loopDuration] - Seamless loop to trim to (see getSeamlessLoopDuration)
+ * @param {number} [options.sampleRate]
+ * @returns {{ version: number, sampleRate: number, duration: number, frames: Object[] } | null}
+ */
+export function createOrbitTake(samples, { loopDuration, sampleRate = ORBIT_TAKE_SAMPLE_RATE } = {}) {
+    const resampled = resampleOrbitSamples(samples, sampleRate);
+    if ((resampled.length - 1) / sampleRate < MIN_ORBIT_TAKE_SECONDS) return null;
+
+    const looped = loopOrbitFrames(smoothOrbitFrames(resampled), sampleRate, loopDuration);
+
+    return {
+        version: ORBIT_TAKE_VERSION,
+        sampleRate,
+        duration: looped.duration,
+        frames: looped.frames.map(fromChannels),
+    };
+}
+
+/**
+ * Sample a take at any time; wraps into the loop.
+ * @param {Object} take
+ * @param {number} seconds
+ * @returns {{ position: Object, target: Object, fov: number } | null}
+ */
+export function sampleOrbitTake(take, seconds) {
+    const frames = take?.frames;
+    if (!Array.isArray(frames) || frames.length === 0 || !(take.duration > 0)) return null;
+
+    const time = ((seconds % take.duration) + take.duration) % take.duration;
+    const position = (time / take.duration) * frames.length;
+    const index = Math.floor(position) % frames.length;
+    const next = (index + 1) % frames.length;
+
+    return fromChannels(lerpChannels(toChannels(frames[index]), toChannels(frames[next]), position - Math.floor(position)));
+}
+
+/**
+ * Validate a stored take (e.g. from a project file) back into a playable one.
+ * @param {Object} take
+ * @returns {{ version: number, sampleRate: number, duration: number, frames: Object[] } | null}
+ */
+export function normalizeOrbitTake(take) {
+    if (!take || typeof take !== 'object' || !Array.isArray(take.frames)) return null;
+
+    const frames = take.frames
+        .filter(frame => isFiniteVector(frame?.position) && isFiniteVector(frame?.target) && Number.isFinite(frame?.fov))
+        .map(frame => fromChannels(toChannels(frame)));
+    const duration = Number(take.duration);
+    if (frames.length < 2 || !(duration >= MIN_ORBIT_TAKE_SECONDS && duration <= MAX_ORBIT_TAKE_SECONDS)) return null;
+
+    return {
+        version: ORBIT_TAKE_VERSION,
+        // Frames span the whole duration, so the rate follows from the count
+        sampleRate: frames.length / duration,
+        duration,
+        frames,
+    };
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+
+import { createOrbitTake, resampleOrbitSamples, sampleOrbitTake } from './orbitRecording.js';
+
+function orbitSample(time, angle, fov = 50) {
+    return {
+        time,
+        position: { x: Math.cos(angle) * 10, y: 2, z: Math.sin(angle) * 10 },
+        target: { x: 0, y: 0, z: 0 },
+        fov,
+    };
+}
+
+// Irregular frame times, like a real render loop
+function recordOrbit(seconds, radiansPerSecond = 1) {
+    const samples = [];
+    for (let time = 0; time <= seconds; time += 1 / 50 + (samples.length % 3) * 0.004) {
+        samples.push(orbitSample(time, time * radiansPerSecond));
+    }
+    return samples;
+}
+
+describe('resampleOrbitSamples', () => {
+    it('produces fixed-rate frames and skips invalid samples', () => {
+        const frames = resampleOrbitSamples([
+            orbitSample(0, 0),
+            { time: 0.5, position: { x: NaN, y: 0, z: 0 }, target: { x: 0, y: 0, z: 0 }, fov: 50 },
+            orbitSample(1, Math.PI / 2),
+        ], 10);
+
+        expect(frames).toHaveLength(11);
+        expect(frames[5][0]).toBeCloseTo(5);
+        expect(frames[5][2]).toBeCloseTo(5);
+    });
+});
+
+describe('createOrbitTake', () => {
+    it('trims to whole seamless loops', () => {
+        const take = createOrbitTake(recordOrbit(7.4), { loopDuration: 2 });
+
+        expect(take.duration).toBe(6);
+        expect(take.frames).toHaveLength(180);
+    });
+
+    it('stretches takes shorter than one loop to a full loop', () => {
+        expect(createOrbitTake(recordOrbit(1.2), { loopDuration: 3 }).duration).toBe(3);
+    });
+
+    it('eases the end back into the start', () => {
+        const take = createOrbitTake(recordOrbit(5), { loopDuration: 5 });
+        const first = take.frames[0].position;
+        const last = take.frames[take.frames.length - 1].position;
+        const step = Math.hypot(
+            take.frames[1].position.x - first.x,
+            take.frames[1].position.z - first.z,
+        );
+
+        expect(Math.hypot(last.x - first.x, last.z - first.z)).toBeLessThan(step * 3);
+    });
+
+    it('returns null for takes that are too short', () => {
+        expect(createOrbitTake([orbitSample(0, 0), orbitSample(0.1, 0.1)], { loopDuration: 2 })).toBeNull();
+    });
+});
+
+describe('sampleOrbitTake', () => {
+    it('wraps time around the loop', () => {
+        const take = createOrbitTake(recordOrbit(4), { loopDuration: 2 });
+
+        expect(sampleOrbitTake(take, 1.25)).toEqual(sampleOrbitTake(take, 1.25 + take.duration));
+        expect(sampleOrbitTake(take, 0).position.x).toBeCloseTo(take.frames[0].position.x);
+        expect(sampleOrbitTake(null, 1)).toBeNull();
+    });
+});
@@ -1,4 +1,4 @@
-import { smoothStrokes } from './strokeSmoothing.js';
+import { smoothStroke } from './strokeSmoothing.js';
 
 export const DEFAULT_CAPTURE_SMOOTHING = Object.freeze({
     rdpEpsilon: 2,
@@ -7,10 +7,94 @@ export const DEFAULT_CAPTURE_SMOOTHING = Object.freeze({
     splineSegments: 8
 });
 
+// Per-sample values that survive smoothing, e.g. from Geolocation coords
+export const CAPTURE_POINT_CHANNELS = Object.freeze(['timestamp', 'speed', 'altitude']);
+
+// How many raw segments ahead of the last match a smoothed point may snap
+// to. Keeps self-crossing walks from jumping to a later pass.
+const CHANNEL_SEARCH_WINDOW = 64;
+
 function isFinitePoint(point) {
     return Number.isFinite(point?.x) && Number.isFinite(point?.y);
 }
 
+function projectOntoSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq))
+        : 0;
+    const offsetX = start.x + dx * t - point.x;
+    const offsetY = start.y + dy * t - point.y;
+
+    return { t, distanceSq: offsetX * offsetX + offsetY * offsetY };
+}
+
+function interpolateChannel(start, end, channel, t) {
+    const from = start[channel];
+    const to = end[channel];
+
+    if (Number.isFinite(from) && Number.isFinite(to)) {
+        return from + (to - from) * t;
+    }
+
+    if (Number.isFinite(from)) return from;
+    if (Number.isFinite(to)) return to;
+    return null;
+}
+
+/**
+ * Copy channel values from a raw stroke onto its smoothed replacement by
+ * projecting each smoothed point onto the raw polyline. The search only moves
+ * forward, so values such as timestamps stay in order.
+ * @param {Array<Object>} rawPath - Points with x, y and channel values
+ * @param {Array<{x: number, y: number}>} smoothedPath
+ * @param {{ segmentIndex: number }} [cursor] - Shared between the subpaths
+ *   of one stroke so each continues where the previous one stopped
+ * @returns {Array<Object>} The smoothed points, with channels where known
+ */
+export function carryPointChannels(rawPath, smoothedPath, cursor = { segmentIndex: 0 }) {
+    const channels = CAPTURE_POINT_CHANNELS.filter(channel => (
+        rawPath.some(point => Number.isFinite(point[channel]))
+    ));
+
+    if (channels.length === 0 || rawPath.length < 2) {
+        return smoothedPath;
+    }
+
+    const lastSegmentIndex = rawPath.length - 2;
+
+    return smoothedPath.map((point) => {
+        let bestIndex = cursor.segmentIndex;
+        let best = projectOntoSegment(point, rawPath[bestIndex], rawPath[bestIndex + 1]);
+        const searchEnd = Math.min(lastSegmentIndex, cursor.segmentIndex + CHANNEL_SEARCH_WINDOW);
+
+        for (let index = cursor.segmentIndex + 1; index <= searchEnd; index++) {
+            const candidate = projectOntoSegment(point, rawPath[index], rawPath[index + 1]);
+            if (candidate.distanceSq < best.distanceSq) {
+                best = candidate;
+                bestIndex = index;
+            }
+        }
+
+        cursor.segmentIndex = bestIndex;
+
+        const start = rawPath[bestIndex];
+        const end = rawPath[bestIndex + 1];
+        const carried = { x: point.x, y: point.y };
+
+        for (const channel of channels) {
+            const value = interpolateChannel(start, end, channel, best.t);
+            if (value !== null) {
+                carried[channel] = value;
+            }
+        }
+
+        return carried;
+    });
+}
+
 export function finalizeCapturedPaths(rawPaths, options = {}) {
     if (!Array.isArray(rawPaths) || rawPaths.length === 0) {
         return null;
@@ -24,8 +108,15 @@ export function finalizeCapturedPaths(rawPaths, options = {}) {
         return null;
     }
 
-    return smoothStrokes(validPaths, {
+    const smoothingOptions = {
         ...DEFAULT_CAPTURE_SMOOTHING,
         ...options
+    };
+
+    // Smooth stroke by stroke so cusp subpaths can be matched to their source
+    return validPaths.flatMap((path) => {
+        const cursor = { segmentIndex: 0 };
+        return smoothStroke(path, smoothingOptions)
+            .map(subpath => carryPointChannels(path, subpath, cursor));
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+
+import { carryPointChannels, finalizeCapturedPaths } from './pathFinalizer.js';
+
+function createTimedLine(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        x: index * 10,
+        y: index % 2 === 0 ? 0 : 0.5,
+        timestamp: 1000 + index * 2000,
+        speed: 5,
+        altitude: 100 + index
+    }));
+}
+
+describe('carryPointChannels', () => {
+    it('interpolates channels at the projection onto the raw polyline', () => {
+        const raw = [
+            { x: 0, y: 0, timestamp: 0, altitude: 10 },
+            { x: 10, y: 0, timestamp: 1000, altitude: 20 }
+        ];
+
+        const [point] = carryPointChannels(raw, [{ x: 2.5, y: 1 }]);
+
+        expect(point.timestamp).toBeCloseTo(250);
+        expect(point.altitude).toBeCloseTo(12.5);
+        expect(point).not.toHaveProperty('speed');
+    });
+
+    it('keeps order on routes that cross themselves', () => {
+        const raw = [
+            { x: 0, y: 0, timestamp: 0 },
+            { x: 10, y: 0, timestamp: 1 },
+            { x: 10, y: 10, timestamp: 2 },
+            { x: 5, y: 10, timestamp: 3 },
+            { x: 5, y: -10, timestamp: 4 }
+        ];
+        const smoothed = [{ x: 5, y: 0 }, { x: 10, y: 5 }, { x: 5, y: 0 }];
+
+        const times = carryPointChannels(raw, smoothed).map(point => point.timestamp);
+
+        expect(times[0]).toBeCloseTo(0.5);
+        expect(times[2]).toBeCloseTo(3.5);
+    });
+
+    it('returns points unchanged when the raw path has no channels', () => {
+        const smoothed = [{ x: 1, y: 1 }];
+        expect(carryPointChannels([{ x: 0, y: 0 }, { x: 2, y: 2 }], smoothed)).toBe(smoothed);
+    });
+});
+
+describe('finalizeCapturedPaths', () => {
+    it('keeps timestamps, speed and altitude through smoothing', () => {
+        const [path] = finalizeCapturedPaths([createTimedLine(12)]);
+        const timestamps = path.map(point => point.timestamp);
+
+        expect(path.length).toBeGreaterThan(2);
+        expect(path.every(point => point.speed === 5)).toBe(true);
+        expect(timestamps[0]).toBeCloseTo(1000);
+        expect(timestamps[timestamps.length - 1]).toBeCloseTo(23000);
+        expect(timestamps.every((value, index) => index === 0 || value >= timestamps[index - 1])).toBe(true);
+        expect(path[path.length - 1].altitude).toBeCloseTo(111);
+    });
+
+    it('leaves plain drawn strokes as x/y points', () => {
+        const [path] = finalizeCapturedPaths([[{ x: 0, y: 0 }, { x: 40, y: 3 }, { x: 80, y: 0 }]]);
+        expect(Object.keys(path[0])).toEqual(['x', 'y']);
+    });
+});
@@ -0,0 +1,291 @@
+// src/modules/viewer/postEffectShaders.js
+// Full-screen pass materials for the post effect stack (see postEffects.js),
+// one GLSL and one TSL version per effect. Every pass reads a premultiplied
+// render target and writes premultiplied colour, so passes can be chained in
+// any order. Geometry is computed in quad uv space (origin bottom left) for
+// both renderers; the TSL versions flip y only when sampling, as the WebGPU
+// render targets are stored top row first.
+
+import * as THREE from 'three';
+import { getPostEffectType } from './postEffects.js';
+
+const GOLDEN_ANGLE = 2.39996323;
+const BLOOM_TAPS = 24;
+const GRAIN_FRAMES_PER_SECOND = 24;
+
+function getUniformName(key) {
+    return `u${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+const GLSL_PASS_BODIES = {
+    bloom: `
+        vec2 radius = vec2(uRadius * uResolution.y) / uResolution;
+        vec3 glow = vec3(0.0);
+        for (int i = 0; i < ${BLOOM_TAPS}; i++) {
+            float fi = float(i);
+            float theta = fi * ${GOLDEN_ANGLE};
+            vec2 offset = vec2(cos(theta), sin(theta)) * sqrt((fi + 0.5) / ${BLOOM_TAPS}.0) * radius;
+            vec4 tap = texture2D(tDiffuse, vUv + offset);
+            float weight = smoothstep(uThreshold, uThreshold + 0.1, luminance(unpremultiply(tap)));
+            glow += tap.rgb * weight;
+        }
+        glow *= uIntensity / ${BLOOM_TAPS}.0;
+        float alpha = clamp(max(source.a, max(glow.r, max(glow.g, glow.b))), 0.0, 1.0);
+        vec4 result = vec4(min(source.rgb + glow, vec3(alpha)), alpha);
+    `,
+    chromaticAberration: `
+        vec2 offset = (vUv - 0.5) * uAmount * 2.0;
+        vec4 red = texture2D(tDiffuse, vUv + offset);
+        vec4 blue = texture2D(tDiffuse, vUv - offset);
+        vec4 result = vec4(red.r, source.g, blue.b, max(source.a, max(red.a, blue.a)));
+    `,
+    filmGrain: `
+        vec2 cell = floor(vUv * uResolution / max(uSize * uResolution.y, 1.0));
+        float frame = floor(uTime * ${GRAIN_FRAMES_PER_SECOND}.0);
+        float noise = fract(sin(dot(cell + frame * vec2(17.0, 59.0), vec2(12.9898, 78.233))) * 43758.5453);
+        vec3 grained = clamp(unpremultiply(source) + (noise - 0.5) * uAmount, 0.0, 1.0);
+        vec4 result = vec4(grained * source.a, source.a);
+    `,
+    vignette: `
+        vec2 aspect = vec2(uResolution.x / uResolution.y, 1.0);
+        float distanceToCorner = length((vUv - 0.5) * aspect) / length(aspect * 0.5);
+        float shade = 1.0 - uAmount * smoothstep(1.0 - uSoftness, 1.0, distanceToCorner);
+        vec4 result = vec4(source.rgb * shade, source.a);
+    `,
+    posterize: `
+        float steps = max(uLevels - 1.0, 1.0);
+        vec3 posterized = floor(unpremultiply(source) * steps + 0.5) / steps;
+        vec4 result = vec4(posterized * source.a, source.a);
+    `,
+    hueRotate: `
+        float angle = radians(uAngle);
+        vec3 axis = vec3(0.57735026);
+        vec3 color = unpremultiply(source);
+        vec3 rotated = color * cos(angle) + cross(axis, color) * sin(angle) + axis * dot(axis, color) * (1.0 - cos(angle));
+        vec4 result = vec4(clamp(rotated, 0.0, 1.0) * source.a, source.a);
+    `,
+    halftone: `
+        float angle = radians(uAngle);
+        float c = cos(angle);
+        float s = sin(angle);
+        float cellSize = max(uCellSize * uResolution.y, 2.0);
+        vec2 pixel = vUv * uResolution;
+        vec2 screen = vec2(pixel.x * c - pixel.y * s, pixel.x * s + pixel.y * c) / cellSize;
+        vec2 center = (floor(screen) + 0.5) * cellSize;
+        vec2 centerUv = vec2(center.x * c + center.y * s, -center.x * s + center.y * c) / uResolution;
+        vec3 cellColor = unpremultiply(texture2D(tDiffuse, centerUv));
+        float dotRadius = sqrt(1.0 - luminance(cellColor)) * 0.70710678;
+        float edge = 1.0 / cellSize;
+        float ink = 1.0 - smoothstep(dotRadius - edge, dotRadius + edge, length(fract(screen) - 0.5));
+        vec3 halftoned = mix(vec3(1.0), cellColor, ink);
+        vec3 mixed = mix(unpremultiply(source), halftoned, uMix);
+        vec4 result = vec4(mixed * source.a, source.a);
+    `,
+};
+
+const TSL_PASS_BUILDERS = {
+    bloom({ tsl, uv, uniforms, source, sample, luminance, unpremultiply }) {
+        const { float, vec2, vec3, vec4, max, min, smoothstep } = tsl;
+        const radius = vec2(uniforms.uRadius.mul(uniforms.uResolution.y)).div(uniforms.uResolution);
+        let glow = vec3(0);
+        for (let i = 0; i < BLOOM_TAPS; i++) {
+            const theta = i * GOLDEN_ANGLE;
+            const distance = Math.sqrt((i + 0.5) / BLOOM_TAPS);
+            const tap = sample(uv.add(vec2(Math.cos(theta) * distance, Math.sin(theta) * distance).mul(radius)));
+            const weight = smoothstep(uniforms.uThreshold, uniforms.uThreshold.add(0.1), luminance(unpremultiply(tap)));
+            glow = glow.add(tap.rgb.mul(weight));
+        }
+        glow = glow.mul(uniforms.uIntensity.div(BLOOM_TAPS));
+        const alpha = max(source.a, max(glow.r, max(glow.g, glow.b))).clamp(float(0), float(1));
+        return vec4(min(source.rgb.add(glow), vec3(alpha)), alpha);
+    },
+    chromaticAberration({ tsl, uv, uniforms, source, sample }) {
+        const { vec4, max } = tsl;
+        const offset = uv.sub(0.5).mul(uniforms.uAmount).mul(2);
+        const red = sample(uv.add(offset));
+        const blue = sample(uv.sub(offset));
+        return vec4(red.r, source.g, blue.b, max(source.a, max(red.a, blue.a)));
+    },
+    filmGrain({ tsl, uv, uniforms, source, unpremultiply }) {
+        const { float, vec2, vec4, dot, floor, fract, max, sin } = tsl;
+        const cell = floor(uv.mul(uniforms.uResolution).div(max(uniforms.uSize.mul(uniforms.uResolution.y), float(1))));
+        const frame = floor(uniforms.uTime.mul(GRAIN_FRAMES_PER_SECOND));
+        const noise = fract(sin(dot(cell.add(vec2(17, 59).mul(frame)), vec2(12.9898, 78.233))).mul(43758.5453));
+        const grained = unpremultiply(source).add(noise.sub(0.5).mul(uniforms.uAmount)).clamp(float(0), float(1));
+        return vec4(grained.mul(source.a), source.a);
+    },
+    vignette({ tsl, uv, uniforms, source }) {
+        const { float, vec2, vec4, length, smoothstep } = tsl;
+        const aspect = vec2(uniforms.uResolution.x.div(uniforms.uResolution.y), float(1));
+        const distanceToCorner = length(uv.sub(0.5).mul(aspect)).div(length(aspect.mul(0.5)));
+        const shade = float(1).sub(uniforms.uAmount.mul(smoothstep(float(1).sub(uniforms.uSoftness), float(1), distanceToCorner)));
+        return vec4(source.rgb.mul(shade), source.a);
+    },
+    posterize({ tsl, uniforms, source, unpremultiply }) {
+        const { float, vec4, floor, max } = tsl;
+        const steps = max(uniforms.uLevels.sub(1), float(1));
+        const posterized = floor(unpremultiply(source).mul(steps).add(0.5)).div(steps);
+        return vec4(posterized.mul(source.a), source.a);
+    },
+    hueRotate({ tsl, uniforms, source, unpremultiply }) {
+        const { float, vec3, vec4, cos, cross, dot, sin } = tsl;
+        const angle = uniforms.uAngle.mul(Math.PI / 180);
+        const axis = vec3(0.57735026);
+        const color = unpremultiply(source);
+        const rotated = color.mul(cos(angle))
+            .add(cross(axis, color).mul(sin(angle)))
+            .add(axis.mul(dot(axis, color)).mul(float(1).sub(cos(angle))));
+        return vec4(rotated.clamp(float(0), float(1)).mul(source.a), source.a);
+    },
+    halftone({ tsl, uv, uniforms, source, sample, luminance, unpremultiply }) {
+        const { float, vec2, vec3, vec4, cos, floor, fract, length, max, mix, sin, smoothstep, sqrt } = tsl;
+        const angle = uniforms.uAngle.mul(Math.PI / 180);
+        const c = cos(angle);
+        const s = sin(angle);
+        const cellSize = max(uniforms.uCellSize.mul(uniforms.uResolution.y), float(2));
+        const pixel = uv.mul(uniforms.uResolution);
+        const screen = vec2(
+            pixel.x.mul(c).sub(pixel.y.mul(s)),
+            pixel.x.mul(s).add(pixel.y.mul(c)),
+        ).div(cellSize);
+        const center = floor(screen).add(0.5).mul(cellSize);
+        const centerUv = vec2(
+            center.x.mul(c).add(center.y.mul(s)),
+            center.y.mul(c).sub(center.x.mul(s)),
+        ).div(uniforms.uResolution);
+        const cellColor = unpremultiply(sample(centerUv));
+        const dotRadius = sqrt(float(1).sub(luminance(cellColor))).mul(0.70710678);
+        const edge = float(1).div(cellSize);
+        const ink = float(1).sub(smoothstep(dotRadius.sub(edge), dotRadius.add(edge), length(fract(screen).sub(0.5))));
+        const halftoned = mix(vec3(1), cellColor, ink);
+        const mixed = mix(unpremultiply(source), halftoned, uniforms.uMix);
+        return vec4(mixed.mul(source.a), source.a);
+    },
+};
+
+function getParamUniformNames(type) {
+    return (getPostEffectType(type)?.params ?? []).map((param) => getUniformName(param.key));
+}
+
+/**
+ * WebGL material for one post effect pass.
+ * @param {string} type - A POST_EFFECT_TYPES value
+ * @param {THREE.Texture} texture - Output of the previous pass
+ * @returns {{material: THREE.ShaderMaterial, uniforms: Object}|null}
+ */
+export function createWebGLPostEffectPass(type, texture) {
+    const body = GLSL_PASS_BODIES[type];
+    if (!body) {
+        return null;
+    }
+
+    const paramUniformNames = getParamUniformNames(type);
+    const uniforms = {
+        tDiffuse: { value: texture },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        uTime: { value: 0 },
+    };
+    paramUniformNames.forEach((name) => {
+        uniforms[name] = { value: 0 };
+    });
+
+    const material = new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            precision highp float;
+            uniform sampler2D tDiffuse;
+            uniform vec2 uResolution;
+            uniform float uTime;
+            ${paramUniformNames.map((name) => `uniform float ${name};`).join('\n')}
+            varying vec2 vUv;
+
+            float luminance(vec3 color) {
+                return dot(color, vec3(0.2126, 0.7152, 0.0722));
+            }
+
+            vec3 unpremultiply(vec4 color) {
+                return color.rgb / max(color.a, 0.00001);
+            }
+
+            void main() {
+                vec4 source = texture2D(tDiffuse, vUv);
+                ${body}
+                gl_FragColor = result;
+            }
+        `,
+        depthWrite: false,
+        depthTest: false,
+    });
+
+    return { material, uniforms };
+}
+
+/**
+ * WebGPU (TSL) material for one post effect pass.
+ * @param {string} type - A POST_EFFECT_TYPES value
+ * @param {THREE.Texture} texture - Output of the previous pass
+ * @param {{threeWebGPU: Object, threeTSL: Object}} webGPUDeps
+ * @returns {{material: Object, uniforms: Object}|null}
+ */
+export function createWebGPUPostEffectPass(type, texture, webGPUDeps) {
+    const buildColorNode = TSL_PASS_BUILDERS[type];
+    if (!buildColorNode) {
+        return null;
+    }
+
+    const { MeshBasicNodeMaterial } = webGPUDeps.threeWebGPU;
+    const tsl = webGPUDeps.threeTSL;
+    const { texture: textureNode, uniform, uv: uvNode, float, vec2, vec3, dot, max } = tsl;
+
+    const uniforms = {
+        uResolution: uniform(new THREE.Vector2(1, 1)),
+        uTime: uniform(float(0)),
+    };
+    getParamUniformNames(type).forEach((name) => {
+        uniforms[name] = uniform(float(0));
+    });
+
+    const uv = uvNode();
+    const sample = (coordinates) => textureNode(texture, vec2(coordinates.x, float(1).sub(coordinates.y)));
+    const material = new MeshBasicNodeMaterial();
+
+    material.colorNode = buildColorNode({
+        tsl,
+        uv,
+        uniforms,
+        source: sample(uv),
+        sample,
+        luminance: (color) => dot(color, vec3(0.2126, 0.7152, 0.0722)),
+        unpremultiply: (color) => color.rgb.div(max(color.a, float(0.00001))),
+    });
+    material.depthWrite = false;
+    material.depthTest = false;
+
+    return { material, uniforms };
+}
+
+/**
+ * Push an effect's parameters and the frame size/time into a pass.
+ * @param {{uniforms: Object}} pass
+ * @param {{type: string, params: Object}} effect
+ * @param {{width: number, height: number, timeSeconds: number}} frame
+ */
+export function updatePostEffectPassUniforms(pass, effect, frame) {
+    const { uniforms } = pass;
+    uniforms.uResolution.value.set(frame.width, frame.height);
+    uniforms.uTime.value = frame.timeSeconds;
+
+    for (const param of getPostEffectType(effect.type)?.params ?? []) {
+        const uniform = uniforms[getUniformName(param.key)];
+        if (uniform) {
+            uniform.value = effect.params[param.key] ?? param.default;
+        }
+    }
+}
@@ -0,0 +1,190 @@
+// src/modules/viewer/postEffects.js
+// The post-processing stack that runs after the gradient map filter. Each
+// entry is one full-screen pass; passes run in stack order, each reading the
+// previous pass's output. Size-like parameters are fractions of the frame
+// height so a stack looks the same in the viewer and in exports at any
+// resolution.
+
+export const MAX_POST_EFFECTS = 8;
+
+export const POST_EFFECT_TYPES = Object.freeze([
+    {
+        label: 'Bloom',
+        value: 'bloom',
+        icon: 'flare',
+        params: [
+            { key: 'threshold', label: 'Threshold', icon: 'exposure', min: 0, max: 1, step: 0.01, default: 0.7 },
+            { key: 'intensity', label: 'Intensity', icon: 'brightness_high', min: 0, max: 3, step: 0.05, default: 1 },
+            { key: 'radius', label: 'Radius', icon: 'blur_on', min: 0.002, max: 0.05, step: 0.001, default: 0.015 },
+        ],
+    },
+    {
+        label: 'Chromatic Aberration',
+        value: 'chromaticAberration',
+        icon: 'blur_linear',
+        params: [
+            { key: 'amount', label: 'Amount', icon: 'open_with', min: 0, max: 0.03, step: 0.0005, default: 0.006 },
+        ],
+    },
+    {
+        label: 'Film Grain',
+        value: 'filmGrain',
+        icon: 'grain',
+        params: [
+            { key: 'amount', label: 'Amount', icon: 'grain', min: 0, max: 0.5, step: 0.01, default: 0.12 },
+            { key: 'size', label: 'Size', icon: 'zoom_in', min: 0.0005, max: 0.01, step: 0.0005, default: 0.001 },
+        ],
+    },
+    {
+        label: 'Vignette',
+        value: 'vignette',
+        icon: 'vignette',
+        params: [
+            { key: 'amount', label: 'Amount', icon: 'vignette', min: 0, max: 1, step: 0.01, default: 0.5 },
+            { key: 'softness', label: 'Softness', icon: 'gradient', min: 0.05, max: 1, step: 0.01, default: 0.6 },
+        ],
+    },
+    {
+        label: 'Posterize',
+        value: 'posterize',
+        icon: 'filter_b_and_w',
+        params: [
+            { key: 'levels', label: 'Levels', icon: 'stairs', min: 2, max: 32, step: 1, default: 6 },
+        ],
+    },
+    {
+        label: 'Hue Rotate',
+        value: 'hueRotate',
+        icon: 'palette',
+        params: [
+            { key: 'angle', label: 'Angle', icon: 'rotate_right', min: 0, max: 360, step: 1, default: 90 },
+        ],
+    },
+    {
+        label: 'Halftone',
+        value: 'halftone',
+        icon: 'blur_circular',
+        params: [
+            { key: 'cellSize', label: 'Dot Size', icon: 'circle', min: 0.002, max: 0.05, step: 0.001, default: 0.01 },
+            { key: 'angle', label: 'Screen Angle', icon: 'rotate_right', min: 0, max: 90, step: 1, default: 45 },
+            { key: 'mix', label: 'Mix', icon: 'opacity', min: 0, max: 1, step: 0.01, default: 1 },
+        ],
+    },
+]);
+
+let nextPostEffectId = 0;
+
+function createPostEffectId() {
+    nextPostEffectId += 1;
+    return `fx-${Date.now().toString(36)}-${nextPostEffectId}`;
+}
+
+export function getPostEffectType(type) {
+    return POST_EFFECT_TYPES.find((option) => option.value === type) || null;
+}
+
+/**
+ * Fill in and clamp the parameters of one effect.
+ * @param {string} type - A POST_EFFECT_TYPES value
+ * @param {Object} [params]
+ * @returns {Object} One entry per parameter definition
+ */
+export function normalizePostEffectParams(type, params = {}) {
+    const source = params && typeof params === 'object' ? params : {};
+    const normalized = {};
+
+    for (const param of getPostEffectType(type)?.params ?? []) {
+        const parsed = Number(source[param.key]);
+        if (!Number.isFinite(parsed)) {
+            normalized[param.key] = param.default;
+            continue;
+        }
+
+        const stepped = param.step >= 1 ? Math.round(parsed) : parsed;
+        normalized[param.key] = Math.min(param.max, Math.max(param.min, stepped));
+    }
+
+    return normalized;
+}
+
+/**
+ * A new, enabled effect with default parameters.
+ * @param {string} type - A POST_EFFECT_TYPES value
+ * @returns {{id: string, type: string, enabled: boolean, params: Object}|null}
+ */
+export function createPostEffect(type) {
+    if (!getPostEffectType(type)) {
+        return null;
+    }
+
+    return {
+        id: createPostEffectId(),
+        type,
+        enabled: true,
+        params: normalizePostEffectParams(type),
+    };
+}
+
+/**
+ * Normalize a stored effect stack. Unknown effect types are dropped and the
+ * stack is capped at MAX_POST_EFFECTS.
+ * @param {Array} effects
+ * @returns {Array<{id: string, type: string, enabled: boolean, params: Object}>}
+ */
+export function normalizePostEffectStack(effects) {
+    if (!Array.isArray(effects)) {
+        return [];
+    }
+
+    const seenIds = new Set();
+    const normalized = [];
+
+    for (const effect of effects) {
+        if (normalized.length >= MAX_POST_EFFECTS) {
+            break;
+        }
+        if (!effect || !getPostEffectType(effect.type)) {
+            continue;
+        }
+
+        let id = typeof effect.id === 'string' && effect.id ? effect.id : createPostEffectId();
+        if (seenIds.has(id)) {
+            id = createPostEffectId();
+        }
+        seenIds.add(id);
+
+        normalized.push({
+            id,
+            type: effect.type,
+            enabled: effect.enabled !== false,
+            params: normalizePostEffectParams(effect.type, effect.params),
+        });
+    }
+
+    return normalized;
+}
+
+/**
+ * Stable signature for change tracking.
+ * @param {Array} effects
+ * @returns {string}
+ */
+export function serializePostEffectStack(effects) {
+    return normalizePostEffectStack(effects)
+        .map((effect) => {
+            const params = Object.entries(effect.params)
+                .map(([key, value]) => `${key}=${value}`)
+                .join(',');
+            return `${effect.id}:${effect.type}:${effect.enabled ? 1 : 0}:${params}`;
+        })
+        .join('|');
+}
+
+/**
+ * The effects that actually render, in order.
+ * @param {Array} effects
+ * @returns {Array}
+ */
+export function getActivePostEffects(effects) {
+    return normalizePostEffectStack(effects).filter((effect) => effect.enabled);
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    createPostEffect,
+    getActivePostEffects,
+    MAX_POST_EFFECTS,
+    normalizePostEffectStack,
+    serializePostEffectStack,
+} from './postEffects.js';
+
+describe('normalizePostEffectStack', () => {
+    it('drops unknown effects, clamps parameters and keeps order', () => {
+        const stack = normalizePostEffectStack([
+            { id: 'a', type: 'vignette', params: { amount: 4, softness: 'soft' } },
+            { id: 'b', type: 'mystery' },
+            { id: 'c', type: 'posterize', enabled: false, params: { levels: 4.6 } },
+        ]);
+
+        expect(stack).toEqual([
+            { id: 'a', type: 'vignette', enabled: true, params: { amount: 1, softness: 0.6 } },
+            { id: 'c', type: 'posterize', enabled: false, params: { levels: 5 } },
+        ]);
+    });
+
+    it('caps the stack and gives duplicate ids new ones', () => {
+        const stack = normalizePostEffectStack(
+            Array.from({ length: MAX_POST_EFFECTS + 3 }, () => ({ id: 'same', type: 'filmGrain' })),
+        );
+
+        expect(stack).toHaveLength(MAX_POST_EFFECTS);
+        expect(new Set(stack.map((effect) => effect.id)).size).toBe(MAX_POST_EFFECTS);
+    });
+
+    it('returns an empty stack for missing preferences', () => {
+        expect(normalizePostEffectStack(undefined)).toEqual([]);
+    });
+});
+
+describe('serializePostEffectStack', () => {
+    it('changes when effects are reordered or retuned', () => {
+        const bloom = createPostEffect('bloom');
+        const halftone = createPostEffect('halftone');
+        const original = serializePostEffectStack([bloom, halftone]);
+
+        expect(serializePostEffectStack([halftone, bloom])).not.toBe(original);
+        expect(serializePostEffectStack([{ ...bloom, params: { ...bloom.params, intensity: 2 } }, halftone]))
+            .not.toBe(original);
+        expect(serializePostEffectStack([bloom, halftone])).toBe(original);
+    });
+});
+
+describe('getActivePostEffects', () => {
+    it('skips disabled effects', () => {
+        const effects = [createPostEffect('hueRotate'), { ...createPostEffect('bloom'), enabled: false }];
+        expect(getActivePostEffects(effects).map((effect) => effect.type)).toEqual(['hueRotate']);
+    });
+});
@@ -0,0 +1,193 @@
+// src/modules/viewer/proceduralBackgrounds.js
+// Generated static background textures. Each one is rendered once into RGBA
+// pixels and then used like an image background (soft-light blended over the
+// base layer), so the background shaders do not need to know about them.
+
+export const PROCEDURAL_BACKGROUND_SIZE = 512;
+
+export const PROCEDURAL_BACKGROUND_OPTIONS = Object.freeze([
+    {
+        label: 'Noise',
+        value: 'noise',
+        params: [
+            { key: 'scale', label: 'Scale', icon: 'zoom_in', min: 1, max: 32, step: 0.5, default: 6 },
+            { key: 'detail', label: 'Detail', icon: 'layers', min: 1, max: 6, step: 1, default: 4 },
+            { key: 'contrast', label: 'Contrast', icon: 'contrast', min: 0, max: 1, step: 0.01, default: 0.5 },
+            { key: 'seed', label: 'Seed', icon: 'casino', min: 0, max: 999, step: 1, default: 1 },
+        ],
+    },
+    {
+        label: 'Gradient',
+        value: 'gradient',
+        params: [
+            { key: 'startColor', label: 'Start Color', type: 'color', default: '#f4efe6' },
+            { key: 'endColor', label: 'End Color', type: 'color', default: '#3d4a5c' },
+            { key: 'angle', label: 'Angle', icon: 'rotate_right', min: 0, max: 360, step: 1, default: 90 },
+        ],
+    },
+    {
+        label: 'Paper Grain',
+        value: 'paper-grain',
+        params: [
+            { key: 'tone', label: 'Paper Tone', type: 'color', default: '#efe9dc' },
+            { key: 'grain', label: 'Grain', icon: 'grain', min: 0, max: 1, step: 0.01, default: 0.5 },
+            { key: 'fibers', label: 'Fibers', icon: 'texture', min: 0, max: 1, step: 0.01, default: 0.35 },
+            { key: 'seed', label: 'Seed', icon: 'casino', min: 0, max: 999, step: 1, default: 1 },
+        ],
+    },
+]);
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export function getProceduralBackgroundOption(value) {
+    return PROCEDURAL_BACKGROUND_OPTIONS.find((option) => option.value === value) || null;
+}
+
+/**
+ * Fill in and clamp the parameters of a procedural background.
+ * @param {string} value - A PROCEDURAL_BACKGROUND_OPTIONS value
+ * @param {Object} [params]
+ * @returns {Object} One entry per parameter definition
+ */
+export function normalizeProceduralBackgroundParams(value, params = {}) {
+    const option = getProceduralBackgroundOption(value);
+    const source = params && typeof params === 'object' ? params : {};
+    const normalized = {};
+
+    for (const param of option?.params ?? []) {
+        const raw = source[param.key];
+
+        if (param.type === 'color') {
+            normalized[param.key] = typeof raw === 'string' && HEX_COLOR_PATTERN.test(raw)
+                ? raw.toLowerCase()
+                : param.default;
+            continue;
+        }
+
+        const parsed = Number(raw);
+        if (!Number.isFinite(parsed)) {
+            normalized[param.key] = param.default;
+            continue;
+        }
+
+        const stepped = param.step >= 1 ? Math.round(parsed) : parsed;
+        normalized[param.key] = Math.min(param.max, Math.max(param.min, stepped));
+    }
+
+    return normalized;
+}
+
+function hashToUnit(x, y, seed) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed + 1, 1442695041);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function valueNoise(x, y, seed) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = smoothstep(x - x0);
+    const ty = smoothstep(y - y0);
+
+    const top = hashToUnit(x0, y0, seed) * (1 - tx) + hashToUnit(x0 + 1, y0, seed) * tx;
+    const bottom = hashToUnit(x0, y0 + 1, seed) * (1 - tx) + hashToUnit(x0 + 1, y0 + 1, seed) * tx;
+    return top * (1 - ty) + bottom * ty;
+}
+
+function fractalNoise(x, y, octaves, seed) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let weight = 0;
+
+    for (let octave = 0; octave < octaves; octave++) {
+        total += valueNoise(x * frequency, y * frequency, seed + octave * 31) * amplitude;
+        weight += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+
+    return total / weight;
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+const PIXEL_SHADERS = {
+    'noise': ({ scale, detail, contrast, seed }) => (u, v) => {
+        const n = fractalNoise(u * scale, v * scale, detail, seed);
+        // Centred on mid-grey, which soft light leaves unchanged
+        const gray = 127.5 + (n - 0.5) * 255 * (0.5 + contrast * 2.5);
+        return [gray, gray, gray];
+    },
+    'gradient': ({ startColor, endColor, angle }) => {
+        const start = hexToRgb(startColor);
+        const end = hexToRgb(endColor);
+        const radians = (angle * Math.PI) / 180;
+        const dx = Math.cos(radians);
+        const dy = Math.sin(radians);
+        // Project onto the direction so the ends of the gradient land on the corners
+        const extent = (Math.abs(dx) + Math.abs(dy)) / 2;
+
+        return (u, v) => {
+            const t = Math.max(0, Math.min(1, ((u - 0.5) * dx + (v - 0.5) * dy) / (2 * extent) + 0.5));
+            return start.map((channel, index) => channel + (end[index] - channel) * t);
+        };
+    },
+    'paper-grain': ({ tone, grain, fibers, seed }, size) => {
+        const toneRgb = hexToRgb(tone);
+
+        return (u, v, x, y) => {
+            const speckle = (hashToUnit(x, y, seed) - 0.5) * grain * 0.3;
+            const cloud = (fractalNoise(u * 5, v * 5, 4, seed + 7) - 0.5) * grain * 0.2;
+            // Long, thin streaks along u
+            const streak = fractalNoise(u * 4, v * size * 0.08, 3, seed + 13);
+            const fiber = Math.pow(1 - Math.abs(streak * 2 - 1), 8) * fibers * 0.3;
+            const shade = 1 + speckle + cloud - fiber;
+            return toneRgb.map((channel) => channel * shade);
+        };
+    },
+};
+
+/**
+ * Render a procedural background as RGBA pixels, bottom row first (the
+ * layout THREE.DataTexture expects). Deterministic for the same parameters.
+ * @param {string} value - A PROCEDURAL_BACKGROUND_OPTIONS value
+ * @param {Object} [params]
+ * @param {number} [size]
+ * @returns {Uint8ClampedArray|null} size * size * 4 bytes, or null for an unknown value
+ */
+export function renderProceduralBackground(value, params = {}, size = PROCEDURAL_BACKGROUND_SIZE) {
+    const createShader = PIXEL_SHADERS[value];
+    if (!createShader) {
+        return null;
+    }
+
+    const shade = createShader(normalizeProceduralBackgroundParams(value, params), size);
+    const pixels = new Uint8ClampedArray(size * size * 4);
+
+    for (let y = 0; y < size; y++) {
+        const v = (y + 0.5) / size;
+        for (let x = 0; x < size; x++) {
+            const [r, g, b] = shade((x + 0.5) / size, v, x, y);
+            const offset = (y * size + x) * 4;
+            pixels[offset] = clampByte(r);
+            pixels[offset + 1] = clampByte(g);
+            pixels[offset + 2] = clampByte(b);
+            pixels[offset + 3] = 255;
+        }
+    }
+
+    return pixels;
+}
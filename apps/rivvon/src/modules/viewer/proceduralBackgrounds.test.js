@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+
+import { renderProceduralBackground } from './proceduralBackgrounds.js';
+
+describe('renderProceduralBackground', () => {
+    it('is deterministic for a seed and varies between seeds', () => {
+        const first = renderProceduralBackground('noise', { seed: 4 }, 16);
+        expect(first).toHaveLength(16 * 16 * 4);
+        expect(renderProceduralBackground('noise', { seed: 4 }, 16)).toEqual(first);
+        expect(renderProceduralBackground('noise', { seed: 5 }, 16)).not.toEqual(first);
+    });
+
+    it('runs a gradient from the start to the end color along its angle', () => {
+        const pixels = renderProceduralBackground('gradient', { startColor: '#000000', endColor: '#ffffff', angle: 0 }, 8);
+        const firstRow = Array.from({ length: 8 }, (_, x) => pixels[x * 4]);
+
+        expect(firstRow[0]).toBeLessThan(firstRow[7]);
+        expect(firstRow).toEqual([...firstRow].sort((left, right) => left - right));
+        expect(pixels[3]).toBe(255);
+    });
+
+    it('returns null for unknown backgrounds', () => {
+        expect(renderProceduralBackground('plaid')).toBeNull();
+    });
+});
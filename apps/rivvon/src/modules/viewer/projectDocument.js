@@ -0,0 +1,179 @@
+// src/modules/viewer/projectDocument.js
+// `.rivvon` project files: one JSON document that carries a finished look —
+// viewer settings, texture references, the drawing, camera views and any
+// recorded orbit take — so it can be handed to someone else intact.
+//
+// Textures are stored as references ({ id, source, name }) rather than
+// embedded tiles; cloud textures resolve for anyone, local ones only on the
+// machine that made them.
+
+import { createDrawingDocument } from '../shared/drawingLibrary.js';
+import { normalizeCinematicTrack, normalizeCinematicView } from './cinematicTimeline.js';
+import { normalizeOrbitTake } from './orbitRecording.js';
+
+export const RIVVON_PROJECT_FORMAT = 'rivvon-project';
+export const RIVVON_PROJECT_VERSION = 1;
+export const RIVVON_PROJECT_EXTENSION = '.rivvon';
+export const RIVVON_PROJECT_MIME_TYPE = 'application/json';
+
+const TEXTURE_SOURCES = new Set(['cloud', 'local']);
+
+// migrations[n] upgrades a version n document to version n + 1. Add an entry
+// whenever RIVVON_PROJECT_VERSION is bumped; settings keys themselves are
+// migrated by the store when the project is applied.
+const PROJECT_MIGRATIONS = {};
+
+function sanitizeText(value, fallback = '') {
+    return typeof value === 'string' ? value.trim() : fallback;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneSettings(settings) {
+    if (!isPlainObject(settings)) return {};
+
+    try {
+        return JSON.parse(JSON.stringify(settings));
+    } catch {
+        return {};
+    }
+}
+
+function normalizeTextureReferences(textures) {
+    if (!Array.isArray(textures)) return [];
+
+    const seen = new Set();
+    const references = [];
+    for (const texture of textures) {
+        const id = sanitizeText(texture?.id);
+        const source = TEXTURE_SOURCES.has(texture?.source) ? texture.source : 'cloud';
+        if (!id || seen.has(`${source}:${id}`)) continue;
+
+        seen.add(`${source}:${id}`);
+        references.push({ id, source, name: sanitizeText(texture?.name) });
+    }
+    return references;
+}
+
+function normalizeProjectDrawing(drawing) {
+    if (!drawing) return null;
+
+    try {
+        return createDrawingDocument(drawing);
+    } catch {
+        // A drawing without usable paths is dropped rather than failing the project
+        return null;
+    }
+}
+
+/**
+ * Build a project document from the current viewer state.
+ * @param {Object} input
+ * @param {string} [input.name]
+ * @param {Object} input.settings - From viewerStore.getProjectSettings()
+ * @param {Array<{ id: string, source: 'cloud'|'local', name?: string }>} [input.textures]
+ * @param {Object} [input.drawing] - Anything createDrawingDocument accepts
+ * @param {Object} [input.camera] - Current framing: { position, target, fov }
+ * @param {Object} [input.cinematic] - Cinematic track (ROIs + timeline)
+ * @param {Object} [input.orbitTake] - Recorded orbit take
+ * @returns {Object}
+ */
+export function createProjectDocument({
+    name = '',
+    settings = {},
+    textures = [],
+    drawing = null,
+    camera = null,
+    cinematic = null,
+    orbitTake = null,
+} = {}) {
+    const projectDrawing = normalizeProjectDrawing(drawing);
+
+    return {
+        format: RIVVON_PROJECT_FORMAT,
+        version: RIVVON_PROJECT_VERSION,
+        name: sanitizeText(name) || projectDrawing?.name || 'Untitled project',
+        created_at: Date.now(),
+        settings: cloneSettings(settings),
+        textures: normalizeTextureReferences(textures),
+        // Camera views live at the top level; keep the drawing copy lean
+        drawing: projectDrawing ? { ...projectDrawing, cinematic: null } : null,
+        camera: normalizeCinematicView(camera),
+        cinematic: normalizeCinematicTrack(cinematic),
+        orbit_take: normalizeOrbitTake(orbitTake),
+    };
+}
+
+/**
+ * Serialize a project document for download.
+ * @param {Object} project
+ * @returns {string}
+ */
+export function serializeProjectDocument(project) {
+    return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Get a download file name for a project.
+ * @param {Object} project
+ * @returns {string}
+ */
+export function getProjectFileName(project) {
+    const base = sanitizeText(project?.name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${base || 'rivvon-project'}${RIVVON_PROJECT_EXTENSION}`;
+}
+
+/**
+ * Parse and validate a project document, migrating older versions.
+ * @param {string|Object} input - File text or an already parsed object
+ * @returns {Object} A current-version project document
+ * @throws {Error} When the input is not a readable project
+ */
+export function parseProjectDocument(input) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try {
+            raw = JSON.parse(input);
+        } catch {
+            throw new Error('Project file is not valid JSON');
+        }
+    }
+
+    if (!isPlainObject(raw) || raw.format !== RIVVON_PROJECT_FORMAT) {
+        throw new Error('Not a rivvon project file');
+    }
+
+    const version = Number(raw.version);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('Project file has an invalid version');
+    }
+    if (version > RIVVON_PROJECT_VERSION) {
+        throw new Error(`Project was saved by a newer version of rivvon (v${version})`);
+    }
+
+    let project = raw;
+    for (let from = version; from < RIVVON_PROJECT_VERSION; from++) {
+        project = PROJECT_MIGRATIONS[from](project);
+    }
+
+    const drawing = normalizeProjectDrawing(project.drawing);
+
+    return {
+        format: RIVVON_PROJECT_FORMAT,
+        version: RIVVON_PROJECT_VERSION,
+        name: sanitizeText(project.name) || drawing?.name || 'Untitled project',
+        created_at: Number.isFinite(Number(project.created_at)) ? Number(project.created_at) : Date.now(),
+        settings: cloneSettings(project.settings),
+        textures: normalizeTextureReferences(project.textures),
+        drawing: drawing ? { ...drawing, cinematic: null } : null,
+        camera: normalizeCinematicView(project.camera),
+        // Fall back to views saved on the drawing itself
+        cinematic: normalizeCinematicTrack(project.cinematic ?? project.drawing?.cinematic),
+        orbit_take: normalizeOrbitTake(project.orbit_take),
+    };
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    createProjectDocument,
+    getProjectFileName,
+    parseProjectDocument,
+    RIVVON_PROJECT_VERSION,
+    serializeProjectDocument,
+} from './projectDocument.js';
+
+const view = { position: { x: 0, y: 1, z: 8 }, target: { x: 0, y: 0, z: 0 }, fov: 45 };
+
+function createProject(overrides = {}) {
+    return createProjectDocument({
+        name: 'Harbour Loop',
+        settings: { surfaceMode: 'tube', gradientMapStops: [{ position: 0, color: '#000000' }] },
+        textures: [
+            { id: 'tex-1', source: 'cloud', name: 'Tide' },
+            { id: 'tex-1', source: 'cloud', name: 'Tide again' },
+            { id: '', source: 'local' },
+        ],
+        drawing: { kind: 'gesture', paths: [[{ x: 0, y: 0 }, { x: 1, y: 1 }]] },
+        camera: view,
+        cinematic: { rois: [view, { position: { x: NaN } }] },
+        ...overrides,
+    });
+}
+
+describe('createProjectDocument', () => {
+    it('snapshots settings, texture references, drawing and views', () => {
+        const project = createProject();
+
+        expect(project.version).toBe(RIVVON_PROJECT_VERSION);
+        expect(project.settings.surfaceMode).toBe('tube');
+        expect(project.textures).toEqual([{ id: 'tex-1', source: 'cloud', name: 'Tide' }]);
+        expect(project.drawing.paths).toHaveLength(1);
+        expect(project.camera).toEqual(view);
+        expect(project.cinematic.rois).toHaveLength(1);
+        expect(project.orbit_take).toBeNull();
+    });
+
+    it('drops a drawing without usable paths', () => {
+        expect(createProject({ drawing: { paths: [] } }).drawing).toBeNull();
+    });
+});
+
+describe('parseProjectDocument', () => {
+    it('round-trips a serialized project', () => {
+        const project = createProject();
+        const parsed = parseProjectDocument(serializeProjectDocument(project));
+
+        expect(parsed.settings).toEqual(project.settings);
+        expect(parsed.textures).toEqual(project.textures);
+        expect(parsed.drawing.paths).toEqual(project.drawing.paths);
+        expect(parsed.cinematic).toEqual(project.cinematic);
+    });
+
+    it('falls back to views stored on the drawing', () => {
+        const project = createProject({ cinematic: null });
+        project.drawing.cinematic = { rois: [view] };
+
+        expect(parseProjectDocument(project).cinematic.rois).toEqual([view]);
+    });
+
+    it('rejects unreadable, foreign and newer files', () => {
+        expect(() => parseProjectDocument('{')).toThrow(/valid JSON/);
+        expect(() => parseProjectDocument({ format: 'other', version: 1 })).toThrow(/Not a rivvon project/);
+        expect(() => parseProjectDocument({ format: 'rivvon-project', version: RIVVON_PROJECT_VERSION + 1 }))
+            .toThrow(/newer version/);
+    });
+});
+
+describe('getProjectFileName', () => {
+    it('slugs the project name', () => {
+        expect(getProjectFileName({ name: ' Harbour Loop #2 ' })).toBe('harbour-loop-2.rivvon');
+        expect(getProjectFileName({})).toBe('rivvon-project.rivvon');
+    });
+});
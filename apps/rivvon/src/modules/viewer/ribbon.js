@@ -99,6 +99,12 @@ export class Ribbon {
     this.waveSpeed = 2;
     this.undulationEnabled = true;
 
+    // Per-frame multipliers from audio-reactive playback (1 = unchanged)
+    this.audioWidthScale = 1;
+    this.audioHelixRadiusScale = 1;
+    this.audioAmplitudeScale = 1;
+    this._audioModulationDirty = false;
+
     this.helixMode = false;
     this.helixRadius = 0.2;
     this.helixPitch = 9.0;
@@ -110,6 +116,7 @@ export class Ribbon {
     this.capStyle = DEFAULT_CAP_STYLE;
     this.roundedCaps = false;
     this.cornerNarrowingEnabled = false;
+    this.widthProfile = null;
     this.surfaceMode = "ribbon";
     this.tubeRadiusScale = 0.5;
     this.tubeRadialSegments = 8;
@@ -152,6 +159,30 @@ export class Ribbon {
     this.updateWaveAnimation(timeSeconds);
   }
 
+  /**
+   * Scale width, helix radius and undulation amplitude for the next
+   * animation update without rebuilding geometry.
+   * @param {object} modulation - { widthScale, helixRadiusScale, amplitudeScale }
+   * @returns {Ribbon} this for chaining
+   */
+  setAudioModulation({
+    widthScale = 1,
+    helixRadiusScale = 1,
+    amplitudeScale = 1,
+  } = {}) {
+    if (
+      widthScale !== this.audioWidthScale ||
+      helixRadiusScale !== this.audioHelixRadiusScale ||
+      amplitudeScale !== this.audioAmplitudeScale
+    ) {
+      this.audioWidthScale = widthScale;
+      this.audioHelixRadiusScale = helixRadiusScale;
+      this.audioAmplitudeScale = amplitudeScale;
+      this._audioModulationDirty = true;
+    }
+    return this;
+  }
+
   setSegmentOffset(offset) {
     this.segmentOffset = offset;
     return this;
@@ -162,6 +193,39 @@ export class Ribbon {
     return this;
   }
 
+  /**
+   * Vary the ribbon width along its length, e.g. with walking speed.
+   * Strip and masked surfaces only; tubes keep their radius.
+   * @param {number[]|null} values - Width scales (0..1) at even arc-length
+   *   steps along the full path
+   * @param {number} [extent=1] - Fraction of that path this ribbon covers,
+   *   so a partly grown ribbon keeps the profile of the whole route
+   */
+  setWidthProfile(values, extent = 1) {
+    this.widthProfile =
+      Array.isArray(values) && values.length >= 2
+        ? { values, extent: Math.max(0.0001, clamp01(extent)) }
+        : null;
+    return this;
+  }
+
+  _getWidthProfileScale(globalT) {
+    if (!this.widthProfile) return 1;
+
+    const { values, extent } = this.widthProfile;
+    const position = clamp01(globalT * extent) * (values.length - 1);
+    const index = Math.min(values.length - 2, Math.floor(position));
+    const t = position - index;
+
+    return values[index] + (values[index + 1] - values[index]) * t;
+  }
+
+  _getWidthProfileScaleFn() {
+    return this.widthProfile
+      ? (localT, globalT) => this._getWidthProfileScale(globalT)
+      : null;
+  }
+
   setHelixOptions(options = {}) {
     if (options.helixMode !== undefined) this.helixMode = options.helixMode;
     if (options.helixRadius !== undefined)
@@ -496,7 +560,7 @@ export class Ribbon {
             frameSamples,
             pointsPerSegment,
             0,
-            null,
+            this._getWidthProfileScaleFn(),
             {
               uStart: interval.uStart,
               uEnd: interval.uEnd,
@@ -704,8 +768,11 @@ export class Ribbon {
       this.surfaceMode !== "tube";
     const cornerIntervalFn = useCornerNarrowing
       ? (localT, globalT, frame) =>
-          this._getCurvatureRetainedInterval(frame.curvature, 1)
-      : null;
+          this._getCurvatureRetainedInterval(
+            frame.curvature,
+            this._getWidthProfileScale(globalT),
+          )
+      : this._getWidthProfileScaleFn();
 
     for (const interval of intervals) {
       if (!interval.visible) continue;
@@ -839,7 +906,7 @@ export class Ribbon {
               frameSamples,
               pointsPerSegment,
               0,
-              null,
+              this._getWidthProfileScaleFn(),
               {
                 uStart: interval.uStart,
                 uEnd: interval.uEnd,
@@ -1276,11 +1343,14 @@ export class Ribbon {
     scratch,
   ) {
     const scaledAcross = this._getAlignedAcrossValue(acrossValue) * widthScale;
+    const audioWidth = width * this.audioWidthScale;
     const wavePhase = this.undulationEnabled
       ? Math.sin(
           frame.arcLength * this.waveFrequency * Math.PI * 2 +
             time * this.waveSpeed,
-        ) * this.waveAmplitude
+        ) *
+        this.waveAmplitude *
+        this.audioAmplitudeScale
       : 0;
 
     if (this.helixMode) {
@@ -1289,8 +1359,8 @@ export class Ribbon {
       const animatedAngle = helixAngle + wavePhase;
       const cosA = Math.cos(animatedAngle);
       const sinA = Math.sin(animatedAngle);
-      const helixRadius = this.helixRadius * width;
-      const strandWidth = this.helixStrandWidth * width;
+      const helixRadius = this.helixRadius * this.audioHelixRadiusScale * width;
+      const strandWidth = this.helixStrandWidth * audioWidth;
 
       scratch.helixCenter
         .copy(frame.point)
@@ -1313,7 +1383,7 @@ export class Ribbon {
     scratch.animatedNormal.applyAxisAngle(frame.tangent, wavePhase);
     target
       .copy(frame.point)
-      .addScaledVector(scratch.animatedNormal, scaledAcross * width);
+      .addScaledVector(scratch.animatedNormal, scaledAcross * audioWidth);
     return target;
   }
 
@@ -1326,11 +1396,14 @@ export class Ribbon {
     strandOffset = 0,
     scratch,
   ) {
+    const audioRadius = radius * this.audioWidthScale;
     const wavePhase = this.undulationEnabled
       ? Math.sin(
           frame.arcLength * this.waveFrequency * Math.PI * 2 +
             time * this.waveSpeed,
-        ) * this.waveAmplitude
+        ) *
+        this.waveAmplitude *
+        this.audioAmplitudeScale
       : 0;
 
     if (this.helixMode) {
@@ -1339,7 +1412,8 @@ export class Ribbon {
       const animatedAngle = helixAngle + wavePhase;
       const cosA = Math.cos(animatedAngle);
       const sinA = Math.sin(animatedAngle);
-      const helixRadius = this.helixRadius * this.lastWidth;
+      const helixRadius =
+        this.helixRadius * this.audioHelixRadiusScale * this.lastWidth;
 
       scratch.helixCenter
         .copy(frame.point)
@@ -1352,8 +1426,8 @@ export class Ribbon {
 
       target
         .copy(scratch.helixCenter)
-        .addScaledVector(scratch.radialDir, Math.cos(theta) * radius)
-        .addScaledVector(scratch.acrossDir, Math.sin(theta) * radius);
+        .addScaledVector(scratch.radialDir, Math.cos(theta) * audioRadius)
+        .addScaledVector(scratch.acrossDir, Math.sin(theta) * audioRadius);
       return target;
     }
 
@@ -1367,8 +1441,8 @@ export class Ribbon {
 
     target
       .copy(frame.point)
-      .addScaledVector(scratch.animatedNormal, Math.cos(theta) * radius)
-      .addScaledVector(scratch.animatedBinormal, Math.sin(theta) * radius);
+      .addScaledVector(scratch.animatedNormal, Math.cos(theta) * audioRadius)
+      .addScaledVector(scratch.animatedBinormal, Math.sin(theta) * audioRadius);
     return target;
   }
 
@@ -1972,9 +2046,12 @@ export class Ribbon {
       return;
     }
 
-    if (!this.undulationEnabled) {
+    // Audio modulation still needs vertex updates while undulation is off,
+    // including one last pass after it settles back to neutral
+    if (!this.undulationEnabled && !this._audioModulationDirty) {
       return;
     }
+    this._audioModulationDirty = false;
 
     // Update strand A (Standard Ribbon or helix strand A)
     this._updateStrandAnimation(this.meshSegments, this._segmentCache, time);
@@ -10,6 +10,11 @@ import {
   calculatePolylineLength,
   getProceduralSourceFrame,
 } from "./proceduralPaths.js";
+import {
+  REPLAY_HOLD_SECONDS,
+  getTimedPathPrefixes,
+  getTimedPathsDuration,
+} from "./walkChannels.js";
 
 const TEXTURE_ORIENTATION_EPSILON = 0.000001;
 const TEXTURE_ORIENTATION_SAMPLE_COUNT = 9;
@@ -36,6 +41,10 @@ export class RibbonSeries {
     this._resolvedSphericalProjectionRadius = null;
     this.proceduralSource = null;
     this._proceduralDebug = null;
+    this.liveSource = null;
+    this.replaySource = null;
+    this.widthProfiles = null; // Per-path width scales, kept across rebuilds
+    this.pathStyles = null; // Per-path width scale and texture, e.g. artboard layers
     this._layoutDebug = null;
     this.normalizeTextureOrientation = true;
 
@@ -70,6 +79,13 @@ export class RibbonSeries {
       sphericalProjectionRadius: null,
       sphericalProjectionWrapDegrees: null,
     };
+
+    // Audio-reactive multipliers, applied on every animation update
+    this._audioModulation = {
+      widthScale: 1,
+      helixRadiusScale: 1,
+      amplitudeScale: 1,
+    };
   }
 
   /**
@@ -86,6 +102,21 @@ export class RibbonSeries {
     return this;
   }
 
+  /**
+   * Set audio-reactive multipliers for width, helix radius and undulation
+   * amplitude. They take effect on the next update() or setUndulationTime().
+   * @param {object} modulation - { widthScale, helixRadiusScale, amplitudeScale }
+   * @returns {RibbonSeries} this for chaining
+   */
+  setAudioModulation({
+    widthScale = 1,
+    helixRadiusScale = 1,
+    amplitudeScale = 1,
+  } = {}) {
+    this._audioModulation = { widthScale, helixRadiusScale, amplitudeScale };
+    return this;
+  }
+
   /**
    * Set the tile manager for texturing (single-texture mode)
    * @param {TileManager} tileManager - The tile manager instance
@@ -114,6 +145,25 @@ export class RibbonSeries {
     this._applyTextureOrientationToRibbons(this.lastPathsPoints);
     return this;
   }
+  /**
+   * Vary ribbon width along each path (see Ribbon.setWidthProfile). Applies
+   * from the next build.
+   * @param {Array<number[]|null>|null} profiles - One entry per path
+   */
+  setWidthProfiles(profiles) {
+    this.widthProfiles = Array.isArray(profiles) ? profiles : null;
+  }
+
+  /**
+   * Give paths their own ribbon width and texture. Applies from the next
+   * build. Paths without a textureIndex keep the round-robin assignment.
+   * @param {Array<{widthScale?: number, textureIndex?: number|null}>|null} styles
+   *   One entry per path
+   */
+  setPathStyles(styles) {
+    this.pathStyles = Array.isArray(styles) ? styles : null;
+  }
+
 
   _clonePaths(pathsPoints = []) {
     return pathsPoints.map((points) => points.map((point) => point.clone()));
@@ -262,6 +312,7 @@ export class RibbonSeries {
     this.cleanup();
     this.proceduralSource = null;
     this._proceduralDebug = null;
+    this.liveSource = null;
 
     // Store both the original source geometry and the resolved build geometry.
     this.sourcePathsPoints = this._clonePaths(sourcePaths);
@@ -290,10 +341,15 @@ export class RibbonSeries {
       }
 
       const ribbon = new Ribbon(this._contentGroup);
+      const pathStyle = this.pathStyles?.[i] ?? null;
 
-      // Assign TileManager for strand A via round-robin
+      // Assign TileManager for strand A via round-robin, unless the path
+      // asks for a texture of its own
+      const pathTextureIndex = Number.isInteger(pathStyle?.textureIndex)
+        ? pathStyle.textureIndex
+        : textureIndex;
       const tmA =
-        N > 0 ? this.tileManagers[textureIndex % N] : this.tileManager;
+        N > 0 ? this.tileManagers[pathTextureIndex % N] : this.tileManager;
       if (tmA) {
         ribbon.setTileManager(tmA);
       }
@@ -332,9 +388,14 @@ export class RibbonSeries {
       // Set segment offset for continuous texture indexing
       ribbon.setSegmentOffset(segmentOffset);
       ribbon.setTextureOrientationMirrorY(textureOrientationMirrors[i]);
+      ribbon.setWidthProfile(this.widthProfiles?.[i] ?? null);
 
       // Build the ribbon
-      ribbon.buildFromPoints(points, effectiveWidth, time);
+      ribbon.buildFromPoints(
+        points,
+        effectiveWidth * (Number(pathStyle?.widthScale) || 1),
+        time,
+      );
 
       // Update offset for next ribbon
       segmentOffset += ribbon.meshSegments.length;
@@ -545,6 +606,10 @@ export class RibbonSeries {
       });
       ribbon.setSegmentOffset(segmentOffset);
       ribbon.setTextureOrientationMirrorY(textureOrientationMirrors[index]);
+      ribbon.setWidthProfile(
+        pathOptions[index]?.widthProfile ?? null,
+        pathOptions[index]?.widthProfileExtent,
+      );
       ribbon.buildPooledSegmentedRibbon(
         points,
         effectiveWidth,
@@ -645,6 +710,10 @@ export class RibbonSeries {
 
       ribbon.setSegmentOffset(segmentOffset);
       ribbon.setTextureOrientationMirrorY(textureOrientationMirrors[index]);
+      ribbon.setWidthProfile(
+        pathOption.widthProfile ?? null,
+        pathOption.widthProfileExtent,
+      );
       ribbon.updatePooledSegmentedRibbon(
         points,
         effectiveWidth,
@@ -675,6 +744,7 @@ export class RibbonSeries {
       maxSegmentCount: metrics.maxSegmentCount,
     }));
 
+    this.liveSource = null;
     this.proceduralSource = {
       type: frame.type,
       settings: frame.settings,
@@ -818,6 +888,214 @@ export class RibbonSeries {
     return this._proceduralDebug;
   }
 
+  /**
+   * Show paths that change every frame, e.g. trails from body tracking.
+   * Segment pools only grow (with some headroom) so shrinking and regrowing
+   * trails reuse their meshes; a rebuild happens when a path needs more
+   * segments than its pool holds or the number of paths changes.
+   * @param {Array<Array<THREE.Vector3>>} pathsPoints
+   * @param {number} width - Ribbon width
+   * @param {number} time - Animation time
+   * @param {object} [options]
+   * @param {Array<object>} [options.pathOptions] - Per-path extras for the
+   *   pooled builders, e.g. widthProfile and widthProfileExtent
+   * @returns {Array<Ribbon>|null} The ribbons, or null when no path is drawable
+   */
+  updateLivePaths(pathsPoints, width = 1, time = 0, options = {}) {
+    const extraPathOptions = [];
+    const paths = [];
+
+    (Array.isArray(pathsPoints) ? pathsPoints : []).forEach((points, index) => {
+      if (Array.isArray(points) && points.length >= 2) {
+        paths.push(points);
+        extraPathOptions.push(options.pathOptions?.[index] ?? {});
+      }
+    });
+
+    if (paths.length === 0) {
+      return null;
+    }
+
+    if (this.proceduralSource) {
+      this.proceduralSource = null;
+      this._proceduralDebug = null;
+    }
+
+    const source =
+      this.liveSource?.width === width
+        ? this.liveSource
+        : { width, maxSegmentCounts: [] };
+    const pathMetrics = this._getProceduralPathMetrics(
+      paths,
+      this._getEffectiveSurfaceWidth(width),
+    );
+    let poolGrew = paths.length !== this.ribbons.length;
+
+    const pathOptions = pathMetrics.map((metrics) => {
+      const previousMaxSegmentCount =
+        Number(source.maxSegmentCounts[metrics.pathIndex]) || 0;
+      const maxSegmentCount =
+        metrics.activeSegmentCount > previousMaxSegmentCount
+          ? Math.ceil(metrics.activeSegmentCount * 1.25) + 1
+          : previousMaxSegmentCount;
+
+      poolGrew = poolGrew || maxSegmentCount !== previousMaxSegmentCount;
+      return {
+        ...extraPathOptions[metrics.pathIndex],
+        activeSegmentCount: metrics.activeSegmentCount,
+        maxSegmentCount,
+      };
+    });
+
+    if (poolGrew) {
+      this.buildPooledMultiplePaths(paths, width, time, { pathOptions });
+      this.initFlowMaterials();
+    } else {
+      this.updatePooledMultiplePaths(paths, width, time, { pathOptions });
+    }
+
+    this.liveSource = {
+      width,
+      maxSegmentCounts: pathOptions.map((options) => options.maxSegmentCount),
+    };
+
+    return this.ribbons;
+  }
+
+  /**
+   * Remove live paths, e.g. when the last trail or stroke goes away. The next
+   * updateLivePaths call builds fresh pools.
+   */
+  clearLivePaths() {
+    this.cleanup();
+    this.liveSource = null;
+  }
+
+  /**
+   * Grow the current paths along a timeline instead of showing them whole,
+   * e.g. to replay a walk at real or accelerated time. Growing ribbons are
+   * pooled like live paths (helix and spherical projection are skipped) and
+   * the replay loops after a short hold on the finished paths.
+   * @param {object} replay
+   * @param {number[][]} replay.times - Seconds per point for each path
+   * @param {number} [replay.speed=1] - Timeline seconds per playback second
+   * @returns {boolean} Whether the replay started
+   */
+  startReplay({ times, speed = 1 } = {}) {
+    // While a replay runs the built paths are partial, so keep the originals
+    const paths =
+      this.replaySource?.paths ?? this._clonePaths(this.sourcePathsPoints);
+    const width = this.replaySource?.width ?? this.lastWidth;
+    const playbackSpeed = Math.max(0.0001, Number(speed) || 1);
+    const timelineDuration = getTimedPathsDuration(times);
+
+    if (paths.length === 0 || !(timelineDuration > 0)) {
+      return false;
+    }
+
+    this.replaySource = {
+      paths,
+      times,
+      width,
+      speed: playbackSpeed,
+      duration: timelineDuration / playbackSpeed,
+      startTime: null,
+      lastTime: 0,
+    };
+    this.liveSource = null;
+
+    return true;
+  }
+
+  /**
+   * End a replay and show the full paths again.
+   */
+  stopReplay() {
+    const replay = this.replaySource;
+    if (!replay) {
+      return;
+    }
+
+    this.replaySource = null;
+    this.liveSource = null;
+    this.buildFromMultiplePaths(replay.paths, replay.width);
+    this.initFlowMaterials();
+  }
+
+  /**
+   * Restart the replay from the beginning on the next update, e.g. so a
+   * video export starts with an empty route.
+   */
+  resetReplayClock() {
+    if (this.replaySource) {
+      this.replaySource.startTime = null;
+    }
+  }
+
+  /**
+   * @returns {number} Seconds per replay loop, including the hold; 0 when
+   *   no replay is running
+   */
+  getReplayDuration() {
+    return this.replaySource
+      ? this.replaySource.duration + REPLAY_HOLD_SECONDS
+      : 0;
+  }
+
+  /**
+   * Advance the replay to the given animation time.
+   * @param {number} time - Animation time in seconds
+   * @returns {Array<Ribbon>|null} The ribbons, or null when nothing is shown
+   */
+  updateReplay(time = 0) {
+    const replay = this.replaySource;
+    if (!replay) {
+      return null;
+    }
+
+    replay.startTime ??= time;
+    replay.lastTime = time;
+
+    const loopTime =
+      Math.max(0, time - replay.startTime) %
+      (replay.duration + REPLAY_HOLD_SECONDS);
+    const prefixes = getTimedPathPrefixes(
+      replay.paths,
+      replay.times,
+      Math.min(loopTime, replay.duration) * replay.speed,
+    );
+
+    if (prefixes.length === 0) {
+      // Nothing has been drawn yet at the start of each loop
+      this.clearLivePaths();
+      return null;
+    }
+
+    return this.updateLivePaths(
+      prefixes.map((prefix) => prefix.points),
+      replay.width,
+      time,
+      {
+        pathOptions: prefixes.map((prefix) => ({
+          widthProfile: this.widthProfiles?.[prefix.pathIndex] ?? null,
+          widthProfileExtent: prefix.extent,
+        })),
+      },
+    );
+  }
+
+  /**
+   * Rebuild the replay's current frame, e.g. after textures change.
+   */
+  refreshReplay() {
+    if (!this.replaySource) {
+      return null;
+    }
+
+    this.liveSource = null;
+    return this.updateReplay(this.replaySource.lastTime);
+  }
+
   getProceduralDebugInfo() {
     return this._proceduralDebug;
   }
@@ -875,6 +1153,7 @@ export class RibbonSeries {
 
     // Use efficient in-place wave animation update
     for (const ribbon of this.ribbons) {
+      ribbon.setAudioModulation(this._audioModulation);
       ribbon.updateWaveAnimation(time);
     }
   }
@@ -889,6 +1168,7 @@ export class RibbonSeries {
     }
 
     for (const ribbon of this.ribbons) {
+      ribbon.setAudioModulation(this._audioModulation);
       ribbon.setUndulationTime(timeSeconds);
     }
   }
@@ -1109,6 +1389,15 @@ export class RibbonSeries {
     return this._transformRoot;
   }
 
+  /**
+   * Get the group holding the ribbons. Its local space is the space of the
+   * paths the series was built from.
+   * @returns {THREE.Group}
+   */
+  getContentGroup() {
+    return this._contentGroup;
+  }
+
   /**
    * Clean up all ribbons and clear cached path data
    */
@@ -1,11 +1,16 @@
 import * as THREE from 'three';
 import SvgPath from 'svgpath';
+import { thinMask, traceSkeletonPaths } from './maskSkeleton.js';
 
 // Dynamic resolution configuration (exported for use in other modules)
 export const POINTS_PER_UNIT = 1.5;      // Points per unit of path length (after normalization)
 export const MIN_POINTS_PER_PATH = 50;   // Minimum points per subpath
 export const MAX_POINTS_PER_PATH = 2000; // Maximum points per subpath
 
+// Centerline tracing rasterises filled shapes at this size (longest side, px)
+const CENTERLINE_RASTER_SIZE = 768;
+const CENTERLINE_RASTER_PADDING = 4;
+
 const SUPPORTED_SVG_GEOMETRY_SELECTOR = 'path, line, polyline, polygon, rect, circle, ellipse';
 
 function parseNumericAttribute(value, fallback = 0) {
@@ -522,6 +527,147 @@ export function parseSvgContentMultiPath(svgContent, numPoints = 100, scale = 1,
     }
 }
 
+/**
+ * Bounds of a set of paths, found by sampling along each subpath.
+ * @param {Array<string>} pathDataList
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+ */
+function samplePathBounds(pathDataList) {
+    const svgNS = "http://www.w3.org/2000/svg";
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    pathDataList.flatMap(splitPathIntoSubpaths).forEach((subpath) => {
+        const path = document.createElementNS(svgNS, "path");
+        path.setAttribute("d", subpath);
+        const length = path.getTotalLength();
+        const samples = 64;
+
+        for (let i = 0; i <= samples; i++) {
+            const point = path.getPointAtLength((i / samples) * length);
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        }
+    });
+
+    return Number.isFinite(bounds.minX) ? bounds : null;
+}
+
+/**
+ * Two passes of a three-point moving average to soften pixel staircases.
+ * End points of open lines stay where they are.
+ */
+function smoothPolyline(points, closed) {
+    let current = points;
+
+    for (let pass = 0; pass < 2; pass++) {
+        current = current.map((point, index) => {
+            const isEnd = index === 0 || index === current.length - 1;
+            if (isEnd && !closed) return point;
+
+            const previous = current[(index - 1 + current.length) % current.length];
+            const next = current[(index + 1) % current.length];
+            return [(previous[0] + point[0] + next[0]) / 3, (previous[1] + point[1] + next[1]) / 3];
+        });
+    }
+
+    return current;
+}
+
+/**
+ * Traces the centerlines of filled SVG paths. The shapes are filled onto a
+ * canvas (nonzero rule), thinned to a skeleton and traced back into
+ * polylines, so a filled logo or letterform becomes single strokes rather
+ * than its doubled outline.
+ * @param {Array<string>} pathDataList - Path data in SVG user units
+ * @param {Object} options
+ * @param {number} options.rasterSize - Longest side of the raster in pixels (default: 768)
+ * @param {number} options.pruneLength - Drop skeleton spurs shorter than this fraction of the longest side (default: 0.02)
+ * @returns {Array<{points: Array<[number, number]>, closed: boolean}>} Polylines in SVG user units
+ */
+export function traceFilledPathCenterlines(pathDataList, options = {}) {
+    const {
+        rasterSize = CENTERLINE_RASTER_SIZE,
+        pruneLength = 0.02
+    } = options;
+
+    const bounds = samplePathBounds(pathDataList);
+    if (!bounds) return [];
+
+    const padding = CENTERLINE_RASTER_PADDING;
+    const extent = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    if (extent <= 0) return [];
+
+    const rasterScale = (rasterSize - padding * 2) / extent;
+    const width = Math.ceil((bounds.maxX - bounds.minX) * rasterScale) + padding * 2;
+    const height = Math.ceil((bounds.maxY - bounds.minY) * rasterScale) + padding * 2;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.setTransform(
+        rasterScale, 0, 0, rasterScale,
+        padding - bounds.minX * rasterScale,
+        padding - bounds.minY * rasterScale
+    );
+    pathDataList.forEach((pathData) => {
+        ctx.fill(new Path2D(pathData));
+    });
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const binary = new Uint8Array(width * height);
+    for (let i = 0; i < binary.length; i++) {
+        binary[i] = data[i * 4 + 3] >= 128 ? 1 : 0;
+    }
+
+    const skeletonPaths = traceSkeletonPaths(thinMask(binary, width, height), width, height, {
+        pruneLength: pruneLength * rasterSize,
+        minPoints: 3
+    });
+
+    return skeletonPaths.map(({ points, closed }) => ({
+        closed,
+        points: smoothPolyline(points, closed).map(([x, y]) => [
+            (x - padding) / rasterScale + bounds.minX,
+            (y - padding) / rasterScale + bounds.minY
+        ])
+    }));
+}
+
+/**
+ * Evenly resamples a polyline.
+ * @param {Array<[number, number]>} points
+ * @param {number} numPoints
+ * @returns {Array<[number, number]>}
+ */
+function resamplePolyline(points, numPoints) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        distances.push(distances[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+    }
+
+    const totalLength = distances[distances.length - 1];
+    const resampled = [];
+    let segment = 1;
+
+    for (let i = 0; i < numPoints; i++) {
+        const distance = (i / (numPoints - 1)) * totalLength;
+        while (segment < points.length - 1 && distances[segment] < distance) segment++;
+
+        const span = distances[segment] - distances[segment - 1] || 1;
+        const t = Math.min(1, Math.max(0, (distance - distances[segment - 1]) / span));
+        const [x0, y0] = points[segment - 1];
+        const [x1, y1] = points[segment];
+        resampled.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+    }
+
+    return resampled;
+}
+
 /**
  * Parses SVG content with dynamic resolution based on path lengths
  * Each subpath gets a resolution proportional to its length
@@ -530,6 +676,7 @@ export function parseSvgContentMultiPath(svgContent, numPoints = 100, scale = 1,
  * @param {number} options.pointsPerUnit - Points per unit of path length (default: 0.5)
  * @param {number} options.minPoints - Minimum points per subpath (default: 50)
  * @param {number} options.maxPoints - Maximum points per subpath (default: 2000)
+ * @param {boolean} options.centerline - Trace the centerlines of filled shapes instead of their outlines (default: false)
  * @param {number} scale - Scale factor for the points
  * @param {number} z - Z position for all points
  * @returns {Array<Array<THREE.Vector3>>} Array of point arrays (one per geometry path)
@@ -538,7 +685,8 @@ export function parseSvgContentDynamicResolution(svgContent, options = {}, scale
     const {
         pointsPerUnit = POINTS_PER_UNIT,
         minPoints = MIN_POINTS_PER_PATH,
-        maxPoints = MAX_POINTS_PER_PATH
+        maxPoints = MAX_POINTS_PER_PATH,
+        centerline = false
     } = options;
     
     try {
@@ -572,6 +720,27 @@ export function parseSvgContentDynamicResolution(svgContent, options = {}, scale
         
         const pathsPoints = [];
         let totalPoints = 0;
+
+        if (centerline) {
+            traceFilledPathCenterlines(paths).forEach(({ points, closed }) => {
+                const polyline = closed ? [...points, points[0]] : points;
+                let rawLength = 0;
+                for (let i = 1; i < polyline.length; i++) {
+                    rawLength += Math.hypot(polyline[i][0] - polyline[i - 1][0], polyline[i][1] - polyline[i - 1][1]);
+                }
+
+                const basePoints = rawLength * adjustedScale * pointsPerUnit * 100;
+                const numPoints = Math.max(minPoints, Math.min(maxPoints, Math.round(basePoints)));
+                const sampled = resamplePolyline(polyline, numPoints)
+                    .map(([x, y]) => new THREE.Vector3(x * adjustedScale, -y * adjustedScale, z));
+
+                pathsPoints.push(sampled);
+                totalPoints += sampled.length;
+            });
+
+            console.log(`[SVG] Centerline: ${pathsPoints.length} paths, ${totalPoints} total points`);
+            return pathsPoints;
+        }
         
         paths.forEach((pathData, index) => {
             if (!pathData) return;
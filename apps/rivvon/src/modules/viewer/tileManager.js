@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { acquireKTX2Loader, releaseKTX2Loader } from '../slyce/sharedKTX2Loader.js';
+import { CROSS_SECTION_PLAYBACK_WRAP, getCrossSectionPlaybackMode } from '../slyce/crossSectionStrategies.js';
 import { createLazyLoader } from '../shared/lazyLoader.js';
 import { getClonedDecodedTexture, rememberDecodedTexture } from '../shared/decodedTextureCache.js';
 import { normalizeWebGPUArrayTexture } from '../shared/webgpuTextureCompatibility.js';
@@ -1026,7 +1027,7 @@ export class TileManager {
                     // Determine variant from metadata
                     const crossSectionType = this.metadata?.settings?.crossSectionType;
                     if (crossSectionType) {
-                        this.variant = crossSectionType; // 'planes' or 'waves'
+                        this.variant = crossSectionType; // any registered cross-section type
                         console.log(`[TileManager] Variant set from metadata: ${this.variant}`);
                     }
                 } catch (error) {
@@ -2867,12 +2868,18 @@ ${SCENE_COLOR_ADJUST_GLSL}
         };
     }
 
+    // Wrapped strategies (waves, radial, spiral) loop layer N-1 -> 0;
+    // all others ping-pong back through the stack.
+    #usesWrappedLayerCycle() {
+        return getCrossSectionPlaybackMode(this.variant) === CROSS_SECTION_PLAYBACK_WRAP;
+    }
+
     #getLayerSequenceFrameCount() {
         if (this.layerCount <= 1) {
             return 0;
         }
 
-        return this.variant === 'waves'
+        return this.#usesWrappedLayerCycle()
             ? this.layerCount
             : (2 * (this.layerCount - 1));
     }
@@ -2883,7 +2890,7 @@ ${SCENE_COLOR_ADJUST_GLSL}
             return 0;
         }
 
-        if (this.variant === 'waves') {
+        if (this.#usesWrappedLayerCycle()) {
             return positiveModulo(this.currentLayer, frameCount);
         }
 
@@ -2904,7 +2911,7 @@ ${SCENE_COLOR_ADJUST_GLSL}
 
         const normalizedFrame = positiveModulo(cycleFrame, frameCount);
 
-        if (this.variant === 'waves') {
+        if (this.#usesWrappedLayerCycle()) {
             this.currentLayer = positiveModulo(normalizedFrame, this.layerCount);
             this.direction = 1;
             return true;
@@ -3176,9 +3183,9 @@ ${SCENE_COLOR_ADJUST_GLSL}
 
     /**
      * Get the layer cycle period (time to complete one full animation cycle)
-     * Accounts for different cycling modes:
-     * - 'waves': wraps around (0 → layerCount-1 → 0), cycle = layerCount frames
-     * - 'planes': ping-pong (0 → layerCount-1 → 0), cycle = 2*(layerCount-1) frames
+     * Accounts for the cross-section type's playback mode:
+     * - wrap (waves, radial, spiral): 0 → layerCount-1 → 0, cycle = layerCount frames
+     * - ping-pong (planes, diagonal, curve): cycle = 2*(layerCount-1) frames
      * @returns {number} Cycle period in seconds
      */
     getLayerCyclePeriod() {
@@ -3772,7 +3779,7 @@ ${SCENE_COLOR_ADJUST_GLSL}
                     // Determine variant from metadata
                     const crossSectionType = this.metadata?.settings?.crossSectionType;
                     if (crossSectionType) {
-                        this.variant = crossSectionType; // 'planes' or 'waves'
+                        this.variant = crossSectionType; // any registered cross-section type
                         console.log(`[TileManager] Variant set from metadata: ${this.variant}`);
                     }
                 } catch (error) {
@@ -4157,7 +4164,7 @@ ${SCENE_COLOR_ADJUST_GLSL}
      * @param {Array} textureSet.tiles - Array of { tileIndex, url, fileSize }
      * @param {number} textureSet.tile_count - Number of tiles
      * @param {number} textureSet.layer_count - Layers per tile
-     * @param {string} textureSet.cross_section_type - 'planes' or 'waves'
+     * @param {string} textureSet.cross_section_type - Cross-section strategy id (see crossSectionStrategies.js)
      * @param {Function} onProgress - Optional progress callback: (stage, current, total) => {}
      * @returns {Promise<boolean>} True if successful, false otherwise
      */
@@ -4498,7 +4505,7 @@ ${SCENE_COLOR_ADJUST_GLSL}
      * @param {string} textureSet.id - Texture set ID
      * @param {number} textureSet.tile_count - Number of tiles
      * @param {number} textureSet.layer_count - Layers per tile
-     * @param {string} textureSet.cross_section_type - 'planes' or 'waves'
+     * @param {string} textureSet.cross_section_type - Cross-section strategy id (see crossSectionStrategies.js)
      * @param {string} textureSet.thumbnail_data_url - Thumbnail for background
      * @param {Function} getTiles - Function to get tiles from localStorage: (textureSetId) => Promise<Array>
      * @param {Function} onProgress - Optional progress callback: (stage, current, total) => {}
@@ -15,6 +15,8 @@ const DEFAULT_VIEWER_CONTEXT_ORDER = [
     'contour',
     'sineWave',
     'clock',
+    'body',
+    'artboard',
     'tools',
     'about',
 ];
@@ -133,6 +135,22 @@ const VIEWER_CONTEXT_DEFINITIONS = {
             return true;
         },
     },
+    body: {
+        title: 'Body',
+        isActive: (app) => isViewerPanelVisible(app, 'body'),
+        close: (app) => {
+            app.hideBodyTrackingPanel();
+            return true;
+        },
+    },
+    artboard: {
+        title: 'Artboard',
+        isActive: (app) => isViewerPanelVisible(app, 'artboard'),
+        close: (app) => {
+            app.hideArtboardPanel();
+            return true;
+        },
+    },
     tools: {
         title: 'Tools',
         isActive: (app) => isViewerPanelVisible(app, 'tools'),
@@ -11,6 +11,7 @@ export const ARTWORK_MOTION_MODES = [
   "circularTilt",
   "circularOrbit",
   "circularOrbitReverse",
+  "recordedOrbit",
 ];
 
 export const DEFAULT_ARTWORK_MOTION_MODE = "none";
@@ -42,6 +43,11 @@ export const ARTWORK_MOTION_OPTIONS = [
     value: "circularOrbitReverse",
     description: "Artwork completes one full clockwise turntable orbit.",
   },
+  {
+    label: "Recorded Orbit",
+    value: "recordedOrbit",
+    description: "Camera replays your recorded orbit take as a seamless loop.",
+  },
 ];
 
 export function normalizeArtworkMotionMode(value) {
@@ -10,6 +10,8 @@ export const VIEWER_PANEL_KEYS = Object.freeze({
     contour: 'contourPanelVisible',
     sineWave: 'sineWavePanelVisible',
     clock: 'clockPanelVisible',
+    body: 'bodyTrackingPanelVisible',
+    artboard: 'artboardPanelVisible',
     about: 'aboutPanelVisible',
 });
 
@@ -0,0 +1,15 @@
+// src/modules/viewer/visionTasksRuntime.js
+// Shared loader for @mediapipe/tasks-vision. Every landmarker (face, pose,
+// hand) resolves its wasm from the same locally copied root, so the patched
+// package is the one that runs and the runtime is only fetched once.
+
+import { createLazyLoader } from '../shared/lazyLoader.js';
+
+const TASKS_VISION_VERSION = '0.10.34';
+const TASKS_VISION_WASM_ROOT = `/vendor/mediapipe/tasks-vision/${TASKS_VISION_VERSION}/wasm`;
+
+export const loadTasksVisionModule = createLazyLoader(() => import('@mediapipe/tasks-vision'));
+
+export const loadVisionRuntime = createLazyLoader(() => loadTasksVisionModule().then(({ FilesetResolver }) => (
+    FilesetResolver.forVisionTasks(TASKS_VISION_WASM_ROOT)
+)));
@@ -0,0 +1,359 @@
+// src/modules/viewer/walkChannels.js
+// Timing, speed and elevation carried by captured walks. Finalized walk
+// paths keep per-sample timestamp, speed and altitude (see pathFinalizer);
+// this module turns them into the channels stored with a walk drawing and
+// into ribbon inputs: Z offsets from elevation, width profiles from speed,
+// and growing path prefixes for replay.
+
+import { mercatorToLatLng } from './mercator.js';
+
+// Pace used to time routes that were imported without timestamps
+export const WALKING_PACE_MPS = 1.4;
+export const WIDTH_PROFILE_SAMPLE_COUNT = 64;
+export const MIN_SPEED_WIDTH_SCALE = 0.35;
+// The finished route stays on screen this long before a replay loops
+export const REPLAY_HOLD_SECONDS = 1.5;
+
+export const WALK_REPLAY_SPEEDS = Object.freeze([
+    { value: 1, label: 'Real time' },
+    { value: 10, label: '10×' },
+    { value: 60, label: '60×' },
+    { value: 300, label: '300×' },
+    { value: 1200, label: '1200×' }
+]);
+
+export const MAX_ELEVATION_EXAGGERATION = 25;
+
+export const DEFAULT_WALK_PLAYBACK_SETTINGS = Object.freeze({
+    elevationExaggeration: 5,
+    speedWidthEnabled: true,
+    replayEnabled: false,
+    replaySpeed: 60
+});
+
+const SPEED_SMOOTHING_RADIUS = 3;
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function groundDistance(a, b, metersPerUnit) {
+    return Math.hypot(b.x - a.x, b.y - a.y) * metersPerUnit;
+}
+
+function getCumulativeLengths(points) {
+    const lengths = [0];
+
+    for (let index = 1; index < points.length; index++) {
+        const a = points[index - 1];
+        const b = points[index];
+        lengths.push(lengths[index - 1] + Math.hypot(b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0)));
+    }
+
+    return lengths;
+}
+
+// Forward/backward fill so a few samples without a value do not break a channel
+function fillMissing(values, fallback) {
+    const filled = [...values];
+    let last = null;
+
+    for (let index = 0; index < filled.length; index++) {
+        if (Number.isFinite(filled[index])) {
+            last = filled[index];
+        } else if (last !== null) {
+            filled[index] = last;
+        }
+    }
+
+    const firstKnown = filled.find(Number.isFinite);
+    return filled.map(value => (Number.isFinite(value) ? value : firstKnown ?? fallback));
+}
+
+function smoothValues(values, radius) {
+    return values.map((_, index) => {
+        const start = Math.max(0, index - radius);
+        const end = Math.min(values.length - 1, index + radius);
+        let sum = 0;
+
+        for (let cursor = start; cursor <= end; cursor++) {
+            sum += values[cursor];
+        }
+
+        return sum / (end - start + 1);
+    });
+}
+
+// Spreading into Math.min/max overflows the stack on very long walks
+function getRange(values) {
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    return { min, max };
+}
+
+function percentile(values, fraction) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * (sorted.length - 1)))];
+}
+
+/**
+ * @param {Object} [settings]
+ * @returns {typeof DEFAULT_WALK_PLAYBACK_SETTINGS}
+ */
+export function normalizeWalkPlaybackSettings(settings = {}) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const exaggeration = Number(source.elevationExaggeration);
+
+    return {
+        elevationExaggeration: Number.isFinite(exaggeration)
+            ? Math.max(0, Math.min(MAX_ELEVATION_EXAGGERATION, exaggeration))
+            : DEFAULT_WALK_PLAYBACK_SETTINGS.elevationExaggeration,
+        speedWidthEnabled: typeof source.speedWidthEnabled === 'boolean'
+            ? source.speedWidthEnabled
+            : DEFAULT_WALK_PLAYBACK_SETTINGS.speedWidthEnabled,
+        replayEnabled: source.replayEnabled === true,
+        replaySpeed: WALK_REPLAY_SPEEDS.some(option => option.value === source.replaySpeed)
+            ? source.replaySpeed
+            : DEFAULT_WALK_PLAYBACK_SETTINGS.replaySpeed
+    };
+}
+
+/**
+ * Ground metres per Web Mercator unit at the latitude of the walk.
+ * @param {Array<Array<{x: number, y: number}>>} paths - Mercator metres
+ * @returns {number}
+ */
+export function getMercatorGroundScale(paths) {
+    const points = paths.flat();
+    if (points.length === 0) return 1;
+
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    return Math.cos(mercatorToLatLng(0, meanY).lat * Math.PI / 180);
+}
+
+/**
+ * Channels stored with a walk drawing, one array per path and one value per
+ * point. Times are seconds from the start of the walk; paths without
+ * timestamps are timed at walking pace after the previous path. Speeds come
+ * from the device where it reported them, otherwise from distance over time.
+ * @param {Array<Array<Object>>} paths - Finalized walk paths in Mercator
+ *   metres, with optional timestamp (ms), speed (m/s) and altitude (m)
+ * @returns {{ times: number[][], speeds: number[][], altitudes: number[][]|null }}
+ */
+export function createWalkChannels(paths) {
+    const metersPerUnit = getMercatorGroundScale(paths);
+    const allTimestamps = paths.flat().map(point => point.timestamp).filter(Number.isFinite);
+    const startTimestamp = allTimestamps.length > 0 ? getRange(allTimestamps).min : null;
+    const hasAltitude = paths.some(path => path.some(point => Number.isFinite(point.altitude)));
+    const allAltitudes = paths.flat().map(point => point.altitude).filter(Number.isFinite);
+    const meanAltitude = allAltitudes.length > 0
+        ? allAltitudes.reduce((sum, value) => sum + value, 0) / allAltitudes.length
+        : 0;
+
+    const times = [];
+    const speeds = [];
+    const altitudes = [];
+    let previousEnd = 0;
+
+    for (const path of paths) {
+        const timed = startTimestamp !== null && path.every(point => Number.isFinite(point.timestamp));
+        const pathTimes = [];
+
+        path.forEach((point, index) => {
+            let time = timed
+                ? (point.timestamp - startTimestamp) / 1000
+                : (index === 0
+                    ? previousEnd
+                    : pathTimes[index - 1] + groundDistance(path[index - 1], point, metersPerUnit) / WALKING_PACE_MPS);
+
+            // Interpolated timestamps can wobble where smoothing doubles back
+            if (index > 0) {
+                time = Math.max(time, pathTimes[index - 1]);
+            }
+
+            pathTimes.push(time);
+        });
+
+        const derivedSpeeds = path.map((point, index) => {
+            if (Number.isFinite(point.speed)) {
+                return Math.max(0, point.speed);
+            }
+
+            const before = path[Math.max(0, index - 1)];
+            const after = path[Math.min(path.length - 1, index + 1)];
+            const elapsed = pathTimes[Math.min(path.length - 1, index + 1)] - pathTimes[Math.max(0, index - 1)];
+
+            return elapsed > 0 ? groundDistance(before, after, metersPerUnit) / elapsed : null;
+        });
+
+        times.push(pathTimes.map(value => roundTo(value, 2)));
+        speeds.push(smoothValues(fillMissing(derivedSpeeds, WALKING_PACE_MPS), SPEED_SMOOTHING_RADIUS)
+            .map(value => roundTo(value, 2)));
+        altitudes.push(fillMissing(path.map(point => point.altitude), meanAltitude).map(value => roundTo(value, 2)));
+        previousEnd = pathTimes[pathTimes.length - 1] ?? previousEnd;
+    }
+
+    return {
+        times,
+        speeds,
+        altitudes: hasAltitude ? altitudes : null
+    };
+}
+
+/**
+ * Scene units per ground metre once walk paths have been normalized for the
+ * viewer, so elevation can be drawn at the same scale as distance.
+ * @param {Array<Array<{x: number, y: number}>>} rawPaths - Mercator metres
+ * @param {Array<Array<{x: number, y: number}>>} normalizedPaths
+ * @returns {number}
+ */
+export function getWalkUnitsPerMeter(rawPaths, normalizedPaths) {
+    const getMaxDimension = (paths) => {
+        const points = paths.flat();
+        const xRange = getRange(points.map(point => point.x));
+        const yRange = getRange(points.map(point => point.y));
+        return Math.max(xRange.max - xRange.min, yRange.max - yRange.min);
+    };
+
+    const rawSize = getMaxDimension(rawPaths);
+    if (!(rawSize > 0)) return 0;
+
+    return getMaxDimension(normalizedPaths) / rawSize / getMercatorGroundScale(rawPaths);
+}
+
+/**
+ * Copy the paths with Z taken from the altitude channel, centred on the
+ * middle of the elevation range.
+ * @param {Array<Array<THREE.Vector3>>} paths
+ * @param {Object} channels - From createWalkChannels, with unitsPerMeter
+ * @param {number} exaggeration - Multiplier on the true vertical scale
+ * @returns {Array<Array<THREE.Vector3>>}
+ */
+export function applyWalkElevation(paths, channels, exaggeration = 1) {
+    const altitudes = channels?.altitudes;
+    const scale = (Number(channels?.unitsPerMeter) || 0) * exaggeration;
+
+    if (!Array.isArray(altitudes) || !(scale > 0)) {
+        return paths.map(points => points.map(point => point.clone().setZ(0)));
+    }
+
+    const range = getRange(altitudes.flat().filter(Number.isFinite));
+    const middle = (range.min + range.max) / 2;
+
+    return paths.map((points, pathIndex) => points.map((point, index) => {
+        const altitude = altitudes[pathIndex]?.[index];
+        return point.clone().setZ(Number.isFinite(altitude) ? (altitude - middle) * scale : 0);
+    }));
+}
+
+/**
+ * Width scales along each path from the speed channel, sampled at even
+ * arc-length steps. The fastest stretch (ignoring GPS spikes) is full width.
+ * @param {Array<Array<{x: number, y: number, z?: number}>>} paths
+ * @param {Object} channels - From createWalkChannels
+ * @returns {number[][]|null}
+ */
+export function getWalkWidthProfiles(paths, channels) {
+    const speeds = channels?.speeds;
+    if (!Array.isArray(speeds)) return null;
+
+    const referenceSpeed = percentile(speeds.flat(), 0.95);
+    if (!(referenceSpeed > 0)) return null;
+
+    return paths.map((points, pathIndex) => {
+        const pathSpeeds = speeds[pathIndex] ?? [];
+        const lengths = getCumulativeLengths(points);
+        const totalLength = lengths[lengths.length - 1];
+        const profile = [];
+        let cursor = 0;
+
+        for (let sample = 0; sample < WIDTH_PROFILE_SAMPLE_COUNT; sample++) {
+            const distance = totalLength * sample / (WIDTH_PROFILE_SAMPLE_COUNT - 1);
+
+            while (cursor < lengths.length - 2 && lengths[cursor + 1] < distance) {
+                cursor++;
+            }
+
+            const span = lengths[cursor + 1] - lengths[cursor];
+            const t = span > 0 ? Math.min(1, Math.max(0, (distance - lengths[cursor]) / span)) : 0;
+            const from = pathSpeeds[cursor] ?? referenceSpeed;
+            const to = pathSpeeds[cursor + 1] ?? from;
+            const ratio = Math.min(1, (from + (to - from) * t) / referenceSpeed);
+
+            profile.push(roundTo(MIN_SPEED_WIDTH_SCALE + (1 - MIN_SPEED_WIDTH_SCALE) * ratio, 3));
+        }
+
+        return profile;
+    });
+}
+
+/**
+ * Seconds from the first to the last sample of a timed route.
+ * @param {number[][]} times
+ * @returns {number}
+ */
+export function getTimedPathsDuration(times) {
+    return Math.max(0, ...(times ?? []).map(pathTimes => pathTimes[pathTimes.length - 1] ?? 0));
+}
+
+/**
+ * The part of each path covered by a given moment of a timed route, ending
+ * in a point interpolated between samples. Paths that have not started yet
+ * are left out.
+ * @param {Array<Array<THREE.Vector3>>} paths
+ * @param {number[][]} times - Seconds per point, as from createWalkChannels
+ * @param {number} routeTime - Seconds into the route
+ * @returns {Array<{ pathIndex: number, points: THREE.Vector3[], extent: number }>}
+ *   extent is the fraction of the full path length that is shown
+ */
+export function getTimedPathPrefixes(paths, times, routeTime) {
+    const prefixes = [];
+
+    paths.forEach((points, pathIndex) => {
+        const pathTimes = times?.[pathIndex];
+        if (!Array.isArray(pathTimes) || pathTimes.length !== points.length || points.length < 2) {
+            return;
+        }
+
+        if (routeTime <= pathTimes[0]) {
+            return;
+        }
+
+        const lastIndex = points.length - 1;
+        if (routeTime >= pathTimes[lastIndex]) {
+            prefixes.push({ pathIndex, points, extent: 1 });
+            return;
+        }
+
+        let index = 0;
+        while (index < lastIndex - 1 && pathTimes[index + 1] <= routeTime) {
+            index++;
+        }
+
+        const span = pathTimes[index + 1] - pathTimes[index];
+        const t = span > 0 ? (routeTime - pathTimes[index]) / span : 1;
+        const prefix = points.slice(0, index + 1);
+        prefix.push(points[index].clone().lerp(points[index + 1], t));
+
+        const lengths = getCumulativeLengths(points);
+        const prefixLengths = getCumulativeLengths(prefix);
+        const totalLength = lengths[lengths.length - 1];
+
+        prefixes.push({
+            pathIndex,
+            points: prefix,
+            extent: totalLength > 0 ? prefixLengths[prefixLengths.length - 1] / totalLength : 1
+        });
+    });
+
+    return prefixes;
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+
+import {
+    DEFAULT_WALK_PLAYBACK_SETTINGS,
+    WALKING_PACE_MPS,
+    WIDTH_PROFILE_SAMPLE_COUNT,
+    applyWalkElevation,
+    createWalkChannels,
+    getTimedPathPrefixes,
+    getTimedPathsDuration,
+    getWalkWidthProfiles,
+    normalizeWalkPlaybackSettings,
+} from './walkChannels.js';
+
+function toVectors(paths) {
+    return paths.map(points => points.map(point => new THREE.Vector3(point.x, point.y, 0)));
+}
+
+describe('createWalkChannels', () => {
+    it('times samples from the start of the walk and derives missing speeds', () => {
+        const channels = createWalkChannels([[
+            { x: 0, y: 0, timestamp: 10_000, altitude: 50 },
+            { x: 10, y: 0, timestamp: 20_000, altitude: null },
+            { x: 20, y: 0, timestamp: 30_000, speed: 3, altitude: 70 }
+        ]]);
+
+        expect(channels.times).toEqual([[0, 10, 20]]);
+        expect(channels.altitudes).toEqual([[50, 50, 70]]);
+        expect(channels.speeds[0].every(speed => speed > 0)).toBe(true);
+    });
+
+    it('times untimed routes at walking pace and continues across paths', () => {
+        const channels = createWalkChannels([
+            [{ x: 0, y: 0 }, { x: 14, y: 0 }],
+            [{ x: 20, y: 0 }, { x: 34, y: 0 }]
+        ]);
+
+        expect(channels.times[0][1]).toBeCloseTo(14 / WALKING_PACE_MPS, 1);
+        expect(channels.times[1][0]).toBe(channels.times[0][1]);
+        expect(channels.altitudes).toBeNull();
+    });
+});
+
+describe('applyWalkElevation', () => {
+    it('centres elevation and scales it by the exaggeration', () => {
+        const [path] = applyWalkElevation(
+            toVectors([[{ x: 0, y: 0 }, { x: 1, y: 0 }]]),
+            { altitudes: [[100, 140]], unitsPerMeter: 0.1 },
+            2,
+        );
+
+        expect(path.map(point => point.z)).toEqual([-4, 4]);
+    });
+
+    it('flattens walks without altitude', () => {
+        const [path] = applyWalkElevation([[new THREE.Vector3(0, 0, 3)]], { altitudes: null }, 5);
+        expect(path[0].z).toBe(0);
+    });
+});
+
+describe('getWalkWidthProfiles', () => {
+    it('narrows the ribbon where the walk was slower', () => {
+        const [profile] = getWalkWidthProfiles(
+            toVectors([[{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }]]),
+            { speeds: [[0.5, 1, 2]] },
+        );
+
+        expect(profile).toHaveLength(WIDTH_PROFILE_SAMPLE_COUNT);
+        expect(profile[0]).toBeLessThan(profile[profile.length - 1]);
+        expect(profile[profile.length - 1]).toBe(1);
+    });
+});
+
+describe('getTimedPathPrefixes', () => {
+    const paths = toVectors([
+        [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }],
+        [{ x: 0, y: 5 }, { x: 10, y: 5 }]
+    ]);
+    const times = [[0, 10, 20], [30, 40]];
+
+    it('ends each started path at an interpolated point', () => {
+        const [prefix, ...rest] = getTimedPathPrefixes(paths, times, 15);
+
+        expect(rest).toHaveLength(0);
+        expect(prefix.points).toHaveLength(3);
+        expect(prefix.points[2].x).toBeCloseTo(15);
+        expect(prefix.extent).toBeCloseTo(0.75);
+    });
+
+    it('shows whole paths once their time has passed', () => {
+        const prefixes = getTimedPathPrefixes(paths, times, 35);
+
+        expect(prefixes.map(prefix => prefix.pathIndex)).toEqual([0, 1]);
+        expect(prefixes[0].extent).toBe(1);
+        expect(getTimedPathsDuration(times)).toBe(40);
+    });
+});
+
+describe('normalizeWalkPlaybackSettings', () => {
+    it('clamps exaggeration and rejects unknown replay speeds', () => {
+        expect(normalizeWalkPlaybackSettings({ elevationExaggeration: 99, replaySpeed: 7 })).toEqual({
+            ...DEFAULT_WALK_PLAYBACK_SETTINGS,
+            elevationExaggeration: 25,
+        });
+    });
+});
@@ -0,0 +1,136 @@
+// src/modules/viewer/walkMapLayers.js
+// Builds the Leaflet basemap layer for a resolved walk map provider. Vector
+// renderers are imported on demand so the default raster map does not pull
+// in pmtiles or MapLibre.
+
+import L from 'leaflet';
+import { CachedPMTilesSource, fetchWithWalkTileCache } from './walkTileCache.js';
+
+const CACHE_PROTOCOL = 'rivvon-tile-cache';
+let maplibreCacheProtocolRegistered = false;
+
+// Tile layer that loads images through the offline tile cache
+const CachedTileLayer = L.TileLayer.extend({
+    createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        fetchWithWalkTileCache(this.getTileUrl(coords))
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Tile request failed with ${response.status}`);
+                }
+
+                return response.blob();
+            })
+            .then((blob) => {
+                const objectUrl = URL.createObjectURL(blob);
+                tile.onload = () => {
+                    URL.revokeObjectURL(objectUrl);
+                    done(null, tile);
+                };
+                tile.onerror = (error) => {
+                    URL.revokeObjectURL(objectUrl);
+                    done(error, tile);
+                };
+                tile.src = objectUrl;
+            })
+            .catch(error => done(error, tile));
+
+        return tile;
+    }
+});
+
+function createRasterLayer(provider) {
+    const options = {
+        attribution: provider.attribution,
+        maxZoom: provider.maxZoom,
+        ...(provider.subdomains ? { subdomains: provider.subdomains } : {})
+    };
+
+    return provider.offlineCache
+        ? new CachedTileLayer(provider.url, options)
+        : L.tileLayer(provider.url, options);
+}
+
+async function createPMTilesLayer(provider) {
+    const [{ leafletLayer }, { PMTiles, FetchSource }] = await Promise.all([
+        import('protomaps-leaflet'),
+        import('pmtiles')
+    ]);
+
+    const archive = provider.offlineCache
+        ? new PMTiles(new CachedPMTilesSource(new FetchSource(provider.url)))
+        : new PMTiles(provider.url);
+
+    // Fail here rather than rendering an empty map when the URL is wrong
+    await archive.getHeader();
+
+    return leafletLayer({
+        url: archive,
+        flavor: provider.flavor,
+        attribution: provider.attribution,
+        maxZoom: provider.maxZoom
+    });
+}
+
+function registerMaplibreCacheProtocol(maplibregl) {
+    if (maplibreCacheProtocolRegistered) {
+        return;
+    }
+
+    maplibregl.addProtocol(CACHE_PROTOCOL, async (params, abortController) => {
+        const url = params.url.slice(`${CACHE_PROTOCOL}://`.length);
+        const response = await fetchWithWalkTileCache(url, { signal: abortController.signal });
+
+        if (!response.ok) {
+            throw new Error(`Tile request failed with ${response.status}`);
+        }
+
+        return { data: await response.arrayBuffer() };
+    });
+
+    maplibreCacheProtocolRegistered = true;
+}
+
+async function createMaplibreLayer(provider) {
+    const { default: maplibregl } = await import('maplibre-gl');
+    await Promise.all([
+        import('maplibre-gl/dist/maplibre-gl.css'),
+        // Registers L.maplibreGL on the shared Leaflet instance
+        import('@maplibre/maplibre-gl-leaflet')
+    ]);
+
+    const options = {
+        style: provider.url,
+        maxZoom: provider.maxZoom
+    };
+
+    if (provider.offlineCache) {
+        registerMaplibreCacheProtocol(maplibregl);
+        options.transformRequest = (url, resourceType) => (
+            resourceType === 'Tile' && /^https?:\/\//i.test(url)
+                ? { url: `${CACHE_PROTOCOL}://${url}` }
+                : { url }
+        );
+    }
+
+    return L.maplibreGL(options);
+}
+
+/**
+ * @param {Object} provider - From resolveWalkMapProvider
+ * @returns {Promise<L.Layer>}
+ */
+export async function createWalkMapLayer(provider) {
+    if (provider.kind === 'pmtiles') {
+        return createPMTilesLayer(provider);
+    }
+
+    if (provider.kind === 'maplibre') {
+        return createMaplibreLayer(provider);
+    }
+
+    return createRasterLayer(provider);
+}
@@ -0,0 +1,173 @@
+// src/modules/viewer/walkMapProviders.js
+// Basemaps for the walk map. Raster providers are plain XYZ tile templates;
+// 'pmtiles' renders vector tiles from a single Protomaps archive (which can be
+// self-hosted next to the app) and 'maplibre' renders any MapLibre style JSON.
+// The two vector kinds need a URL from the viewer preferences before they can
+// be selected.
+
+const CARTO_ATTRIBUTION = '&copy; OpenStreetMap &copy; CARTO';
+const PROTOMAPS_ATTRIBUTION = '<a href="https://protomaps.com">Protomaps</a> &copy; OpenStreetMap';
+
+export const WALK_MAP_PROVIDERS = Object.freeze([
+    {
+        id: 'dark',
+        label: 'Dark',
+        icon: 'dark_mode',
+        kind: 'raster',
+        theme: 'dark',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: CARTO_ATTRIBUTION,
+        subdomains: 'abcd',
+        maxZoom: 20,
+        // The dark Carto tiles are too dim to read under the ribbon overlay
+        tileFilter: 'brightness(3)'
+    },
+    {
+        id: 'light',
+        label: 'Light',
+        icon: 'light_mode',
+        kind: 'raster',
+        theme: 'light',
+        url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        attribution: CARTO_ATTRIBUTION,
+        subdomains: 'abcd',
+        maxZoom: 20
+    },
+    {
+        id: 'satellite',
+        label: 'Satellite',
+        icon: 'satellite_alt',
+        kind: 'raster',
+        theme: 'satellite',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Imagery &copy; Esri, Maxar, Earthstar Geographics',
+        maxZoom: 19
+    },
+    {
+        id: 'pmtiles',
+        label: 'Vector',
+        icon: 'layers',
+        kind: 'pmtiles',
+        requires: 'pmtilesUrl',
+        attribution: PROTOMAPS_ATTRIBUTION,
+        maxZoom: 20
+    },
+    {
+        id: 'maplibre',
+        label: 'Style',
+        icon: 'palette',
+        kind: 'maplibre',
+        requires: 'styleUrl',
+        maxZoom: 22
+    }
+]);
+
+// Basemap flavours bundled with protomaps-leaflet
+export const PMTILES_FLAVORS = Object.freeze([
+    { value: 'dark', label: 'Dark', theme: 'dark' },
+    { value: 'light', label: 'Light', theme: 'light' },
+    { value: 'grayscale', label: 'Grayscale', theme: 'light' },
+    { value: 'black', label: 'Black', theme: 'dark' }
+]);
+
+export const DEFAULT_WALK_MAP_SETTINGS = Object.freeze({
+    providerId: 'dark',
+    pmtilesUrl: '',
+    pmtilesFlavor: 'dark',
+    styleUrl: '',
+    offlineCacheEnabled: false
+});
+
+function normalizeUrl(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    const trimmed = value.trim();
+    // Relative paths are allowed so an archive can be served from /public
+    return /^(https?:\/\/|\/|\.\.?\/)/i.test(trimmed) ? trimmed : '';
+}
+
+export function getWalkMapProvider(providerId) {
+    return WALK_MAP_PROVIDERS.find(provider => provider.id === providerId) ?? null;
+}
+
+/**
+ * @param {Object} [settings]
+ * @returns {typeof DEFAULT_WALK_MAP_SETTINGS}
+ */
+export function normalizeWalkMapSettings(settings = {}) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+
+    return {
+        providerId: getWalkMapProvider(source.providerId)
+            ? source.providerId
+            : DEFAULT_WALK_MAP_SETTINGS.providerId,
+        pmtilesUrl: normalizeUrl(source.pmtilesUrl),
+        pmtilesFlavor: PMTILES_FLAVORS.some(flavor => flavor.value === source.pmtilesFlavor)
+            ? source.pmtilesFlavor
+            : DEFAULT_WALK_MAP_SETTINGS.pmtilesFlavor,
+        styleUrl: normalizeUrl(source.styleUrl),
+        offlineCacheEnabled: source.offlineCacheEnabled === true
+    };
+}
+
+/**
+ * Whether a provider has everything it needs in the given settings.
+ * @param {{ requires?: string }} provider
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+export function isWalkMapProviderConfigured(provider, settings) {
+    return !provider?.requires || !!settings?.[provider.requires];
+}
+
+/**
+ * The provider to show for the saved settings, with its source URL filled in.
+ * Falls back to the default raster map when a vector provider has no URL.
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function resolveWalkMapProvider(settings) {
+    const normalized = normalizeWalkMapSettings(settings);
+    const selected = getWalkMapProvider(normalized.providerId);
+    const provider = isWalkMapProviderConfigured(selected, normalized)
+        ? selected
+        : getWalkMapProvider(DEFAULT_WALK_MAP_SETTINGS.providerId);
+
+    if (provider.kind === 'pmtiles') {
+        const flavor = PMTILES_FLAVORS.find(entry => entry.value === normalized.pmtilesFlavor);
+
+        return {
+            ...provider,
+            url: normalized.pmtilesUrl,
+            flavor: flavor.value,
+            theme: flavor.theme,
+            offlineCache: normalized.offlineCacheEnabled
+        };
+    }
+
+    if (provider.kind === 'maplibre') {
+        return {
+            ...provider,
+            url: normalized.styleUrl,
+            theme: 'light',
+            offlineCache: normalized.offlineCacheEnabled
+        };
+    }
+
+    return {
+        ...provider,
+        offlineCache: normalized.offlineCacheEnabled
+    };
+}
+
+/**
+ * Key that changes whenever the resolved provider would render differently,
+ * so the map only rebuilds its layer when it has to.
+ * @param {Object} provider - From resolveWalkMapProvider
+ * @returns {string}
+ */
+export function getWalkMapProviderKey(provider) {
+    return [provider.id, provider.url, provider.flavor ?? '', provider.offlineCache ? 'cache' : 'network'].join('|');
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    DEFAULT_WALK_MAP_SETTINGS,
+    getWalkMapProviderKey,
+    normalizeWalkMapSettings,
+    resolveWalkMapProvider,
+} from './walkMapProviders.js';
+
+describe('normalizeWalkMapSettings', () => {
+    it('falls back to defaults for unknown values', () => {
+        expect(normalizeWalkMapSettings({ providerId: 'terrain', pmtilesFlavor: 'neon' })).toEqual(DEFAULT_WALK_MAP_SETTINGS);
+    });
+
+    it('keeps absolute and relative URLs but drops other schemes', () => {
+        const settings = normalizeWalkMapSettings({
+            pmtilesUrl: ' /tiles/city.pmtiles ',
+            styleUrl: 'javascript:alert(1)',
+        });
+
+        expect(settings.pmtilesUrl).toBe('/tiles/city.pmtiles');
+        expect(settings.styleUrl).toBe('');
+    });
+});
+
+describe('resolveWalkMapProvider', () => {
+    it('uses the raster default until a vector source is configured', () => {
+        expect(resolveWalkMapProvider({ providerId: 'pmtiles' }).id).toBe('dark');
+        expect(resolveWalkMapProvider({ providerId: 'maplibre', styleUrl: 'https://example.com/style.json' }).url)
+            .toBe('https://example.com/style.json');
+    });
+
+    it('takes the PMTiles theme from the flavor', () => {
+        const provider = resolveWalkMapProvider({
+            providerId: 'pmtiles',
+            pmtilesUrl: 'https://example.com/area.pmtiles',
+            pmtilesFlavor: 'light',
+        });
+
+        expect(provider).toMatchObject({ kind: 'pmtiles', flavor: 'light', theme: 'light' });
+    });
+
+    it('only changes key when the rendered map would change', () => {
+        const base = { providerId: 'satellite', styleUrl: 'https://example.com/a.json' };
+
+        expect(getWalkMapProviderKey(resolveWalkMapProvider(base)))
+            .toBe(getWalkMapProviderKey(resolveWalkMapProvider({ ...base, styleUrl: 'https://example.com/b.json' })));
+        expect(getWalkMapProviderKey(resolveWalkMapProvider(base)))
+            .not.toBe(getWalkMapProviderKey(resolveWalkMapProvider({ ...base, offlineCacheEnabled: true })));
+    });
+});
@@ -0,0 +1,390 @@
+// src/modules/viewer/walkRoutes.js
+// Reading and writing walk routes as GPX, GeoJSON and KML files.
+// A route is { name, segments } where each segment is an array of
+// { lat, lng, altitude, timestamp } points; altitude and timestamp are null
+// when the source does not record them. Each segment becomes its own ribbon.
+
+import { latLngToMercator } from './mercator.js';
+
+export const ROUTE_FILE_EXTENSIONS = Object.freeze(['.gpx', '.kml', '.geojson']);
+
+const DEFAULT_ROUTE_NAME = 'Walk';
+
+function toFiniteNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    const timestamp = Date.parse(value.trim());
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function createRoutePoint(lat, lng, altitude = null, timestamp = null) {
+    const latitude = toFiniteNumber(lat);
+    const longitude = toFiniteNumber(lng);
+
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+
+    return {
+        lat: latitude,
+        lng: longitude,
+        altitude: toFiniteNumber(altitude),
+        timestamp: parseTimestamp(timestamp)
+    };
+}
+
+function createRoute(name, segments) {
+    const usableSegments = segments
+        .map(segment => segment.filter(Boolean))
+        .filter(segment => segment.length >= 2);
+
+    return {
+        name: typeof name === 'string' && name.trim() ? name.trim() : DEFAULT_ROUTE_NAME,
+        segments: usableSegments
+    };
+}
+
+function getRouteNameFromFileName(fileName) {
+    return typeof fileName === 'string'
+        ? fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '')
+        : '';
+}
+
+function getFileExtension(fileName) {
+    const match = /\.[^.]+$/.exec(String(fileName ?? '').toLowerCase());
+    return match ? match[0] : '';
+}
+
+// GeoJSON
+
+function readGeoJsonLine(coordinates, times = []) {
+    if (!Array.isArray(coordinates)) {
+        return [];
+    }
+
+    return coordinates.map((coordinate, index) => Array.isArray(coordinate)
+        ? createRoutePoint(coordinate[1], coordinate[0], coordinate[2], times?.[index])
+        : null);
+}
+
+function collectGeoJsonSegments(geometry, times, segments) {
+    if (!geometry || typeof geometry !== 'object') {
+        return;
+    }
+
+    switch (geometry.type) {
+        case 'LineString':
+            segments.push(readGeoJsonLine(geometry.coordinates, times));
+            break;
+        case 'MultiLineString':
+            geometry.coordinates?.forEach((line, index) => {
+                segments.push(readGeoJsonLine(line, times?.[index]));
+            });
+            break;
+        case 'GeometryCollection':
+            geometry.geometries?.forEach(child => collectGeoJsonSegments(child, null, segments));
+            break;
+        default:
+            break;
+    }
+}
+
+// Strava and togeojson keep per-point times in properties.coordTimes;
+// GeoJSON-T style exports use coordinateProperties.times
+function getGeoJsonFeatureTimes(feature) {
+    return feature.properties?.coordTimes
+        ?? feature.properties?.coordinateProperties?.times
+        ?? null;
+}
+
+/**
+ * Read a route from GeoJSON LineString and MultiLineString geometries, either
+ * bare or wrapped in Features and FeatureCollections.
+ * @param {Object|string} data - Parsed GeoJSON or its text
+ * @param {string} [fallbackName]
+ * @returns {{ name: string, segments: Array<Array<Object>> }}
+ */
+export function parseGeoJsonRoute(data, fallbackName = '') {
+    const geojson = typeof data === 'string' ? JSON.parse(data) : data;
+    const segments = [];
+    let name = null;
+
+    const features = geojson?.type === 'FeatureCollection'
+        ? (Array.isArray(geojson.features) ? geojson.features : [])
+        : [geojson];
+
+    for (const feature of features) {
+        if (feature?.type === 'Feature') {
+            name ??= feature.properties?.name ?? null;
+            collectGeoJsonSegments(feature.geometry, getGeoJsonFeatureTimes(feature), segments);
+        } else {
+            collectGeoJsonSegments(feature, null, segments);
+        }
+    }
+
+    return createRoute(name ?? geojson?.name ?? fallbackName, segments);
+}
+
+// XML formats. Elements are matched by local name so GPX 1.0/1.1 and KML
+// with or without the gx extension namespace read the same way.
+
+function getChildrenByLocalName(parent, localName) {
+    return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function getChildText(parent, localName) {
+    for (const child of Array.from(parent.childNodes ?? [])) {
+        if (child.localName === localName) {
+            return child.textContent?.trim() ?? '';
+        }
+    }
+
+    return '';
+}
+
+function readGpxPoint(element) {
+    return createRoutePoint(
+        element.getAttribute('lat'),
+        element.getAttribute('lon'),
+        getChildText(element, 'ele'),
+        getChildText(element, 'time')
+    );
+}
+
+/**
+ * Read track segments from a GPX document, falling back to planned routes
+ * (rte) when the file has no recorded tracks.
+ * @param {Document} doc
+ * @param {string} [fallbackName]
+ * @returns {{ name: string, segments: Array<Array<Object>> }}
+ */
+export function parseGpxDocument(doc, fallbackName = '') {
+    const segments = [];
+    const tracks = getChildrenByLocalName(doc, 'trk');
+
+    for (const track of tracks) {
+        for (const segment of getChildrenByLocalName(track, 'trkseg')) {
+            segments.push(getChildrenByLocalName(segment, 'trkpt').map(readGpxPoint));
+        }
+    }
+
+    const routes = segments.length === 0 ? getChildrenByLocalName(doc, 'rte') : [];
+    for (const route of routes) {
+        segments.push(getChildrenByLocalName(route, 'rtept').map(readGpxPoint));
+    }
+
+    const named = tracks[0] ?? routes[0] ?? getChildrenByLocalName(doc, 'metadata')[0];
+    const name = named ? getChildText(named, 'name') : '';
+
+    return createRoute(name || fallbackName, segments);
+}
+
+function readKmlCoordinates(text) {
+    return String(text ?? '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => {
+            const [lng, lat, altitude] = tuple.split(',');
+            return createRoutePoint(lat, lng, altitude);
+        });
+}
+
+/**
+ * Read a route from KML LineStrings and gx:Track elements.
+ * @param {Document} doc
+ * @param {string} [fallbackName]
+ * @returns {{ name: string, segments: Array<Array<Object>> }}
+ */
+export function parseKmlDocument(doc, fallbackName = '') {
+    const segments = [];
+
+    for (const track of getChildrenByLocalName(doc, 'Track')) {
+        const times = getChildrenByLocalName(track, 'when').map(element => element.textContent);
+        const points = getChildrenByLocalName(track, 'coord').map((element, index) => {
+            const [lng, lat, altitude] = element.textContent.trim().split(/\s+/);
+            return createRoutePoint(lat, lng, altitude, times[index]);
+        });
+
+        segments.push(points);
+    }
+
+    for (const lineString of getChildrenByLocalName(doc, 'LineString')) {
+        segments.push(readKmlCoordinates(getChildText(lineString, 'coordinates')));
+    }
+
+    const placemark = getChildrenByLocalName(doc, 'Placemark')[0];
+    const kmlDocument = getChildrenByLocalName(doc, 'Document')[0];
+    const name = (placemark && getChildText(placemark, 'name'))
+        || (kmlDocument && getChildText(kmlDocument, 'name'))
+        || '';
+
+    return createRoute(name || fallbackName, segments);
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The route file is not valid XML.');
+    }
+
+    return doc;
+}
+
+export function isRouteFileName(fileName) {
+    return ROUTE_FILE_EXTENSIONS.includes(getFileExtension(fileName));
+}
+
+/**
+ * Parse the text of a GPX, KML or GeoJSON file into a route.
+ * @param {string} text
+ * @param {string} fileName - Used to pick the format and as a fallback name
+ * @returns {{ name: string, segments: Array<Array<Object>> }}
+ */
+export function parseRouteFile(text, fileName) {
+    const extension = getFileExtension(fileName);
+    const fallbackName = getRouteNameFromFileName(fileName);
+    let route;
+
+    if (extension === '.gpx') {
+        route = parseGpxDocument(parseXml(text), fallbackName);
+    } else if (extension === '.kml') {
+        route = parseKmlDocument(parseXml(text), fallbackName);
+    } else if (extension === '.geojson') {
+        route = parseGeoJsonRoute(text, fallbackName);
+    } else {
+        throw new Error(`Unsupported route file type: ${extension || fileName}`);
+    }
+
+    if (route.segments.length === 0) {
+        throw new Error('No track or line with at least two points was found in the file.');
+    }
+
+    return route;
+}
+
+/**
+ * Project route points into Web Mercator metres, the space live walks are
+ * captured in.
+ * @param {{ segments: Array<Array<Object>> }} route
+ * @returns {Array<Array<Object>>} Segments of points with x and y added
+ */
+export function projectRouteSegments(route) {
+    return (route?.segments ?? []).map(segment => segment.map(point => ({
+        ...point,
+        ...latLngToMercator(point.lat, point.lng)
+    })));
+}
+
+// Export
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatCoordinate(value) {
+    return Number(value.toFixed(7)).toString();
+}
+
+function formatTime(timestamp) {
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * @param {{ name: string, segments: Array<Array<Object>> }} route
+ * @returns {string} GPX 1.1 document with one track
+ */
+export function serializeRouteAsGpx(route) {
+    const segments = route.segments.map(segment => {
+        const points = segment.map(point => {
+            const children = [];
+
+            if (Number.isFinite(point.altitude)) {
+                children.push(`<ele>${Number(point.altitude.toFixed(2))}</ele>`);
+            }
+
+            const time = formatTime(point.timestamp);
+            if (time) {
+                children.push(`<time>${time}</time>`);
+            }
+
+            return `      <trkpt lat="${formatCoordinate(point.lat)}" lon="${formatCoordinate(point.lng)}">${children.join('')}</trkpt>`;
+        });
+
+        return ['    <trkseg>', ...points, '    </trkseg>'].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Rivvon" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <trk>',
+        `    <name>${escapeXml(route.name)}</name>`,
+        ...segments,
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {{ name: string, segments: Array<Array<Object>> }} route
+ * @returns {string} GeoJSON Feature, a LineString for single-segment routes
+ */
+export function serializeRouteAsGeoJson(route) {
+    const lines = route.segments.map(segment => segment.map(point => (
+        Number.isFinite(point.altitude)
+            ? [Number(formatCoordinate(point.lng)), Number(formatCoordinate(point.lat)), point.altitude]
+            : [Number(formatCoordinate(point.lng)), Number(formatCoordinate(point.lat))]
+    )));
+    const times = route.segments.map(segment => segment.map(point => formatTime(point.timestamp)));
+    const hasTimes = times.every(segmentTimes => segmentTimes.every(Boolean));
+    const isSingleLine = lines.length === 1;
+
+    const feature = {
+        type: 'Feature',
+        properties: {
+            name: route.name,
+            ...(hasTimes ? { coordTimes: isSingleLine ? times[0] : times } : {})
+        },
+        geometry: isSingleLine
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines }
+    };
+
+    return JSON.stringify(feature, null, 2);
+}
+
+/**
+ * @param {{ name: string }} route
+ * @param {'gpx'|'geojson'} extension
+ * @returns {string}
+ */
+export function getRouteFileName(route, extension) {
+    const baseName = String(route?.name ?? '')
+        .trim()
+        .replace(/[^a-z0-9-_ ]+/gi, '')
+        .replace(/\s+/g, '-')
+        .toLowerCase();
+
+    return `${baseName || 'walk'}.${extension}`;
+}
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    getRouteFileName,
+    isRouteFileName,
+    parseGeoJsonRoute,
+    parseRouteFile,
+    projectRouteSegments,
+    serializeRouteAsGeoJson,
+    serializeRouteAsGpx,
+} from './walkRoutes.js';
+
+const line = {
+    type: 'Feature',
+    properties: {
+        name: 'Morning Walk',
+        coordTimes: ['2024-05-01T08:00:00Z', '2024-05-01T08:01:00Z'],
+    },
+    geometry: {
+        type: 'LineString',
+        coordinates: [[-79.38, 43.65, 76], [-79.381, 43.651, 78]],
+    },
+};
+
+describe('parseGeoJsonRoute', () => {
+    it('reads a LineString feature with elevation and times', () => {
+        const route = parseGeoJsonRoute(line);
+
+        expect(route.name).toBe('Morning Walk');
+        expect(route.segments).toHaveLength(1);
+        expect(route.segments[0][0]).toEqual({
+            lat: 43.65,
+            lng: -79.38,
+            altitude: 76,
+            timestamp: Date.parse('2024-05-01T08:00:00Z'),
+        });
+    });
+
+    it('keeps MultiLineString parts as separate segments', () => {
+        const route = parseGeoJsonRoute({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {},
+                geometry: {
+                    type: 'MultiLineString',
+                    coordinates: [
+                        [[0, 0], [0, 0.001]],
+                        [[1, 1], [1, 1.001], [1, 1.002]],
+                    ],
+                },
+            }],
+        }, 'fallback');
+
+        expect(route.name).toBe('fallback');
+        expect(route.segments.map((segment) => segment.length)).toEqual([2, 3]);
+        expect(route.segments[1][0].altitude).toBeNull();
+    });
+
+    it('drops segments without two valid points', () => {
+        const route = parseGeoJsonRoute({
+            type: 'LineString',
+            coordinates: [[0, 0], [500, 0]],
+        });
+
+        expect(route.segments).toEqual([]);
+    });
+});
+
+describe('parseRouteFile', () => {
+    it('dispatches on the file extension', () => {
+        expect(isRouteFileName('Ride.GPX')).toBe(true);
+        expect(isRouteFileName('drawing.svg')).toBe(false);
+        expect(parseRouteFile(JSON.stringify(line.geometry), 'lake-loop.geojson').name).toBe('lake-loop');
+    });
+
+    it('rejects files without a usable track', () => {
+        expect(() => parseRouteFile('{"type":"Point","coordinates":[0,0]}', 'pin.geojson')).toThrow(/No track/);
+    });
+});
+
+describe('projectRouteSegments', () => {
+    it('projects into Web Mercator metres', () => {
+        const [[origin, north]] = projectRouteSegments({
+            segments: [[{ lat: 0, lng: 0 }, { lat: 0.001, lng: 0 }]],
+        });
+
+        expect(origin.x).toBeCloseTo(0);
+        expect(origin.y).toBeCloseTo(0);
+        // A thousandth of a degree at the equator is about 111 m
+        expect(north.y).toBeCloseTo(111.3, 0);
+    });
+});
+
+describe('export', () => {
+    const route = parseGeoJsonRoute(line);
+
+    it('writes GPX track points with elevation and time', () => {
+        const gpx = serializeRouteAsGpx(route);
+
+        expect(gpx).toContain('<name>Morning Walk</name>');
+        expect(gpx).toContain('<trkpt lat="43.65" lon="-79.38"><ele>76</ele><time>2024-05-01T08:00:00.000Z</time></trkpt>');
+    });
+
+    it('round-trips through GeoJSON', () => {
+        expect(parseGeoJsonRoute(serializeRouteAsGeoJson(route))).toEqual(route);
+    });
+
+    it('names export files after the route', () => {
+        expect(getRouteFileName(route, 'gpx')).toBe('morning-walk.gpx');
+        expect(getRouteFileName({ name: '***' }, 'geojson')).toBe('walk.geojson');
+    });
+});
@@ -0,0 +1,95 @@
+// src/modules/viewer/walkTileCache.js
+// Offline cache for walk map tiles, kept in Cache Storage so tiles viewed
+// once stay available without a connection. Raster tiles are cached by URL;
+// PMTiles archives are cached by byte range.
+
+export const WALK_TILE_CACHE_NAME = 'rivvon-walk-tiles-v1';
+
+export function isWalkTileCacheAvailable() {
+    return typeof caches !== 'undefined';
+}
+
+/**
+ * Fetch a tile, answering from the cache first and storing successful
+ * network responses. Falls back to a plain fetch when Cache Storage is not
+ * available (e.g. insecure origins).
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithWalkTileCache(url, init = {}) {
+    if (!isWalkTileCacheAvailable()) {
+        return fetch(url, init);
+    }
+
+    const cache = await caches.open(WALK_TILE_CACHE_NAME);
+    const cached = await cache.match(url);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(url, { mode: 'cors', ...init });
+    if (response.ok) {
+        await cache.put(url, response.clone());
+    }
+
+    return response;
+}
+
+/**
+ * @returns {Promise<number>} Number of cached tiles and byte ranges
+ */
+export async function getWalkTileCacheEntryCount() {
+    if (!isWalkTileCacheAvailable() || !(await caches.has(WALK_TILE_CACHE_NAME))) {
+        return 0;
+    }
+
+    const cache = await caches.open(WALK_TILE_CACHE_NAME);
+    return (await cache.keys()).length;
+}
+
+export async function clearWalkTileCache() {
+    if (!isWalkTileCacheAvailable()) {
+        return false;
+    }
+
+    return caches.delete(WALK_TILE_CACHE_NAME);
+}
+
+/**
+ * PMTiles source that serves archive byte ranges from the tile cache.
+ * Wraps the library's FetchSource, which is passed in so this module does not
+ * load pmtiles until a vector map is chosen.
+ */
+export class CachedPMTilesSource {
+    constructor(source) {
+        this.source = source;
+    }
+
+    getKey() {
+        return this.source.getKey();
+    }
+
+    async getBytes(offset, length, signal, etag) {
+        if (!isWalkTileCacheAvailable()) {
+            return this.source.getBytes(offset, length, signal, etag);
+        }
+
+        const cacheKey = `${this.getKey()}?bytes=${offset}-${offset + length - 1}`;
+        const cache = await caches.open(WALK_TILE_CACHE_NAME);
+        const cached = await cache.match(cacheKey);
+
+        if (cached) {
+            return {
+                data: await cached.arrayBuffer(),
+                etag: cached.headers.get('ETag') ?? undefined
+            };
+        }
+
+        const result = await this.source.getBytes(offset, length, signal, etag);
+        const headers = result.etag ? { ETag: result.etag } : {};
+        await cache.put(cacheKey, new Response(result.data.slice(0), { headers }));
+
+        return result;
+    }
+}
@@ -1,6 +1,14 @@
 import L from 'leaflet';
 import { KalmanFilter2D } from './kalmanFilter.js';
 import { finalizeCapturedPaths } from './pathFinalizer.js';
+import { latLngToMercator, mercatorToLatLng } from './mercator.js';
+import { projectRouteSegments } from './walkRoutes.js';
+import {
+    DEFAULT_WALK_MAP_SETTINGS,
+    getWalkMapProviderKey,
+    resolveWalkMapProvider
+} from './walkMapProviders.js';
+import { createWalkMapLayer } from './walkMapLayers.js';
 
 const DEFAULT_CENTER = [20, 0];
 const DEFAULT_ZOOM = 2;
@@ -8,30 +16,7 @@ const TRACKING_ZOOM = 17;
 const MAX_ACCEPTED_ACCURACY_METERS = 60;
 const MIN_SAMPLE_DISTANCE_METERS = 3;
 const MAX_SAMPLE_DISTANCE_METERS = 12;
-const EARTH_RADIUS = 6378137;
-const MAX_MERCATOR_LAT = 85.05112878;
-const DARK_TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
-
-function clampLatitude(latitude) {
-    return Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, latitude));
-}
-
-function latLngToMercator(latitude, longitude) {
-    const lat = clampLatitude(latitude) * Math.PI / 180;
-    const lng = longitude * Math.PI / 180;
-
-    return {
-        x: EARTH_RADIUS * lng,
-        y: EARTH_RADIUS * Math.log(Math.tan((Math.PI / 4) + (lat / 2)))
-    };
-}
-
-function mercatorToLatLng(x, y) {
-    return {
-        lat: (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - (Math.PI / 2)) * 180 / Math.PI,
-        lng: (x / EARTH_RADIUS) * 180 / Math.PI
-    };
-}
+const ROUTE_FIT_PADDING = [48, 48];
 
 function projectedDistance(a, b) {
     const dx = b.x - a.x;
@@ -47,6 +32,11 @@ export class WalkingManager {
 
         this.map = null;
         this.tileLayer = null;
+        this.mapSettings = { ...DEFAULT_WALK_MAP_SETTINGS };
+        this.mapProvider = null;
+        this.mapProviderKey = null;
+        this.mapProviderError = null;
+        this.layerRequestId = 0;
         this.pathPolyline = null;
         this.positionMarker = null;
         this.accuracyCircle = null;
@@ -56,6 +46,8 @@ export class WalkingManager {
         this.totalDistance = 0;
         this.latestAccuracy = null;
         this.errorMessage = null;
+        this.routeName = null;
+        this.isImportedRoute = false;
         this.status = 'idle';
         this.isActive = false;
         this.isTracking = false;
@@ -84,7 +76,7 @@ export class WalkingManager {
         tile.style.setProperty('visibility', 'visible', 'important');
         tile.style.setProperty('opacity', '1', 'important');
         tile.style.setProperty('display', 'block', 'important');
-        tile.style.setProperty('filter', 'brightness(3)', 'important');
+        tile.style.setProperty('filter', this.mapProvider?.tileFilter ?? 'none', 'important');
     }
 
     createMap() {
@@ -99,19 +91,11 @@ export class WalkingManager {
         });
 
         this.map.setView(DEFAULT_CENTER, DEFAULT_ZOOM);
-
-        this.tileLayer = L.tileLayer(DARK_TILE_URL, {
-            attribution: '&copy; OpenStreetMap &copy; CARTO',
-            subdomains: 'abcd',
-            maxZoom: 20
-        });
-
-        this.bindTileLayerDebugEvents();
-        this.tileLayer.addTo(this.map);
+        this.applyMapProvider();
 
         this.map.whenReady(() => {
             console.log('[Walking] Leaflet map ready', {
-                tileUrlTemplate: DARK_TILE_URL,
+                provider: resolveWalkMapProvider(this.mapSettings).id,
                 center: this.map.getCenter(),
                 zoom: this.map.getZoom()
             });
@@ -144,6 +128,61 @@ export class WalkingManager {
         }).addTo(this.map);
     }
 
+    setMapSettings(settings) {
+        this.mapSettings = { ...DEFAULT_WALK_MAP_SETTINGS, ...settings };
+
+        if (this.map) {
+            this.applyMapProvider();
+        }
+    }
+
+    /**
+     * Swap the basemap for the provider in the current map settings. Vector
+     * providers load asynchronously; when one fails (bad URL, offline) the
+     * default raster map is shown and the error is reported in the state.
+     */
+    async applyMapProvider() {
+        let provider = resolveWalkMapProvider(this.mapSettings);
+        const providerKey = getWalkMapProviderKey(provider);
+
+        if (providerKey === this.mapProviderKey) {
+            return;
+        }
+
+        this.mapProviderKey = providerKey;
+        const requestId = ++this.layerRequestId;
+        let layer;
+        let providerError = null;
+
+        try {
+            layer = await createWalkMapLayer(provider);
+        } catch (error) {
+            console.warn('[Walking] Map provider failed to load, using default basemap', {
+                provider: provider.id,
+                error
+            });
+
+            providerError = `${provider.label} map unavailable: ${error.message}`;
+            provider = resolveWalkMapProvider({
+                ...this.mapSettings,
+                providerId: DEFAULT_WALK_MAP_SETTINGS.providerId
+            });
+            layer = await createWalkMapLayer(provider);
+        }
+
+        if (requestId !== this.layerRequestId || !this.map) {
+            return;
+        }
+
+        this.tileLayer?.remove();
+        this.tileLayer = layer;
+        this.mapProvider = provider;
+        this.mapProviderError = providerError;
+        this.bindTileLayerDebugEvents();
+        this.tileLayer.addTo(this.map);
+        this.emitState();
+    }
+
     bindTileLayerDebugEvents() {
         if (!this.tileLayer) {
             return;
@@ -155,9 +194,9 @@ export class WalkingManager {
             this.tileDebug.errored = 0;
 
             console.log('[Walking] Tile layer loading', {
-                tileUrlTemplate: DARK_TILE_URL,
-                subdomains: this.tileLayer.options.subdomains,
-                maxZoom: this.tileLayer.options.maxZoom
+                provider: this.mapProvider?.id,
+                tileUrlTemplate: this.mapProvider?.url,
+                maxZoom: this.tileLayer.options?.maxZoom
             });
         });
 
@@ -233,7 +272,12 @@ export class WalkingManager {
                 distanceMeters: this.totalDistance,
                 accuracyMeters: this.latestAccuracy,
                 isTracking: this.isTracking,
-                hasLocated: this.livePoint !== null
+                hasLocated: this.livePoint !== null || this.isImportedRoute,
+                isImportedRoute: this.isImportedRoute,
+                routeName: this.routeName,
+                mapProviderId: this.mapProvider?.id ?? null,
+                mapTheme: this.mapProvider?.theme ?? 'dark',
+                mapProviderError: this.mapProviderError
             });
         }
     }
@@ -317,7 +361,7 @@ export class WalkingManager {
     }
 
     handlePosition(position) {
-        const { latitude, longitude, accuracy } = position.coords;
+        const { latitude, longitude, accuracy, altitude, speed } = position.coords;
 
         if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
             return;
@@ -334,7 +378,10 @@ export class WalkingManager {
             x: filteredProjectedPoint.x,
             y: filteredProjectedPoint.y,
             accuracy,
-            timestamp: position.timestamp ?? Date.now()
+            altitude: Number.isFinite(altitude) ? altitude : null,
+            speed: Number.isFinite(speed) ? speed : null,
+            timestamp: position.timestamp ?? Date.now(),
+            segment: 0
         };
 
         this.latestAccuracy = accuracy;
@@ -417,27 +464,114 @@ export class WalkingManager {
         }
     }
 
+    getSegments() {
+        const segments = [];
+
+        for (const point of this.points) {
+            const index = point.segment ?? 0;
+            segments[index] ??= [];
+            segments[index].push(point);
+        }
+
+        return segments.filter(Boolean);
+    }
+
     renderPath(livePoint = this.livePoint) {
-        const latLngs = this.points.map(point => [point.lat, point.lng]);
+        // Imported routes can have several track segments; the polyline takes
+        // nested arrays so the gaps between them are not bridged
+        const latLngs = this.getSegments().map(segment => segment.map(point => [point.lat, point.lng]));
 
         if (livePoint) {
             const lastAcceptedPoint = this.points[this.points.length - 1];
             const shouldShowLivePoint = !lastAcceptedPoint || projectedDistance(lastAcceptedPoint, livePoint) > 0.5;
 
             if (shouldShowLivePoint) {
-                latLngs.push([livePoint.lat, livePoint.lng]);
+                if (latLngs.length === 0) {
+                    latLngs.push([]);
+                }
+
+                latLngs[latLngs.length - 1].push([livePoint.lat, livePoint.lng]);
             }
         }
 
         this.pathPolyline.setLatLngs(latLngs);
     }
 
+    /**
+     * Replace the current walk with a route read from a GPX, GeoJSON or KML
+     * file. Live tracking stops so the imported route is not extended.
+     * @param {{ name: string, segments: Array<Array<Object>> }} route
+     */
+    loadRoute(route) {
+        const segments = projectRouteSegments(route).filter(segment => segment.length >= 2);
+
+        if (segments.length === 0) {
+            throw new Error('The route has no segments with at least two points.');
+        }
+
+        this.createMap();
+        this.stopTracking();
+        this.resetRoute();
+
+        segments.forEach((segment, segmentIndex) => {
+            segment.forEach((point, pointIndex) => {
+                if (pointIndex > 0) {
+                    this.totalDistance += projectedDistance(segment[pointIndex - 1], point);
+                }
+
+                this.points.push({
+                    ...point,
+                    accuracy: null,
+                    segment: segmentIndex
+                });
+            });
+        });
+
+        this.routeName = route.name ?? null;
+        this.isImportedRoute = true;
+        this.status = 'imported';
+        this.notifyPointCountChange();
+        this.renderPath();
+        this.emitState();
+
+        // The map is hidden until something is located, so fit once it shows
+        requestAnimationFrame(() => {
+            this.map?.invalidateSize(false);
+            this.map?.fitBounds(this.pathPolyline.getBounds(), {
+                padding: ROUTE_FIT_PADDING,
+                animate: false
+            });
+        });
+    }
+
+    /**
+     * The current walk as a route for GPX / GeoJSON export.
+     * @returns {{ name: string, segments: Array<Array<Object>> }|null}
+     */
+    getRoute() {
+        if (this.points.length < 2) {
+            return null;
+        }
+
+        return {
+            name: this.routeName ?? `Walk ${new Date(this.points[0].timestamp ?? Date.now()).toISOString().slice(0, 10)}`,
+            segments: this.getSegments().map(segment => segment.map(point => ({
+                lat: point.lat,
+                lng: point.lng,
+                altitude: Number.isFinite(point.altitude) ? point.altitude : null,
+                timestamp: Number.isFinite(point.timestamp) ? point.timestamp : null
+            })))
+        };
+    }
+
     resetRoute() {
         this.points = [];
         this.livePoint = null;
         this.totalDistance = 0;
         this.latestAccuracy = null;
         this.errorMessage = null;
+        this.routeName = null;
+        this.isImportedRoute = false;
         this.hasCenteredOnce = false;
         this.kalmanFilter.reset();
 
@@ -469,8 +603,16 @@ export class WalkingManager {
 
         this.stopTracking();
 
-        const rawPaths = [this.points.map(point => ({ x: point.x, y: point.y }))];
-        const rawPointCount = rawPaths[0].length;
+        // Timing, speed and elevation ride along through smoothing so the
+        // ribbon can use them (see walkChannels)
+        const rawPaths = this.getSegments().map(segment => segment.map(point => ({
+            x: point.x,
+            y: point.y,
+            timestamp: point.timestamp,
+            speed: point.speed,
+            altitude: point.altitude
+        })));
+        const rawPointCount = this.points.length;
         const result = finalizeCapturedPaths(rawPaths);
         const smoothedPointCount = result?.reduce((sum, path) => sum + path.length, 0) ?? 0;
 
@@ -488,7 +630,9 @@ export class WalkingManager {
 
     destroy() {
         this.stopTracking();
+        this.layerRequestId += 1;
         this.map?.remove();
         this.map = null;
+        this.tileLayer = null;
     }
 }
\ No newline at end of file
@@ -16,6 +16,13 @@ const routes = [
         component: () => import('../views/RibbonView.vue'),
         props: true
     },
+    {
+        // Shared scene permalink: texture, drawing, look and camera views
+        path: '/scene/:sceneId',
+        name: 'scene',
+        component: () => import('../views/RibbonView.vue'),
+        props: true
+    },
     
     // ============ SLYCE ROUTES ============
     {
@@ -1,5 +1,6 @@
 import { useGoogleAuth } from '../composables/shared/useGoogleAuth'
 import { useGoogleDrive } from './googleDrive'
+import { selectTilesToUpload, withTileChecksums } from '../modules/shared/tileChecksum.js'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://api.rivvon.ca'
 
@@ -67,15 +68,21 @@ export function useRivvonAPI() {
     /**
      * Upload a single tile to the texture set
      * PUT /texture-set/:setId/tile/:index
+     * @param {string} [checksum] - SHA-256 hex of fileData; the API rejects the tile if it differs
      */
-    async function uploadTile(textureSetId, tileIndex, fileData) {
+    async function uploadTile(textureSetId, tileIndex, fileData, checksum = null) {
+        const headers = {
+            'Content-Type': 'image/ktx2',
+        }
+        if (checksum) {
+            headers['X-Checksum-SHA256'] = checksum
+        }
+
         const response = await authFetch(
             `${API_BASE_URL}/texture-set/${textureSetId}/tile/${tileIndex}`,
             {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'image/ktx2',
-                },
+                headers,
                 body: fileData,
             }
         )
@@ -102,12 +109,55 @@ export function useRivvonAPI() {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({ error: 'Failed to complete upload' }))
-            throw new Error(error.error || 'Failed to complete upload')
+            const requestError = new Error(error.error || 'Failed to complete upload')
+            requestError.status = response.status
+            requestError.payload = error
+            throw requestError
+        }
+
+        return response.json()
+    }
+
+    /**
+     * Which tiles of a texture set are uploaded and verified
+     * GET /texture-set/:id/tiles
+     * @returns {Promise<{textureSetId: string, status: string, tileCount: number, tiles: Array<{tileIndex: number, present: boolean, valid: boolean, checksum: string|null}>}>}
+     */
+    async function getTextureSetTileStatus(textureSetId) {
+        const response = await authFetch(`${API_BASE_URL}/texture-set/${textureSetId}/tiles`)
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Failed to fetch tile status' }))
+            const requestError = new Error(error.error || 'Failed to fetch tile status')
+            requestError.status = response.status
+            throw requestError
         }
 
         return response.json()
     }
 
+    /**
+     * Tile status for an interrupted upload that can be picked up again, or
+     * null when it has to start over (set deleted, or a different tile count).
+     * @param {{textureSetId: string}|null} resume
+     * @param {number} tileCount
+     */
+    async function getResumableTileStatus(resume, tileCount) {
+        if (!resume?.textureSetId) {
+            return null
+        }
+
+        try {
+            const report = await getTextureSetTileStatus(resume.textureSetId)
+            return Number(report.tileCount) === tileCount ? report : null
+        } catch (error) {
+            if (error.status === 404) {
+                return null
+            }
+            throw error
+        }
+    }
+
     /**
      * Upload a thumbnail for the texture set
      * PUT /texture-set/:setId/thumbnail
@@ -226,7 +276,7 @@ export function useRivvonAPI() {
         return response.json()
     }
 
-    function serializeDrawingPayload({ name, description = '', kind, paths, source = null } = {}) {
+    function serializeDrawingPayload({ name, description = '', kind, paths, source = null, cinematic = null } = {}) {
         const normalizedPaths = Array.isArray(paths) ? paths : []
         const pathCount = normalizedPaths.length
         const pointCount = normalizedPaths.reduce((total, path) => total + (Array.isArray(path) ? path.length : 0), 0)
@@ -237,6 +287,7 @@ export function useRivvonAPI() {
             kind,
             paths: normalizedPaths,
             source,
+            cinematic,
             pathCount,
             pointCount,
         }
@@ -265,6 +316,7 @@ export function useRivvonAPI() {
             kind,
             paths,
             source = null,
+            cinematic = null,
             parentDrawingId = null,
             rootDrawingId = null,
             thumbnailBlob = null,
@@ -278,6 +330,7 @@ export function useRivvonAPI() {
             kind,
             paths,
             source,
+            cinematic,
         })
 
         if (onProgress) onProgress('preparing', formatUploadProgressDetail(progressLabelPrefix, 'Setting up Google Drive folder...'))
@@ -339,6 +392,7 @@ export function useRivvonAPI() {
             kind,
             paths,
             source = null,
+            cinematic = null,
             parentDrawingId = null,
             rootDrawingId = null,
             thumbnailBlob = null,
@@ -352,6 +406,7 @@ export function useRivvonAPI() {
             kind,
             paths,
             source,
+            cinematic,
         })
 
         if (onProgress) onProgress('creating', formatUploadProgressDetail(progressLabelPrefix, 'Creating drawing (R2)...'))
@@ -398,7 +453,7 @@ export function useRivvonAPI() {
     * @param {string | null} options.parentTextureSetId - Optional family root/original texture set ID for derived variants
      * @param {number} options.tileResolution - Tile resolution (256, 512, 1024, etc.)
      * @param {number} options.layerCount - Layers per tile
-     * @param {string} options.crossSectionType - 'planes' or 'waves'
+     * @param {string} options.crossSectionType - Cross-section strategy id (e.g. 'planes', 'waves', 'radial')
      * @param {Object} options.sourceMetadata - Source file metadata
      * @param {string} options.sourceMetadata.filename - Original filename
      * @param {number} options.sourceMetadata.width - Source video width
@@ -410,6 +465,8 @@ export function useRivvonAPI() {
      * @param {Blob} options.thumbnailBlob - Optional thumbnail image blob
      * @param {Function} options.onProgress - Progress callback (step, detail)
      * @param {string} [options.progressLabelPrefix] - Optional label prefix for progress details
+     * @param {{textureSetId: string, driveFolderId: string}} [options.resume] - An interrupted upload to continue
+     * @param {Function} [options.onTextureSetCreated] - Called with { textureSetId, driveFolderId } once the set exists, so it can be resumed
      */
     async function uploadTextureSet(options) {
         const {
@@ -425,39 +482,54 @@ export function useRivvonAPI() {
             thumbnailBlob,
             onProgress,
             progressLabelPrefix = '',
+            resume = null,
+            onTextureSetCreated,
         } = options
 
-        // 1. Ensure Slyce folder exists in Google Drive
-        if (onProgress) onProgress('preparing', formatUploadProgressDetail(progressLabelPrefix, 'Setting up Google Drive folder...'))
-        const slyceFolderId = await ensureSlyceFolder()
-
-        // 2. Create a subfolder for this texture set
-        const timestamp = new Date().toISOString().slice(0, 10)
-        const folderName = `${name} (${timestamp})`
-        const textureSetFolderId = await createTextureSetFolder(slyceFolderId, folderName)
-
-        // 3. Create texture set in API (with google-drive storage provider)
-        if (onProgress) onProgress('creating', formatUploadProgressDetail(progressLabelPrefix, 'Creating texture set...'))
-        const createPayload = {
-            name,
-            description,
-            isPublic,
-            tileResolution,
-            tileCount: tiles.length,
-            layerCount,
-            crossSectionType,
-            sourceMetadata,
-            storageProvider: 'google-drive',
-        }
-        if (parentTextureSetId) {
-            createPayload.parentTextureSetId = parentTextureSetId
+        const hashedTiles = await withTileChecksums(tiles)
+        const resumed = resume?.driveFolderId ? await getResumableTileStatus(resume, tiles.length) : null
+        let textureSetId
+        let textureSetFolderId
+
+        if (resumed) {
+            textureSetId = resume.textureSetId
+            textureSetFolderId = resume.driveFolderId
+            if (onProgress) onProgress('resuming', formatUploadProgressDetail(progressLabelPrefix, 'Resuming interrupted upload...'))
+        } else {
+            // 1. Ensure Slyce folder exists in Google Drive
+            if (onProgress) onProgress('preparing', formatUploadProgressDetail(progressLabelPrefix, 'Setting up Google Drive folder...'))
+            const slyceFolderId = await ensureSlyceFolder()
+
+            // 2. Create a subfolder for this texture set
+            const timestamp = new Date().toISOString().slice(0, 10)
+            const folderName = `${name} (${timestamp})`
+            textureSetFolderId = await createTextureSetFolder(slyceFolderId, folderName)
+
+            // 3. Create texture set in API (with google-drive storage provider)
+            if (onProgress) onProgress('creating', formatUploadProgressDetail(progressLabelPrefix, 'Creating texture set...'))
+            const createPayload = {
+                name,
+                description,
+                isPublic,
+                tileResolution,
+                tileCount: tiles.length,
+                layerCount,
+                crossSectionType,
+                sourceMetadata,
+                storageProvider: 'google-drive',
+            }
+            if (parentTextureSetId) {
+                createPayload.parentTextureSetId = parentTextureSetId
+            }
+            textureSetId = (await createTextureSet(createPayload)).textureSetId
+            onTextureSetCreated?.({ textureSetId, driveFolderId: textureSetFolderId })
         }
-        const { textureSetId, storageProvider } = await createTextureSet(createPayload)
 
-        // 4. Upload each tile to Google Drive and register with API
+        // 4. Upload each tile that is not already on Drive and register with API
+        const pendingTiles = resumed?.status === 'complete' ? [] : selectTilesToUpload(hashedTiles, resumed?.tiles)
         const uploadedTiles = []
-        for (let i = 0; i < tiles.length; i++) {
-            const tile = tiles[i]
+        for (let i = 0; i < pendingTiles.length; i++) {
+            const tile = pendingTiles[i]
             // Upload to Google Drive and register metadata
             const result = await uploadTileToDrive(
                 textureSetId,
@@ -466,14 +538,15 @@ export function useRivvonAPI() {
                 tile.blob,
                 (progress) => {
                     if (onProgress) {
-                        onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploading tile ${i + 1}/${tiles.length} (${progress}%)...`))
+                        onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploading tile ${i + 1}/${pendingTiles.length} (${progress}%)...`))
                     }
-                }
+                },
+                tile.checksum
             )
             uploadedTiles.push(result)
 
             if (onProgress) {
-                onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploaded tile ${i + 1}/${tiles.length}`))
+                onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploaded tile ${i + 1}/${pendingTiles.length}`))
             }
         }
 
@@ -490,15 +563,18 @@ export function useRivvonAPI() {
         }
 
         // 6. Mark as complete
-        if (onProgress) onProgress('completing', formatUploadProgressDetail(progressLabelPrefix, 'Finalizing...'))
-        await completeTextureSet(textureSetId)
+        if (resumed?.status !== 'complete') {
+            if (onProgress) onProgress('completing', formatUploadProgressDetail(progressLabelPrefix, 'Finalizing...'))
+            await completeTextureSet(textureSetId)
+        }
 
-        // 7. Return texture set info with Google Drive URLs
+        // 7. Return texture set info with Google Drive URLs (tiles uploaded by this call)
         return {
             textureSetId,
             storageProvider: 'google-drive',
             driveFolderId: textureSetFolderId,
             thumbnailUrl,
+            resumedTileCount: tiles.length - pendingTiles.length,
             tiles: uploadedTiles.map((t) => ({
                 tileIndex: t.tileIndex,
                 url: `https://drive.google.com/uc?export=download&id=${t.driveFileId}`,
@@ -571,35 +647,48 @@ export function useRivvonAPI() {
             thumbnailBlob,
             onProgress,
             progressLabelPrefix = '',
+            resume = null,
+            onTextureSetCreated,
         } = options
 
-        // 1. Create texture set in API with R2 storage provider
-        if (onProgress) onProgress('creating', formatUploadProgressDetail(progressLabelPrefix, 'Creating texture set (R2)...'))
-        const createPayload = {
-            name,
-            description,
-            isPublic,
-            tileResolution,
-            tileCount: tiles.length,
-            layerCount,
-            crossSectionType,
-            sourceMetadata,
-            storageProvider: 'r2',
-        }
-        if (parentTextureSetId) {
-            createPayload.parentTextureSetId = parentTextureSetId
+        const hashedTiles = await withTileChecksums(tiles)
+        const resumed = await getResumableTileStatus(resume, tiles.length)
+        let textureSetId
+
+        if (resumed) {
+            textureSetId = resume.textureSetId
+            if (onProgress) onProgress('resuming', formatUploadProgressDetail(progressLabelPrefix, 'Resuming interrupted upload (R2)...'))
+        } else {
+            // 1. Create texture set in API with R2 storage provider
+            if (onProgress) onProgress('creating', formatUploadProgressDetail(progressLabelPrefix, 'Creating texture set (R2)...'))
+            const createPayload = {
+                name,
+                description,
+                isPublic,
+                tileResolution,
+                tileCount: tiles.length,
+                layerCount,
+                crossSectionType,
+                sourceMetadata,
+                storageProvider: 'r2',
+            }
+            if (parentTextureSetId) {
+                createPayload.parentTextureSetId = parentTextureSetId
+            }
+            textureSetId = (await createTextureSet(createPayload)).textureSetId
+            onTextureSetCreated?.({ textureSetId })
         }
-        const { textureSetId, tiles: preallocatedTiles } = await createTextureSet(createPayload)
 
-        // 2. Upload each tile directly to R2 via API
+        // 2. Upload each tile R2 does not already hold directly via API
+        const pendingTiles = resumed?.status === 'complete' ? [] : selectTilesToUpload(hashedTiles, resumed?.tiles)
         const uploadedTiles = []
-        for (let i = 0; i < tiles.length; i++) {
-            const tile = tiles[i]
+        for (let i = 0; i < pendingTiles.length; i++) {
+            const tile = pendingTiles[i]
             if (onProgress) {
-                onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploading tile ${i + 1}/${tiles.length} to R2...`))
+                onProgress('tile', formatUploadProgressDetail(progressLabelPrefix, `Uploading tile ${i + 1}/${pendingTiles.length} to R2...`))
             }
 
-            const result = await uploadTile(textureSetId, tile.index, tile.blob)
+            const result = await uploadTile(textureSetId, tile.index, tile.blob, tile.checksum)
             uploadedTiles.push(result)
         }
 
@@ -616,14 +705,17 @@ export function useRivvonAPI() {
         }
 
         // 4. Mark as complete
-        if (onProgress) onProgress('completing', formatUploadProgressDetail(progressLabelPrefix, 'Finalizing...'))
-        await completeTextureSet(textureSetId)
+        if (resumed?.status !== 'complete') {
+            if (onProgress) onProgress('completing', formatUploadProgressDetail(progressLabelPrefix, 'Finalizing...'))
+            await completeTextureSet(textureSetId)
+        }
 
-        // 5. Return texture set info with R2 CDN URLs
+        // 5. Return texture set info with R2 CDN URLs (tiles uploaded by this call)
         return {
             textureSetId,
             storageProvider: 'r2',
             thumbnailUrl,
+            resumedTileCount: tiles.length - pendingTiles.length,
             tiles: uploadedTiles.map((t) => ({
                 tileIndex: t.tileIndex,
                 url: t.url || t.publicUrl,
@@ -773,6 +865,51 @@ export function useRivvonAPI() {
         return response.json()
     }
 
+    /**
+     * Create a shareable scene permalink
+     * POST /scenes
+     * @param {Object} scene - { name, textureSetId, drawingId, payload } where payload is a project document
+     */
+    async function createScene(scene, includeUserProfile = true) {
+        const payload = { ...scene }
+        if (includeUserProfile && user.value) {
+            payload.userProfile = {
+                name: user.value.name,
+                email: user.value.email,
+                picture: user.value.picture,
+            }
+        }
+
+        const response = await authFetch(`${API_BASE_URL}/scenes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(payload),
+        })
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Failed to create scene' }))
+            throw new Error(error.error || 'Failed to create scene')
+        }
+
+        return response.json()
+    }
+
+    /**
+     * Get a shared scene by ID (public endpoint)
+     */
+    async function getScene(sceneId) {
+        const response = await fetch(`${API_BASE_URL}/scenes/${encodeURIComponent(sceneId)}`)
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Failed to fetch scene' }))
+            throw new Error(error.error || 'Failed to fetch scene')
+        }
+
+        return response.json()
+    }
+
     /**
      * Delete a texture set (authenticated, owner only)
      * DELETE /texture-set/:id
@@ -853,6 +990,7 @@ export function useRivvonAPI() {
         uploadDrawingPayload,
         registerDrawingPayloadMetadata,
         completeTextureSet,
+        getTextureSetTileStatus,
         completeDrawing,
         uploadThumbnail,
         uploadDrawingThumbnail,
@@ -867,6 +1005,8 @@ export function useRivvonAPI() {
         getMyTextures,
         getMyDrawings,
         getDrawing,
+        createScene,
+        getScene,
         deleteTextureSet,
         deleteDrawing,
         updateTextureSet,
@@ -4,6 +4,7 @@
  */
 
 import { useGoogleAuth } from '../composables/shared/useGoogleAuth'
+import { computeSha256Hex } from '../modules/shared/tileChecksum.js'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://api.rivvon.ca'
 const SLYCE_FOLDER_NAME = 'Slyce Textures'
@@ -194,7 +195,7 @@ export function useGoogleDrive() {
 
         // Step 1: Initialize resumable upload session
         const initResponse = await fetch(
-            'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable',
+            'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&fields=id,size,sha256Checksum',
             {
                 method: 'POST',
                 headers: {
@@ -251,6 +252,8 @@ export function useGoogleDrive() {
         return {
             id: file.id,
             size: fileSize,
+            // Drive only reports this once it has processed the content
+            sha256Checksum: file.sha256Checksum || null,
             publicUrl: `https://drive.google.com/uc?export=download&id=${file.id}`,
         }
     }
@@ -289,8 +292,11 @@ export function useGoogleDrive() {
      * @param {string} folderId - Google Drive folder ID
      * @param {Blob|ArrayBuffer} tileData - The KTX2 tile data
      * @param {Function} onProgress - Progress callback
+     * @param {string} [checksum] - SHA-256 of tileData, computed here if omitted
      */
-    async function uploadTile(textureSetId, tileIndex, folderId, tileData, onProgress = null) {
+    async function uploadTile(textureSetId, tileIndex, folderId, tileData, onProgress = null, checksum = null) {
+        const tileChecksum = checksum || await computeSha256Hex(tileData)
+
         // Upload to Google Drive
         const fileName = `${tileIndex}.ktx2`
         const fileInfo = await uploadFile(folderId, fileName, tileData, {
@@ -308,6 +314,8 @@ export function useGoogleDrive() {
                 body: JSON.stringify({
                     driveFileId: fileInfo.id,
                     fileSize: fileInfo.size,
+                    checksum: tileChecksum,
+                    driveChecksum: fileInfo.sha256Checksum,
                 }),
             }
         )
@@ -321,6 +329,7 @@ export function useGoogleDrive() {
             tileIndex,
             driveFileId: fileInfo.id,
             fileSize: fileInfo.size,
+            checksum: tileChecksum,
         }
     }
 
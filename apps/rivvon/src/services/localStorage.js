@@ -8,6 +8,8 @@
  * Stores:
  *   - texture-sets: Metadata (name, resolution, layer count, thumbnail, etc.)
  *   - tiles: KTX2 binary blobs indexed by (texture_set_id, tile_index)
+ *   - background-images: User-supplied images for the viewer's static background layer
+ *   - color-luts: Imported .cube colour grading tables, stored parsed
  */
 
 import {
@@ -17,18 +19,20 @@ import {
 } from '../modules/shared/textureFamilyResolver.js';
 
 const DB_NAME = 'rivvon-textures';
-const DB_VERSION = 2;
+const DB_VERSION = 4;
 const STORE_TEXTURE_SETS = 'texture-sets';
 const STORE_TILES = 'tiles';
+const STORE_BACKGROUND_IMAGES = 'background-images';
+const STORE_COLOR_LUTS = 'color-luts';
 const TILE_MIME_TYPE = 'image/ktx2';
 
 let dbInstance = null;
 
 /**
- * Generate a unique ID for texture sets
+ * Generate a unique ID for texture sets (or, with a prefix, other records)
  */
-function generateId() {
-    return `local_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+function generateId(prefix = 'local') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 }
 
 function isArrayBufferView(value) {
@@ -356,6 +360,18 @@ async function openDatabase() {
                 tilesStore.createIndex('tile_index', 'tile_index', { unique: false });
                 console.log('[LocalStorage] Created tiles store');
             }
+
+            if (!db.objectStoreNames.contains(STORE_BACKGROUND_IMAGES)) {
+                const backgroundStore = db.createObjectStore(STORE_BACKGROUND_IMAGES, { keyPath: 'id' });
+                backgroundStore.createIndex('created_at', 'created_at', { unique: false });
+                console.log('[LocalStorage] Created background-images store');
+            }
+
+            if (!db.objectStoreNames.contains(STORE_COLOR_LUTS)) {
+                const lutStore = db.createObjectStore(STORE_COLOR_LUTS, { keyPath: 'id' });
+                lutStore.createIndex('created_at', 'created_at', { unique: false });
+                console.log('[LocalStorage] Created color-luts store');
+            }
         };
     });
 }
@@ -373,24 +389,14 @@ async function calculateTextureSetSize(textureSetId) {
 }
 
 /**
- * Save a texture set with all its tiles to IndexedDB
- * 
- * @param {Object} params
- * @param {string} params.name - Texture name
- * @param {string} params.description - Optional texture description / caption
- * @param {number} params.tileCount - Number of tiles
- * @param {number} params.tileResolution - Resolution of each tile (e.g., 512, 1024)
- * @param {number} params.layerCount - Layers per tile
- * @param {string} params.crossSectionType - 'planes' or 'waves'
- * @param {Object} params.sourceMetadata - Original video metadata
- * @param {string} params.thumbnailDataUrl - Base64 data URL for thumbnail
- * @param {Object} params.ktx2Blobs - Map of tile index to Blob
- * @param {Object|null} params.derivedFrom - Optional immediate parent reference for derived variants
- * @param {Object|null} params.variantInfo - Optional derived-variant metadata
- * @param {Function} params.onProgress - Progress callback (current, total)
- * @returns {Promise<string>} The saved texture set ID
+ * Build the texture-set record and tile records that saveTextureSet persists.
+ * Kept free of IndexedDB so other writers (e.g. the headless CLI) can emit
+ * exactly the same shape.
+ *
+ * Accepts the same params as saveTextureSet (minus onProgress).
+ * @returns {Promise<{textureSet: Object, tiles: Array<Object>}>}
  */
-async function saveTextureSet({
+async function buildTextureSetRecords({
     name,
     description = '',
     tileCount,
@@ -406,7 +412,6 @@ async function saveTextureSet({
     rootTextureSetId = null,
     storageProvider = 'local',
     cachedFrom = null,
-    onProgress
 }) {
     const tileEntries = await Promise.all(
         Object.entries(ktx2Blobs).map(async ([tileIndex, tileData]) => {
@@ -419,7 +424,6 @@ async function saveTextureSet({
         })
     );
 
-    const db = await openDatabase();
     const id = generateId();
     const createdAt = Date.now();
 
@@ -457,6 +461,40 @@ async function saveTextureSet({
         cached_from: cachedFrom,
     });
 
+    const tiles = tileEntries.map(entry => ({
+        id: `${id}_${entry.tileIndex}`,
+        texture_set_id: id,
+        tile_index: entry.tileIndex,
+        bytes: entry.bytes,
+        file_size: entry.fileSize
+    }));
+
+    return { textureSet: sanitizeStructuredData(textureSet), tiles };
+}
+
+/**
+ * Save a texture set with all its tiles to IndexedDB
+ * 
+ * @param {Object} params
+ * @param {string} params.name - Texture name
+ * @param {string} params.description - Optional texture description / caption
+ * @param {number} params.tileCount - Number of tiles
+ * @param {number} params.tileResolution - Resolution of each tile (e.g., 512, 1024)
+ * @param {number} params.layerCount - Layers per tile
+ * @param {string} params.crossSectionType - Cross-section strategy id (e.g. 'planes', 'waves', 'radial')
+ * @param {Object} params.sourceMetadata - Original video metadata
+ * @param {string} params.thumbnailDataUrl - Base64 data URL for thumbnail
+ * @param {Object} params.ktx2Blobs - Map of tile index to Blob
+ * @param {Object|null} params.derivedFrom - Optional immediate parent reference for derived variants
+ * @param {Object|null} params.variantInfo - Optional derived-variant metadata
+ * @param {Function} params.onProgress - Progress callback (current, total)
+ * @returns {Promise<string>} The saved texture set ID
+ */
+async function saveTextureSet({ onProgress, ...params }) {
+    const { textureSet, tiles } = await buildTextureSetRecords(params);
+    const db = await openDatabase();
+    const id = textureSet.id;
+
     // Use a transaction for atomic writes
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_TEXTURE_SETS, STORE_TILES], 'readwrite');
@@ -467,33 +505,24 @@ async function saveTextureSet({
         };
 
         transaction.oncomplete = () => {
-            console.log(`[LocalStorage] Saved texture set: ${id} with ${tileEntries.length} tiles`);
+            console.log(`[LocalStorage] Saved texture set: ${id} with ${tiles.length} tiles`);
             resolve(id);
         };
 
         // Save texture set metadata
         const textureSetStore = transaction.objectStore(STORE_TEXTURE_SETS);
-        textureSetStore.add(sanitizeStructuredData(textureSet));
+        textureSetStore.add(textureSet);
 
         // Save each tile
         const tilesStore = transaction.objectStore(STORE_TILES);
         let savedCount = 0;
 
-        for (const entry of tileEntries) {
-            const tileId = `${id}_${entry.tileIndex}`;
-            const tile = {
-                id: tileId,
-                texture_set_id: id,
-                tile_index: entry.tileIndex,
-                bytes: entry.bytes,
-                file_size: entry.fileSize
-            };
-
+        for (const tile of tiles) {
             const request = tilesStore.add(tile);
             request.onsuccess = () => {
                 savedCount++;
                 if (onProgress) {
-                    onProgress(savedCount, tileEntries.length);
+                    onProgress(savedCount, tiles.length);
                 }
             };
         }
@@ -791,7 +820,7 @@ async function downloadTextureSetAsZip(textureSetId) {
  * @param {number} params.tileCount - Number of tiles
  * @param {number} params.tileResolution - Resolution of each tile
  * @param {number} params.layerCount - Layers per tile
- * @param {string} params.crossSectionType - 'planes' or 'waves'
+ * @param {string} params.crossSectionType - Cross-section strategy id (e.g. 'planes', 'waves', 'radial')
  * @param {Object} params.sourceMetadata - Original video metadata
  * @param {string} params.thumbnailDataUrl - Base64 data URL or URL for thumbnail
  * @param {Object} params.ktx2Blobs - Map of tile index to Blob/ArrayBuffer
@@ -984,6 +1013,209 @@ async function evictCachedTexture(cloudTextureId) {
     return true;
 }
 
+/**
+ * Save an image to use as the viewer's static background
+ * @param {File|Blob} blob - Image data
+ * @param {string} [name] - Display name (defaults to the file name)
+ * @returns {Promise<{id: string, name: string, mime_type: string, size: number, created_at: number}>} Metadata of the saved image
+ */
+async function saveBackgroundImage(blob, name = '') {
+    if (!(blob instanceof Blob) || !blob.type.startsWith('image/')) {
+        throw new Error('Background must be an image file');
+    }
+
+    const db = await openDatabase();
+    const record = {
+        id: generateId('background'),
+        name: name || blob.name || 'Background image',
+        mime_type: blob.type,
+        size: blob.size,
+        created_at: Date.now(),
+    };
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_BACKGROUND_IMAGES], 'readwrite');
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.oncomplete = () => resolve();
+
+        transaction.objectStore(STORE_BACKGROUND_IMAGES).put({ ...record, blob });
+    });
+
+    console.log(`[LocalStorage] Saved background image: ${record.id}`);
+    return record;
+}
+
+/**
+ * Get all saved background images (metadata only, no blobs)
+ * @returns {Promise<Array>} Newest first
+ */
+async function getAllBackgroundImages() {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_BACKGROUND_IMAGES], 'readonly');
+        const request = transaction.objectStore(STORE_BACKGROUND_IMAGES).getAll();
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            resolve(request.result
+                .map(({ blob: _blob, ...metadata }) => metadata)
+                .sort((a, b) => b.created_at - a.created_at));
+        };
+    });
+}
+
+/**
+ * Get a saved background image with its blob
+ * @param {string} id - Background image ID
+ * @returns {Promise<Object|null>}
+ */
+async function getBackgroundImage(id) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_BACKGROUND_IMAGES], 'readonly');
+        const request = transaction.objectStore(STORE_BACKGROUND_IMAGES).get(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result || null);
+    });
+}
+
+/**
+ * Delete a saved background image
+ * @param {string} id - Background image ID
+ * @returns {Promise<void>}
+ */
+async function deleteBackgroundImage(id) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_BACKGROUND_IMAGES], 'readwrite');
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.oncomplete = () => {
+            console.log(`[LocalStorage] Deleted background image: ${id}`);
+            resolve();
+        };
+
+        transaction.objectStore(STORE_BACKGROUND_IMAGES).delete(id);
+    });
+}
+
+/**
+ * Save a parsed .cube LUT so it can be reselected later
+ * @param {{title: string, type: string, size: number, domainMin: number[], domainMax: number[], data: Float32Array}} lut - From parseCubeLut
+ * @param {string} [name] - Display name (defaults to the LUT title)
+ * @returns {Promise<{id: string, name: string, type: string, size: number, created_at: number}>} Metadata of the saved LUT
+ */
+async function saveColorLut(lut, name = '') {
+    if (!(lut?.data instanceof Float32Array)) {
+        throw new Error('LUT has no table data');
+    }
+
+    const db = await openDatabase();
+    const record = {
+        id: generateId('lut'),
+        name: name || lut.title || 'Color LUT',
+        type: lut.type,
+        size: lut.size,
+        created_at: Date.now(),
+    };
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_COLOR_LUTS], 'readwrite');
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.oncomplete = () => resolve();
+
+        transaction.objectStore(STORE_COLOR_LUTS).put({
+            ...record,
+            title: lut.title,
+            domain_min: lut.domainMin,
+            domain_max: lut.domainMax,
+            data: lut.data,
+        });
+    });
+
+    console.log(`[LocalStorage] Saved color LUT: ${record.id}`);
+    return record;
+}
+
+/**
+ * Get all saved LUTs (metadata only, no table data)
+ * @returns {Promise<Array>} Newest first
+ */
+async function getAllColorLuts() {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_COLOR_LUTS], 'readonly');
+        const request = transaction.objectStore(STORE_COLOR_LUTS).getAll();
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            resolve(request.result
+                .map(({ data: _data, domain_min: _min, domain_max: _max, ...metadata }) => metadata)
+                .sort((a, b) => b.created_at - a.created_at));
+        };
+    });
+}
+
+/**
+ * Get a saved LUT with its table, in parseCubeLut's shape
+ * @param {string} id - LUT ID
+ * @returns {Promise<Object|null>}
+ */
+async function getColorLut(id) {
+    const db = await openDatabase();
+
+    const record = await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_COLOR_LUTS], 'readonly');
+        const request = transaction.objectStore(STORE_COLOR_LUTS).get(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result || null);
+    });
+
+    if (!record) {
+        return null;
+    }
+
+    return {
+        id: record.id,
+        name: record.name,
+        title: record.title,
+        type: record.type,
+        size: record.size,
+        domainMin: record.domain_min,
+        domainMax: record.domain_max,
+        data: record.data,
+    };
+}
+
+/**
+ * Delete a saved LUT
+ * @param {string} id - LUT ID
+ * @returns {Promise<void>}
+ */
+async function deleteColorLut(id) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_COLOR_LUTS], 'readwrite');
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.oncomplete = () => {
+            console.log(`[LocalStorage] Deleted color LUT: ${id}`);
+            resolve();
+        };
+
+        transaction.objectStore(STORE_COLOR_LUTS).delete(id);
+    });
+}
+
 /**
  * Vue composable for local storage operations
  * @returns {Object} Local storage methods
@@ -1005,12 +1237,21 @@ export function useLocalStorage() {
         promoteTextureSetToCachedCloudTexture,
         getCachedLocalId,
         getCachedCloudIds,
-        evictCachedTexture
+        evictCachedTexture,
+        saveBackgroundImage,
+        getAllBackgroundImages,
+        getBackgroundImage,
+        deleteBackgroundImage,
+        saveColorLut,
+        getAllColorLuts,
+        getColorLut,
+        deleteColorLut
     };
 }
 
 // Also export individual functions for direct use
 export {
+    buildTextureSetRecords,
     saveTextureSet,
     getAllTextureSets,
     getTextureSet,
@@ -1026,5 +1267,13 @@ export {
     promoteTextureSetToCachedCloudTexture,
     getCachedLocalId,
     getCachedCloudIds,
-    evictCachedTexture
+    evictCachedTexture,
+    saveBackgroundImage,
+    getAllBackgroundImages,
+    getBackgroundImage,
+    deleteBackgroundImage,
+    saveColorLut,
+    getAllColorLuts,
+    getColorLut,
+    deleteColorLut
 };
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildTextureSetRecords } from './localStorage.js';
+
+describe('buildTextureSetRecords', () => {
+    it('builds the texture-set record and tiles without IndexedDB', async () => {
+        const { textureSet, tiles } = await buildTextureSetRecords({
+            name: 'Clip',
+            tileCount: 2,
+            tileResolution: 256,
+            layerCount: 60,
+            crossSectionType: 'waves',
+            sourceMetadata: { filename: 'clip.mp4' },
+            thumbnailDataUrl: 'data:image/jpeg;base64,',
+            ktx2Blobs: {
+                0: new Uint8Array([1, 2, 3]),
+                1: new Uint8Array([4, 5]).buffer,
+            },
+        });
+
+        expect(textureSet).toMatchObject({
+            name: 'Clip',
+            description: '',
+            tile_count: 2,
+            tile_resolution: 256,
+            layer_count: 60,
+            cross_section_type: 'waves',
+            total_size: 5,
+            total_size_bytes: 5,
+            root_texture_id: textureSet.id,
+            storage_provider: 'local',
+            status: 'complete',
+        });
+        expect(textureSet.id).toMatch(/^local_/);
+        expect(tiles.map(({ id, tile_index, file_size }) => ({ id, tile_index, file_size }))).toEqual([
+            { id: `${textureSet.id}_0`, tile_index: 0, file_size: 3 },
+            { id: `${textureSet.id}_1`, tile_index: 1, file_size: 2 },
+        ]);
+        expect(new Uint8Array(tiles[0].bytes)).toEqual(new Uint8Array([1, 2, 3]));
+    });
+
+    it('fills variant family fields from the parent and root', async () => {
+        const { textureSet } = await buildTextureSetRecords({
+            name: 'Clip 128',
+            ktx2Blobs: {},
+            variantInfo: { resolution: 128 },
+            parentTextureSetId: 'local_parent',
+            rootTextureSetId: 'local_root',
+        });
+
+        expect(textureSet.variant_info).toMatchObject({
+            resolution: 128,
+            root_texture_set_id: 'local_root',
+            family_id: 'local_root',
+            parent_texture_set_id: 'local_parent',
+        });
+        expect(textureSet.total_size).toBe(0);
+    });
+});
@@ -9,6 +9,7 @@ import {
     normalizeTextureVariantSummaries,
     resolveFamilyVariant,
 } from '../modules/shared/textureFamilyResolver.js';
+import { buildTextureListParams } from '../modules/shared/textureSearch.js';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'https://api.rivvon.ca';
 
@@ -18,10 +19,14 @@ const API_BASE = import.meta.env.VITE_API_URL || 'https://api.rivvon.ca';
  * @param {number} options.limit - Max results (default 50)
  * @param {number} options.offset - Pagination offset (default 0)
  * @param {number | null} options.preferredMaxResolution - Optional cap for resolver output
+ * @param {Object} options.filters - Search, tags, owner and sort (see modules/shared/textureSearch.js)
  * @returns {Promise<{textures: Array, families: Array, pagination: Object}>}
  */
-export async function fetchTextures({ limit = 50, offset = 0, preferredMaxResolution = null } = {}) {
-    const url = `${API_BASE}/textures?limit=${limit}&offset=${offset}`;
+export async function fetchTextures({ limit = 50, offset = 0, preferredMaxResolution = null, filters = {} } = {}) {
+    const params = buildTextureListParams(filters);
+    params.set('limit', String(limit));
+    params.set('offset', String(offset));
+    const url = `${API_BASE}/textures?${params}`;
     console.log('[TextureService] Fetching textures from:', url);
 
     const response = await fetch(url, {
@@ -42,6 +47,22 @@ export async function fetchTextures({ limit = 50, offset = 0, preferredMaxResolu
     };
 }
 
+/**
+ * Fetch the tags used on public textures, most common first
+ * @param {Object} options
+ * @param {number} options.limit - Max tags (default 30)
+ * @returns {Promise<Array<{tag: string, count: number}>>}
+ */
+export async function fetchTextureTags({ limit = 30 } = {}) {
+    const response = await fetch(`${API_BASE}/textures/tags?limit=${limit}`);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch texture tags: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.tags || [];
+}
+
 export {
     buildTextureVariantSummary,
     getTextureAvailableResolutions,
@@ -6,6 +6,8 @@ import { abortProcessing } from '../modules/slyce/videoProcessingControl.js';
 import { createLocalSaveState, createObjectLocalSaveController } from '../modules/slyce/localSaveController.js';
 import { createPublishState, createObjectPublishController } from '../modules/slyce/publishController.js';
 import { getDefaultTileBuilderBackend } from '../modules/slyce/encodingPolicy.js';
+import { normalizeCrossSectionOptions } from '../modules/slyce/crossSectionStrategies.js';
+import { resolveSamplingAxis } from '../modules/slyce/tilePlan.js';
 
 const DEFAULT_TILE_BUILDER_BACKEND = getDefaultTileBuilderBackend();
 
@@ -17,7 +19,8 @@ export const useSlyceStore = defineStore('slyce', {
         frameEnd: 0,         // End frame of range (0 = unset; defaults to frameCount)
         frameNumber: 0,
         crossSectionCount: 60,
-        crossSectionType: 'waves', // planes, waves
+        crossSectionType: 'waves', // any id registered in crossSectionStrategies.js
+        crossSectionOptions: {},   // per-strategy options keyed by cross-section type
         samplingSide: 'long',       // long, short — resolved to rows/columns via samplingAxis getter
         frameInterpolationFactor: 1, // 1, 2, 4, 8
         // tileMode removed — always 'tile' by convention (full-size mode unused)
@@ -138,6 +141,16 @@ export const useSlyceStore = defineStore('slyce', {
         clearAllStatus() {
             this.status = {};
         },
+        // Merge options for the active cross-section strategy
+        setCrossSectionOptions(patch) {
+            this.crossSectionOptions = {
+                ...this.crossSectionOptions,
+                [this.crossSectionType]: normalizeCrossSectionOptions(this.crossSectionType, {
+                    ...this.activeCrossSectionOptions,
+                    ...patch,
+                }),
+            };
+        },
         getLocalSaveController() {
             return createObjectLocalSaveController(this);
         },
@@ -385,6 +398,13 @@ export const useSlyceStore = defineStore('slyce', {
             const encodedTiles = Object.keys(this.ktx2BlobURLs).length;
             return expectedTiles > 0 && encodedTiles >= expectedTiles;
         },
+        // Normalized options for the selected cross-section strategy
+        activeCrossSectionOptions() {
+            return normalizeCrossSectionOptions(
+                this.crossSectionType,
+                this.crossSectionOptions[this.crossSectionType],
+            );
+        },
         // Cropping getters
         effectiveWidth() {
             return this.cropMode && this.cropWidth ? this.cropWidth : this.fileInfo?.width ?? 0;
@@ -393,25 +413,13 @@ export const useSlyceStore = defineStore('slyce', {
             return this.cropMode && this.cropHeight ? this.cropHeight : this.fileInfo?.height ?? 0;
         },
         // Resolve samplingSide ('long'/'short') to actual axis ('rows'/'columns')
-        // based on perceived dimensions (accounting for rotation metadata).
-        // 'rows' always yields raw-width pixels; 'columns' yields raw-height pixels.
-        // We pick whichever raw axis produces the desired perceived dimension.
         samplingAxis() {
-            const w = this.effectiveWidth;
-            const h = this.effectiveHeight;
-            if (!w || !h) return 'rows';
-            const rotation = ((this.fileInfo?.rotation || 0) % 360 + 360) % 360;
-            const isRotated = rotation === 90 || rotation === 270;
-            const perceivedW = isRotated ? h : w;
-            const perceivedH = isRotated ? w : h;
-            const perceivedLong = Math.max(perceivedW, perceivedH);
-            // raw width (w) is what 'rows' produces — check if that matches the long edge
-            const longAxisIsRows = (w === perceivedLong);
-            if (this.samplingSide === 'long') {
-                return longAxisIsRows ? 'rows' : 'columns';
-            } else {
-                return longAxisIsRows ? 'columns' : 'rows';
-            }
+            return resolveSamplingAxis({
+                width: this.effectiveWidth,
+                height: this.effectiveHeight,
+                rotation: this.fileInfo?.rotation,
+                samplingSide: this.samplingSide,
+            });
         }
     }
 });
@@ -18,15 +18,28 @@ import {
   normalizeProceduralSourceType,
   normalizeSineWaveSettings,
 } from "../modules/viewer/proceduralPaths.js";
+import {
+  DEFAULT_BODY_TRACKING_SETTINGS,
+  normalizeBodyTrackingSettings,
+} from "../modules/viewer/bodyTracking/poseTrails.js";
+import {
+  normalizeWindowCalibration,
+  normalizeWindowCalibrationProfiles,
+  normalizeWindowScreenAssignments,
+} from "../modules/viewer/headTracking/windowCalibration.js";
 import { normalizeTextureOverviewLayoutStrategy } from "../modules/viewer/textureOverviewLayout.js";
+import { normalizeWalkMapSettings } from "../modules/viewer/walkMapProviders.js";
+import { normalizeWalkPlaybackSettings } from "../modules/viewer/walkChannels.js";
 import {
   DEFAULT_SPHERICAL_WRAP_DEGREES,
   normalizeSphericalProjectionWrapDegrees,
 } from "../modules/viewer/sphericalProjection.js";
 import { normalizeArtworkMotionMode } from "../modules/viewer/viewerMotion.js";
+import { isKnownCrossSectionType } from "../modules/slyce/crossSectionStrategies.js";
 import {
   DEFAULT_BACKGROUND_TEXTURE,
   normalizeBackgroundTexture,
+  serializeBackgroundTexture,
 } from "../modules/viewer/backgroundTextures.js";
 import {
   DEFAULT_SEAMLESS_LOOP_COUNT,
@@ -43,10 +56,24 @@ import {
   normalizeGradientMapStops,
   serializeGradientMapStops,
 } from "../modules/viewer/gradientMap.js";
+import {
+  DEFAULT_COLOR_LUT_INTENSITY,
+  normalizeColorLutIntensity,
+  normalizeColorLutReference,
+} from "../modules/viewer/cubeLut.js";
+import {
+  normalizePostEffectStack,
+  serializePostEffectStack,
+} from "../modules/viewer/postEffects.js";
+import {
+  DEFAULT_AUDIO_REACTIVE_MAPPINGS,
+  normalizeAudioReactiveMappings,
+  serializeAudioReactiveMappings,
+} from "../modules/viewer/audioReactive.js";
 
 const VIEWER_PREFERENCES_STORAGE_KEY = "rivvon.viewer.preferences";
 const PREFERRED_TEXTURE_RESOLUTION_VALUES = [256, 512, 1024];
-const VIEWER_FILTER_MODES = ["none", "gradientMap"];
+const VIEWER_FILTER_MODES = ["none", "gradientMap", "lut"];
 const TRANSPARENCY_METHODS = ["brightness", "color"];
 const DEFAULT_TRANSPARENCY_METHOD = "brightness";
 const TRANSPARENCY_MODES = ["shadows", "highlights"];
@@ -542,6 +569,39 @@ function writeViewerPreferences(patch) {
   }
 }
 
+function getStoredHeadTrackingWindowSettings() {
+  const preferences = readViewerPreferences();
+  const profiles = normalizeWindowCalibrationProfiles(
+    preferences.headTrackingWindowProfiles,
+  );
+
+  return {
+    headTrackingWindowEnabled: normalizeViewerBooleanPreference(
+      preferences.headTrackingWindowEnabled,
+      false,
+    ),
+    headTrackingWindowProfiles: profiles,
+    headTrackingWindowScreenProfiles: normalizeWindowScreenAssignments(
+      preferences.headTrackingWindowScreenProfiles,
+      profiles,
+    ),
+  };
+}
+
+function getStoredWalkMapSettings() {
+  return normalizeWalkMapSettings(readViewerPreferences().walkMapSettings);
+}
+
+function getStoredWalkPlaybackSettings() {
+  return normalizeWalkPlaybackSettings(
+    readViewerPreferences().walkPlaybackSettings,
+  );
+}
+
+function createWindowCalibrationProfileId() {
+  return `window_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
 function getStoredExportDimensionSettings() {
   return normalizeExportDimensionSettings(readViewerPreferences());
 }
@@ -591,11 +651,99 @@ function getStoredFilterSettings() {
     transparentShadowsThresholdMin: transparentShadowsThresholds.min,
     transparentShadowsThresholdMax: transparentShadowsThresholds.max,
     gradientMapStops,
+    colorLut: normalizeColorLutReference(preferences.colorLut),
+    colorLutIntensity: normalizeColorLutIntensity(preferences.colorLutIntensity),
+    postEffects: normalizePostEffectStack(preferences.postEffects),
     contrast: normalizeContrast(preferences.contrast),
     saturation: normalizeSaturation(preferences.saturation),
   };
 }
 
+// Look settings carried by a project document, mapped to the setter that
+// normalizes them. Paired and legacy values are handled in
+// applyProjectSettings. Device-specific preferences (renderer, texture
+// resolution, wake lock, control mode) deliberately stay out of projects.
+const PROJECT_SETTING_SETTERS = {
+  artworkMotionMode: "setArtworkMotionMode",
+  viewerMotionLoopCount: "setViewerMotionLoopCount",
+  scrollDrivenTiltEnabled: "setScrollDrivenTiltEnabled",
+  scrollDrivenLayerCycleEnabled: "setScrollDrivenLayerCycleEnabled",
+  scrollDrivenFlowEnabled: "setScrollDrivenFlowEnabled",
+  flowSpeed: "setFlowSpeed",
+  undulationEnabled: "setUndulationEnabled",
+  flowCycleAlignmentEnabled: "setFlowCycleAlignmentEnabled",
+  textureAnimationEnabled: "setTextureAnimationEnabled",
+  textureAnimationReversed: "setTextureAnimationReversed",
+  animatedBackgroundEnabled: "setAnimatedBackgroundEnabled",
+  backgroundFlipVertical: "setBackgroundFlipVertical",
+  backgroundFlowEnabled: "setBackgroundFlowEnabled",
+  backgroundFlowSpeed: "setBackgroundFlowSpeed",
+  backgroundBlurEnabled: "setBackgroundBlurEnabled",
+  backgroundBlurAmount: "setBackgroundBlurAmount",
+  backgroundOverlayEnabled: "setBackgroundOverlayEnabled",
+  backgroundOverlayColor: "setBackgroundOverlayColor",
+  backgroundOverlayOpacity: "setBackgroundOverlayOpacity",
+  backgroundTextureEnabled: "setBackgroundTextureEnabled",
+  backgroundTexture: "setBackgroundTexture",
+  backgroundBaseEnabled: "setBackgroundBaseEnabled",
+  backgroundWaterEnabled: "setBackgroundWaterEnabled",
+  backgroundWaterColor: "setBackgroundWaterColor",
+  backgroundWaterFlow: "setBackgroundWaterFlow",
+  backgroundWaterScale: "setBackgroundWaterScale",
+  backgroundWaterSpeed: "setBackgroundWaterSpeed",
+  backgroundWaterStrength: "setBackgroundWaterStrength",
+  peakTroughBlurAmount: "setPeakTroughBlurAmount",
+  textureRepeatMode: "setTextureRepeatMode",
+  normalizeTextureOrientation: "setNormalizeTextureOrientation",
+  textureFlipVertical: "setTextureFlipVertical",
+  textureOverviewLayoutStrategy: "setTextureOverviewLayoutStrategy",
+  exportLogoOverlayEnabled: "setExportLogoOverlayEnabled",
+  exportLogoOverlayCorner: "setExportLogoOverlayCorner",
+  renderFilterMode: "setRenderFilterMode",
+  transparentShadowsEnabled: "setTransparentShadowsEnabled",
+  transparencyMethod: "setTransparencyMethod",
+  transparencyMode: "setTransparencyMode",
+  transparencyReferenceColor: "setTransparencyReferenceColor",
+  edgeDriftEnabled: "setEdgeDriftEnabled",
+  edgeNoiseTransparencyMax: "setEdgeNoiseTransparencyMax",
+  edgeNoisePatternLength: "setEdgeNoisePatternLength",
+  edgeNoiseMirrored: "setEdgeNoiseMirrored",
+  filmstripStyleEnabled: "setFilmstripStyleEnabled",
+  filmstripGapLength: "setFilmstripGapLength",
+  filmstripHoleLength: "setFilmstripHoleLength",
+  filmstripAperture: "setFilmstripAperture",
+  filmstripHoleRoundedness: "setFilmstripHoleRoundedness",
+  gradientMapStops: "setGradientMapStops",
+  colorLut: "setColorLut",
+  colorLutIntensity: "setColorLutIntensity",
+  postEffects: "setPostEffects",
+  contrast: "setContrast",
+  saturation: "setSaturation",
+  audioReactiveMappings: "setAudioReactiveMappings",
+  ribbonWidthScale: "setRibbonWidthScale",
+  ribbonPathAlignmentMode: "setRibbonPathAlignmentMode",
+  surfaceMode: "setSurfaceMode",
+  tubeRadiusScale: "setTubeRadiusScale",
+  tubeRadialSegments: "setTubeRadialSegments",
+  tubeTextureJoinOffsetDegrees: "setTubeTextureJoinOffsetDegrees",
+  capStyle: "setCapStyle",
+  cornerNarrowingEnabled: "setCornerNarrowingEnabled",
+  sphericalProjectionEnabled: "setSphericalProjectionEnabled",
+  sphericalProjectionWrapDegrees: "setSphericalProjectionWrapDegrees",
+};
+
+// Older preference keys and the setters that migrate them
+const LEGACY_PROJECT_SETTING_SETTERS = {
+  viewerMotionMode: ["artworkMotionMode", "setArtworkMotionMode"],
+  duotoneColor: ["gradientMapStops", "setDuotoneColor"],
+  filmstripHoleSpacing: ["filmstripGapLength", "setFilmstripHoleSpacing"],
+  filmstripHoleSize: ["filmstripAperture", "setFilmstripHoleSize"],
+  roundedCaps: ["capStyle", "setRoundedCaps"],
+};
+
+const FLOW_STATES = ["off", "forward", "backward"];
+const HELIX_OPTION_KEYS = ["helixRadius", "helixPitch", "helixStrandWidth"];
+
 export const useViewerStore = defineStore("viewer", {
   state: () => {
     const exportDimensionSettings = getStoredExportDimensionSettings();
@@ -649,9 +797,31 @@ export const useViewerStore = defineStore("viewer", {
       sineWaveSettings: { ...DEFAULT_SINE_WAVE_SETTINGS },
       clockSettings: { ...DEFAULT_CLOCK_SETTINGS },
 
+      // Hand drawing (index fingertip through the webcam, pinch to draw)
+      handDrawingEnabled: false,
+      handDrawingActive: false,
+      handDrawingStatusMessage: "",
+      handDrawingErrorMessage: "",
+
+      // Grow the ribbon while drawing instead of building it on finalize
+      liveDrawingEnabled: normalizeViewerBooleanPreference(
+        readViewerPreferences().liveDrawingEnabled,
+        false,
+      ),
+
+      // Body tracking (live ribbons from webcam pose landmarks)
+      bodyTrackingSettings: normalizeBodyTrackingSettings(
+        DEFAULT_BODY_TRACKING_SETTINGS,
+      ),
+      bodyTrackingActive: false,
+      bodyTrackingStatusMessage: "",
+      bodyTrackingErrorMessage: "",
+
       // Walk capture state
       isWalkMode: false,
       walkPointCount: 0,
+      walkMapSettings: getStoredWalkMapSettings(),
+      walkPlaybackSettings: getStoredWalkPlaybackSettings(),
 
       // Viewer control mode
       viewerControlMode: "orbit", // 'orbit' | 'headTracking' | 'mouseTilt' | 'scrollTilt'
@@ -680,6 +850,8 @@ export const useViewerStore = defineStore("viewer", {
       headTrackingErrorMessage: "",
       headTrackingSuspendedReason: null,
       headTrackingRecenterToken: 0,
+      // Off-axis "window" projection, with calibration profiles per screen
+      ...getStoredHeadTrackingWindowSettings(),
       screenWakeLockEnabled: normalizeViewerBooleanPreference(
         readViewerPreferences().screenWakeLockEnabled,
         true,
@@ -881,8 +1053,14 @@ export const useViewerStore = defineStore("viewer", {
         readViewerPreferences().filmstripHoleRoundedness,
       ),
       gradientMapStops: storedFilterSettings.gradientMapStops,
+      colorLut: storedFilterSettings.colorLut,
+      colorLutIntensity: storedFilterSettings.colorLutIntensity,
+      postEffects: storedFilterSettings.postEffects,
       contrast: storedFilterSettings.contrast,
       saturation: storedFilterSettings.saturation,
+      audioReactiveMappings: normalizeAudioReactiveMappings(
+        readViewerPreferences().audioReactiveMappings,
+      ),
       currentTextureId: null,
       currentTextureName: "",
       currentTextureDescription: "",
@@ -931,6 +1109,7 @@ export const useViewerStore = defineStore("viewer", {
         this.isWalkMode = false;
         this.walkPointCount = 0;
       } else {
+        this.handDrawingEnabled = false;
         this.strokeCount = 0;
         this.countdownSeconds = null;
         this.countdownProgress = 0;
@@ -943,6 +1122,7 @@ export const useViewerStore = defineStore("viewer", {
 
       if (enabled) {
         this.isDrawingMode = false;
+        this.handDrawingEnabled = false;
         this.strokeCount = 0;
         this.countdownSeconds = null;
         this.countdownProgress = 0;
@@ -989,6 +1169,52 @@ export const useViewerStore = defineStore("viewer", {
       this.clockSettings = { ...DEFAULT_CLOCK_SETTINGS };
     },
 
+    setHandDrawingEnabled(enabled) {
+      this.handDrawingEnabled = !!enabled;
+    },
+
+    setLiveDrawingEnabled(enabled) {
+      this.liveDrawingEnabled = !!enabled;
+      writeViewerPreferences({ liveDrawingEnabled: this.liveDrawingEnabled });
+    },
+
+    setHandDrawingRuntimeState(payload = {}) {
+      if ("active" in payload) {
+        this.handDrawingActive = !!payload.active;
+      }
+      if ("statusMessage" in payload) {
+        this.handDrawingStatusMessage = payload.statusMessage ?? "";
+      }
+      if ("errorMessage" in payload) {
+        this.handDrawingErrorMessage = payload.errorMessage ?? "";
+      }
+    },
+
+    setBodyTrackingSettings(settings = {}) {
+      this.bodyTrackingSettings = normalizeBodyTrackingSettings({
+        ...this.bodyTrackingSettings,
+        ...settings,
+      });
+    },
+
+    resetBodyTrackingSettings() {
+      this.bodyTrackingSettings = normalizeBodyTrackingSettings(
+        DEFAULT_BODY_TRACKING_SETTINGS,
+      );
+    },
+
+    setBodyTrackingRuntimeState(payload = {}) {
+      if ("active" in payload) {
+        this.bodyTrackingActive = !!payload.active;
+      }
+      if ("statusMessage" in payload) {
+        this.bodyTrackingStatusMessage = payload.statusMessage ?? "";
+      }
+      if ("errorMessage" in payload) {
+        this.bodyTrackingErrorMessage = payload.errorMessage ?? "";
+      }
+    },
+
     setViewerControlMode(mode) {
       if (
         mode === "headTracking" ||
@@ -1037,7 +1263,7 @@ export const useViewerStore = defineStore("viewer", {
       this.backgroundOverlayColor = DEFAULT_BACKGROUND_OVERLAY_COLOR;
       this.backgroundOverlayOpacity = DEFAULT_BACKGROUND_OVERLAY_OPACITY;
       this.backgroundTextureEnabled = false;
-      this.backgroundTexture = DEFAULT_BACKGROUND_TEXTURE;
+      this.backgroundTexture = normalizeBackgroundTexture(DEFAULT_BACKGROUND_TEXTURE);
       this.backgroundBaseEnabled = DEFAULT_BACKGROUND_BASE_ENABLED;
       this.backgroundWaterEnabled = DEFAULT_BACKGROUND_WATER_ENABLED;
       this.backgroundWaterColor = DEFAULT_BACKGROUND_WATER_COLOR;
@@ -1084,8 +1310,14 @@ export const useViewerStore = defineStore("viewer", {
       this.filmstripAperture = DEFAULT_FILMSTRIP_APERTURE;
       this.filmstripHoleRoundedness = DEFAULT_FILMSTRIP_HOLE_ROUNDEDNESS;
       this.gradientMapStops = normalizeGradientMapStops(DEFAULT_GRADIENT_MAP_STOPS);
+      this.colorLut = null;
+      this.colorLutIntensity = DEFAULT_COLOR_LUT_INTENSITY;
+      this.postEffects = [];
       this.contrast = DEFAULT_CONTRAST;
       this.saturation = DEFAULT_SATURATION;
+      this.audioReactiveMappings = normalizeAudioReactiveMappings(
+        DEFAULT_AUDIO_REACTIVE_MAPPINGS,
+      );
       this.ribbonWidthScale = 1;
       this.ribbonPathAlignmentMode = "center";
       this.surfaceMode = "ribbon";
@@ -1124,7 +1356,7 @@ export const useViewerStore = defineStore("viewer", {
         backgroundOverlayColor: DEFAULT_BACKGROUND_OVERLAY_COLOR,
         backgroundOverlayOpacity: DEFAULT_BACKGROUND_OVERLAY_OPACITY,
         backgroundTextureEnabled: false,
-        backgroundTexture: DEFAULT_BACKGROUND_TEXTURE,
+        backgroundTexture: normalizeBackgroundTexture(DEFAULT_BACKGROUND_TEXTURE),
         backgroundBaseEnabled: DEFAULT_BACKGROUND_BASE_ENABLED,
         backgroundWaterEnabled: DEFAULT_BACKGROUND_WATER_ENABLED,
         backgroundWaterColor: DEFAULT_BACKGROUND_WATER_COLOR,
@@ -1171,8 +1403,12 @@ export const useViewerStore = defineStore("viewer", {
         filmstripHoleSpacing: DEFAULT_FILMSTRIP_GAP_LENGTH,
         filmstripHoleSize: DEFAULT_FILMSTRIP_APERTURE,
         gradientMapStops: this.gradientMapStops,
+        colorLut: null,
+        colorLutIntensity: DEFAULT_COLOR_LUT_INTENSITY,
+        postEffects: this.postEffects,
         contrast: DEFAULT_CONTRAST,
         saturation: DEFAULT_SATURATION,
+        audioReactiveMappings: this.audioReactiveMappings,
         undulationEnabled: true,
         surfaceMode: "ribbon",
         tubeRadiusScale: DEFAULT_TUBE_RADIUS_SCALE,
@@ -1235,6 +1471,72 @@ export const useViewerStore = defineStore("viewer", {
       this.headTrackingSuspendedReason = null;
     },
 
+    setHeadTrackingWindowEnabled(enabled) {
+      const nextValue = !!enabled;
+      this.headTrackingWindowEnabled = nextValue;
+      writeViewerPreferences({ headTrackingWindowEnabled: nextValue });
+    },
+
+    /**
+     * Create or update a window calibration profile and use it for a screen.
+     * @param {Object} profile - Calibration, with an id to update in place
+     * @param {string} screenKey - Screen the profile was measured on
+     * @returns {string} The profile id
+     */
+    saveHeadTrackingWindowProfile(profile, screenKey) {
+      const id = profile?.id || createWindowCalibrationProfileId();
+      const nextProfile = { id, ...normalizeWindowCalibration(profile) };
+      const exists = this.headTrackingWindowProfiles.some(
+        (entry) => entry.id === id,
+      );
+
+      this.headTrackingWindowProfiles = exists
+        ? this.headTrackingWindowProfiles.map((entry) =>
+            entry.id === id ? nextProfile : entry,
+          )
+        : [...this.headTrackingWindowProfiles, nextProfile];
+      this.headTrackingWindowScreenProfiles = {
+        ...this.headTrackingWindowScreenProfiles,
+        [screenKey]: id,
+      };
+      this.persistHeadTrackingWindowProfiles();
+
+      return id;
+    },
+
+    assignHeadTrackingWindowProfile(screenKey, profileId) {
+      const nextAssignments = { ...this.headTrackingWindowScreenProfiles };
+      if (profileId) {
+        nextAssignments[screenKey] = profileId;
+      } else {
+        delete nextAssignments[screenKey];
+      }
+
+      this.headTrackingWindowScreenProfiles = normalizeWindowScreenAssignments(
+        nextAssignments,
+        this.headTrackingWindowProfiles,
+      );
+      this.persistHeadTrackingWindowProfiles();
+    },
+
+    deleteHeadTrackingWindowProfile(profileId) {
+      this.headTrackingWindowProfiles = this.headTrackingWindowProfiles.filter(
+        (entry) => entry.id !== profileId,
+      );
+      this.headTrackingWindowScreenProfiles = normalizeWindowScreenAssignments(
+        this.headTrackingWindowScreenProfiles,
+        this.headTrackingWindowProfiles,
+      );
+      this.persistHeadTrackingWindowProfiles();
+    },
+
+    persistHeadTrackingWindowProfiles() {
+      writeViewerPreferences({
+        headTrackingWindowProfiles: this.headTrackingWindowProfiles,
+        headTrackingWindowScreenProfiles: this.headTrackingWindowScreenProfiles,
+      });
+    },
+
     requestHeadTrackingRecenter() {
       this.headTrackingRecenterToken += 1;
     },
@@ -1493,7 +1795,7 @@ export const useViewerStore = defineStore("viewer", {
     },
 
     setActiveTextureCrossSectionType(type) {
-      const nextType = type === "waves" || type === "planes" ? type : null;
+      const nextType = isKnownCrossSectionType(type) ? type : null;
       this.activeTextureCrossSectionType = nextType;
       if (nextType !== "waves" && this.peakTroughTransparencyEnabled) {
         this.setPeakTroughTransparencyEnabled(false);
@@ -1626,8 +1928,12 @@ export const useViewerStore = defineStore("viewer", {
         filmstripAperture: this.filmstripAperture,
         filmstripHoleRoundedness: this.filmstripHoleRoundedness,
         gradientMapStops: this.gradientMapStops,
+        colorLut: this.colorLut,
+        colorLutIntensity: this.colorLutIntensity,
+        postEffects: this.postEffects,
         contrast: this.contrast,
         saturation: this.saturation,
+        audioReactiveMappings: this.audioReactiveMappings,
         ribbonWidthScale: this.ribbonWidthScale,
         ribbonPathAlignmentMode: this.ribbonPathAlignmentMode,
         surfaceMode: this.surfaceMode,
@@ -1679,7 +1985,8 @@ export const useViewerStore = defineStore("viewer", {
         this.backgroundOverlayColor !== original.backgroundOverlayColor ||
         this.backgroundOverlayOpacity !== original.backgroundOverlayOpacity ||
         this.backgroundTextureEnabled !== original.backgroundTextureEnabled ||
-        this.backgroundTexture !== original.backgroundTexture ||
+        serializeBackgroundTexture(this.backgroundTexture) !==
+          serializeBackgroundTexture(original.backgroundTexture) ||
         this.backgroundBaseEnabled !== original.backgroundBaseEnabled ||
         this.backgroundWaterEnabled !== original.backgroundWaterEnabled ||
         this.backgroundWaterColor !== original.backgroundWaterColor ||
@@ -1729,8 +2036,14 @@ export const useViewerStore = defineStore("viewer", {
         this.filmstripHoleRoundedness !== original.filmstripHoleRoundedness ||
         serializeGradientMapStops(this.gradientMapStops) !==
           serializeGradientMapStops(original.gradientMapStops) ||
+        this.colorLut?.id !== original.colorLut?.id ||
+        this.colorLutIntensity !== original.colorLutIntensity ||
+        serializePostEffectStack(this.postEffects) !==
+          serializePostEffectStack(original.postEffects) ||
         this.contrast !== original.contrast ||
         this.saturation !== original.saturation ||
+        serializeAudioReactiveMappings(this.audioReactiveMappings) !==
+          serializeAudioReactiveMappings(original.audioReactiveMappings) ||
         this.ribbonWidthScale !== original.ribbonWidthScale ||
         this.ribbonPathAlignmentMode !== original.ribbonPathAlignmentMode ||
         this.surfaceMode !== original.surfaceMode ||
@@ -1754,6 +2067,134 @@ export const useViewerStore = defineStore("viewer", {
       );
     },
 
+    /**
+     * Snapshot the look settings a project document carries.
+     * @returns {Object} Plain JSON settings keyed like the store state
+     */
+    getProjectSettings() {
+      const settings = {};
+      for (const key of Object.keys(PROJECT_SETTING_SETTERS)) {
+        settings[key] = this[key];
+      }
+
+      settings.gradientMapStops = normalizeGradientMapStops(
+        this.gradientMapStops,
+      );
+      settings.audioReactiveMappings = normalizeAudioReactiveMappings(
+        this.audioReactiveMappings,
+      );
+      settings.postEffects = normalizePostEffectStack(this.postEffects);
+      settings.flowState = this.flowState;
+      settings.peakTroughTransparencyEnabled =
+        this.peakTroughTransparencyEnabled;
+      settings.peakTroughBlurEnabled = this.peakTroughBlurEnabled;
+      settings.peakTroughEffectType = this.peakTroughEffectType;
+      settings.peakTroughGradientStart = this.peakTroughGradientStart;
+      settings.peakTroughGradientEnd = this.peakTroughGradientEnd;
+      settings.transparentShadowsThresholdMin =
+        this.transparentShadowsThresholdMin;
+      settings.transparentShadowsThresholdMax =
+        this.transparentShadowsThresholdMax;
+      settings.exportAspectRatioPreset = this.exportAspectRatioPreset;
+      settings.exportResolutionPreset = this.exportResolutionPreset;
+      settings.exportCustomWidth = this.exportCustomWidth;
+      settings.exportCustomHeight = this.exportCustomHeight;
+      settings.helixMode = this.helixMode;
+      for (const key of HELIX_OPTION_KEYS) {
+        settings[key] = this[key];
+      }
+
+      return settings;
+    },
+
+    /**
+     * Apply project settings through the regular setters, so every value is
+     * normalized and persisted like a manual change. Keys that are missing
+     * keep their current value. Peak/trough effects only stick once a waves
+     * texture is active, so apply after the project textures have loaded.
+     * @param {Object} settings - From getProjectSettings or an older project
+     */
+    applyProjectSettings(settings) {
+      if (!settings || typeof settings !== "object") {
+        return;
+      }
+
+      const has = (key) => settings[key] !== undefined && settings[key] !== null;
+
+      for (const [legacyKey, [key, setter]] of Object.entries(
+        LEGACY_PROJECT_SETTING_SETTERS,
+      )) {
+        if (has(legacyKey) && !has(key)) {
+          this[setter](settings[legacyKey]);
+        }
+      }
+
+      for (const [key, setter] of Object.entries(PROJECT_SETTING_SETTERS)) {
+        if (has(key)) {
+          this[setter](settings[key]);
+        }
+      }
+
+      if (FLOW_STATES.includes(settings.flowState)) {
+        this.setFlowState(settings.flowState);
+      }
+
+      if (has("peakTroughGradientStart") || has("peakTroughGradientEnd")) {
+        this.setPeakTroughGradientRange([
+          settings.peakTroughGradientStart ?? this.peakTroughGradientStart,
+          settings.peakTroughGradientEnd ?? this.peakTroughGradientEnd,
+        ]);
+      }
+      if (has("peakTroughEffectType")) {
+        this.setPeakTroughEffectType(settings.peakTroughEffectType);
+      }
+      if (has("peakTroughTransparencyEnabled") || has("peakTroughBlurEnabled")) {
+        this.setPeakTroughEffectEnabled(
+          !!settings.peakTroughTransparencyEnabled ||
+            !!settings.peakTroughBlurEnabled,
+        );
+      }
+
+      if (
+        has("transparentShadowsThresholdMin") ||
+        has("transparentShadowsThresholdMax")
+      ) {
+        this.setTransparentShadowsThresholdRange([
+          settings.transparentShadowsThresholdMin ??
+            this.transparentShadowsThresholdMin,
+          settings.transparentShadowsThresholdMax ??
+            this.transparentShadowsThresholdMax,
+        ]);
+      }
+
+      const exportDimensions = {};
+      if (has("exportAspectRatioPreset")) {
+        exportDimensions.aspectRatioPreset = settings.exportAspectRatioPreset;
+      }
+      if (has("exportResolutionPreset")) {
+        exportDimensions.resolutionPreset = settings.exportResolutionPreset;
+      }
+      if (has("exportCustomWidth")) {
+        exportDimensions.customWidth = settings.exportCustomWidth;
+      }
+      if (has("exportCustomHeight")) {
+        exportDimensions.customHeight = settings.exportCustomHeight;
+      }
+      if (Object.keys(exportDimensions).length > 0) {
+        this.setExportDimensionSettings(exportDimensions);
+      }
+
+      if (has("helixMode")) {
+        this.setHelixMode(!!settings.helixMode);
+      }
+      for (const key of HELIX_OPTION_KEYS) {
+        const value = Number(settings[key]);
+        if (has(key) && Number.isFinite(value) && value > 0) {
+          this.setHelixOption(key, value);
+        }
+      }
+    },
+
     showEmojiPicker() {
       showViewerFlag(this, VIEWER_PANEL_KEYS.emoji);
     },
@@ -1788,6 +2229,22 @@ export const useViewerStore = defineStore("viewer", {
       hideViewerFlag(this, VIEWER_PANEL_KEYS.clock);
     },
 
+    showBodyTrackingPanel() {
+      showViewerFlag(this, VIEWER_PANEL_KEYS.body);
+    },
+
+    hideBodyTrackingPanel() {
+      hideViewerFlag(this, VIEWER_PANEL_KEYS.body);
+    },
+
+    showArtboardPanel() {
+      showViewerFlag(this, VIEWER_PANEL_KEYS.artboard);
+    },
+
+    hideArtboardPanel() {
+      hideViewerFlag(this, VIEWER_PANEL_KEYS.artboard);
+    },
+
     showAboutPanel() {
       showViewerFlag(this, VIEWER_PANEL_KEYS.about);
     },
@@ -2068,6 +2525,33 @@ export const useViewerStore = defineStore("viewer", {
       return normalized;
     },
 
+    /**
+     * Select an imported LUT for the 'lut' filter mode.
+     * @param {{id: string, name?: string}|null} reference
+     */
+    setColorLut(reference) {
+      const nextValue = normalizeColorLutReference(reference);
+      this.colorLut = nextValue;
+      writeViewerPreferences({ colorLut: nextValue });
+    },
+
+    setColorLutIntensity(value, { persist = true } = {}) {
+      const nextValue = normalizeColorLutIntensity(value);
+      this.colorLutIntensity = nextValue;
+      if (persist) {
+        writeViewerPreferences({ colorLutIntensity: nextValue });
+      }
+    },
+
+    setPostEffects(effects, { persist = true } = {}) {
+      const normalized = normalizePostEffectStack(effects);
+      this.postEffects = normalized;
+      if (persist) {
+        writeViewerPreferences({ postEffects: normalized });
+      }
+      return normalized;
+    },
+
     setContrast(value) {
       const nextValue = normalizeContrast(value);
       this.contrast = nextValue;
@@ -2080,6 +2564,25 @@ export const useViewerStore = defineStore("viewer", {
       writeViewerPreferences({ saturation: nextValue });
     },
 
+    setAudioReactiveMappings(mappings) {
+      const normalized = normalizeAudioReactiveMappings(mappings);
+      this.audioReactiveMappings = normalized;
+      writeViewerPreferences({ audioReactiveMappings: normalized });
+      return normalized;
+    },
+
+    /**
+     * Update one audio-reactive target, e.g. ("ribbonWidth", { amount: 0.8 }).
+     * @param {string} target
+     * @param {{ band?: string, amount?: number }} patch
+     */
+    setAudioReactiveMapping(target, patch = {}) {
+      return this.setAudioReactiveMappings({
+        ...this.audioReactiveMappings,
+        [target]: { ...this.audioReactiveMappings[target], ...patch },
+      });
+    },
+
     setShowTextureMetadataOverlay(enabled) {
       const nextValue = !!enabled;
       this.showTextureMetadataOverlay = nextValue;
@@ -2104,6 +2607,24 @@ export const useViewerStore = defineStore("viewer", {
       this.walkPointCount = count;
     },
 
+    setWalkMapSettings(settings = {}) {
+      this.walkMapSettings = normalizeWalkMapSettings({
+        ...this.walkMapSettings,
+        ...settings,
+      });
+      writeViewerPreferences({ walkMapSettings: this.walkMapSettings });
+    },
+
+    setWalkPlaybackSettings(settings = {}) {
+      this.walkPlaybackSettings = normalizeWalkPlaybackSettings({
+        ...this.walkPlaybackSettings,
+        ...settings,
+      });
+      writeViewerPreferences({
+        walkPlaybackSettings: this.walkPlaybackSettings,
+      });
+    },
+
     setCountdownSeconds(seconds) {
       this.countdownSeconds = seconds;
     },
@@ -1,25 +1,28 @@
 /**
  * Contour Inference Worker
  *
- * Runs U2Net salient-object detection via onnxruntime-web and returns a
- * min-max normalised alpha map as a flat Uint8ClampedArray (maskWidth × maskHeight).
- * Values are in the 0–255 range — thresholding is done in contourInference.js.
+ * Runs a U2Net segmentation model (see contourModels.js) via onnxruntime-web
+ * and returns a min-max normalised alpha map as a flat Uint8ClampedArray
+ * (maskWidth × maskHeight), plus a Sobel edge map of the same image thinned by
+ * non-maximum suppression. Values are in the 0–255 range — thresholding is done
+ * in contourInference.js.
  *
  * Supported messages (postMessage to worker):
- *   { type: 'infer', id, imageData }
+ *   { type: 'preload', id, model }
+ *   { type: 'infer', id, imageData, model }
  *     imageData: { data: Uint8ClampedArray, width, height }  (RGBA)
  *
  * Responses (postMessage from worker):
- *   { type: 'infer-result', id, alpha, maskWidth, maskHeight }
+ *   { type: 'infer-result', id, alpha, edges, maskWidth, maskHeight }
  *   { type: 'infer-error', id, error }
  */
 
 import { getRuntimeAssetUrls } from '../modules/shared/runtimeAssets.js';
+import { getContourModel } from '../modules/viewer/contourModels.js';
 
 const MODEL_INPUT_SIZE = 320;
 const MEAN = [0.485, 0.456, 0.406];
 const STD  = [0.229, 0.224, 0.225];
-const MODEL_PATHS = getRuntimeAssetUrls('u2netModel');
 
 function createStickyPromiseLoader(load) {
     let promise = null;
@@ -39,10 +42,10 @@ function emitPreloadStatus(postStatus, stage, message) {
     }
 }
 
-async function loadModelBuffer(postStatus) {
+async function loadModelBuffer(model, postStatus) {
     let lastError = null;
 
-    for (const modelPath of MODEL_PATHS) {
+    for (const modelPath of getRuntimeAssetUrls(model.assetId)) {
         emitPreloadStatus(postStatus, 'loading', 'Loading model…');
 
         const response = await fetch(modelPath);
@@ -55,34 +58,47 @@ async function loadModelBuffer(postStatus) {
         return await response.arrayBuffer();
     }
 
-    throw lastError || new Error('No U2Net model path succeeded.');
+    throw lastError || new Error(`No ${model.description} model path succeeded.`);
 }
 
-const getModelBuffer = createStickyPromiseLoader(async (postStatus) => {
-    try {
-        return await loadModelBuffer(postStatus);
-    } catch (loadErr) {
-        console.warn('[ContourWorker] Model load failed.', loadErr);
-        return null;
-    }
-});
-
-const getSession = createStickyPromiseLoader(async (postStatus) => {
+const getRuntime = createStickyPromiseLoader(async () => {
     const ort = await import('onnxruntime-web');
     ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1/dist/';
     ort.env.wasm.numThreads = 1;
+    return ort;
+});
 
-    const modelBuffer = await getModelBuffer(postStatus);
-    if (!modelBuffer) {
-        throw new Error('No U2Net model bytes were available from configured runtime asset URLs.');
+// One session per model, created on first use and kept for the worker's lifetime.
+const sessionLoaders = new Map();
+
+function getSession(model, postStatus) {
+    if (!sessionLoaders.has(model.value)) {
+        sessionLoaders.set(model.value, createStickyPromiseLoader(async () => {
+            const ort = await getRuntime();
+
+            let modelBuffer = null;
+            try {
+                modelBuffer = await loadModelBuffer(model, postStatus);
+            } catch (loadErr) {
+                console.warn('[ContourWorker] Model load failed.', loadErr);
+            }
+
+            if (!modelBuffer) {
+                // Forget the failure so a later request can retry the download.
+                sessionLoaders.delete(model.value);
+                throw new Error(`No ${model.description} model bytes were available from configured runtime asset URLs.`);
+            }
+
+            const session = await ort.InferenceSession.create(modelBuffer, {
+                executionProviders: ['wasm'],
+            });
+
+            return { ort, session };
+        }));
     }
 
-    const session = await ort.InferenceSession.create(modelBuffer, {
-        executionProviders: ['wasm'],
-    });
-
-    return { ort, session };
-});
+    return sessionLoaders.get(model.value)(postStatus);
+}
 
 /**
  * Resize source RGBA data to MODEL_INPUT_SIZE × MODEL_INPUT_SIZE using
@@ -143,11 +159,94 @@ function normalizeToByteAlpha(values) {
     return alpha;
 }
 
-async function runInference(imageData) {
-    const { ort, session } = await getSession();
-    const { data, width, height } = imageData;
+/**
+ * Separable 5-tap binomial blur, clamping at the borders.
+ */
+function blurPlane(values, size) {
+    const KERNEL = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+    const horizontal = new Float32Array(values.length);
+    const blurred = new Float32Array(values.length);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) {
+                const sx = Math.min(size - 1, Math.max(0, x + k));
+                sum += values[y * size + sx] * KERNEL[k + 2];
+            }
+            horizontal[y * size + x] = sum;
+        }
+    }
 
-    const resizedRGBA = await resizeWithOffscreenCanvas(data, width, height);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) {
+                const sy = Math.min(size - 1, Math.max(0, y + k));
+                sum += horizontal[sy * size + x] * KERNEL[k + 2];
+            }
+            blurred[y * size + x] = sum;
+        }
+    }
+
+    return blurred;
+}
+
+/** Neighbour offsets [dx, dy] across the gradient for 0°, 45°, 90° and 135°. */
+const GRADIENT_NEIGHBOURS = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+
+/**
+ * Sobel edge magnitude of the resized image, thinned by non-maximum suppression
+ * so each edge is about one pixel wide. Contour tracing follows these ridges in
+ * its interior-edge mode.
+ */
+function detectEdges(rgba, size) {
+    const n = size * size;
+    const luma = new Float32Array(n);
+
+    for (let i = 0; i < n; i++) {
+        const off = i * 4;
+        luma[i] = 0.299 * rgba[off] + 0.587 * rgba[off + 1] + 0.114 * rgba[off + 2];
+    }
+
+    const blurred = blurPlane(luma, size);
+    const magnitude = new Float32Array(n);
+    const direction = new Uint8Array(n);
+
+    for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+            const at = (dx, dy) => blurred[(y + dy) * size + x + dx];
+            const gx = (at(1, -1) + 2 * at(1, 0) + at(1, 1)) - (at(-1, -1) + 2 * at(-1, 0) + at(-1, 1));
+            const gy = (at(-1, 1) + 2 * at(0, 1) + at(1, 1)) - (at(-1, -1) + 2 * at(0, -1) + at(1, -1));
+            let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+            if (angle < 0) angle += 180;
+
+            magnitude[y * size + x] = Math.hypot(gx, gy);
+            direction[y * size + x] = Math.round(angle / 45) % 4;
+        }
+    }
+
+    const thinned = new Float32Array(n);
+    for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+            const i = y * size + x;
+            const [dx, dy] = GRADIENT_NEIGHBOURS[direction[i]];
+            const value = magnitude[i];
+            if (value >= magnitude[i + dy * size + dx] && value >= magnitude[i - dy * size - dx]) {
+                thinned[i] = value;
+            }
+        }
+    }
+
+    return normalizeToByteAlpha(thinned);
+}
+
+async function runSegmentation(model, resizedRGBA) {
+    if (!model.assetId) {
+        return new Uint8ClampedArray(MODEL_INPUT_SIZE * MODEL_INPUT_SIZE).fill(255);
+    }
+
+    const { ort, session } = await getSession(model);
     const chw = rgbaToNormalisedCHW(resizedRGBA, MODEL_INPUT_SIZE);
 
     const tensor = new ort.Tensor('float32', chw, [1, 3, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE]);
@@ -158,15 +257,28 @@ async function runInference(imageData) {
     return normalizeToByteAlpha(outputData);
 }
 
+async function runInference(imageData, model) {
+    const { data, width, height } = imageData;
+
+    const resizedRGBA = await resizeWithOffscreenCanvas(data, width, height);
+    const alpha = await runSegmentation(model, resizedRGBA);
+    const edges = detectEdges(resizedRGBA, MODEL_INPUT_SIZE);
+
+    return { alpha, edges };
+}
+
 self.onmessage = async (event) => {
     const { type, id, imageData } = event.data;
+    const model = getContourModel(event.data.model);
 
     if (type === 'preload') {
         try {
             const postStatus = ({ stage, message }) => {
                 self.postMessage({ type: 'preload-status', id, stage, message });
             };
-            await getSession(postStatus);
+            if (model.assetId) {
+                await getSession(model, postStatus);
+            }
             postStatus({ stage: 'ready', message: 'Model ready for use.' });
             self.postMessage({ type: 'preload-complete', id });
         } catch (err) {
@@ -178,10 +290,10 @@ self.onmessage = async (event) => {
     if (type !== 'infer') return;
 
     try {
-        const alpha = await runInference(imageData);
+        const { alpha, edges } = await runInference(imageData, model);
         self.postMessage(
-            { type: 'infer-result', id, alpha, maskWidth: MODEL_INPUT_SIZE, maskHeight: MODEL_INPUT_SIZE },
-            [alpha.buffer]
+            { type: 'infer-result', id, alpha, edges, maskWidth: MODEL_INPUT_SIZE, maskHeight: MODEL_INPUT_SIZE },
+            [alpha.buffer, edges.buffer]
         );
     } catch (err) {
         self.postMessage({ type: 'infer-error', id, error: String(err?.message ?? err) });
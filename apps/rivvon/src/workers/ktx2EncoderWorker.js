@@ -1,3 +1,5 @@
+import { encodeRgbaToKtx2 } from '../modules/slyce/basisKtx2Encoding.js';
+
 // We can't use getBasisModule() in a worker because it relies on the main thread's module
 // Instead, we need to load BASIS directly in the worker context
 
@@ -83,62 +85,20 @@ self.onmessage = async (e) => {
         try {
             // Wait for BASIS to be initialized if not already
             const Module = await initPromise;
-            const { BasisEncoder } = Module;
-
             const { rgba, width, height, frameIndex } = data;
 
-            // Create encoder instance for this frame
-            const basisEncoder = new BasisEncoder();
-
-            // Single-threaded mode (parallelism is managed by the worker pool)
-            basisEncoder.controlThreading(false, 1);
-
-            // Set up encoding buffer
-            const bufferSize = Math.max(1024 * 1024, width * height * 2);
-            const ktx2FileData = new Uint8Array(bufferSize);
-
-            // Set source image
-            basisEncoder.setSliceSourceImage(
-                0,
-                rgba,
-                width,
-                height,
-                Module.ldr_image_type.cRGBA32.value
-            );
-
-            // Configure settings (matching KTX2Encoder defaults)
-            basisEncoder.setCreateKTX2File(true);
-            basisEncoder.setKTX2UASTCSupercompression(false);
-            basisEncoder.setKTX2SRGBTransferFunc(true);
-            basisEncoder.setFormatMode(1); // UASTC LDR 4x4
-            basisEncoder.setPerceptual(true);
-            basisEncoder.setMipSRGB(true);
-            basisEncoder.setRDOUASTC(false);
-            basisEncoder.setMipGen(true);
-            basisEncoder.setPackUASTCFlags(1);
-
             // Encode
             const startTime = performance.now();
-            const numOutputBytes = basisEncoder.encode(ktx2FileData);
+            const actualKTX2FileData = encodeRgbaToKtx2(Module, rgba, width, height);
             const elapsed = performance.now() - startTime;
 
-            // Clean up encoder
-            basisEncoder.delete();
-
-            if (numOutputBytes === 0) {
-                throw new Error('Encoding returned 0 bytes');
-            }
-
-            // Extract actual data
-            const actualKTX2FileData = new Uint8Array(ktx2FileData.buffer, 0, numOutputBytes);
-
             // Send back the encoded data
             self.postMessage({
                 type: 'FRAME_DONE',
                 data: {
                     frameIndex,
                     buffer: actualKTX2FileData.buffer,
-                    size: numOutputBytes,
+                    size: actualKTX2FileData.byteLength,
                     elapsed
                 }
             }, [actualKTX2FileData.buffer]);